@@ -25,7 +25,7 @@ program
   .command('setup')
   .description('Initialize a new or existing project with Claude Code configuration')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
-  .option('-m, --merge', 'Merge with existing configuration')
+  .option('-m, --merge', 'Merge template updates with your edits instead of overwriting')
   .option('-y, --yes', 'Skip prompts and use defaults')
   .option('-f, --feature <description>', 'Create initial PRD for RALPH to build this feature')
   .option('--no-ralph', 'Skip RALPH autonomous agent setup')
@@ -71,9 +71,23 @@ program
 
 program
   .command('changes')
-  .description('View changelog since last project setup')
-  .action(() => {
-    spawn('node', [path.join(scriptsDir, 'view-changes.js')], {
+  .description('View changelog since last project setup, or diff a doc between versions')
+  .option('-d, --doc <name>', 'Diff a doc (e.g. hooks)')
+  .option('--from <version>', 'Older version (default: the one before --to)')
+  .option('--to <version>', 'Newer version (default: latest)')
+  .option('-f, --format <format>', 'Diff format (unified, side-by-side)')
+  .option('-C, --context <lines>', 'Unchanged lines around each change')
+  .option('--versions', 'List the recorded versions of --doc')
+  .action((options) => {
+    const args = [];
+    if (options.doc) args.push('--doc', options.doc);
+    if (options.from) args.push('--from', options.from);
+    if (options.to) args.push('--to', options.to);
+    if (options.format) args.push('--format', options.format);
+    if (options.context) args.push('--context', options.context);
+    if (options.versions) args.push('--versions');
+
+    spawn('node', [path.join(scriptsDir, 'view-changes.js'), ...args], {
       stdio: 'inherit'
     });
   });
@@ -158,6 +172,25 @@ program
     });
   });
 
+program
+  .command('upgrade [path]')
+  .description('Merge template updates into a project set up with an older knowledge base')
+  .option('--all', 'Upgrade every active tracked project')
+  .option('-y, --yes', 'Write the changes instead of previewing them')
+  .option('-C, --context <lines>', 'Unchanged lines around each change')
+  .option('--json', 'Output as JSON')
+  .action((projectPath, options) => {
+    const args = projectPath ? [projectPath] : [];
+    if (options.all) args.push('--all');
+    if (options.yes) args.push('--yes');
+    if (options.context) args.push('--context', options.context);
+    if (options.json) args.push('--json');
+
+    spawn('node', [path.join(scriptsDir, 'upgrade-projects.js'), ...args], {
+      stdio: 'inherit'
+    });
+  });
+
 program
   .command('news')
   .description('Fetch and preview Claude/Anthropic news')
@@ -181,7 +214,7 @@ program
     });
   });
 
-program
+const ralph = program
   .command('ralph [max-iterations]')
   .description('Run RALPH autonomous development loop')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
@@ -190,6 +223,11 @@ program
   .option('--reset', 'Reset progress.txt for fresh start')
   .option('--validate', 'Validate prd.json schema')
   .option('--analyze', 'Re-analyze project and regenerate PROJECT_SPEC.md')
+  .option('--skip-tests', 'Skip the test quality gate')
+  .option('--skip-lint', 'Skip the lint quality gate')
+  .option('--dry-run', 'Print the next prompt without running the agent')
+  .option('--model <model>', 'Model override for the agent')
+  .option('--bash', 'Use the legacy scripts/ralph/ralph.sh runner')
   .action((maxIterations, options) => {
     const args = [];
     if (maxIterations) args.push(maxIterations);
@@ -199,20 +237,66 @@ program
     if (options.reset) args.push('--reset');
     if (options.validate) args.push('--validate');
     if (options.analyze) args.push('--analyze');
+    if (options.skipTests) args.push('--skip-tests');
+    if (options.skipLint) args.push('--skip-lint');
+    if (options.dryRun) args.push('--dry-run');
+    if (options.model) args.push('--model', options.model);
+    if (options.bash) args.push('--bash');
 
     spawn('node', [path.join(scriptsDir, 'run-ralph.js'), ...args], {
       stdio: 'inherit'
     });
   });
 
+ralph
+  .command('report [run-id]')
+  .description('Show a run from its ledger as a table, markdown or HTML (default: last run)')
+  .option('-f, --format <format>', 'Output format (table, markdown, html)')
+  .option('-o, --output <file>', 'Write the report to a file')
+  .option('--list', 'List runs instead')
+  .option('--json', 'Output as JSON')
+  .action((runId, options, cmd) => {
+    const args = [];
+    if (runId) args.push(runId);
+    if (options.format) args.push('--format', options.format);
+    if (options.output) args.push('--output', options.output);
+    if (options.list) args.push('--list');
+    if (options.json) args.push('--json');
+
+    spawn('node', [path.join(scriptsDir, 'cli', 'report-cli.js'), ...args], {
+      cwd: cmd.optsWithGlobals().target,
+      stdio: 'inherit'
+    });
+  });
+
+ralph
+  .command('control <command> [value...]')
+  .description('Steer the running loop (pause, resume, skip <story>, note <text>, abort, max-iterations <n>)')
+  .option('-w, --wait <seconds>', 'How long to wait for an acknowledgement')
+  .option('--json', 'Output as JSON')
+  .action((command, value, options, cmd) => {
+    const args = [command, ...value];
+    if (options.wait) args.push('--wait', options.wait);
+    if (options.json) args.push('--json');
+
+    // -t/--target is parsed by the parent ralph command
+    spawn('node', [path.join(scriptsDir, 'cli', 'control-cli.js'), ...args], {
+      cwd: cmd.optsWithGlobals().target,
+      stdio: 'inherit'
+    });
+  });
+
 program
   .command('parallel [max-concurrent]')
   .description('Run RALPH with parallel story execution')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
   .option('-m, --max-iterations <number>', 'Max iterations per story', '10')
+  .option('--dry-run', 'Show the execution plan without running agents')
   .action((maxConcurrent, options) => {
     const args = [];
     if (maxConcurrent) args.push(maxConcurrent);
+    if (options.maxIterations) args.push('--max-iterations', options.maxIterations);
+    if (options.dryRun) args.push('--dry-run');
 
     spawn('node', [path.join(scriptsDir, 'ralph', 'parallel-ralph.js'), ...args], {
       cwd: options.target,
@@ -224,11 +308,15 @@ program
   .command('qa [max-iterations]')
   .description('Run QA validation loop')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
-  .option('-s, --story <id>', 'Story ID context')
+  .option('-s, --story <id>', 'Story ID to validate')
+  .option('--no-fix', 'Validate only; do not run the fixer agent')
+  .option('--model <model>', 'Model override for the fixer agent')
   .action((maxIterations, options) => {
     const args = [];
     if (maxIterations) args.push(maxIterations);
-    if (options.story) args.push(options.story);
+    if (options.story) args.push('--story', options.story);
+    if (!options.fix) args.push('--no-fix');
+    if (options.model) args.push('--model', options.model);
 
     spawn('node', [path.join(scriptsDir, 'qa', 'qa-loop.js'), ...args], {
       cwd: options.target,
@@ -238,15 +326,19 @@ program
 
 program
   .command('worktree <action> [story-id]')
-  .description('Manage git worktrees for stories (create, list, remove, cleanup)')
+  .description('Manage git worktrees for stories (create, list, diff, merge, remove, cleanup)')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
   .option('-f, --force', 'Force operation')
   .option('--delete-branch', 'Also delete branch when removing')
+  .option('-b, --base <branch>', 'Base branch (default: current branch)')
+  .option('--json', 'Output as JSON')
   .action((action, storyId, options) => {
     const args = [action];
     if (storyId) args.push(storyId);
     if (options.force) args.push('--force');
     if (options.deleteBranch) args.push('--delete-branch');
+    if (options.base) args.push('--base', options.base);
+    if (options.json) args.push('--json');
 
     spawn('node', [path.join(scriptsDir, 'cli', 'worktree-cli.js'), ...args], {
       cwd: options.target,
@@ -255,15 +347,50 @@ program
   });
 
 program
-  .command('memory <action>')
-  .description('Manage RALPH memory (search, stats, export, clear)')
+  .command('checkpoint <action> [checkpoint-id]')
+  .description('List RALPH checkpoints or roll back to one (list, rollback)')
+  .option('-t, --target <path>', 'Target project directory', process.cwd())
+  .option('-y, --yes', 'Apply the rollback instead of previewing it')
+  .option('--json', 'Output as JSON')
+  .action((action, checkpointId, options) => {
+    const args = [action];
+    if (checkpointId) args.push(checkpointId);
+    if (options.yes) args.push('--yes');
+    if (options.json) args.push('--json');
+
+    spawn('node', [path.join(scriptsDir, 'cli', 'checkpoint-cli.js'), ...args], {
+      cwd: options.target,
+      stdio: 'inherit'
+    });
+  });
+
+program
+  .command('memory <action> [target]')
+  .description('Inspect RALPH memory (search, stats, export, import, prune, graph, promote, demote)')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
   .option('-q, --query <text>', 'Search query')
   .option('--type <type>', 'Filter by type (pattern, gotcha, insight)')
-  .action((action, options) => {
+  .option('--tags <tags>', 'Filter insights by comma-separated tags')
+  .option('--since <date>', 'Only insights since a date or age (e.g. 7d)')
+  .option('--max-age <days>', 'Prune entries older than this many days')
+  .option('--depth <n>', 'Relationship hops to follow for graph')
+  .option('--replace', 'Import replaces existing memory instead of merging')
+  .option('--global', 'Search shared insights from projects on this stack')
+  .option('--all', 'Global search: every stack; demote: remove for every project')
+  .option('--json', 'Output as JSON')
+  .action((action, target, options) => {
     const args = [action];
+    if (target) args.push(target);
     if (options.query) args.push('--query', options.query);
     if (options.type) args.push('--type', options.type);
+    if (options.tags) args.push('--tags', options.tags);
+    if (options.since) args.push('--since', options.since);
+    if (options.maxAge) args.push('--max-age', options.maxAge);
+    if (options.depth) args.push('--depth', options.depth);
+    if (options.replace) args.push('--replace');
+    if (options.global) args.push('--global');
+    if (options.all) args.push('--all');
+    if (options.json) args.push('--json');
 
     spawn('node', [path.join(scriptsDir, 'cli', 'memory-cli.js'), ...args], {
       cwd: options.target,
@@ -272,15 +399,24 @@ program
   });
 
 program
-  .command('prd <action>')
-  .description('PRD management (generate, validate, status)')
+  .command('prd <action> [file]')
+  .description('PRD management (generate, validate, status, graph, edit, migrate)')
   .option('-t, --target <path>', 'Target project directory', process.cwd())
   .option('-p, --prompt <text>', 'Feature prompt for generation')
   .option('--smart', 'Use smart PRD generator with clarifying questions')
-  .action((action, options) => {
+  .option('-f, --force', 'Overwrite an existing prd.json without asking')
+  .option('--format <format>', 'Graph format (ascii, mermaid)')
+  .option('--dry-run', 'Show the migration diff without writing')
+  .option('--json', 'Output as JSON (validate, status, graph)')
+  .action((action, file, options) => {
     const args = [action];
+    if (file) args.push(file);
     if (options.prompt) args.push('--prompt', options.prompt);
     if (options.smart) args.push('--smart');
+    if (options.force) args.push('--force');
+    if (options.format) args.push('--format', options.format);
+    if (options.dryRun) args.push('--dry-run');
+    if (options.json) args.push('--json');
 
     spawn('node', [path.join(scriptsDir, 'cli', 'prd-cli.js'), ...args], {
       cwd: options.target,
@@ -288,4 +424,19 @@ program
     });
   });
 
+program
+  .command('boundaries <action> [paths...]')
+  .description('Inspect filesystem boundaries (list, explain)')
+  .option('-t, --target <path>', 'Target project directory', process.cwd())
+  .option('--json', 'Output as JSON')
+  .action((action, paths, options) => {
+    const args = [action, ...paths];
+    if (options.json) args.push('--json');
+
+    spawn('node', [path.join(scriptsDir, 'cli', 'boundary-cli.js'), ...args], {
+      cwd: options.target,
+      stdio: 'inherit'
+    });
+  });
+
 program.parse();
@@ -6,15 +6,11 @@
  */
 
 import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { ui } from './utils/design-system.js';
 import { hasUpdatesSinceLastSetup, loadMetadata, getChangesSince } from './utils/diff-checker.js';
+import { CONFIG } from './utils/config-manager.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const KNOWLEDGE_BASE_PATH = path.join(__dirname, '..', 'knowledge-base');
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 
 async function main() {
   ui.header('Checking for Knowledge Base Updates', 'search');
@@ -67,7 +63,7 @@ async function main() {
       summary.removed.forEach(doc => ui.removed(doc));
     }
 
-    ui.tip('Consider re-running setup-project to incorporate new best practices.');
+    ui.tip('Run "claude-init upgrade --all" to merge new best practices into your projects.');
     ui.muted('   Run "npm run view-changes" for detailed changelog.\n');
   } else {
     ui.success('Knowledge base is up to date with your last project setup.\n');
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * Boundary CLI
+ *
+ * Show the filesystem boundaries from .ralph/config.yaml and explain
+ * which rule decides whether a path may be touched.
+ */
+
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import {
+  BOUNDARY_LEVELS,
+  loadBoundaries,
+  explainPath
+} from '../utils/boundary-validator.js';
+
+const ACTIONS = ['list', 'explain'];
+
+// What each level means for a Write/Edit
+const LEVEL_EFFECTS = {
+  never_touch: 'blocked for every operation',
+  read_only: 'blocked for write, edit and delete',
+  warn_before_modify: 'asks before write and edit'
+};
+
+const program = new Command();
+
+program
+  .name('boundary-cli')
+  .description('Inspect RALPH filesystem boundaries')
+  .argument('<action>', `Action (${ACTIONS.join(', ')})`)
+  .argument('[paths...]', 'Paths to explain')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [action, ...paths] = program.args;
+
+/**
+ * List every level's rules in order
+ * @param {string} projectRoot - Project root directory
+ */
+async function listAction(projectRoot) {
+  const boundaries = await loadBoundaries(projectRoot);
+
+  if (options.json) {
+    console.log(JSON.stringify(boundaries, null, 2));
+    return;
+  }
+
+  ui.header('Filesystem Boundaries', 'list');
+  for (const level of BOUNDARY_LEVELS) {
+    ui.section(`${level} (${LEVEL_EFFECTS[level]})`);
+    for (const pattern of boundaries[level]) {
+      ui.bullet(pattern);
+    }
+  }
+  ui.blank();
+  ui.muted('Rules use gitignore syntax and are read in order: the last match wins, so "!pattern" re-allows.');
+  ui.muted('Customize in .ralph/config.yaml');
+  ui.blank();
+}
+
+/**
+ * Explain the rules matching each path
+ * @param {string} projectRoot - Project root directory
+ */
+async function explainAction(projectRoot) {
+  if (paths.length === 0) {
+    throw new Error('explain needs at least one path, e.g. boundaries explain .env.example');
+  }
+
+  const explanations = [];
+  for (const filePath of paths) {
+    explanations.push(await explainPath(filePath, projectRoot));
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(explanations, null, 2));
+    return;
+  }
+
+  for (const explanation of explanations) {
+    ui.header(explanation.path || '.', 'search');
+
+    if (explanation.outside) {
+      ui.error('Outside the project directory - always blocked');
+      ui.blank();
+      continue;
+    }
+
+    for (const level of explanation.levels) {
+      if (level.trace.length === 0) {
+        ui.muted(`  ${level.level}: no rules match`);
+        continue;
+      }
+
+      const verdict = level.matched ? ui.colors.error('matched') : ui.colors.success('re-allowed');
+      ui.raw(`  ${level.level}: ${verdict}`);
+      for (const hit of level.trace) {
+        const decides = hit.index === level.index ? ' <- decides' : '';
+        ui.muted(`    #${hit.index + 1} ${hit.pattern}${decides}`);
+      }
+    }
+
+    ui.blank();
+    if (explanation.level) {
+      ui.warning(`${explanation.level} via "${explanation.rule}": ${LEVEL_EFFECTS[explanation.level]}`);
+    } else {
+      ui.success('No boundary applies');
+    }
+    ui.blank();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  switch (action) {
+    case 'list':
+      await listAction(projectRoot);
+      break;
+
+    case 'explain':
+      await explainAction(projectRoot);
+      break;
+
+    default:
+      throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
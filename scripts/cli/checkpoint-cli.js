@@ -0,0 +1,136 @@
+#!/usr/bin/env node
+
+/**
+ * Checkpoint CLI
+ *
+ * List RALPH checkpoints and roll back to one. rollback only previews
+ * what would be discarded unless --yes is given.
+ */
+
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import { listCheckpoints, rollback } from '../utils/intervention-manager.js';
+
+const ACTIONS = ['list', 'rollback'];
+
+const program = new Command();
+
+program
+  .name('checkpoint-cli')
+  .description('List RALPH checkpoints and roll back to one')
+  .argument('<action>', `Action (${ACTIONS.join(', ')})`)
+  .argument('[checkpoint]', 'Checkpoint ID for rollback (default: last)')
+  .option('-y, --yes', 'Apply the rollback instead of previewing it')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [action, checkpointId = 'last'] = program.args;
+
+/**
+ * List checkpoints, newest first
+ * @param {string} projectRoot - Project root directory
+ */
+async function listAction(projectRoot) {
+  const checkpoints = await listCheckpoints(projectRoot);
+
+  if (options.json) {
+    console.log(JSON.stringify(checkpoints, null, 2));
+    return;
+  }
+
+  ui.header('Checkpoints', 'list');
+  if (checkpoints.length === 0) {
+    ui.muted('No checkpoints yet. RALPH creates one after each story passes QA.\n');
+    return;
+  }
+  for (const checkpoint of [...checkpoints].reverse()) {
+    ui.bullet(`${checkpoint.id} - ${checkpoint.subtaskId} ${ui.colors.muted(`(${checkpoint.createdAt})`)}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Print what a rollback discards
+ * @param {Object} discarded - discarded from rollback()
+ */
+function printDiscarded(discarded) {
+  const list = (title, items) => {
+    if (items.length === 0) return;
+    ui.section(`${title} (${items.length})`);
+    items.forEach(item => ui.bullet(item));
+  };
+
+  list('Commits', discarded.commits);
+  list('Files', discarded.files.map(f => `${f.status.padEnd(8)} ${f.path}`));
+  list('Stories marked incomplete again', discarded.stories);
+  list('Later checkpoints', discarded.checkpoints);
+  if (discarded.progressLines > 0) {
+    ui.section('Progress log');
+    ui.bullet(`${discarded.progressLines} line(s) appended since`);
+  }
+
+  const total = discarded.commits.length + discarded.files.length + discarded.stories.length +
+    discarded.checkpoints.length + discarded.progressLines;
+  if (total === 0) ui.muted('Nothing to discard.');
+}
+
+/**
+ * Preview or apply a rollback
+ * @param {string} projectRoot - Project root directory
+ */
+async function rollbackAction(projectRoot) {
+  const result = await rollback(checkpointId, projectRoot, { dryRun: !options.yes });
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    if (!result.success) process.exitCode = 1;
+    return;
+  }
+
+  if (!result.success) {
+    throw new Error(result.message);
+  }
+
+  const { id, subtaskId } = result.checkpoint;
+  ui.header(result.dryRun ? `Rollback preview: ${id} (${subtaskId})` : `Rolled back to ${id} (${subtaskId})`, 'summary');
+  printDiscarded(result.discarded);
+  ui.blank();
+
+  if (result.dryRun) {
+    ui.warning('Run again with --yes to discard these changes.');
+  } else {
+    ui.success(`Restored ${result.restored.git ? 'working tree, ' : ''}${result.restored.files.join(', ') || 'state'}`);
+    ui.muted(`  ${result.nextStep}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  switch (action) {
+    case 'list':
+      await listAction(projectRoot);
+      break;
+
+    case 'rollback':
+      await rollbackAction(projectRoot);
+      break;
+
+    default:
+      throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Control CLI
+ *
+ * Send a command to the RALPH loop running in this project and wait
+ * briefly for it to be acknowledged. The loop applies commands between
+ * stories; abort, skip and note also reach the current agent session
+ * through the guard hook.
+ */
+
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import {
+  CONTROL_COMMANDS,
+  parseControlCommand,
+  sendControlCommand,
+  getActiveRunner,
+  waitForAck
+} from '../utils/control-channel.js';
+
+const program = new Command();
+
+program
+  .name('control-cli')
+  .description('Send a command to the running RALPH loop')
+  .argument('<command>', `Command (${Object.keys(CONTROL_COMMANDS).join(', ')})`)
+  .argument('[value...]', 'Story ID for skip, text for note, number for max-iterations')
+  .option('-w, --wait <seconds>', 'How long to wait for an acknowledgement', '5')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [command, values = []] = program.processedArgs;
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+  const parsed = parseControlCommand(command, values);
+
+  const runner = await getActiveRunner(projectRoot);
+  if (!runner) {
+    throw new Error('No RALPH loop is running in this project');
+  }
+
+  const entry = await sendControlCommand(parsed.command, parsed.value, projectRoot);
+  const ack = await waitForAck(entry.id, projectRoot, { timeoutMs: Number(options.wait) * 1000 });
+
+  if (options.json) {
+    console.log(JSON.stringify({ success: ack?.status !== 'rejected', command: entry, runner, ack }, null, 2));
+    if (ack?.status === 'rejected') process.exitCode = 1;
+    return;
+  }
+
+  const label = parsed.value === null ? parsed.command : `${parsed.command} ${parsed.value}`;
+  if (!ack) {
+    ui.success(`Sent "${label}" to RALPH (pid ${runner.pid}${runner.storyId ? `, working on ${runner.storyId}` : ''})`);
+    ui.muted('  The loop applies it before the next story; abort, skip and note also reach the current session.');
+  } else if (ack.status === 'applied') {
+    ui.success(`${label}: ${ack.message}`);
+  } else {
+    ui.error(`${label}: ${ack.message}`);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
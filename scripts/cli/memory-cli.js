@@ -0,0 +1,375 @@
+#!/usr/bin/env node
+
+/**
+ * Memory CLI
+ *
+ * Inspect and maintain what RALPH has learned in .ralph/memory:
+ * ranked search, stats, export, import, prune, and an entity relationship graph.
+ * promote/demote move insights in and out of the shared store that projects
+ * on the same stack can search with --global.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import {
+  MEMORY_DIR,
+  queryMemory,
+  getMemoryStats,
+  getEntityGraph,
+  cleanupMemory,
+  exportMemory,
+  importMemory
+} from '../utils/memory-manager.js';
+import {
+  GENERAL_TAG,
+  promoteInsight,
+  promoteGeneralInsights,
+  demoteInsight,
+  queryGlobalMemory
+} from '../utils/global-memory.js';
+
+const ACTIONS = ['search', 'stats', 'export', 'import', 'prune', 'graph', 'promote', 'demote'];
+const DEFAULT_MAX_AGE_DAYS = 90;
+const DEFAULT_EXPORT_FILE = 'ralph-memory.json';
+
+const program = new Command();
+
+program
+  .name('memory-cli')
+  .description('Inspect and maintain RALPH memory')
+  .argument('<action>', `Action (${ACTIONS.join(', ')})`)
+  .argument('[target]', 'Entity name or ID (graph), file path (export, import), insight ID (promote, demote)')
+  .option('-q, --query <text>', 'Search query (empty matches everything)')
+  .option('--type <type>', 'Filter entities by type (pattern, gotcha, insight, ...)')
+  .option('--tags <tags>', 'Filter insights by comma-separated tags')
+  .option('--since <date>', 'Only insights since a date (YYYY-MM-DD) or age (e.g. 7d, 2w)')
+  .option('--max-age <days>', 'Prune entries older than this many days', String(DEFAULT_MAX_AGE_DAYS))
+  .option('--depth <n>', 'Relationship hops to follow for graph', '1')
+  .option('--replace', 'Import replaces existing memory instead of merging')
+  .option('--global', 'Search the shared store for insights from projects on this stack')
+  .option('--all', 'Global search: every stack; demote: remove for every project')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [action, target] = program.args;
+
+/**
+ * Turn --since into a date: ISO dates pass through, "7d"/"2w"/"3m" are ages
+ * @param {string} value - Option value
+ * @returns {string|null} ISO date string
+ */
+function parseSince(value) {
+  if (!value) return null;
+
+  const age = value.match(/^(\d+)([dwm])$/);
+  if (age) {
+    const days = parseInt(age[1], 10) * { d: 1, w: 7, m: 30 }[age[2]];
+    return new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) {
+    throw new Error(`Invalid --since value "${value}" (use YYYY-MM-DD or an age like 7d)`);
+  }
+  return date.toISOString();
+}
+
+/**
+ * Print data as JSON when --json is set
+ * @param {*} data - Data to print
+ * @returns {boolean} Whether JSON was printed
+ */
+function printJson(data) {
+  if (!options.json) return false;
+  console.log(JSON.stringify(data, null, 2));
+  return true;
+}
+
+/**
+ * Color the matched words of a search snippet
+ * @param {string} snippet - Snippet text
+ * @param {Array<{start: number, end: number}>} highlights - Match offsets
+ * @returns {string} Colored snippet
+ */
+function highlightSnippet(snippet, highlights = []) {
+  let result = '';
+  let last = 0;
+  for (const { start, end } of highlights) {
+    result += snippet.slice(last, start) + ui.colors.highlight(snippet.slice(start, end));
+    last = end;
+  }
+  return result + snippet.slice(last);
+}
+
+/**
+ * Search entities, relationships and insights
+ * @param {string} projectRoot - Project root directory
+ */
+async function searchAction(projectRoot) {
+  const filters = {
+    type: options.type,
+    tags: options.tags ? options.tags.split(',').map(t => t.trim()).filter(Boolean) : undefined,
+    since: parseSince(options.since)
+  };
+  const results = await queryMemory(options.query || '', filters, projectRoot);
+
+  if (printJson(results)) return;
+
+  ui.header(options.query ? `Memory: "${options.query}"` : 'Memory', 'search');
+
+  const total = results.entities.length + results.relationships.length + results.insights.length;
+  if (total === 0) {
+    ui.muted('No matches.\n');
+    return;
+  }
+
+  if (results.entities.length > 0) {
+    ui.section(`Entities (${results.entities.length})`);
+    for (const entity of results.entities) {
+      const score = entity.score !== undefined ? ` ${ui.colors.muted(entity.score.toFixed(2))}` : '';
+      ui.bullet(`${entity.name} [${entity.type}]${score}`);
+      if (entity.snippet) ui.raw(`    ${highlightSnippet(entity.snippet, entity.highlights)}`);
+    }
+  }
+
+  if (results.relationships.length > 0) {
+    ui.section(`Relationships (${results.relationships.length})`);
+    for (const rel of results.relationships) {
+      ui.bullet(`${rel.from} --${rel.type}--> ${rel.to}`);
+    }
+  }
+
+  if (results.insights.length > 0) {
+    ui.section(`Insights (${results.insights.length})`);
+    for (const insight of results.insights) {
+      const tags = insight.tags.length > 0 ? ` [${insight.tags.join(', ')}]` : '';
+      const seen = (insight.occurrences || 1) > 1 ? ` (x${insight.occurrences})` : '';
+      const score = insight.score !== undefined ? ` ${ui.colors.muted(insight.score.toFixed(2))}` : '';
+      if (insight.snippet) {
+        ui.bullet(`${highlightSnippet(insight.snippet, insight.highlights)}${seen}${score}`);
+        ui.muted(`    ${tags.trim() || insight.context}`);
+      } else {
+        ui.bullet(`${insight.learning}${seen}`);
+        ui.muted(`    ${insight.context}${tags}`);
+      }
+    }
+  }
+  ui.blank();
+}
+
+/**
+ * Search shared insights from projects on the same stack
+ * @param {string} projectRoot - Project root directory
+ */
+async function globalSearchAction(projectRoot) {
+  const insights = await queryGlobalMemory(options.query || '', projectRoot, { allStacks: options.all });
+
+  if (printJson({ insights })) return;
+
+  ui.header(options.query ? `Shared memory: "${options.query}"` : 'Shared memory', 'search');
+
+  if (insights.length === 0) {
+    ui.muted('No matches.\n');
+    return;
+  }
+
+  for (const insight of insights) {
+    const seen = insight.occurrences > 1 ? ` (x${insight.occurrences})` : '';
+    const score = insight.score !== undefined ? ` ${ui.colors.muted(insight.score.toFixed(2))}` : '';
+    ui.bullet(`${insight.learning}${seen}${score}`);
+    const sources = insight.provenance.map(p => `${p.projectName} (${p.projectId}, ${p.language}/${p.framework})`);
+    ui.muted(`    ${insight.id} from ${sources.join(', ')}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Promote one insight, or every insight tagged "general", to the shared store
+ * @param {string} projectRoot - Project root directory
+ */
+async function promoteAction(projectRoot) {
+  const promoted = target
+    ? [await promoteInsight(target, projectRoot)]
+    : await promoteGeneralInsights(projectRoot);
+
+  if (printJson({ success: true, promoted: promoted.map(p => ({ id: p.insight.id, created: p.created })) })) return;
+
+  if (promoted.length === 0) {
+    ui.muted(`No insights tagged "${GENERAL_TAG}". Pass an insight ID to promote one.\n`);
+    return;
+  }
+  for (const { insight, created } of promoted) {
+    ui.success(`${created ? 'Promoted' : 'Updated'} ${insight.id}: ${insight.learning}`);
+  }
+}
+
+/**
+ * Remove an insight from the shared store
+ * @param {string} projectRoot - Project root directory
+ */
+async function demoteAction(projectRoot) {
+  if (!target) {
+    throw new Error('demote needs a shared insight ID, e.g. memory demote <id> (see memory search --global)');
+  }
+
+  const { insight, deleted } = await demoteInsight(target, projectRoot, { everywhere: options.all });
+
+  if (printJson({ success: true, id: insight.id, deleted })) return;
+
+  if (deleted) {
+    ui.success(`Removed ${insight.id} from shared memory`);
+  } else {
+    ui.success(`Removed this project from ${insight.id}`);
+    ui.muted(`  Still shared by ${insight.provenance.map(p => p.projectName).join(', ')}`);
+  }
+}
+
+/**
+ * Show memory statistics
+ * @param {string} projectRoot - Project root directory
+ */
+async function statsAction(projectRoot) {
+  const stats = await getMemoryStats(projectRoot);
+
+  if (printJson(stats)) return;
+
+  ui.header('Memory Statistics', 'summary');
+  ui.muted(`  Location: ${MEMORY_DIR}`);
+  ui.blank();
+
+  const byType = counts => Object.entries(counts).map(([type, n]) => `${type}: ${n}`).join(' | ');
+
+  ui.raw(`  Entities:      ${stats.entities.total}`);
+  if (stats.entities.total > 0) ui.muted(`    ${byType(stats.entities.byType)}`);
+  ui.raw(`  Relationships: ${stats.relationships.total}`);
+  if (stats.relationships.total > 0) ui.muted(`    ${byType(stats.relationships.byType)}`);
+  ui.raw(`  Insights:      ${stats.insights.total} (${stats.insights.totalOccurrences} occurrences)`);
+  if (stats.insights.tags.length > 0) ui.muted(`    Tags: ${stats.insights.tags.join(', ')}`);
+  ui.blank();
+}
+
+/**
+ * Print an entity's relationships
+ * @param {string} projectRoot - Project root directory
+ */
+async function graphAction(projectRoot) {
+  const name = target || options.query;
+  if (!name) {
+    throw new Error('graph needs an entity name or ID, e.g. memory graph UserService');
+  }
+
+  const depth = Math.max(1, parseInt(options.depth, 10) || 1);
+  const graph = await getEntityGraph(name, { type: options.type, depth }, projectRoot);
+  if (!graph) {
+    throw new Error(`Entity "${name}" not found`);
+  }
+
+  if (printJson(graph)) return;
+
+  ui.header(`${graph.entity.name} [${graph.entity.type}]`, 'link');
+
+  const props = Object.entries(graph.entity.properties || {});
+  for (const [key, value] of props) {
+    ui.muted(`  ${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  }
+  if (props.length > 0) ui.blank();
+
+  if (graph.edges.length === 0) {
+    ui.muted('No relationships.\n');
+    return;
+  }
+
+  for (const edge of graph.edges) {
+    ui.raw(`  ${edge.from} ${ui.colors.muted(`--${edge.type}-->`)} ${edge.to}`);
+  }
+  ui.blank();
+  ui.muted(`${graph.nodes.length} entities, ${graph.edges.length} relationships (depth ${depth})`);
+  ui.blank();
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  switch (action) {
+    case 'search':
+      if (options.global) {
+        await globalSearchAction(projectRoot);
+      } else {
+        await searchAction(projectRoot);
+      }
+      break;
+
+    case 'stats':
+      await statsAction(projectRoot);
+      break;
+
+    case 'export': {
+      const outputPath = path.resolve(target || DEFAULT_EXPORT_FILE);
+      await exportMemory(outputPath, projectRoot);
+      if (!printJson({ success: true, path: outputPath })) {
+        ui.success(`Exported memory to ${outputPath}`);
+      }
+      break;
+    }
+
+    case 'import': {
+      if (!target) {
+        throw new Error('import needs a file, e.g. memory import ralph-memory.json');
+      }
+      const inputPath = path.resolve(target);
+      if (!await fs.pathExists(inputPath)) {
+        throw new Error(`File not found: ${inputPath}`);
+      }
+      const counts = await importMemory(inputPath, !options.replace, projectRoot);
+      const mode = options.replace ? 'replaced' : 'merged';
+      if (!printJson({ success: true, mode, ...counts })) {
+        ui.success(`Imported (${mode}): ${counts.entities} entities, ${counts.relationships} relationships, ${counts.insights} insights`);
+      }
+      break;
+    }
+
+    case 'prune': {
+      const maxAge = parseInt(options.maxAge, 10);
+      if (!Number.isFinite(maxAge) || maxAge < 0) {
+        throw new Error(`Invalid --max-age "${options.maxAge}"`);
+      }
+      const removed = await cleanupMemory(maxAge, projectRoot);
+      if (!printJson({ success: true, maxAgeDays: maxAge, removed })) {
+        ui.success(`Pruned entries older than ${maxAge} days`);
+        ui.muted(`  Entities: ${removed.entities} | Relationships: ${removed.relationships} | Insights: ${removed.insights}`);
+        ui.muted('  (Insights seen 3+ times are kept regardless of age)');
+      }
+      break;
+    }
+
+    case 'graph':
+      await graphAction(projectRoot);
+      break;
+
+    case 'promote':
+      await promoteAction(projectRoot);
+      break;
+
+    case 'demote':
+      await demoteAction(projectRoot);
+      break;
+
+    default:
+      throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,691 @@
+#!/usr/bin/env node
+
+/**
+ * PRD CLI
+ *
+ * Manage prd.json: generate it from a feature prompt (optionally after
+ * clarifying questions), validate it, show per-story status, draw the
+ * story dependency graph, add, move or split stories without
+ * hand-editing JSON, and migrate older prd.json formats.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import inquirer from 'inquirer';
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import { analyzeProject } from '../utils/project-analyzer.js';
+import { generateIntelligentPrd, generatePrdMarkdown } from '../utils/spec-generator.js';
+import { validatePrd, getPrdStats } from '../utils/prd-validator.js';
+import { classifyPrd, classifyAndUpdatePrd } from '../utils/complexity-classifier.js';
+import {
+  getStoryDependencies,
+  getDependencyLevels,
+  renderAsciiGraph,
+  renderMermaidGraph
+} from '../utils/story-scheduler.js';
+import { addStory, moveStory, splitStory } from '../utils/prd-editor.js';
+import { migratePrd } from '../utils/prd-migrations.js';
+import { diffLines, formatUnified } from '../utils/text-diff.js';
+
+const ACTIONS = ['generate', 'validate', 'status', 'graph', 'edit', 'migrate'];
+const GRAPH_FORMATS = ['ascii', 'mermaid'];
+const PRD_FILE = 'prd.json';
+const TASKS_DIR = 'tasks';
+
+// Feature types offered by --smart; values steer story pattern detection
+const FEATURE_TYPES = [
+  { name: 'API / endpoints', value: 'api' },
+  { name: 'UI / components', value: 'ui component' },
+  { name: 'Data model / database', value: 'data model' },
+  { name: 'Authentication / users', value: 'auth' },
+  { name: 'Something else', value: '' }
+];
+
+const program = new Command();
+
+program
+  .name('prd-cli')
+  .description('Manage prd.json')
+  .argument('<action>', `Action (${ACTIONS.join(', ')})`)
+  .argument('[file]', `PRD file to migrate (default: ${PRD_FILE})`)
+  .option('-p, --prompt <text>', 'Feature prompt for generation')
+  .option('--smart', 'Ask clarifying questions before generating')
+  .option('-f, --force', 'Overwrite an existing prd.json without asking')
+  .option('--format <format>', `Graph format (${GRAPH_FORMATS.join(', ')}; default: both)`)
+  .option('--dry-run', 'Show the migration diff without writing')
+  .option('--json', 'Output as JSON (validate, status, graph)')
+  .parse(process.argv);
+
+const options = program.opts();
+const [action, file] = program.args;
+
+/**
+ * Throw unless running in an interactive terminal
+ * @param {string} what - What needs the terminal
+ */
+function requireTty(what) {
+  if (!process.stdin.isTTY) {
+    throw new Error(`${what} needs an interactive terminal`);
+  }
+}
+
+/**
+ * Load prd.json
+ * @param {string} projectRoot - Project root directory
+ * @param {string} prdFile - PRD file, relative to the project
+ * @returns {Promise<Object>} PRD object
+ */
+async function loadPrd(projectRoot, prdFile = PRD_FILE) {
+  const prdPath = path.resolve(projectRoot, prdFile);
+  if (!await fs.pathExists(prdPath)) {
+    throw new Error(`No ${prdFile} found. Create one with: claude-init prd generate -p "<feature>"`);
+  }
+
+  try {
+    return await fs.readJson(prdPath);
+  } catch (error) {
+    throw new Error(`Failed to parse ${prdFile}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the markdown twin of a generated PRD (tasks/prd-<slug>.md)
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} prd - PRD object
+ * @returns {Promise<string|null>} Written path, or null for PRDs without project context
+ */
+async function writePrdMarkdown(projectRoot, prd) {
+  if (!prd.projectContext || !prd.existingPatterns) return null;
+
+  const slug = prd.branchName.replace('ralph/', '');
+  const markdownPath = path.join(projectRoot, TASKS_DIR, `prd-${slug}.md`);
+  await fs.outputFile(markdownPath, generatePrdMarkdown(prd), 'utf-8');
+  return markdownPath;
+}
+
+/**
+ * Ask the --smart clarifying questions
+ * @returns {Promise<Object>} Clarifications for generateIntelligentPrd
+ */
+async function askClarifyingQuestions() {
+  const answers = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'featureType',
+      message: 'What kind of feature is this?',
+      choices: FEATURE_TYPES
+    },
+    {
+      type: 'input',
+      name: 'users',
+      message: 'Who will use it? (optional)'
+    },
+    {
+      type: 'input',
+      name: 'requirements',
+      message: 'Must-have behaviours, separated by ";" (optional):'
+    },
+    {
+      type: 'input',
+      name: 'outOfScope',
+      message: 'Anything explicitly out of scope? (optional)'
+    }
+  ]);
+
+  return {
+    featureType: answers.featureType,
+    users: answers.users.trim(),
+    requirements: answers.requirements.split(';').map(r => r.trim()).filter(Boolean),
+    outOfScope: answers.outOfScope.trim()
+  };
+}
+
+/**
+ * Generate prd.json and its markdown twin from a feature prompt
+ * @param {string} projectRoot - Project root directory
+ */
+async function generateAction(projectRoot) {
+  let prompt = options.prompt;
+  if (!prompt) {
+    requireTty('Generating without --prompt');
+    ({ prompt } = await inquirer.prompt([{
+      type: 'input',
+      name: 'prompt',
+      message: 'Describe the feature:',
+      validate: input => input.trim().length > 0 || 'Please describe the feature'
+    }]));
+  }
+  prompt = prompt.trim();
+
+  const prdPath = path.join(projectRoot, PRD_FILE);
+  if (await fs.pathExists(prdPath) && !options.force) {
+    requireTty('Overwriting prd.json without --force');
+    const { overwrite } = await inquirer.prompt([{
+      type: 'confirm',
+      name: 'overwrite',
+      message: 'prd.json already exists. Overwrite it?',
+      default: false
+    }]);
+    if (!overwrite) {
+      ui.muted('Kept the existing prd.json');
+      return;
+    }
+  }
+
+  ui.header('Generate PRD', 'list');
+
+  let clarifications = {};
+  if (options.smart) {
+    requireTty('--smart');
+    clarifications = await askClarifyingQuestions();
+    ui.blank();
+  }
+
+  const spinner = ui.spinner('Analyzing project...').start();
+  const analysis = await analyzeProject(projectRoot);
+  const prd = generateIntelligentPrd(prompt, analysis, analysis.documentation.files, clarifications);
+  spinner.succeed('Project analyzed');
+
+  await fs.writeJson(prdPath, prd, { spaces: 2 });
+  const classification = await classifyAndUpdatePrd(projectRoot);
+  const markdownPath = await writePrdMarkdown(projectRoot, prd);
+
+  ui.success(`Created prd.json (${prd.userStories.length} stories, ${classification.level} complexity)`);
+  ui.success(`Created ${path.relative(projectRoot, markdownPath)}`);
+
+  ui.section('Stories');
+  for (const story of prd.userStories) {
+    ui.pending(`${story.id}: ${story.title}`);
+  }
+
+  ui.blank();
+  ui.muted('Review the stories, then start with: claude-init ralph');
+  ui.muted('Adjust them with: claude-init prd edit');
+  ui.blank();
+}
+
+/**
+ * Validate prd.json and show its complexity
+ * @param {string} projectRoot - Project root directory
+ */
+async function validateAction(projectRoot) {
+  const prd = await loadPrd(projectRoot);
+  const result = validatePrd(prd);
+  const classification = result.valid ? classifyPrd(prd) : null;
+
+  if (!result.valid) process.exitCode = 1;
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      ...result,
+      complexity: classification?.level ?? null,
+      score: classification?.score ?? null
+    }, null, 2));
+    return;
+  }
+
+  ui.header('Validate PRD', 'check');
+
+  if (result.valid) {
+    ui.success('PRD validation passed');
+  } else {
+    ui.error('PRD validation failed');
+  }
+
+  if (result.errors.length > 0) {
+    ui.section('Errors');
+    result.errors.forEach(e => ui.errorText(`  ${ui.icons.error} ${e}`));
+  }
+
+  if (result.warnings.length > 0) {
+    ui.section('Warnings');
+    result.warnings.forEach(w => ui.warningText(`  ${ui.icons.warning} ${w}`));
+  }
+
+  if (classification) {
+    ui.section('Complexity');
+    ui.raw(`  ${classification.level} (score ${classification.score})`);
+    ui.muted(`  ${classification.recommendation.description}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Show a per-story status table
+ * @param {string} projectRoot - Project root directory
+ */
+async function statusAction(projectRoot) {
+  const prd = await loadPrd(projectRoot);
+  const stats = getPrdStats(prd);
+  const stories = prd.userStories || [];
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      project: prd.project,
+      branchName: prd.branchName,
+      complexity: prd.complexity || null,
+      ...stats,
+      nextStory: stats.nextStory?.id || null,
+      stories: stories.map(s => ({
+        id: s.id,
+        title: s.title,
+        priority: s.priority,
+        passes: Boolean(s.passes),
+        criteria: (s.acceptanceCriteria || []).length,
+        engine: s.engine || null,
+        dependsOn: getStoryDependencies(s)
+      }))
+    }, null, 2));
+    return;
+  }
+
+  ui.header(prd.project, 'summary');
+  ui.muted(`  Branch: ${prd.branchName}${prd.complexity ? ` | Complexity: ${prd.complexity}` : ''}`);
+  ui.raw(`  ${stats.complete}/${stats.total} complete (${stats.percentComplete}%)`);
+  ui.blank();
+
+  const idWidth = Math.max(2, ...stories.map(s => String(s.id).length));
+  const titleWidth = Math.min(50, Math.max(5, ...stories.map(s => String(s.title).length)));
+  const truncate = text => (text.length > titleWidth ? `${text.slice(0, titleWidth - 1)}${ui.icons.ellipsis}` : text);
+
+  const engineWidth = Math.max(6, ...stories.map(s => (s.engine || '').length));
+
+  ui.muted(`    ${'ID'.padEnd(idWidth)}  ${'Title'.padEnd(titleWidth)}  P    AC  ${'Engine'.padEnd(engineWidth)}  Depends on`);
+  ui.divider(idWidth + titleWidth + engineWidth + 30);
+
+  for (const story of stories) {
+    const row = [
+      String(story.id).padEnd(idWidth),
+      truncate(String(story.title)).padEnd(titleWidth),
+      String(story.priority ?? '-').padEnd(3),
+      String((story.acceptanceCriteria || []).length).padStart(3),
+      (story.engine || '').padEnd(engineWidth),
+      getStoryDependencies(story).join(', ')
+    ].join('  ').trimEnd();
+
+    if (story.passes) {
+      ui.completed(`  ${row}`);
+    } else if (story === stats.nextStory) {
+      ui.inProgress(`  ${row}`);
+    } else {
+      ui.pending(`  ${row}`);
+    }
+  }
+
+  ui.blank();
+  if (stats.nextStory) {
+    ui.muted(`Next: ${stats.nextStory.id}: ${stats.nextStory.title}`);
+  } else {
+    ui.success('All stories complete');
+  }
+  ui.blank();
+}
+
+/**
+ * Print the story dependency graph as ASCII and/or Mermaid
+ * @param {string} projectRoot - Project root directory
+ */
+async function graphAction(projectRoot) {
+  if (options.format && !GRAPH_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown --format "${options.format}". Use one of: ${GRAPH_FORMATS.join(', ')}`);
+  }
+
+  const prd = await loadPrd(projectRoot);
+  const result = validatePrd(prd);
+  if (!result.valid) {
+    result.errors.forEach(e => ui.error(e));
+    throw new Error('Fix prd.json before drawing its graph (claude-init prd validate)');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      levels: getDependencyLevels(prd).map(level => level.map(s => s.id)),
+      edges: prd.userStories.flatMap(s => getStoryDependencies(s).map(dep => ({ from: dep, to: s.id })))
+    }, null, 2));
+    return;
+  }
+
+  // A single format prints bare, so it can be piped into a file
+  if (options.format === 'ascii') {
+    console.log(renderAsciiGraph(prd));
+    return;
+  }
+  if (options.format === 'mermaid') {
+    console.log(renderMermaidGraph(prd));
+    return;
+  }
+
+  ui.header(`Story Graph: ${prd.project}`, 'branch');
+  ui.raw(renderAsciiGraph(prd));
+  ui.section('Mermaid');
+  ui.raw(['```mermaid', renderMermaidGraph(prd), '```'].join('\n'));
+  ui.blank();
+}
+
+/**
+ * Upgrade a PRD file to the current format, or show the diff with --dry-run
+ * @param {string} projectRoot - Project root directory
+ */
+async function migrateAction(projectRoot) {
+  const prdFile = file || PRD_FILE;
+  const prd = await loadPrd(projectRoot, prdFile);
+  const result = migratePrd(prd);
+  const changed = result.applied.length > 0;
+
+  const before = `${JSON.stringify(prd, null, 2)}\n`;
+  const after = `${JSON.stringify(result.prd, null, 2)}\n`;
+
+  if (changed && !options.dryRun) {
+    await fs.writeFile(path.resolve(projectRoot, prdFile), after, 'utf-8');
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({
+      success: true,
+      file: prdFile,
+      dryRun: Boolean(options.dryRun),
+      fromVersion: result.fromVersion,
+      toVersion: result.toVersion,
+      applied: result.applied
+    }, null, 2));
+    return;
+  }
+
+  ui.header(`Migrate ${prdFile}`, 'update');
+
+  if (!changed) {
+    ui.success(`Already at schema version ${result.toVersion}`);
+    return;
+  }
+
+  for (const migration of result.applied) {
+    ui.bullet(`v${migration.version}: ${migration.description}`);
+  }
+
+  if (options.dryRun) {
+    ui.section('Diff (dry run)');
+    const diff = formatUnified(diffLines(before, after), {
+      fromLabel: `${prdFile} (schema v${result.fromVersion})`,
+      toLabel: `${prdFile} (schema v${result.toVersion})`,
+      context: 1
+    });
+    for (const line of diff.trimEnd().split('\n')) {
+      if (line.startsWith('@@')) {
+        console.log(ui.colors.secondary(line));
+      } else if (line.startsWith('+')) {
+        ui.successText(line);
+      } else if (line.startsWith('-')) {
+        ui.errorText(line);
+      } else {
+        ui.muted(line);
+      }
+    }
+    ui.blank();
+    ui.muted(`Nothing written. Run without --dry-run to upgrade ${prdFile}.`);
+    return;
+  }
+
+  ui.blank();
+  ui.success(`Upgraded ${prdFile} from schema version ${result.fromVersion} to ${result.toVersion}`);
+}
+
+/**
+ * Split a criteria list typed by the user
+ * @param {string} input - Criteria separated by ";"
+ * @returns {Array<string>} Criteria
+ */
+function parseCriteria(input) {
+  return input.split(';').map(c => c.trim()).filter(Boolean);
+}
+
+/**
+ * Prompt for a story to act on
+ * @param {Object} prd - PRD object
+ * @param {string} message - Prompt message
+ * @returns {Promise<string>} Story ID
+ */
+async function pickStory(prd, message) {
+  const { storyId } = await inquirer.prompt([{
+    type: 'list',
+    name: 'storyId',
+    message,
+    choices: prd.userStories.map(s => ({ name: `${s.id}: ${s.title}${s.passes ? ' (done)' : ''}`, value: s.id }))
+  }]);
+  return storyId;
+}
+
+/**
+ * Prompt for a position in the story list
+ * @param {Object} prd - PRD object
+ * @param {string} message - Prompt message
+ * @param {string} excludeId - Story being moved (not offered as an anchor)
+ * @returns {Promise<number>} Zero-based position
+ */
+async function pickPosition(prd, message, excludeId = null) {
+  const others = prd.userStories.filter(s => s.id !== excludeId);
+  const { position } = await inquirer.prompt([{
+    type: 'list',
+    name: 'position',
+    message,
+    choices: [
+      ...others.map((s, i) => ({ name: `Before ${s.id}: ${s.title}`, value: i })),
+      { name: 'At the end', value: others.length }
+    ],
+    default: others.length
+  }]);
+  return position;
+}
+
+/**
+ * Prompt for a new story and add it
+ * @param {Object} prd - PRD object
+ */
+async function promptAddStory(prd) {
+  const fields = await inquirer.prompt([
+    {
+      type: 'input',
+      name: 'title',
+      message: 'Title:',
+      validate: input => input.trim().length > 0 || 'Please enter a title'
+    },
+    { type: 'input', name: 'description', message: 'Description (optional):' },
+    {
+      type: 'input',
+      name: 'criteria',
+      message: 'Acceptance criteria, separated by ";":',
+      validate: input => parseCriteria(input).length > 0 || 'Enter at least one criterion'
+    }
+  ]);
+  const position = await pickPosition(prd, 'Where should it go?');
+
+  const story = addStory(prd, {
+    title: fields.title,
+    description: fields.description.trim(),
+    acceptanceCriteria: parseCriteria(fields.criteria)
+  }, position);
+  ui.added(`${story.id}: ${story.title}`);
+}
+
+/**
+ * Prompt for a story and a new position, then move it
+ * @param {Object} prd - PRD object
+ */
+async function promptMoveStory(prd) {
+  const storyId = await pickStory(prd, 'Story to move:');
+  const position = await pickPosition(prd, 'Move it to:', storyId);
+  const story = moveStory(prd, storyId, position);
+  ui.updated(`${story.id} is now priority ${story.priority}`);
+}
+
+/**
+ * Prompt for a story and its parts, then split it. Each part picks from
+ * the criteria not yet taken; the last part gets whatever is left.
+ * @param {Object} prd - PRD object
+ */
+async function promptSplitStory(prd) {
+  const storyId = await pickStory(prd, 'Story to split:');
+  const story = prd.userStories.find(s => s.id === storyId);
+
+  if (story.acceptanceCriteria.length < 2) {
+    ui.warning(`${storyId} has a single acceptance criterion - add criteria before splitting`);
+    return;
+  }
+
+  const { count } = await inquirer.prompt([{
+    type: 'list',
+    name: 'count',
+    message: 'Split into how many stories?',
+    choices: [2, 3, 4].filter(n => n <= story.acceptanceCriteria.length)
+  }]);
+
+  let remaining = [...story.acceptanceCriteria];
+  const parts = [];
+
+  for (let i = 0; i < count; i++) {
+    const last = i === count - 1;
+    const { title } = await inquirer.prompt([{
+      type: 'input',
+      name: 'title',
+      message: `Part ${i + 1} title:`,
+      default: i === 0 ? story.title : undefined,
+      validate: input => input.trim().length > 0 || 'Please enter a title'
+    }]);
+
+    let criteria = remaining;
+    if (!last) {
+      const partsLeft = count - i - 1;
+      ({ criteria } = await inquirer.prompt([{
+        type: 'checkbox',
+        name: 'criteria',
+        message: `Criteria for part ${i + 1}:`,
+        choices: remaining,
+        validate: picked => {
+          if (picked.length === 0) return 'Pick at least one criterion';
+          if (remaining.length - picked.length < partsLeft) return 'Leave at least one criterion for each remaining part';
+          return true;
+        }
+      }]));
+    } else {
+      ui.muted(`  Part ${i + 1} gets: ${criteria.join('; ')}`);
+    }
+
+    parts.push({ title, acceptanceCriteria: criteria });
+    remaining = remaining.filter(c => !criteria.includes(c));
+  }
+
+  const stories = splitStory(prd, storyId, parts);
+  for (const part of stories) {
+    ui.added(`${part.id}: ${part.title} (${part.acceptanceCriteria.length} criteria)`);
+  }
+}
+
+/**
+ * Interactively add, move and split stories, then save
+ * @param {string} projectRoot - Project root directory
+ */
+async function editAction(projectRoot) {
+  requireTty('prd edit');
+  const prd = await loadPrd(projectRoot);
+  let changed = false;
+
+  ui.header(`Edit PRD: ${prd.project}`, 'list');
+
+  while (true) {
+    ui.blank();
+    for (const story of prd.userStories) {
+      const line = `${story.priority}. ${story.id}: ${story.title}`;
+      if (story.passes) {
+        ui.completed(line);
+      } else {
+        ui.pending(line);
+      }
+    }
+    ui.blank();
+
+    const { choice } = await inquirer.prompt([{
+      type: 'list',
+      name: 'choice',
+      message: 'What would you like to do?',
+      choices: [
+        { name: 'Add a story', value: 'add' },
+        { name: 'Move a story', value: 'move' },
+        { name: 'Split a story', value: 'split' },
+        new inquirer.Separator(),
+        { name: changed ? 'Save and exit' : 'Exit', value: 'save' },
+        { name: 'Discard changes', value: 'discard' }
+      ]
+    }]);
+
+    if (choice === 'discard') {
+      ui.muted('No changes saved');
+      return;
+    }
+
+    if (choice === 'save') break;
+
+    if (choice === 'add') await promptAddStory(prd);
+    if (choice === 'move') await promptMoveStory(prd);
+    if (choice === 'split') await promptSplitStory(prd);
+    changed = true;
+  }
+
+  if (!changed) return;
+
+  const result = validatePrd(prd);
+  if (!result.valid) {
+    result.errors.forEach(e => ui.error(e));
+    throw new Error('Edited PRD is invalid - not saved');
+  }
+
+  await fs.writeJson(path.join(projectRoot, PRD_FILE), prd, { spaces: 2 });
+  const markdownPath = await writePrdMarkdown(projectRoot, prd);
+
+  ui.success('Saved prd.json');
+  if (markdownPath) ui.success(`Updated ${path.relative(projectRoot, markdownPath)}`);
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  switch (action) {
+    case 'generate':
+      await generateAction(projectRoot);
+      break;
+
+    case 'validate':
+      await validateAction(projectRoot);
+      break;
+
+    case 'status':
+      await statusAction(projectRoot);
+      break;
+
+    case 'graph':
+      await graphAction(projectRoot);
+      break;
+
+    case 'edit':
+      await editAction(projectRoot);
+      break;
+
+    case 'migrate':
+      await migrateAction(projectRoot);
+      break;
+
+    default:
+      throw new Error(`Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}`);
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,162 @@
+#!/usr/bin/env node
+
+/**
+ * Report CLI
+ *
+ * Show a RALPH run from its ledger (.ralph/runs/<run-id>/) as a terminal
+ * table, markdown or HTML, or list past runs.
+ */
+
+import { Command } from 'commander';
+import fs from 'fs-extra';
+import path from 'path';
+import { ui } from '../utils/design-system.js';
+import {
+  REPORT_FORMATS,
+  REPORT_COLUMNS,
+  listRuns,
+  loadRun,
+  formatDuration,
+  formatEntry,
+  renderMarkdownReport,
+  renderHtmlReport
+} from '../utils/run-ledger.js';
+
+const program = new Command();
+
+program
+  .name('report-cli')
+  .description('Report on a RALPH run')
+  .argument('[run]', 'Run ID (default: last)')
+  .option('-f, --format <format>', `Output format (${REPORT_FORMATS.join(', ')})`, 'table')
+  .option('-o, --output <file>', 'Write the report to a file')
+  .option('--list', 'List runs instead')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [runId = 'last'] = program.args;
+
+// Terminal colors for iteration outcomes
+const STATUS_COLORS = {
+  completed: 'success',
+  qa_failed: 'warning',
+  failed: 'error',
+  incomplete: 'muted'
+};
+
+/**
+ * List runs, newest first
+ * @param {string} projectRoot - Project root directory
+ */
+async function listAction(projectRoot) {
+  const runs = await listRuns(projectRoot);
+
+  if (options.json) {
+    console.log(JSON.stringify(runs, null, 2));
+    return;
+  }
+
+  ui.header('RALPH Runs', 'list');
+  if (runs.length === 0) {
+    ui.muted('No runs recorded yet.\n');
+    return;
+  }
+  for (const run of [...runs].reverse()) {
+    const { summary } = run;
+    ui.bullet(`${run.id} - ${run.status || 'unfinished'}, ${summary.completed}/${summary.iterations} iterations completed, $${summary.cost.toFixed(4)} ${ui.colors.muted(`(${run.startedAt || 'unknown start'})`)}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Print a run as a table
+ * @param {Object} run - Loaded run
+ */
+function printTable(run) {
+  const { summary } = run;
+
+  ui.header(`RALPH Run ${run.id}`, 'summary');
+  ui.muted(`  ${run.project ? `${run.project} | ` : ''}Started ${run.startedAt || 'unknown'}${run.finishedAt ? ` | Finished ${run.finishedAt}` : ''}`);
+  ui.raw(`  Status: ${run.status || 'unfinished'}${run.reason ? ` (${run.reason})` : ''}`);
+  ui.raw(`  ${summary.completed}/${summary.iterations} iterations completed | ${summary.inputTokens} in / ${summary.outputTokens} out | $${summary.cost.toFixed(4)} | ${formatDuration(summary.durationMs)}`);
+  ui.blank();
+
+  if (run.entries.length === 0) {
+    ui.muted('No iterations recorded.\n');
+    return;
+  }
+
+  const rows = run.entries.map(entry => ({ entry, values: formatEntry(entry) }));
+  const widths = REPORT_COLUMNS.map(([key, heading]) =>
+    Math.min(key === 'story' ? 40 : 24, Math.max(heading.length, ...rows.map(r => r.values[key].length))));
+  const fit = (text, width) => (text.length > width ? `${text.slice(0, width - 1)}${ui.icons.ellipsis}` : text.padEnd(width));
+  const line = cells => `  ${cells.map((cell, i) => fit(cell, widths[i])).join('  ')}`.trimEnd();
+
+  ui.muted(line(REPORT_COLUMNS.map(([, heading]) => heading)));
+  ui.divider(widths.reduce((sum, w) => sum + w + 2, 0));
+  for (const { entry, values } of rows) {
+    const color = ui.colors[STATUS_COLORS[entry.status] || 'muted'];
+    ui.raw(color(line(REPORT_COLUMNS.map(([key]) => values[key]))));
+  }
+  ui.blank();
+}
+
+/**
+ * Show one run in the chosen format
+ * @param {string} projectRoot - Project root directory
+ */
+async function reportAction(projectRoot) {
+  if (!REPORT_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown --format "${options.format}". Use one of: ${REPORT_FORMATS.join(', ')}`);
+  }
+
+  const run = await loadRun(runId, projectRoot);
+  if (!run) {
+    throw new Error(runId === 'last' ? 'No runs recorded yet' : `Run "${runId}" not found`);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(run, null, 2));
+    return;
+  }
+
+  if (options.format === 'table') {
+    if (options.output) {
+      throw new Error('The table format prints to the terminal; use --format markdown or html with --output');
+    }
+    printTable(run);
+    return;
+  }
+
+  const report = options.format === 'html' ? renderHtmlReport(run) : renderMarkdownReport(run);
+  if (options.output) {
+    const outputPath = path.resolve(projectRoot, options.output);
+    await fs.outputFile(outputPath, report, 'utf-8');
+    ui.success(`Wrote ${options.format} report for ${run.id} to ${outputPath}`);
+  } else {
+    process.stdout.write(report);
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  if (options.list) {
+    await listAction(projectRoot);
+  } else {
+    await reportAction(projectRoot);
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
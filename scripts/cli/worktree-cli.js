@@ -0,0 +1,264 @@
+#!/usr/bin/env node
+
+/**
+ * Worktree CLI
+ *
+ * Manages per-story git worktrees (.worktrees/<story>, branch ralph/<story>):
+ * create, list, diff, merge, remove, and cleanup of worktrees whose
+ * stories are already complete in prd.json.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import {
+  createWorktree,
+  listWorktrees,
+  mergeWorktree,
+  discardWorktree,
+  worktreeExists,
+  getWorktreeDiff,
+  getWorktreeStatus,
+  getAheadBehind,
+  findCompletedWorktrees,
+  pruneWorktrees,
+  ensureGitignore,
+  BRANCH_PREFIX
+} from '../utils/worktree-manager.js';
+
+const execAsync = promisify(exec);
+
+const ACTIONS = ['create', 'list', 'diff', 'merge', 'remove', 'cleanup'];
+
+const program = new Command();
+
+program
+  .name('worktree-cli')
+  .description('Manage git worktrees for stories')
+  .argument('<action>', `Action (${ACTIONS.join(', ')})`)
+  .argument('[story-id]', 'Story ID (create, diff, merge, remove)')
+  .option('-f, --force', 'Force operation (remove/cleanup worktrees with uncommitted changes)')
+  .option('--delete-branch', 'Also delete branch when removing')
+  .option('-b, --base <branch>', 'Base branch (default: current branch)')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+const [action, storyId] = program.args;
+
+/**
+ * Print a result as JSON or through the UI, exiting non-zero on failure
+ * @param {Object} result - Result with success and message
+ */
+function report(result) {
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+  } else if (result.success) {
+    ui.success(result.message);
+  } else {
+    ui.error(result.message);
+  }
+
+  if (!result.success) process.exitCode = 1;
+}
+
+/**
+ * Resolve the base branch: --base, else the project's current branch
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<string>} Branch name
+ */
+async function getBaseBranch(projectRoot) {
+  if (options.base) return options.base;
+  const { stdout } = await execAsync('git rev-parse --abbrev-ref HEAD', { cwd: projectRoot });
+  return stdout.trim();
+}
+
+/**
+ * Exit with a usage error when an action needs a story ID
+ */
+function requireStoryId() {
+  if (!storyId) {
+    report({ success: false, message: `"${action}" needs a story ID, e.g. worktree ${action} US-001` });
+    process.exit(1);
+  }
+}
+
+/**
+ * List RALPH worktrees with dirty state and ahead/behind counts
+ * @param {string} projectRoot - Project root directory
+ */
+async function listAction(projectRoot) {
+  const base = await getBaseBranch(projectRoot);
+  const worktrees = await listWorktrees(projectRoot);
+
+  const rows = [];
+  for (const worktree of worktrees) {
+    const spec = worktree.branch.slice(BRANCH_PREFIX.length + 1);
+    const status = await getWorktreeStatus(spec, projectRoot);
+    const counts = await getAheadBehind(spec, projectRoot, base);
+
+    rows.push({
+      spec,
+      branch: worktree.branch,
+      path: worktree.path,
+      head: worktree.head,
+      exists: await fs.pathExists(worktree.path),
+      dirty: (status.changes || 0) > 0,
+      changes: status.changes || 0,
+      ahead: counts?.ahead ?? null,
+      behind: counts?.behind ?? null
+    });
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify({ base, worktrees: rows }, null, 2));
+    return;
+  }
+
+  ui.header('RALPH Worktrees', 'branch');
+
+  if (rows.length === 0) {
+    ui.muted('No RALPH worktrees.');
+    ui.muted('Create one with: claude-init worktree create US-001\n');
+    return;
+  }
+
+  for (const row of rows) {
+    const state = !row.exists ? 'missing' : row.dirty ? `${row.changes} uncommitted` : 'clean';
+    const sync = row.ahead === null ? '' : ` | ↑${row.ahead} ↓${row.behind} vs ${base}`;
+    const line = `${row.branch} (${state}${sync})`;
+
+    if (!row.exists) {
+      ui.warning(line);
+    } else if (row.dirty) {
+      ui.inProgress(line);
+    } else {
+      ui.completed(line);
+    }
+    ui.muted(`   ${path.relative(projectRoot, row.path) || row.path}`);
+  }
+  ui.blank();
+}
+
+/**
+ * Remove worktrees whose stories are complete, then prune stale entries
+ * @param {string} projectRoot - Project root directory
+ */
+async function cleanupAction(projectRoot) {
+  const prdPath = path.join(projectRoot, 'prd.json');
+  const prd = await fs.pathExists(prdPath) ? await fs.readJson(prdPath) : null;
+  const stale = prd ? await findCompletedWorktrees(prd, projectRoot) : [];
+
+  const results = [];
+  for (const worktree of stale) {
+    const result = await discardWorktree(
+      worktree.storyId,
+      projectRoot,
+      Boolean(options.force),
+      Boolean(options.deleteBranch)
+    );
+    results.push({ storyId: worktree.storyId, branch: worktree.branch, ...result });
+  }
+
+  await pruneWorktrees(projectRoot);
+
+  const success = results.every(r => r.success);
+  if (options.json) {
+    console.log(JSON.stringify({ success, removed: results }, null, 2));
+  } else {
+    if (!prd) ui.warning('No prd.json found - only pruned stale worktree entries');
+    for (const result of results) {
+      if (result.success) {
+        ui.success(`${result.storyId}: ${result.message}`);
+      } else {
+        ui.error(`${result.storyId}: ${result.message}`);
+      }
+    }
+    if (results.length === 0) ui.muted('No worktrees for completed stories.');
+    if (!success) ui.muted('Use --force to remove worktrees with uncommitted changes.');
+  }
+
+  if (!success) process.exitCode = 1;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+
+  if (!ACTIONS.includes(action)) {
+    report({ success: false, message: `Unknown action "${action}". Use one of: ${ACTIONS.join(', ')}` });
+    return;
+  }
+
+  switch (action) {
+    case 'create': {
+      requireStoryId();
+      await ensureGitignore(projectRoot);
+      const worktree = await createWorktree(storyId, projectRoot, options.base || null);
+      report({
+        success: true,
+        ...worktree,
+        message: worktree.existed
+          ? `Worktree already exists: ${worktree.path} (${worktree.branch})`
+          : `Created ${worktree.path} on ${worktree.branch}`
+      });
+      break;
+    }
+
+    case 'list':
+      await listAction(projectRoot);
+      break;
+
+    case 'diff': {
+      requireStoryId();
+      if (!await worktreeExists(storyId, projectRoot)) {
+        report({ success: false, message: `Worktree for "${storyId}" does not exist` });
+        break;
+      }
+      const base = await getBaseBranch(projectRoot);
+      const diff = await getWorktreeDiff(storyId, projectRoot, base);
+      if (options.json) {
+        console.log(JSON.stringify({ success: true, base, diff }, null, 2));
+      } else {
+        ui.header(`Diff ${storyId} vs ${base}`, 'changelog');
+        ui.raw(diff || '(no changes)');
+        ui.blank();
+      }
+      break;
+    }
+
+    case 'merge': {
+      requireStoryId();
+      if (!await worktreeExists(storyId, projectRoot)) {
+        report({ success: false, message: `Worktree for "${storyId}" does not exist` });
+        break;
+      }
+      const base = await getBaseBranch(projectRoot);
+      report(await mergeWorktree(storyId, projectRoot, base));
+      break;
+    }
+
+    case 'remove':
+      requireStoryId();
+      report(await discardWorktree(storyId, projectRoot, Boolean(options.force), Boolean(options.deleteBranch)));
+      break;
+
+    case 'cleanup':
+      await cleanupAction(projectRoot);
+      break;
+  }
+}
+
+main().catch(error => {
+  if (options.json) {
+    console.log(JSON.stringify({ success: false, message: error.message }, null, 2));
+  } else {
+    console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  }
+  process.exit(1);
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+
+/**
+ * Generate PRD Schema Script
+ * Writes templates/ralph/prd.schema.json from the validator's schema.
+ * With --check, fails instead when the committed file is out of date.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { ui } from './utils/design-system.js';
+import { buildPrdJsonSchema } from './utils/prd-validator.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const SCHEMA_PATH = path.join(__dirname, '..', 'templates', 'ralph', 'prd.schema.json');
+
+async function main() {
+  const content = `${JSON.stringify(buildPrdJsonSchema(), null, 2)}\n`;
+  const relativePath = path.relative(process.cwd(), SCHEMA_PATH);
+
+  if (process.argv.includes('--check')) {
+    const current = await fs.pathExists(SCHEMA_PATH) ? await fs.readFile(SCHEMA_PATH, 'utf-8') : '';
+    if (current !== content) {
+      ui.error(`${relativePath} is out of date - run: npm run schema:prd`);
+      process.exit(1);
+    }
+    ui.success(`${relativePath} is up to date`);
+    return;
+  }
+
+  await fs.writeFile(SCHEMA_PATH, content, 'utf-8');
+  ui.success(`Wrote ${relativePath}`);
+}
+
+main().catch(error => {
+  console.error(ui.colors.error(`\n${ui.icons.error} Schema generation failed:`), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,259 @@
+#!/usr/bin/env node
+
+/**
+ * QA Loop Runner
+ *
+ * Validates one PRD story against its acceptance criteria and the
+ * project's quality gates. Failed validations go to a fixer agent session
+ * and are re-checked, up to the iteration limit; after that the issues are
+ * escalated to a human who can give guidance, skip the story or abort.
+ * With --no-fix a failed validation is escalated straight away.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import inquirer from 'inquirer';
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import { loadRalphConfig } from '../utils/ralph-config.js';
+import { createEngineResolver } from '../utils/engine-adapters.js';
+import { cancel } from '../utils/intervention-manager.js';
+import {
+  MAX_QA_ITERATIONS,
+  createQaSession,
+  escalateToHuman,
+  logQaInsight
+} from '../utils/qa-loop.js';
+
+const LOG_DIR = '.ralph/logs';
+
+const program = new Command();
+
+program
+  .name('qa-loop')
+  .description('Run QA validation loop')
+  .argument('[max-iterations]', `Maximum QA iterations (default: ${MAX_QA_ITERATIONS})`)
+  .option('-s, --story <id>', 'Story ID to validate')
+  .option('--no-fix', 'Validate only; do not run the fixer agent')
+  .option('--model <model>', 'Model override for the fixer agent')
+  .parse(process.argv);
+
+const options = program.opts();
+const maxIterations = parseInt(program.args[0], 10) || MAX_QA_ITERATIONS;
+
+/**
+ * Print a validation report
+ * @param {Object} report - Report from runQaValidation
+ */
+function showReport(report) {
+  ui.section('Acceptance Criteria');
+  for (const c of report.criteria) {
+    if (c.passed) {
+      ui.success(c.criterion);
+    } else {
+      ui.error(c.criterion);
+    }
+  }
+
+  ui.section('Quality Gates');
+  for (const result of report.gateResults) {
+    const label = `${result.gate}${result.command ? ` (${result.command})` : ''}`;
+    if (result.status === 'passed') {
+      ui.success(label);
+    } else if (result.status === 'skipped') {
+      ui.pending(`${label} - skipped`);
+    } else {
+      ui.error(label);
+    }
+  }
+
+  if (report.issues.length > 0) {
+    ui.section('Issues');
+    for (const issue of report.issues) {
+      const location = issue.file ? ` ${issue.file}${issue.line ? `:${issue.line}` : ''}` : '';
+      ui.warningText(`  [${issue.severity}]${location} ${issue.description}`);
+    }
+  }
+}
+
+/**
+ * Build the prompt for a fixer session
+ * @param {Object} story - User story
+ * @param {Array<Object>} issues - Issues to fix
+ * @param {Array<string>} guidance - Human guidance collected on escalation
+ * @returns {string} Prompt text
+ */
+function buildFixPrompt(story, issues, guidance) {
+  const sections = [
+    `## QA Fix: ${story.id}: ${story.title}`,
+    `Acceptance criteria:\n${story.acceptanceCriteria.map(c => `- ${c}`).join('\n')}`,
+    `QA found these issues:\n${issues.map(i => {
+      const location = i.file ? ` at ${i.file}${i.line ? `:${i.line}` : ''}` : '';
+      return `- [${i.severity}] ${i.description}${location}${i.suggestion ? ` (${i.suggestion})` : ''}`;
+    }).join('\n')}`
+  ];
+
+  if (guidance.length > 0) {
+    sections.push(`Guidance from a human reviewer:\n${guidance.map(g => `- ${g}`).join('\n')}`);
+  }
+
+  sections.push(`Fix ONLY these issues, keep changes minimal, and commit them.
+Do not edit prd.json.`);
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Ask a human what to do after QA ran out of iterations
+ * @param {Object} escalation - Result of escalateToHuman
+ * @returns {Promise<{choice: string, guidance: string}>}
+ */
+async function promptEscalation(escalation) {
+  const { choice } = await inquirer.prompt([{
+    type: 'list',
+    name: 'choice',
+    message: 'How should QA continue?',
+    choices: escalation.options.map(o => ({ name: o.label, value: o.id }))
+  }]);
+
+  if (choice !== 'guidance') return { choice, guidance: '' };
+
+  const { guidance } = await inquirer.prompt([{
+    type: 'input',
+    name: 'guidance',
+    message: 'Guidance for the fixer:',
+    validate: input => input.trim().length > 0 || 'Please enter some guidance'
+  }]);
+
+  return { choice, guidance: guidance.trim() };
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+  const prdPath = path.join(projectRoot, 'prd.json');
+
+  ui.header('RALPH QA', 'search');
+
+  if (!await fs.pathExists(prdPath)) {
+    ui.error('No prd.json found in project');
+    process.exit(1);
+  }
+
+  let prd = await fs.readJson(prdPath);
+  if (!options.story) {
+    ui.error('Pass the story to validate with --story <id>');
+    ui.muted(`Stories: ${(prd.userStories || []).map(s => s.id).join(', ')}`);
+    process.exit(1);
+  }
+
+  let story = prd.userStories?.find(s => s.id === options.story);
+  if (!story) {
+    ui.error(`Story ${options.story} not found in prd.json`);
+    process.exit(1);
+  }
+
+  if (!story.passes) {
+    ui.warning(`${story.id} is not marked complete yet - acceptance criteria will fail`);
+  }
+
+  const ralphConfig = await loadRalphConfig(projectRoot);
+  const engine = options.fix ? createEngineResolver(ralphConfig.engine)(story) : null;
+  const logPath = path.join(projectRoot, LOG_DIR, `qa-${story.id}-${Date.now()}.log`);
+  await fs.ensureDir(path.dirname(logPath));
+
+  const session = createQaSession(story.id, projectRoot, { commands: ralphConfig.commands });
+  session.maxIterations = maxIterations;
+  const guidance = [];
+
+  ui.muted(`  Story: ${story.id}: ${story.title}`);
+  ui.muted(`  Max iterations: ${maxIterations}`);
+
+  while (true) {
+    prd = await fs.readJson(prdPath);
+    story = prd.userStories.find(s => s.id === options.story);
+    const subtask = { id: story.id, title: story.title, acceptance_criteria: story.acceptanceCriteria };
+    const implementation = { completedCriteria: story.passes ? story.acceptanceCriteria : [] };
+
+    ui.subheader(`Iteration ${session.currentIteration + 1}/${session.maxIterations}`);
+    const result = await session.runIteration(subtask, implementation);
+
+    if (result.report) showReport(result.report);
+
+    if (result.passed) {
+      await session.complete('passed');
+      ui.blank();
+      ui.success(`${story.id} passed QA in ${session.currentIteration} iteration(s)`);
+      return;
+    }
+
+    const outOfIterations = session.currentIteration >= session.maxIterations;
+
+    if (!outOfIterations && engine) {
+      ui.inProgress(`Running fixer (${engine.name})...`);
+      const fix = await engine.run(buildFixPrompt(story, result.issues, guidance), {
+        cwd: projectRoot,
+        logPath,
+        model: options.model,
+        story
+      });
+      if (fix.error) ui.warning(`Fixer session failed: ${fix.error}`);
+      continue;
+    }
+
+    const escalation = await escalateToHuman(result.issues, subtask, session.currentIteration, projectRoot);
+    ui.blank();
+    ui.warning(`QA escalated after ${escalation.attempts} attempt(s)`);
+    ui.muted(escalation.recommendation);
+    ui.blank();
+
+    if (!engine) {
+      // Validate-only mode: nothing will change between iterations
+      await session.complete('escalated');
+      ui.muted('Validated only (--no-fix) - fix the issues above, or rerun without --no-fix to run the fixer.');
+      process.exit(1);
+    }
+
+    if (!process.stdin.isTTY) {
+      await session.complete('escalated');
+      ui.muted('Not running interactively - rerun in a terminal to respond.');
+      process.exit(1);
+    }
+
+    const { choice, guidance: text } = await promptEscalation(escalation);
+
+    if (choice === 'guidance') {
+      guidance.push(text);
+      await logQaInsight(`QA escalation for ${story.id}`, text, ['qa', 'guidance'], projectRoot);
+      session.maxIterations++;
+      if (engine) {
+        ui.inProgress(`Running fixer (${engine.name}) with guidance...`);
+        await engine.run(buildFixPrompt(story, result.issues, guidance), {
+          cwd: projectRoot,
+          logPath,
+          model: options.model,
+          story
+        });
+      }
+      continue;
+    }
+
+    if (choice === 'skip') {
+      await session.complete('skipped');
+      ui.muted(`Skipped ${story.id}`);
+      return;
+    }
+
+    await session.complete('aborted');
+    await cancel(`QA aborted on ${story.id}`, projectRoot);
+    ui.error('RALPH run aborted');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  process.exit(1);
+});
@@ -0,0 +1,313 @@
+#!/usr/bin/env node
+
+/**
+ * Parallel RALPH Runner
+ *
+ * Runs independent PRD user stories concurrently. Each story gets its own
+ * git worktree and agent session; finished branches are merged back into
+ * the base branch in schedule order, one dependency wave at a time.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { Command } from 'commander';
+import { ui } from '../utils/design-system.js';
+import { CONFIG } from '../utils/config-manager.js';
+import { validatePrd } from '../utils/prd-validator.js';
+import { loadRalphConfig } from '../utils/ralph-config.js';
+import { buildExecutionWaves, runWithConcurrency } from '../utils/story-scheduler.js';
+import { createWorktree, mergeWorktree } from '../utils/worktree-manager.js';
+import { buildStoryPrompt } from '../utils/ralph-runner.js';
+import { createEngineResolver } from '../utils/engine-adapters.js';
+
+const execAsync = promisify(exec);
+
+const DEFAULT_MAX_CONCURRENT = 3;
+const LOG_DIR = '.ralph/parallel';
+
+const program = new Command();
+
+program
+  .name('parallel-ralph')
+  .description('Run RALPH with parallel story execution')
+  .argument('[max-concurrent]', `Maximum concurrent stories (default: ${DEFAULT_MAX_CONCURRENT})`)
+  .option('-m, --max-iterations <number>', 'Max iterations per story', String(CONFIG.ralph.defaultMaxIterations))
+  .option('--dry-run', 'Show the execution plan without running agents')
+  .parse(process.argv);
+
+const options = program.opts();
+const maxConcurrent = parseInt(program.args[0], 10) || DEFAULT_MAX_CONCURRENT;
+const maxIterations = parseInt(options.maxIterations, 10) || CONFIG.ralph.defaultMaxIterations;
+
+/**
+ * Run a git command in the project
+ * @param {string} command - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(command, cwd) {
+  const { stdout } = await execAsync(`git ${command}`, { cwd });
+  return stdout.trim();
+}
+
+/**
+ * Work on one story in its own worktree until it signals completion
+ * @param {Object} story - User story
+ * @param {Object} context - Shared run context
+ * @returns {Promise<Object>} Story result
+ */
+async function runStory(story, context) {
+  const { projectRoot, baseBranch, prd, ralphConfig, resolveEngine } = context;
+  const startedAt = Date.now();
+  const result = {
+    story,
+    success: false,
+    iterations: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    reason: null
+  };
+
+  let worktree;
+  try {
+    worktree = await createWorktree(story.id, projectRoot, baseBranch);
+  } catch (error) {
+    result.reason = `Worktree creation failed: ${error.message}`;
+    return result;
+  }
+
+  result.branch = worktree.branch;
+  const logPath = path.join(projectRoot, LOG_DIR, `${story.id}.log`);
+  const prompt = buildStoryPrompt(story, prd, ralphConfig, { parallel: true });
+  const engine = resolveEngine(story);
+
+  ui.inProgress(`${story.id}: started on ${worktree.branch} (${engine.name})`);
+
+  while (result.iterations < maxIterations) {
+    result.iterations++;
+    const session = await engine.run(prompt, { cwd: worktree.path, logPath, story, parallel: true });
+    result.inputTokens += session.inputTokens;
+    result.outputTokens += session.outputTokens;
+
+    if (session.error) {
+      ui.warningText(`  ${story.id}: iteration ${result.iterations} failed (${session.error})`);
+      continue;
+    }
+
+    if (session.complete) {
+      result.success = true;
+      break;
+    }
+  }
+
+  if (!result.success && !result.reason) {
+    result.reason = `Not complete after ${maxIterations} iterations`;
+  }
+
+  result.duration = Date.now() - startedAt;
+  if (result.success) {
+    ui.success(`${story.id}: finished in ${result.iterations} iteration(s)`);
+  } else {
+    ui.error(`${story.id}: ${result.reason} (log: ${path.relative(projectRoot, logPath)})`);
+  }
+
+  return result;
+}
+
+/**
+ * Result for a story whose run threw, so the rest of the wave carries on
+ * @param {Error} error - What was thrown
+ * @param {Object} story - User story
+ * @returns {Object} Failed story result
+ */
+function storyCrashed(error, story) {
+  ui.error(`${story.id}: ${error.message}`);
+  return {
+    story,
+    success: false,
+    iterations: 0,
+    inputTokens: 0,
+    outputTokens: 0,
+    reason: `Run failed: ${error.message}`,
+    error
+  };
+}
+
+/**
+ * Mark merged stories complete in prd.json and progress.txt, then commit
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<Object>} merged - Merged story results
+ */
+async function recordMergedStories(projectRoot, merged) {
+  if (merged.length === 0) return;
+
+  const prdPath = path.join(projectRoot, 'prd.json');
+  const prd = await fs.readJson(prdPath);
+  const ids = new Set(merged.map(r => r.story.id));
+
+  for (const story of prd.userStories) {
+    if (ids.has(story.id)) story.passes = true;
+  }
+  await fs.writeJson(prdPath, prd, { spaces: 2 });
+
+  const progressPath = path.join(projectRoot, '.ralph', 'progress.txt');
+  const date = new Date().toISOString();
+  const entries = merged.map(r =>
+    `## ${r.story.id}: ${r.story.title}\n` +
+    `- Completed in parallel run (${date})\n` +
+    `- Branch: ${r.branch}, iterations: ${r.iterations}\n`
+  );
+  await fs.ensureDir(path.dirname(progressPath));
+  await fs.appendFile(progressPath, `\n${entries.join('\n')}`, 'utf-8');
+
+  await git('add prd.json', projectRoot);
+  await git(`add -f "${path.relative(projectRoot, progressPath)}"`, projectRoot);
+  await git(`commit -m "chore(ralph): mark ${[...ids].join(', ')} complete"`, projectRoot);
+}
+
+/**
+ * Print the final summary table
+ * @param {Array<Object>} results - Story results
+ * @param {Array<Object>} blocked - Stories that never became runnable
+ */
+function showSummary(results, blocked) {
+  ui.header('Parallel RALPH Summary', 'summary');
+
+  for (const r of results) {
+    const tokens = r.inputTokens + r.outputTokens;
+    const seconds = Math.round((r.duration || 0) / 1000);
+    const line = `${r.story.id}: ${r.story.title} (${r.iterations} iter, ${tokens} tokens, ${seconds}s)`;
+    if (r.merged) {
+      ui.success(line);
+    } else {
+      ui.error(`${line} - ${r.reason}`);
+    }
+  }
+
+  for (const { story, reason } of blocked) {
+    ui.pending(`${story.id}: ${story.title} - ${reason}`);
+  }
+
+  const totalIn = results.reduce((sum, r) => sum + r.inputTokens, 0);
+  const totalOut = results.reduce((sum, r) => sum + r.outputTokens, 0);
+  ui.blank();
+  ui.divider(50);
+  ui.muted(`Merged: ${results.filter(r => r.merged).length}/${results.length + blocked.length}`);
+  ui.muted(`Tokens: ${totalIn} in / ${totalOut} out`);
+  ui.blank();
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const projectRoot = process.cwd();
+  const prdPath = path.join(projectRoot, 'prd.json');
+
+  ui.header('Parallel RALPH', 'rocket');
+
+  if (!await fs.pathExists(prdPath)) {
+    ui.error('No prd.json found in project');
+    ui.muted('Create one with /prd and /ralph-convert first.');
+    process.exit(1);
+  }
+
+  let prd = await fs.readJson(prdPath);
+  const validation = validatePrd(prd);
+  if (!validation.valid) {
+    ui.error('prd.json validation failed:');
+    validation.errors.forEach(e => ui.errorText(`  - ${e}`));
+    process.exit(1);
+  }
+
+  const ralphConfig = await loadRalphConfig(projectRoot);
+  const resolveEngine = createEngineResolver(ralphConfig.engine);
+  const plan = buildExecutionWaves(prd);
+
+  // Unknown engines should fail now, not halfway through a wave
+  for (const story of prd.userStories.filter(s => !s.passes)) {
+    try {
+      resolveEngine(story);
+    } catch (error) {
+      ui.error(`${story.id}: ${error.message}`);
+      process.exit(1);
+    }
+  }
+
+  ui.muted(`  Max concurrent: ${maxConcurrent}`);
+  ui.muted(`  Max iterations per story: ${maxIterations}`);
+  ui.blank();
+  plan.waves.forEach((wave, i) => {
+    ui.raw(`  Wave ${i + 1}: ${wave.map(s => s.id).join(', ')}`);
+  });
+  plan.blocked.forEach(({ story, reason }) => ui.warning(`${story.id}: ${reason}`));
+  ui.blank();
+
+  if (plan.waves.length === 0) {
+    ui.success('Nothing to run - all runnable stories are complete');
+    return;
+  }
+
+  if (options.dryRun) return;
+
+  const dirty = await git('status --porcelain --untracked-files=no', projectRoot);
+  if (dirty) {
+    ui.error('Working tree has uncommitted changes. Commit or stash them first.');
+    process.exit(1);
+  }
+
+  const baseBranch = await git('rev-parse --abbrev-ref HEAD', projectRoot);
+  await fs.ensureDir(path.join(projectRoot, LOG_DIR));
+
+  const results = [];
+  const failed = [];
+  let blocked = [];
+
+  while (true) {
+    prd = await fs.readJson(prdPath);
+    const schedule = buildExecutionWaves(prd, { exclude: failed });
+    blocked = schedule.blocked;
+
+    const wave = schedule.waves[0];
+    if (!wave) break;
+
+    ui.section(`Wave: ${wave.map(s => s.id).join(', ')}`);
+
+    const context = { projectRoot, baseBranch, prd, ralphConfig, resolveEngine };
+    const waveResults = await runWithConcurrency(wave, maxConcurrent, story => runStory(story, context), storyCrashed);
+
+    // Merge in schedule order so later stories see earlier ones
+    const merged = [];
+    for (const result of waveResults) {
+      if (result.success) {
+        const merge = await mergeWorktree(result.story.id, projectRoot, baseBranch);
+        result.merged = merge.success;
+        if (!merge.success) {
+          result.reason = merge.message;
+          ui.error(`${result.story.id}: ${merge.message}`);
+        } else {
+          merged.push(result);
+        }
+      }
+
+      if (!result.merged) failed.push(result.story.id);
+      results.push(result);
+    }
+
+    await recordMergedStories(projectRoot, merged);
+  }
+
+  showSummary(results, blocked);
+
+  if (failed.length > 0 || blocked.length > 0) {
+    ui.muted('Unfinished worktrees are kept under .worktrees/ for inspection.');
+    process.exit(1);
+  }
+}
+
+main().catch(error => {
+  console.error(ui.colors.error(`\n${ui.icons.error} Error:`), error.message);
+  process.exit(1);
+});
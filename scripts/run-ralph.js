@@ -4,7 +4,8 @@
  * RALPH Runner Script
  *
  * Runs the RALPH autonomous development loop for the current project.
- * Wrapper around scripts/ralph/ralph.sh with additional validation.
+ * Uses the native Node.js loop runner by default; --bash falls back to
+ * the project's scripts/ralph/ralph.sh.
  */
 
 import fs from 'fs-extra';
@@ -19,6 +20,7 @@ import { writeProjectSpec } from './utils/spec-generator.js';
 import { CONFIG } from './utils/config-manager.js';
 import { render as renderTemplate } from './utils/template-engine.js';
 import { validatePrd, getPrdStats, formatValidationResult } from './utils/prd-validator.js';
+import { runRalphLoop, RUN_STATUS } from './utils/ralph-runner.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -37,6 +39,11 @@ program
   .option('--validate', 'Validate prd.json schema')
   .option('--reset', 'Reset progress.txt for fresh start')
   .option('--analyze', 'Re-analyze project and regenerate PROJECT_SPEC.md')
+  .option('--skip-tests', 'Skip the test quality gate')
+  .option('--skip-lint', 'Skip the lint quality gate')
+  .option('--dry-run', 'Print the next prompt without running the agent')
+  .option('--model <model>', 'Model override for the agent')
+  .option('--bash', 'Run the legacy scripts/ralph/ralph.sh instead of the Node runner')
   .parse(process.argv);
 
 const options = program.opts();
@@ -366,20 +373,11 @@ async function reanalyzeProject(projectPath) {
 }
 
 /**
- * Run RALPH loop
+ * Load and validate prd.json before a run, exiting on problems
  */
-async function runRalph(projectPath, iterations) {
-  const ralphScript = path.join(projectPath, 'scripts', 'ralph', 'ralph.sh');
+async function loadPrdForRun(projectPath) {
   const prdPath = path.join(projectPath, 'prd.json');
 
-  console.log('\n' + chalk.bold.cyan('═'.repeat(50)));
-  console.log(chalk.bold.cyan('  Starting RALPH'));
-  console.log(chalk.bold.cyan('═'.repeat(50)));
-  console.log();
-  console.log(`  ${chalk.bold('Max iterations:')} ${iterations}`);
-  console.log(`  ${chalk.bold('Project:')} ${projectPath}`);
-  console.log();
-
   // Check for prd.json
   if (!await checkPrdExists(projectPath)) {
     console.log(chalk.yellow('⚠️  No prd.json found!'));
@@ -430,6 +428,156 @@ async function runRalph(projectPath, iterations) {
   }
   console.log();
 
+  return prd;
+}
+
+/**
+ * Print a run event from the loop runner
+ */
+function printRunEvent(type, data) {
+  switch (type) {
+    case 'iteration-start':
+      console.log(chalk.bold(`\n>>> Iteration ${data.number}`));
+      console.log(chalk.gray(`    Completed: ${data.stats.complete} | Remaining: ${data.stats.remaining}`));
+      console.log(chalk.gray('─'.repeat(50)));
+      console.log(`  ${chalk.cyan(`${data.story.id}: ${data.story.title}`)}\n`);
+      break;
+    case 'branch':
+      console.log(chalk.blue('[RALPH]'), `Working on branch: ${data.branch}`);
+      break;
+    case 'retry':
+      console.log(chalk.red('[RALPH]'), `${data.error} (attempt ${data.attempt}/${data.maxRetries})`);
+      break;
+    case 'iteration-end': {
+      const { iteration } = data;
+      const tokens = `${iteration.inputTokens} in / ${iteration.outputTokens} out`;
+      if (iteration.status === 'completed') {
+        console.log(chalk.green('[RALPH]'), `${iteration.storyId} completed (${tokens})`);
+      } else if (iteration.status === 'qa_failed') {
+        console.log(chalk.yellow('[RALPH]'), `${iteration.storyId} failed QA - retrying with feedback (${tokens})`);
+      } else if (iteration.status === 'incomplete') {
+        console.log(chalk.yellow('[RALPH]'), `${iteration.storyId} not marked complete yet (${tokens})`);
+      } else {
+        console.log(chalk.red('[RALPH]'), `${iteration.storyId} failed: ${iteration.error}`);
+      }
+      break;
+    }
+    case 'paused':
+      console.log(chalk.yellow('\n[RALPH]'), `Paused: ${data.reason}`);
+      break;
+    case 'budget-warning':
+      console.log(chalk.yellow('[RALPH]'), `Budget warning: ${data.message}`);
+      break;
+    case 'holding':
+      console.log(chalk.yellow('\n[RALPH]'), `Paused: ${data.reason}. Waiting for resume or abort...`);
+      break;
+    case 'control': {
+      const color = data.status === 'applied' ? chalk.blue : chalk.red;
+      const command = data.value === null ? data.command : `${data.command} ${data.value}`;
+      console.log(color('[RALPH]'), `Control: ${command} - ${data.message}`);
+      break;
+    }
+    case 'dry-run':
+      console.log(chalk.blue('[RALPH]'), 'DRY RUN - Would execute prompt:\n');
+      console.log(chalk.gray(data.prompt));
+      break;
+  }
+}
+
+/**
+ * Print the run summary (mirrors ralph.sh show_summary)
+ */
+function showRunSummary(result) {
+  const { totals } = result;
+
+  console.log('\n' + chalk.bold('═'.repeat(60)));
+  if (result.status === RUN_STATUS.COMPLETE) {
+    console.log(chalk.green('RALPH Complete!'), `Finished ${result.iterations.length} iteration(s).`);
+  } else if (result.status === RUN_STATUS.MAX_ITERATIONS) {
+    console.log(chalk.yellow('Reached max iterations'), `(${result.iterations.length})`);
+  } else if (result.status === RUN_STATUS.BLOCKED) {
+    console.log(chalk.red('RALPH blocked:'), result.reason);
+    result.errors.forEach(e => console.log(chalk.red(`  - ${e}`)));
+  } else {
+    console.log(chalk.yellow(`RALPH stopped: ${result.status}`));
+  }
+  if (result.skipped) {
+    console.log(chalk.yellow('Skipped:'), result.skipped.join(', '));
+  }
+  console.log(chalk.bold('═'.repeat(60)));
+  console.log();
+  console.log(chalk.bold('>>> Cost Summary'));
+  console.log(`Input tokens:  ${totals.inputTokens}`);
+  console.log(`Output tokens: ${totals.outputTokens}`);
+  console.log(`Total tokens:  ${totals.inputTokens + totals.outputTokens}`);
+  console.log(`Est. cost:     $${totals.cost.toFixed(4)}`);
+
+  if (result.branches.length > 0) {
+    console.log();
+    console.log(chalk.bold('>>> Branches Created'));
+    result.branches.forEach(branch => console.log(`  - ${branch}`));
+  }
+
+  if (result.runId) {
+    console.log();
+    console.log(chalk.gray(`Full report: claude-init ralph report ${result.runId}`));
+  }
+
+  console.log(chalk.bold('═'.repeat(60)));
+}
+
+/**
+ * Run RALPH loop
+ */
+async function runRalph(projectPath, iterations) {
+  console.log('\n' + chalk.bold.cyan('═'.repeat(50)));
+  console.log(chalk.bold.cyan('  Starting RALPH'));
+  console.log(chalk.bold.cyan('═'.repeat(50)));
+  console.log();
+  console.log(`  ${chalk.bold('Max iterations:')} ${iterations}`);
+  console.log(`  ${chalk.bold('Project:')} ${projectPath}`);
+  console.log();
+
+  await loadPrdForRun(projectPath);
+
+  const result = await runRalphLoop(projectPath, {
+    maxIterations: parseInt(iterations, 10) || 0,
+    skipTests: options.skipTests,
+    skipLint: options.skipLint,
+    dryRun: options.dryRun,
+    model: options.model,
+    onEvent: printRunEvent
+  });
+
+  if (result.status === RUN_STATUS.DRY_RUN) {
+    return;
+  }
+
+  showRunSummary(result);
+
+  if (result.status === RUN_STATUS.PAUSED) {
+    console.log(chalk.gray('\nResume with /ralph-resume, then run claude-init ralph again.'));
+  } else if (result.status !== RUN_STATUS.COMPLETE) {
+    process.exitCode = 1;
+  }
+}
+
+/**
+ * Run RALPH loop through the legacy bash script
+ */
+async function runRalphBash(projectPath, iterations) {
+  const ralphScript = path.join(projectPath, 'scripts', 'ralph', 'ralph.sh');
+
+  console.log('\n' + chalk.bold.cyan('═'.repeat(50)));
+  console.log(chalk.bold.cyan('  Starting RALPH (bash)'));
+  console.log(chalk.bold.cyan('═'.repeat(50)));
+  console.log();
+  console.log(`  ${chalk.bold('Max iterations:')} ${iterations}`);
+  console.log(`  ${chalk.bold('Project:')} ${projectPath}`);
+  console.log();
+
+  await loadPrdForRun(projectPath);
+
   // Run ralph.sh
   const ralph = spawn('bash', [ralphScript, iterations], {
     cwd: projectPath,
@@ -490,6 +638,11 @@ async function main() {
     return;
   }
 
+  if (!options.bash) {
+    await runRalph(targetPath, maxIterations);
+    return;
+  }
+
   // Check if RALPH is installed
   if (!await checkRalphInstalled(targetPath)) {
     console.log(chalk.yellow('\n⚠️  RALPH is not installed in this project.'));
@@ -501,7 +654,7 @@ async function main() {
   }
 
   // Run RALPH
-  await runRalph(targetPath, maxIterations);
+  await runRalphBash(targetPath, maxIterations);
 }
 
 main().catch(error => {
@@ -18,12 +18,13 @@ import { getDocInfo } from './utils/content-summarizer.js';
 import { loadExistingDocs } from './utils/doc-fetcher.js';
 import { getNews, generateNewsHtml, generateNewsText } from './utils/news-fetcher.js';
 import { renderHtmlEmail, renderTextEmail } from './utils/email-templates.js';
+import { CONFIG } from './utils/config-manager.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
 const PROJECT_ROOT = path.join(__dirname, '..');
-const KNOWLEDGE_BASE_PATH = path.join(PROJECT_ROOT, 'knowledge-base');
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 
 /**
  * Get changes since last email was sent
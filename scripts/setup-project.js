@@ -39,7 +39,8 @@ import {
   writeRules,
   writeCommands,
   writeAgents,
-  writeSkills
+  writeSkills,
+  writeGeneratedFile
 } from './setup/template-writer.js';
 import {
   writeRalph,
@@ -49,14 +50,14 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
-const KNOWLEDGE_BASE_PATH = path.join(__dirname, '..', 'knowledge-base');
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 const TEMPLATES_PATH = path.join(__dirname, '..', 'templates');
 
 const program = new Command();
 
 program
   .option('-t, --target <path>', 'Target project directory', process.cwd())
-  .option('-m, --merge', 'Merge with existing configuration')
+  .option('-m, --merge', 'Merge template updates with your edits instead of overwriting')
   .option('-y, --yes', 'Skip prompts and use defaults')
   .option('--no-hooks', 'Skip hooks setup')
   .option('--no-agents', 'Skip agents setup')
@@ -301,14 +302,24 @@ async function createDirectoryStructure(targetPath, config) {
   return claudeDir;
 }
 
+/**
+ * Write a file setup builds from its answers, keeping edits in merge mode
+ * @returns {Promise<string[]>} The file (relative to .claude) if it was left with conflicts
+ */
+async function writeSetupFile(claudeDir, file, content, writeOptions) {
+  const result = await writeGeneratedFile(claudeDir, file, content, writeOptions);
+  return result.status === 'conflict' ? [file] : [];
+}
+
 /**
  * Write CLAUDE.md file
+ * @returns {Promise<{conflicts: string[]}>}
  */
-async function writeClaudeMd(targetPath, config) {
+async function writeClaudeMd(targetPath, config, writeOptions) {
   const claudeMdPath = path.join(targetPath, 'CLAUDE.md');
 
-  // Check if exists and handle merge
-  if (await fs.pathExists(claudeMdPath) && !options.merge) {
+  // Ask before replacing it, unless merging with the edits
+  if (await fs.pathExists(claudeMdPath) && !writeOptions.merge) {
     const { overwrite } = await inquirer.prompt([{
       type: 'confirm',
       name: 'overwrite',
@@ -318,21 +329,20 @@ async function writeClaudeMd(targetPath, config) {
 
     if (!overwrite) {
       ui.warningText('  Skipping CLAUDE.md');
-      return;
+      return { conflicts: [] };
     }
   }
 
   const content = await generateClaudeMd(config);
-  await fs.writeFile(claudeMdPath, content, 'utf-8');
-  ui.successText(`  ${ui.icons.success} Created CLAUDE.md`);
+  const claudeDir = path.join(targetPath, '.claude');
+  return { conflicts: await writeSetupFile(claudeDir, '../CLAUDE.md', content, writeOptions) };
 }
 
 /**
  * Write settings files
+ * @returns {Promise<{conflicts: string[]}>}
  */
-async function writeSettings(claudeDir, config) {
-  const settingsPath = path.join(claudeDir, 'settings.json');
-
+async function writeSettings(claudeDir, config, writeOptions) {
   const settings = {
     permissions: {
       allow: [],
@@ -346,15 +356,17 @@ async function writeSettings(claudeDir, config) {
     env: {}
   };
 
-  await fs.writeJson(settingsPath, settings, { spaces: 2 });
-  ui.successText(`  ${ui.icons.success} Created settings.json`);
+  const content = `${JSON.stringify(settings, null, 2)}\n`;
+  return { conflicts: await writeSetupFile(claudeDir, 'settings.json', content, writeOptions) };
 }
 
 /**
  * Write hooks configuration
+ * @returns {Promise<{conflicts: string[]}>}
  */
-async function writeHooks(claudeDir, config) {
+async function writeHooks(claudeDir, config, writeOptions) {
   const hooksDir = path.join(claudeDir, 'hooks');
+  const conflicts = [];
 
   const hooks = {
     description: 'Project hooks configuration',
@@ -383,8 +395,7 @@ async function writeHooks(claudeDir, config) {
     }]
   }];
 
-  await fs.writeJson(path.join(hooksDir, 'hooks.json'), hooks, { spaces: 2 });
-  ui.successText(`  ${ui.icons.success} Created hooks/hooks.json (with auto-compact at ${threshold}%)`);
+  conflicts.push(...await writeSetupFile(claudeDir, 'hooks/hooks.json', `${JSON.stringify(hooks, null, 2)}\n`, writeOptions));
 
   // Create a sample validation script
   const validateBashScript = `#!/bin/bash
@@ -410,9 +421,7 @@ done
 exit 0
 `;
 
-  await fs.writeFile(path.join(hooksDir, 'validate-bash.sh'), validateBashScript, 'utf-8');
-  await fs.chmod(path.join(hooksDir, 'validate-bash.sh'), '755');
-  ui.successText(`  ${ui.icons.success} Created hooks/validate-bash.sh`);
+  conflicts.push(...await writeSetupFile(claudeDir, 'hooks/validate-bash.sh', validateBashScript, writeOptions));
 
   // Create auto-compact script for context monitoring
   const autoCompactScript = `#!/bin/bash
@@ -498,17 +507,25 @@ fi
 exit 0
 `;
 
-  await fs.writeFile(path.join(hooksDir, 'auto-compact.sh'), autoCompactScript, 'utf-8');
-  await fs.chmod(path.join(hooksDir, 'auto-compact.sh'), '755');
-  ui.successText(`  ${ui.icons.success} Created hooks/auto-compact.sh (70% context threshold)`);
+  conflicts.push(...await writeSetupFile(claudeDir, 'hooks/auto-compact.sh', autoCompactScript, writeOptions));
+
+  for (const script of ['validate-bash.sh', 'auto-compact.sh']) {
+    const scriptPath = path.join(hooksDir, script);
+    if (await fs.pathExists(scriptPath)) {
+      await fs.chmod(scriptPath, '755');
+    }
+  }
+
+  return { conflicts };
 }
 
 /**
  * Write MCP configuration
+ * @returns {Promise<{conflicts: string[]}>}
  */
-async function writeMcpConfig(targetPath, config) {
+async function writeMcpConfig(targetPath, config, writeOptions) {
   if (!config.includeGitHub && !config.includeDatabase) {
-    return;
+    return { conflicts: [] };
   }
 
   const mcpConfig = {
@@ -522,8 +539,39 @@ async function writeMcpConfig(targetPath, config) {
     };
   }
 
-  await fs.writeJson(path.join(targetPath, '.mcp.json'), mcpConfig, { spaces: 2 });
-  ui.successText(`  ${ui.icons.success} Created .mcp.json`);
+  const content = `${JSON.stringify(mcpConfig, null, 2)}\n`;
+  return { conflicts: await writeSetupFile(path.join(targetPath, '.claude'), '../.mcp.json', content, writeOptions) };
+}
+
+/**
+ * Ask which side of each merge conflict to keep
+ * @param {object} spinner - Progress spinner to pause while asking
+ * @returns {Function} pickHunk for writeTemplates
+ */
+function createHunkPicker(spinner) {
+  return async (file, conflict, index, total) => {
+    spinner.stop();
+
+    console.log(ui.colors.warning(`\n  Conflict ${index + 1}/${total} in ${file}`));
+    ui.muted('  Yours:');
+    conflict.ours.forEach(line => console.log(ui.colors.error(`    ${line}`)));
+    ui.muted('  Template:');
+    conflict.theirs.forEach(line => console.log(ui.colors.success(`    ${line}`)));
+
+    const { choice } = await inquirer.prompt([{
+      type: 'list',
+      name: 'choice',
+      message: 'Keep which version?',
+      choices: [
+        { name: 'Yours', value: 'ours' },
+        { name: 'Template', value: 'theirs' },
+        { name: 'Both, with conflict markers to resolve later', value: 'markers' }
+      ]
+    }]);
+
+    spinner.start();
+    return choice === 'markers' ? null : conflict[choice];
+  };
 }
 
 /**
@@ -568,29 +616,36 @@ async function main() {
   // Store analysis for RALPH integration
   let projectAnalysis = null;
 
+  // With --merge, untouched templates are updated, edited ones merged and deleted ones left alone
+  const writeOptions = {
+    merge: !!options.merge,
+    pickHunk: options.merge && !options.yes && process.stdin.isTTY ? createHunkPicker(spinner) : null
+  };
+  const conflicts = [];
+
   try {
     // Write core configuration files
-    await writeClaudeMd(targetPath, config);
-    await writeSettings(claudeDir, config);
+    conflicts.push(...(await writeClaudeMd(targetPath, config, writeOptions)).conflicts);
+    conflicts.push(...(await writeSettings(claudeDir, config, writeOptions)).conflicts);
 
     if (config.setupRules !== false) {
-      await writeRules(claudeDir, config);
+      conflicts.push(...(await writeRules(claudeDir, config, null, writeOptions)).conflicts);
     }
 
     if (config.setupCommands !== false) {
-      await writeCommands(claudeDir, config);
+      conflicts.push(...(await writeCommands(claudeDir, config, null, writeOptions)).conflicts);
     }
 
     if (config.setupAgents !== false) {
-      await writeAgents(claudeDir, config);
+      conflicts.push(...(await writeAgents(claudeDir, config, null, writeOptions)).conflicts);
     }
 
     if (config.setupSkills !== false) {
-      await writeSkills(claudeDir, config);
+      conflicts.push(...(await writeSkills(claudeDir, config, null, writeOptions)).conflicts);
     }
 
     if (config.setupHooks !== false) {
-      await writeHooks(claudeDir, config);
+      conflicts.push(...(await writeHooks(claudeDir, config, writeOptions)).conflicts);
     }
 
     // Phase 3 & 4: Run project analysis and generate spec (if RALPH enabled)
@@ -612,13 +667,17 @@ async function main() {
       await writeInitialPrd(targetPath, config, projectAnalysis);
     }
 
-    await writeMcpConfig(targetPath, config);
+    conflicts.push(...(await writeMcpConfig(targetPath, config, writeOptions)).conflicts);
 
     // Phase 5: Finalize setup - register project
     const registration = await finalizeSetup(targetPath, config);
 
     spinner.succeed('Project setup complete!');
 
+    if (conflicts.length > 0) {
+      ui.warning(`Resolve the <<<<<<< conflict markers in: ${conflicts.map(file => path.posix.join('.claude', file)).join(', ')}`);
+    }
+
     // Phase 6 & 7: Display summary and next steps
     displaySetupSummary(config, projectAnalysis, registration);
     displayNextSteps(config, projectAnalysis);
@@ -9,7 +9,6 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import inquirer from 'inquirer';
 import { ui } from '../utils/design-system.js';
 import {
@@ -20,11 +19,9 @@ import {
 import { registerProject } from '../utils/project-registry.js';
 import { analyzeProject } from '../utils/project-analyzer.js';
 import { writeProjectSpec } from '../utils/spec-generator.js';
+import { CONFIG } from '../utils/config-manager.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const KNOWLEDGE_BASE_PATH = path.join(__dirname, '..', '..', 'knowledge-base');
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 
 /**
  * Phase 1: Validate the setup environment
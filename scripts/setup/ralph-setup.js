@@ -24,6 +24,9 @@ import {
   generatePrdMarkdown
 } from '../utils/spec-generator.js';
 import { render } from '../utils/template-engine.js';
+import { PRD_SCHEMA_VERSION, PRD_SCHEMA_URL } from '../utils/prd-validator.js';
+import { writeSecurityConfig, SECURITY_FILE } from '../utils/security-analyzer.js';
+import { installGuardHook } from '../utils/ralph-guard.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -260,6 +263,13 @@ export async function writeRalphFiles(targetPath, config, analysis = null) {
   );
   ui.successText(`  ${ui.icons.success} Created scripts/ralph/prd.json.example`);
 
+  // Copy the PRD JSON Schema for offline editor validation
+  await fs.copy(
+    path.join(TEMPLATES_PATH, 'ralph', 'prd.schema.json'),
+    path.join(ralphDir, 'prd.schema.json')
+  );
+  ui.successText(`  ${ui.icons.success} Created scripts/ralph/prd.schema.json`);
+
   // Create progress.txt template
   const progressTemplate = `# Progress Log
 
@@ -275,6 +285,22 @@ Started: ${new Date().toISOString().split('T')[0]}
   ui.successText(`  ${ui.icons.success} Created scripts/ralph/progress.txt.template`);
 }
 
+/**
+ * Write .ralph/security.json and install the PreToolUse hook that
+ * enforces it (and the config.yaml boundaries) on every tool call
+ *
+ * @param {string} targetPath - Target project directory
+ * @returns {Promise<void>}
+ */
+export async function writeRalphGuard(targetPath) {
+  const securityConfig = await writeSecurityConfig(targetPath);
+  const stacks = securityConfig.detectedStacks.join(', ') || 'no stack detected';
+  ui.successText(`  ${ui.icons.success} Created ${SECURITY_FILE} (${stacks})`);
+
+  await installGuardHook(targetPath);
+  ui.successText(`  ${ui.icons.success} Created .claude/hooks/ralph-guard.mjs (PreToolUse, logs to .ralph/audit.log)`);
+}
+
 /**
  * Setup RALPH skills in .claude/skills directory
  *
@@ -427,6 +453,8 @@ export function generateBasicPrd(featureDescription, config) {
   ];
 
   return {
+    $schema: PRD_SCHEMA_URL,
+    schemaVersion: PRD_SCHEMA_VERSION,
     project: featureDescription,
     branchName: `ralph/${slug}`,
     description: `Implementation of: ${featureDescription}`,
@@ -568,6 +596,9 @@ export async function writeRalph(targetPath, config, analysis = null) {
   // Write core RALPH files
   await writeRalphFiles(targetPath, config, analysis);
 
+  // Enforce the security allowlist and boundaries at runtime
+  await writeRalphGuard(targetPath);
+
   // Setup skills
   await setupRalphSkills(targetPath);
 
@@ -580,6 +611,7 @@ export default {
   generateRalphClaudeMd,
   writeRalphConfig,
   writeRalphFiles,
+  writeRalphGuard,
   setupRalphSkills,
   writeRalphCommand,
   generateBasicPrd,
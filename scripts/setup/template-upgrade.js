@@ -0,0 +1,132 @@
+/**
+ * Template Upgrade Module
+ *
+ * Brings the templates written by template-writer up to date in a project
+ * that was set up earlier. Each template is rendered again and three-way
+ * merged with the project's copy, using the recorded original render as
+ * the base, so local edits survive the update.
+ *
+ * @module setup/template-upgrade
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import {
+  renderTemplate,
+  loadTemplateBase,
+  saveTemplateBase,
+  loadGeneratedFiles,
+  compareTemplateFile,
+  mergeTemplateFile,
+  hashContent,
+  getDefaultItems
+} from './template-writer.js';
+
+/**
+ * Statuses that write a file. Besides those of compareTemplateFile, a
+ * merge ends up as 'merged' (local edits and template changes combined)
+ * or 'conflict' (written with conflict markers).
+ */
+const CHANGING_STATUSES = ['updated', 'merged', 'conflict', 'added'];
+
+/**
+ * Work out how each recorded template would be upgraded
+ *
+ * @param {string} claudeDir - Path to the project's .claude directory
+ * @returns {Promise<{files: Array<object>, base: object}>} One entry per template
+ *   {file, type, name, status, local, render, content, conflicts}
+ * @throws {Error} If the project has no recorded template base
+ */
+export async function planTemplateUpgrade(claudeDir) {
+  const base = await loadTemplateBase(claudeDir);
+
+  if (!base) {
+    throw new Error('No template base recorded (set up before upgrades were supported). Run "claude-init setup" once to enable upgrades.');
+  }
+
+  // Recorded templates, plus defaults added since for types set up with the defaults.
+  // Files setup built from its answers have no variables to render them again.
+  const generated = await loadGeneratedFiles(claudeDir);
+  const templates = Object.entries(base.files)
+    .filter(([, entry]) => base.types[entry.type])
+    .map(([file, entry]) => ({ file, ...entry }));
+  for (const [type, { items }] of Object.entries(base.types)) {
+    if (items) continue;
+    for (const name of getDefaultItems(type)) {
+      if (!templates.some(t => t.type === type && t.name === name)) {
+        templates.push({ type, name, content: null });
+      }
+    }
+  }
+
+  const files = [];
+  for (const template of templates) {
+    const { file, content: render } = await renderTemplate(template.type, template.name, base.types[template.type].variables);
+    const localPath = path.join(claudeDir, file);
+    const local = await fs.pathExists(localPath) ? await fs.readFile(localPath, 'utf-8') : null;
+    const previous = template.content === null ? null : {
+      hash: generated[file]?.hash || hashContent(template.content),
+      content: template.content
+    };
+
+    const { status, blocks } = compareTemplateFile(previous, local, render);
+    const entry = { file, type: template.type, name: template.name, status, local, render, content: local, conflicts: 0 };
+
+    if (status === 'added' || status === 'updated') {
+      entry.content = render;
+    } else if (status === 'merge') {
+      const merged = await mergeTemplateFile(file, blocks);
+      entry.status = merged.conflicts > 0 ? 'conflict' : 'merged';
+      entry.content = merged.content;
+      entry.conflicts = merged.conflicts;
+    }
+
+    files.push(entry);
+  }
+
+  files.sort((a, b) => a.file.localeCompare(b.file));
+  return { files, base };
+}
+
+/**
+ * Write an upgrade plan to disk and record the new renders as the base
+ *
+ * @param {string} claudeDir - Path to the project's .claude directory
+ * @param {{files: Array<object>, base: object}} plan - From planTemplateUpgrade
+ * @returns {Promise<Array<object>>} The files that were written
+ */
+export async function applyTemplateUpgrade(claudeDir, plan) {
+  const { files, base } = plan;
+  const written = [];
+
+  for (const entry of files) {
+    if (entry.status === 'skipped') continue;
+
+    if (CHANGING_STATUSES.includes(entry.status)) {
+      await fs.outputFile(path.join(claudeDir, entry.file), entry.content, 'utf-8');
+      written.push(entry);
+    }
+
+    // Later upgrades merge against what the templates render today
+    base.files[entry.file] = { type: entry.type, name: entry.name, content: entry.render };
+  }
+
+  await saveTemplateBase(claudeDir, base);
+  return written;
+}
+
+/**
+ * Whether a plan changes any file
+ *
+ * @param {{files: Array<object>}} plan - From planTemplateUpgrade
+ * @returns {boolean} True if applying it would write something
+ */
+export function hasTemplateChanges(plan) {
+  return plan.files.some(entry => CHANGING_STATUSES.includes(entry.status));
+}
+
+export default {
+  planTemplateUpgrade,
+  applyTemplateUpgrade,
+  hasTemplateChanges
+};
@@ -4,13 +4,22 @@
  * Generic template writing functions that unify the repetitive
  * writeRules/writeCommands/writeAgents/writeSkills patterns.
  *
+ * Every render is also kept in .claude/template-base.json, with a manifest
+ * of content hashes under generatedFiles in .claude/metadata.json. Setup
+ * with --merge and `claude-init upgrade` use them to tell untouched files
+ * from edited ones and to three-way merge template updates with local edits.
+ * Files setup builds from its answers (CLAUDE.md, settings.json, hooks) are
+ * recorded the same way, so setup --merge keeps edits to them too.
+ *
  * @module setup/template-writer
  */
 
 import fs from 'fs-extra';
 import path from 'path';
+import crypto from 'crypto';
 import { fileURLToPath } from 'url';
 import { ui } from '../utils/design-system.js';
+import { mergeBlocks, formatMerge } from '../utils/text-diff.js';
 import {
   generateRule,
   generateCommand,
@@ -21,6 +30,13 @@ import {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Original renders and the project metadata, relative to the .claude directory
+const TEMPLATE_BASE_FILE = 'template-base.json';
+const METADATA_FILE = 'metadata.json';
+
+// Recorded type of files written by writeGeneratedFile
+const SETUP_FILE_TYPE = 'setup';
+
 /**
  * Template type configurations
  * Maps template types to their generator functions and output patterns
@@ -91,6 +107,162 @@ export function buildTemplateVariables(type, config) {
   }
 }
 
+/**
+ * Path of a template's output, relative to the .claude directory
+ *
+ * @param {string} type - Template type
+ * @param {string} name - Template name
+ * @returns {string} e.g. rules/code-style.md or skills/code-review/SKILL.md
+ */
+function templateFile(type, name) {
+  return [type, ...TEMPLATE_TYPES[type].outputPattern(name).split(path.sep)].join('/');
+}
+
+/**
+ * Render a single template without writing it
+ *
+ * @param {string} type - Template type (rules, commands, agents, skills)
+ * @param {string} name - Template name
+ * @param {object} variables - Template variables
+ * @returns {Promise<{file: string, content: string}>} Path relative to .claude, and content
+ */
+export async function renderTemplate(type, name, variables) {
+  const typeConfig = TEMPLATE_TYPES[type];
+
+  if (!typeConfig) {
+    throw new Error(`Unknown template type: ${type}`);
+  }
+
+  const content = await typeConfig.generator(name, { ...variables });
+  return { file: templateFile(type, name), content };
+}
+
+/**
+ * Load the recorded template renders of a project
+ *
+ * @param {string} claudeDir - Path to .claude directory
+ * @returns {Promise<{types: object, files: object}|null>} Null if nothing was recorded
+ */
+export async function loadTemplateBase(claudeDir) {
+  const basePath = path.join(claudeDir, TEMPLATE_BASE_FILE);
+
+  if (!await fs.pathExists(basePath)) {
+    return null;
+  }
+
+  return await fs.readJson(basePath);
+}
+
+/**
+ * Save the recorded template renders of a project, and their hashes as
+ * the generatedFiles manifest in metadata.json
+ *
+ * @param {string} claudeDir - Path to .claude directory
+ * @param {{types: object, files: object}} base - Template base
+ */
+export async function saveTemplateBase(claudeDir, base) {
+  base.updatedAt = new Date().toISOString();
+  await fs.outputJson(path.join(claudeDir, TEMPLATE_BASE_FILE), base, { spaces: 2 });
+
+  const metadataPath = path.join(claudeDir, METADATA_FILE);
+  const metadata = await fs.pathExists(metadataPath) ? await fs.readJson(metadataPath) : {};
+  metadata.generatedFiles = Object.fromEntries(Object.entries(base.files).map(([file, { type, name, content }]) =>
+    [file, { type, name, hash: hashContent(content) }]
+  ));
+  await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+}
+
+/**
+ * Load the generatedFiles manifest of a project
+ *
+ * @param {string} claudeDir - Path to .claude directory
+ * @returns {Promise<object>} {file: {type, name, hash}}, empty if none was recorded
+ */
+export async function loadGeneratedFiles(claudeDir) {
+  const metadataPath = path.join(claudeDir, METADATA_FILE);
+
+  if (!await fs.pathExists(metadataPath)) {
+    return {};
+  }
+
+  const metadata = await fs.readJson(metadataPath).catch(() => ({}));
+  return metadata.generatedFiles || {};
+}
+
+/**
+ * Hash of a generated file's content
+ *
+ * @param {string} content - File content
+ * @returns {string} SHA-256 hex digest
+ */
+export function hashContent(content) {
+  return crypto.createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Work out how to bring a generated file up to date with a new render
+ *
+ * Statuses:
+ * - added: never generated and not present, write the render
+ * - skipped: generated before but deleted locally, stays deleted
+ * - current: the local copy needs nothing (already the render, or the
+ *   template is unchanged since it was generated)
+ * - updated: untouched since it was generated, replace with the render
+ * - merge: edited locally (or not generated by us), needs a three-way
+ *   merge of the blocks
+ *
+ * @param {{hash: string, content?: string}|null} previous - What was generated last time
+ * @param {string|null} local - The project's copy, null if missing
+ * @param {string} render - The new render
+ * @returns {{status: string, blocks?: Array<object>}} Decision, with merge blocks for 'merge'
+ */
+export function compareTemplateFile(previous, local, render) {
+  if (local === null) {
+    return { status: previous ? 'skipped' : 'added' };
+  }
+
+  if (local === render || (previous && previous.hash === hashContent(render))) {
+    return { status: 'current' };
+  }
+
+  if (previous && previous.hash === hashContent(local)) {
+    return { status: 'updated' };
+  }
+
+  const blocks = mergeBlocks(previous?.content || '', local, render);
+  if (blocks.every(block => block.type === 'resolved') && formatMerge(blocks).text === local) {
+    return { status: 'current' };
+  }
+  return { status: 'merge', blocks };
+}
+
+/**
+ * Merge a locally edited file with its new render
+ *
+ * @param {string} file - Path relative to .claude, used in conflict labels
+ * @param {Array<object>} blocks - Blocks from compareTemplateFile
+ * @param {Function} [pickHunk] - async (file, conflict, index, total) => lines to use, or null to keep markers
+ * @returns {Promise<{content: string, conflicts: number}>} Merged content and conflicts left in it
+ */
+export async function mergeTemplateFile(file, blocks, pickHunk = null) {
+  const conflicts = blocks.filter(block => block.type === 'conflict');
+  const choices = [];
+
+  if (pickHunk) {
+    for (const [index, conflict] of conflicts.entries()) {
+      choices.push(await pickHunk(file, conflict, index, conflicts.length));
+    }
+  }
+
+  const merged = formatMerge(blocks, {
+    oursLabel: `${file} (local)`,
+    theirsLabel: `${file} (template)`,
+    resolve: (block, index) => choices[index] || null
+  });
+
+  return { content: merged.text, conflicts: merged.conflicts };
+}
+
 /**
  * Write a single template file
  *
@@ -99,19 +271,27 @@ export function buildTemplateVariables(type, config) {
  * @param {Function} generator - Template generator function
  * @param {object} variables - Template variables
  * @param {object} options - Additional options
- * @returns {Promise<{success: boolean, path: string, error?: string}>}
+ * @param {boolean} [options.merge] - Merge with an existing file instead of overwriting it
+ * @param {object} [options.previous] - {hash, content} of the last render, for merging
+ * @param {Function} [options.pickHunk] - Resolves merge conflicts interactively
+ * @returns {Promise<{success: boolean, path: string, content?: string, status?: string, error?: string}>}
  */
 async function writeTemplate(targetDir, name, generator, variables, options = {}) {
-  const { outputPattern, displayName, needsSubdir } = options;
+  const { outputPattern, displayName, needsSubdir, merge, previous = null, pickHunk = null } = options;
 
   try {
-    // Generate content
-    const content = await generator(name, variables);
+    // Generate content (generators may add helper keys to the variables)
+    const content = await generator(name, { ...variables });
 
     // Determine output path
     const outputFile = outputPattern ? outputPattern(name) : `${name}.md`;
     const outputPath = path.join(targetDir, outputFile);
 
+    if (merge) {
+      const merged = await mergeExisting(outputPath, `${displayName}/${outputFile}`, content, previous, pickHunk);
+      if (merged) return merged;
+    }
+
     // Create subdirectory if needed (e.g., for skills)
     if (needsSubdir) {
       const subdir = path.dirname(outputPath);
@@ -125,7 +305,7 @@ async function writeTemplate(targetDir, name, generator, variables, options = {}
     const relativePath = `${displayName}/${outputFile}`;
     ui.successText(`  ${ui.icons.success} Created ${relativePath}`);
 
-    return { success: true, path: outputPath };
+    return { success: true, path: outputPath, content, status: 'added' };
   } catch (error) {
     // Report failure
     const relativePath = `${displayName}/${name}.md`;
@@ -135,16 +315,66 @@ async function writeTemplate(targetDir, name, generator, variables, options = {}
   }
 }
 
+/**
+ * Bring an existing template file up to date in merge mode. Untouched
+ * files are replaced, edited ones merged, deleted ones left deleted.
+ *
+ * @param {string} outputPath - File path
+ * @param {string} relativePath - Path for messages and conflict labels
+ * @param {string} render - The new render
+ * @param {object|null} previous - {hash, content} of the last render
+ * @param {Function|null} pickHunk - Resolves merge conflicts interactively
+ * @returns {Promise<object|null>} Result as for writeTemplate, or null if the file should just be written
+ */
+async function mergeExisting(outputPath, relativePath, render, previous, pickHunk) {
+  const local = await fs.pathExists(outputPath) ? await fs.readFile(outputPath, 'utf-8') : null;
+  const { status, blocks } = compareTemplateFile(previous, local, render);
+  const result = { success: true, path: outputPath, content: render, status };
+
+  switch (status) {
+    case 'added':
+      return null;
+
+    case 'skipped':
+      ui.muted(`  ${ui.icons.remove} Kept ${relativePath} deleted`);
+      return { ...result, path: null };
+
+    case 'current':
+      ui.muted(`  ${ui.icons.success} ${relativePath} is up to date`);
+      return result;
+
+    case 'updated':
+      await fs.writeFile(outputPath, render, 'utf-8');
+      ui.successText(`  ${ui.icons.update} Updated ${relativePath}`);
+      return result;
+
+    default: {
+      const { content, conflicts } = await mergeTemplateFile(relativePath, blocks, pickHunk);
+      await fs.writeFile(outputPath, content, 'utf-8');
+
+      if (conflicts > 0) {
+        ui.warningText(`  ${ui.icons.warning} Merged ${relativePath} with ${conflicts} conflict${conflicts === 1 ? '' : 's'} to resolve`);
+        return { ...result, status: 'conflict', conflicts };
+      }
+      ui.successText(`  ${ui.icons.merge} Merged ${relativePath} with your edits`);
+      return { ...result, status: 'merged' };
+    }
+  }
+}
+
 /**
  * Write multiple templates of a specific type
  *
  * @param {string} type - Template type (rules, commands, agents, skills)
- * @param {string} targetDir - Target directory for this type
+ * @param {string} targetDir - Target directory for this type (.claude/<type>)
  * @param {object} config - Project configuration
  * @param {string[]} [items] - List of template names to write (uses defaults if not provided)
- * @returns {Promise<{written: string[], failed: string[]}>}
+ * @param {object} [options] - Write options
+ * @param {boolean} [options.merge] - Merge with existing files instead of overwriting them
+ * @param {Function} [options.pickHunk] - Resolves merge conflicts interactively
+ * @returns {Promise<{written: string[], failed: string[], conflicts: string[]}>}
  */
-export async function writeTemplates(type, targetDir, config, items = null) {
+export async function writeTemplates(type, targetDir, config, items = null, options = {}) {
   const typeConfig = TEMPLATE_TYPES[type];
 
   if (!typeConfig) {
@@ -154,39 +384,126 @@ export async function writeTemplates(type, targetDir, config, items = null) {
   const templateNames = items || typeConfig.defaultItems;
   const variables = buildTemplateVariables(type, config);
 
+  const claudeDir = path.dirname(targetDir);
+  const base = options.merge ? await loadTemplateBase(claudeDir).catch(() => null) : null;
+  const generated = options.merge ? await loadGeneratedFiles(claudeDir) : {};
+
   const results = {
     written: [],
-    failed: []
+    failed: [],
+    conflicts: []
   };
+  const rendered = {};
 
   for (const name of templateNames) {
+    const file = templateFile(type, name);
+    const previous = generated[file]
+      ? { hash: generated[file].hash, content: base?.files[file]?.content }
+      : null;
+
     const result = await writeTemplate(targetDir, name, typeConfig.generator, variables, {
       outputPattern: typeConfig.outputPattern,
       displayName: typeConfig.displayName,
-      needsSubdir: typeConfig.needsSubdir
+      needsSubdir: typeConfig.needsSubdir,
+      merge: options.merge,
+      previous,
+      pickHunk: options.pickHunk
     });
 
     if (result.success) {
       results.written.push(name);
+      rendered[name] = result.content;
+      if (result.status === 'conflict') results.conflicts.push(file);
     } else {
       results.failed.push(name);
     }
   }
 
+  await recordTemplateRenders(claudeDir, type, variables, items, rendered);
+
   return results;
 }
 
+/**
+ * Record what writeTemplates rendered as the base for later upgrades
+ *
+ * @param {string} claudeDir - Path to .claude directory
+ * @param {string} type - Template type
+ * @param {object} variables - Variables the templates were rendered with
+ * @param {string[]|null} items - Requested items (null means the defaults)
+ * @param {object} rendered - Content by template name
+ */
+async function recordTemplateRenders(claudeDir, type, variables, items, rendered) {
+  const base = await loadTemplateBase(claudeDir).catch(() => null) || { types: {}, files: {} };
+
+  base.types[type] = { variables, items: items ? [...items] : null };
+  for (const [name, content] of Object.entries(rendered)) {
+    base.files[templateFile(type, name)] = { type, name, content };
+  }
+
+  try {
+    await saveTemplateBase(claudeDir, base);
+  } catch (error) {
+    ui.warningText(`  ${ui.icons.warning} Could not record template base: ${error.message}`);
+  }
+}
+
+/**
+ * Write a file setup builds from its answers rather than from a template,
+ * and record it in the template base. In merge mode it is brought up to
+ * date like a template: untouched copies are replaced, edited ones merged
+ * and deleted ones left alone. Upgrades don't re-render these files, as
+ * the answers they come from are gone once setup ends.
+ *
+ * @param {string} claudeDir - Path to .claude directory
+ * @param {string} file - Path relative to .claude (../CLAUDE.md for the project root)
+ * @param {string} content - The render
+ * @param {object} [options] - Write options, as for writeTemplates
+ * @returns {Promise<{success: boolean, path: string|null, content: string, status: string, conflicts?: number}>}
+ */
+export async function writeGeneratedFile(claudeDir, file, content, options = {}) {
+  const outputPath = path.join(claudeDir, file);
+  const label = path.posix.normalize(file).replace(/^\.\.\//, '');
+  let result = null;
+
+  if (options.merge) {
+    const base = await loadTemplateBase(claudeDir).catch(() => null);
+    const generated = await loadGeneratedFiles(claudeDir);
+    const previous = generated[file]
+      ? { hash: generated[file].hash, content: base?.files[file]?.content }
+      : null;
+    result = await mergeExisting(outputPath, label, content, previous, options.pickHunk || null);
+  }
+
+  if (!result) {
+    await fs.outputFile(outputPath, content, 'utf-8');
+    ui.successText(`  ${ui.icons.success} Created ${label}`);
+    result = { success: true, path: outputPath, content, status: 'added' };
+  }
+
+  const base = await loadTemplateBase(claudeDir).catch(() => null) || { types: {}, files: {} };
+  base.files[file] = { type: SETUP_FILE_TYPE, name: label, content };
+  try {
+    await saveTemplateBase(claudeDir, base);
+  } catch (error) {
+    ui.warningText(`  ${ui.icons.warning} Could not record template base: ${error.message}`);
+  }
+
+  return result;
+}
+
 /**
  * Write rules to the .claude/rules directory
  *
  * @param {string} claudeDir - Path to .claude directory
  * @param {object} config - Project configuration
  * @param {string[]} [rules] - Specific rules to write
- * @returns {Promise<{written: string[], failed: string[]}>}
+ * @param {object} [options] - Write options, as for writeTemplates
+ * @returns {Promise<{written: string[], failed: string[], conflicts: string[]}>}
  */
-export async function writeRules(claudeDir, config, rules = null) {
+export async function writeRules(claudeDir, config, rules = null, options = {}) {
   const rulesDir = path.join(claudeDir, 'rules');
-  return writeTemplates('rules', rulesDir, config, rules);
+  return writeTemplates('rules', rulesDir, config, rules, options);
 }
 
 /**
@@ -195,11 +512,12 @@ export async function writeRules(claudeDir, config, rules = null) {
  * @param {string} claudeDir - Path to .claude directory
  * @param {object} config - Project configuration
  * @param {string[]} [commands] - Specific commands to write
- * @returns {Promise<{written: string[], failed: string[]}>}
+ * @param {object} [options] - Write options, as for writeTemplates
+ * @returns {Promise<{written: string[], failed: string[], conflicts: string[]}>}
  */
-export async function writeCommands(claudeDir, config, commands = null) {
+export async function writeCommands(claudeDir, config, commands = null, options = {}) {
   const commandsDir = path.join(claudeDir, 'commands');
-  return writeTemplates('commands', commandsDir, config, commands);
+  return writeTemplates('commands', commandsDir, config, commands, options);
 }
 
 /**
@@ -208,11 +526,12 @@ export async function writeCommands(claudeDir, config, commands = null) {
  * @param {string} claudeDir - Path to .claude directory
  * @param {object} config - Project configuration
  * @param {string[]} [agents] - Specific agents to write
- * @returns {Promise<{written: string[], failed: string[]}>}
+ * @param {object} [options] - Write options, as for writeTemplates
+ * @returns {Promise<{written: string[], failed: string[], conflicts: string[]}>}
  */
-export async function writeAgents(claudeDir, config, agents = null) {
+export async function writeAgents(claudeDir, config, agents = null, options = {}) {
   const agentsDir = path.join(claudeDir, 'agents');
-  return writeTemplates('agents', agentsDir, config, agents);
+  return writeTemplates('agents', agentsDir, config, agents, options);
 }
 
 /**
@@ -221,11 +540,12 @@ export async function writeAgents(claudeDir, config, agents = null) {
  * @param {string} claudeDir - Path to .claude directory
  * @param {object} config - Project configuration
  * @param {string[]} [skills] - Specific skills to write
- * @returns {Promise<{written: string[], failed: string[]}>}
+ * @param {object} [options] - Write options, as for writeTemplates
+ * @returns {Promise<{written: string[], failed: string[], conflicts: string[]}>}
  */
-export async function writeSkills(claudeDir, config, skills = null) {
+export async function writeSkills(claudeDir, config, skills = null, options = {}) {
   const skillsDir = path.join(claudeDir, 'skills');
-  return writeTemplates('skills', skillsDir, config, skills);
+  return writeTemplates('skills', skillsDir, config, skills, options);
 }
 
 /**
@@ -250,6 +570,14 @@ export function getDefaultItems(type) {
 
 export default {
   writeTemplates,
+  renderTemplate,
+  loadTemplateBase,
+  saveTemplateBase,
+  loadGeneratedFiles,
+  hashContent,
+  compareTemplateFile,
+  mergeTemplateFile,
+  writeGeneratedFile,
   writeRules,
   writeCommands,
   writeAgents,
@@ -7,15 +7,13 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { ui } from './utils/design-system.js';
 import {
-  fetchAllDocs,
   saveDocs,
   loadExistingDocs,
-  detectChanges,
-  DOC_SOURCES
+  detectChanges
 } from './utils/doc-fetcher.js';
+import { loadDocSources, fetchAllSources, keepFailedSourceDocs } from './utils/doc-sources.js';
 import {
   loadMetadata,
   saveMetadata,
@@ -32,11 +30,10 @@ import {
   generateOverallSummary,
   getDocCategory
 } from './utils/content-summarizer.js';
+import { recordSyncVersions } from './utils/doc-history.js';
+import { CONFIG } from './utils/config-manager.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
-const KNOWLEDGE_BASE_PATH = path.join(__dirname, '..', 'knowledge-base');
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 
 /**
  * Send email summary if enabled in config
@@ -249,17 +246,33 @@ async function main() {
   const existingDocs = await loadExistingDocs(KNOWLEDGE_BASE_PATH);
   spinner.succeed(`Loaded ${Object.keys(existingDocs).length} existing documents`);
 
-  // Fetch new documentation
-  spinner.start('Fetching documentation from Anthropic...');
-  const { docs: newDocs, errors } = await fetchAllDocs();
+  // Fetch new documentation (built-in pages + docSources in the global config)
+  const sources = await loadDocSources();
+  spinner.start(`Fetching documentation from ${Object.keys(sources).length} sources...`);
+  const { docs: newDocs, errors, results, validators, notModified } = await fetchAllSources(sources, {
+    existingDocs,
+    validators: metadata.httpValidators
+  });
 
   if (errors.length > 0) {
     spinner.warn(`Fetched with ${errors.length} errors`);
     ui.warningText('\nFetch errors:');
     errors.forEach(e => ui.warningText(`  - ${e.name}: ${e.error}`));
+
+    // A source that failed keeps its docs instead of showing them as removed
+    const kept = keepFailedSourceDocs(newDocs, existingDocs, errors);
+    if (kept.length > 0) {
+      ui.muted(`  Kept ${kept.length} existing documents from sources that failed`);
+    }
   } else {
     spinner.succeed(`Fetched ${Object.keys(newDocs).length} documents`);
   }
+  if (notModified.length > 0) {
+    ui.muted(`  ${notModified.length} unchanged since the last sync (not downloaded)`);
+  }
+
+  // ETag/Last-Modified validators make the next sync's requests conditional
+  metadata.httpValidators = validators;
 
   // Detect changes
   spinner.start('Detecting changes...');
@@ -293,6 +306,7 @@ async function main() {
                      changes.removed.length > 0;
 
   if (!hasChanges) {
+    await saveMetadata(KNOWLEDGE_BASE_PATH, metadata);
     console.log(ui.colors.success(`\n${ui.icons.complete} Knowledge base is already up to date!\n`));
   } else {
     // Generate meaningful change summaries BEFORE saving (we need old content)
@@ -305,7 +319,7 @@ async function main() {
       ui.subheader("What's New", 'star');
       for (const summary of changeSummaries) {
         const readable = generateChangeSummary(summary);
-        const { icon } = getDocCategory(summary.docName);
+        const { icon } = getDocCategory(summary.docName, summary);
         const typeIcon = summary.type === 'added' ? ui.icons.success :
                         summary.type === 'removed' ? ui.icons.error : ui.icons.modify;
         console.log(`  ${typeIcon} ${icon} ${readable.title}`);
@@ -324,6 +338,15 @@ async function main() {
 
     // Update metadata
     const newVersion = incrementVersion(metadata.version, changes);
+
+    // Keep every version for `claude-init changes --doc`
+    await recordSyncVersions(KNOWLEDGE_BASE_PATH, {
+      previousVersion: metadata.version,
+      version: newVersion,
+      existingDocs,
+      newDocs,
+      changes
+    });
     const syncInfo = {
       timestamp: new Date().toISOString(),
       version: newVersion,
@@ -359,10 +382,11 @@ async function main() {
 
   // Show available documentation
   ui.subheader('Available Documentation', 'docs');
-  Object.keys(DOC_SOURCES).forEach(name => {
-    const status = newDocs[name] ? ui.icons.success : ui.icons.error;
-    const color = newDocs[name] ? ui.colors.success : ui.colors.error;
-    console.log(`  ${color(status)} ${name}`);
+  Object.entries(results).forEach(([name, result]) => {
+    const status = result.error ? ui.icons.error : ui.icons.success;
+    const color = result.error ? ui.colors.error : ui.colors.success;
+    const count = result.docs.length === 1 && result.docs[0] === name ? '' : ui.colors.muted(` (${result.type}, ${result.docs.length} docs)`);
+    console.log(`  ${color(status)} ${name}${count}`);
   });
   ui.blank();
 
@@ -0,0 +1,199 @@
+#!/usr/bin/env node
+
+/**
+ * Upgrade Projects Script
+ * Merges template updates into projects set up against an older
+ * knowledge base, keeping local edits. Only previews unless --yes is given.
+ */
+
+import path from 'path';
+import { program } from 'commander';
+import { ui } from './utils/design-system.js';
+import { loadMetadata } from './utils/diff-checker.js';
+import { diffLines, buildHunks } from './utils/text-diff.js';
+import { getProjects, markProjectUpgraded, validateProjectPath } from './utils/project-registry.js';
+import { planTemplateUpgrade, applyTemplateUpgrade, hasTemplateChanges } from './setup/template-upgrade.js';
+import { CONFIG } from './utils/config-manager.js';
+
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
+
+program
+  .argument('[path]', 'Project path (defaults to current directory)')
+  .option('--all', 'Upgrade every active tracked project')
+  .option('-y, --yes', 'Write the changes instead of previewing them')
+  .option('-C, --context <lines>', 'Unchanged lines around each change', '3')
+  .option('--json', 'Output as JSON')
+  .parse(process.argv);
+
+const options = program.opts();
+
+const STATUS_LABELS = {
+  updated: { label: 'update', paint: ui.colors.success },
+  merged: { label: 'merge', paint: ui.colors.success },
+  conflict: { label: 'conflict', paint: ui.colors.error },
+  added: { label: 'add', paint: ui.colors.success },
+  skipped: { label: 'skip', paint: ui.colors.muted }
+};
+
+// How applied changes are recorded in the project's setup history
+const HISTORY_CHANGES = {
+  updated: { type: 'updated', description: 'Template update applied' },
+  merged: { type: 'updated', description: 'Template update merged with local edits' },
+  conflict: { type: 'conflict', description: 'Merge conflict to resolve' },
+  added: { type: 'created', description: 'New template' }
+};
+
+/**
+ * Projects to upgrade
+ * @returns {Promise<Array<{name: string, path: string}>>}
+ */
+async function getTargets() {
+  if (!options.all) {
+    const projectPath = path.resolve(program.args[0] || process.cwd());
+    return [{ name: path.basename(projectPath), path: projectPath }];
+  }
+
+  const projects = await getProjects({ status: 'active' });
+  return projects.map(project => ({ name: project.name, path: project.path }));
+}
+
+/**
+ * Print the diff from the project's file to the upgraded one
+ * @param {object} entry - File entry from planTemplateUpgrade
+ */
+function printFileDiff(entry) {
+  const hunks = buildHunks(diffLines(entry.local || '', entry.content), Number(options.context));
+
+  for (const hunk of hunks) {
+    console.log(ui.colors.secondary(`    @@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+    for (const op of hunk.ops) {
+      if (op.type === 'equal') {
+        console.log(`     ${op.value}`);
+      } else if (/^(<<<<<<<|=======|>>>>>>>)/.test(op.value)) {
+        console.log(ui.colors.warning(`    +${op.value}`));
+      } else if (op.type === 'insert') {
+        console.log(ui.colors.success(`    +${op.value}`));
+      } else {
+        console.log(ui.colors.error(`    -${op.value}`));
+      }
+    }
+  }
+}
+
+/**
+ * Preview or apply the upgrade of one project
+ * @param {{name: string, path: string}} project - Project
+ * @param {string} kbVersion - Current knowledge base version
+ * @returns {Promise<object>} Result {project, path, files, applied, error}
+ */
+async function upgradeProject(project, kbVersion) {
+  const result = { project: project.name, path: project.path, files: [], applied: false, error: null };
+
+  if (!await validateProjectPath(project.path)) {
+    result.error = 'No .claude directory (project moved or deleted?)';
+    return result;
+  }
+
+  const claudeDir = path.join(project.path, '.claude');
+  let plan;
+  try {
+    plan = await planTemplateUpgrade(claudeDir);
+  } catch (error) {
+    result.error = error.message;
+    return result;
+  }
+
+  result.files = plan.files
+    .filter(entry => entry.status !== 'current')
+    .map(({ file, status, conflicts }) => ({ file, status, conflicts }));
+
+  if (!options.json) {
+    printProjectPlan(project, plan);
+  }
+
+  if (options.yes) {
+    const written = await applyTemplateUpgrade(claudeDir, plan);
+    await markProjectUpgraded(project.path, kbVersion, written.map(entry => ({
+      type: HISTORY_CHANGES[entry.status].type,
+      item: entry.file,
+      description: HISTORY_CHANGES[entry.status].description
+    })));
+    result.applied = true;
+  }
+
+  return result;
+}
+
+/**
+ * Print what upgrading a project changes, file by file
+ * @param {{name: string, path: string}} project - Project
+ * @param {object} plan - From planTemplateUpgrade
+ */
+function printProjectPlan(project, plan) {
+  if (!hasTemplateChanges(plan)) {
+    ui.success(`${project.name}: templates are up to date`);
+    return;
+  }
+
+  ui.section(`${project.name} ${ui.colors.muted(`(${project.path})`)}`);
+  for (const entry of plan.files) {
+    const status = STATUS_LABELS[entry.status];
+    if (!status) continue;
+
+    const note = entry.status === 'conflict' ? ` (${entry.conflicts} conflict${entry.conflicts === 1 ? '' : 's'})`
+      : entry.status === 'skipped' ? ' (deleted locally)' : '';
+    console.log(`  ${status.paint(status.label.padEnd(8))} ${entry.file}${ui.colors.muted(note)}`);
+    if (entry.status !== 'skipped') printFileDiff(entry);
+  }
+  ui.blank();
+}
+
+async function main() {
+  const metadata = await loadMetadata(KNOWLEDGE_BASE_PATH);
+  const targets = await getTargets();
+
+  if (!options.json) {
+    ui.header(options.yes ? 'Upgrading Projects' : 'Project Upgrade Preview', 'update');
+    ui.muted(`Knowledge base version: ${metadata.version}\n`);
+  }
+
+  if (targets.length === 0) {
+    if (!options.json) ui.muted('No active tracked projects.\n');
+    return;
+  }
+
+  const results = [];
+  for (const target of targets) {
+    const result = await upgradeProject(target, metadata.version);
+    if (result.error && !options.json) {
+      ui.warning(`${target.name}: ${result.error}`);
+      ui.blank();
+    }
+    results.push(result);
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(results, null, 2));
+    return;
+  }
+
+  const conflicted = results.filter(r => r.files.some(f => f.status === 'conflict'));
+  const pending = results.filter(r => r.files.some(f => f.status !== 'skipped'));
+
+  if (options.yes) {
+    ui.success(`Upgraded ${results.filter(r => r.applied).length} of ${results.length} project(s)`);
+    if (conflicted.length > 0) {
+      ui.warning(`Resolve the <<<<<<< markers in: ${conflicted.map(r => r.project).join(', ')}`);
+    }
+  } else if (pending.length > 0) {
+    ui.warning('Run again with --yes to apply these changes.');
+  }
+  ui.blank();
+
+  if (results.some(r => r.error)) process.exitCode = 1;
+}
+
+main().catch(error => {
+  console.error(ui.colors.error(`\n${ui.icons.error} Upgrade failed:`), error.message);
+  process.exit(1);
+});
@@ -4,12 +4,20 @@
  * Restricts file operations to project directory with explicit boundaries.
  * Validates before any Write/Edit operation.
  *
+ * Each boundary level is an ordered list of gitignore-style patterns (see
+ * glob-matcher): the last matching pattern decides, so `!pattern` can
+ * re-allow a path an earlier pattern (including a default) matched.
+ *
  * @module boundary-validator
  */
 
 import fs from 'fs-extra';
 import path from 'path';
 import yaml from 'yaml';
+import { matchRules, matchesGlob } from './glob-matcher.js';
+
+// Boundary levels, strictest first
+const BOUNDARY_LEVELS = ['never_touch', 'read_only', 'warn_before_modify'];
 
 // Default boundaries
 const DEFAULT_BOUNDARIES = {
@@ -93,44 +101,55 @@ async function loadBoundaries(projectRoot = process.cwd()) {
 
 /**
  * Check if a path matches a glob pattern
- * @param {string} filePath - File path to check
- * @param {string} pattern - Glob pattern
+ * @param {string} filePath - File path to check (relative to project root)
+ * @param {string} pattern - gitignore-style pattern
  * @returns {boolean} Whether path matches pattern
  */
 function matchesPattern(filePath, pattern) {
-  // Normalize paths
-  const normalizedPath = filePath.replace(/\\/g, '/');
-  const normalizedPattern = pattern.replace(/\\/g, '/');
-
-  // Handle ** (any depth)
-  if (normalizedPattern.includes('**')) {
-    const regex = new RegExp(
-      '^' +
-      normalizedPattern
-        .replace(/\./g, '\\.')
-        .replace(/\*\*/g, '.*')
-        .replace(/\*/g, '[^/]*') +
-      '$'
-    );
-    return regex.test(normalizedPath);
-  }
+  return matchesGlob(filePath, pattern);
+}
 
-  // Handle * (single level)
-  if (normalizedPattern.includes('*')) {
-    const regex = new RegExp(
-      '^' +
-      normalizedPattern
-        .replace(/\./g, '\\.')
-        .replace(/\*/g, '[^/]*') +
-      '$'
-    );
-    return regex.test(normalizedPath);
-  }
+/**
+ * Get a path relative to the project root
+ * @param {string} filePath - Absolute or relative path
+ * @param {string} projectRoot - Project root directory
+ * @returns {{relativePath: string, outside: boolean}}
+ */
+function resolveProjectPath(filePath, projectRoot) {
+  const absolutePath = path.resolve(projectRoot, filePath);
+  const relativePath = path.relative(path.resolve(projectRoot), absolutePath);
+  const outside = relativePath === '..' ||
+    relativePath.startsWith(`..${path.sep}`) ||
+    path.isAbsolute(relativePath);
+
+  return { relativePath, outside };
+}
 
-  // Exact match or ends with
-  return normalizedPath === normalizedPattern ||
-         normalizedPath.endsWith('/' + normalizedPattern) ||
-         normalizedPath.endsWith(normalizedPattern);
+/**
+ * Explain which boundary rules apply to a path
+ * @param {string} filePath - File path (absolute or relative)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{path: string, outside: boolean, level: string|null, rule: string|null, levels: Array<Object>}>}
+ *   level/rule are the deciding boundary (strictest level whose rules match);
+ *   levels has the matchRules result for every level
+ */
+async function explainPath(filePath, projectRoot = process.cwd()) {
+  const boundaries = await loadBoundaries(projectRoot);
+  const { relativePath, outside } = resolveProjectPath(filePath, projectRoot);
+
+  const levels = BOUNDARY_LEVELS.map(level => ({
+    level,
+    ...matchRules(relativePath, boundaries[level])
+  }));
+  const deciding = outside ? null : levels.find(l => l.matched);
+
+  return {
+    path: relativePath.split(path.sep).join('/'),
+    outside,
+    level: deciding ? deciding.level : null,
+    rule: deciding ? deciding.rule : null,
+    levels
+  };
 }
 
 /**
@@ -141,16 +160,11 @@ function matchesPattern(filePath, pattern) {
  * @returns {Promise<{allowed: boolean, reason: string, requiresConfirmation: boolean}>}
  */
 async function validateFileOperation(operation, filePath, projectRoot = process.cwd()) {
-  const boundaries = await loadBoundaries(projectRoot);
-
-  // Get relative path
-  const absolutePath = path.isAbsolute(filePath)
-    ? filePath
-    : path.join(projectRoot, filePath);
-  const relativePath = path.relative(projectRoot, absolutePath);
+  const explanation = await explainPath(filePath, projectRoot);
+  const byLevel = Object.fromEntries(explanation.levels.map(l => [l.level, l]));
 
   // Check if path is outside project
-  if (relativePath.startsWith('..')) {
+  if (explanation.outside) {
     return {
       allowed: false,
       reason: `Path is outside project directory: ${filePath}`,
@@ -159,40 +173,30 @@ async function validateFileOperation(operation, filePath, projectRoot = process.
   }
 
   // Check never_touch for all operations
-  for (const pattern of boundaries.never_touch) {
-    if (matchesPattern(relativePath, pattern)) {
-      return {
-        allowed: false,
-        reason: `File matches 'never_touch' boundary: ${pattern}`,
-        requiresConfirmation: false
-      };
-    }
+  if (byLevel.never_touch.matched) {
+    return {
+      allowed: false,
+      reason: `File matches 'never_touch' boundary: ${byLevel.never_touch.rule}`,
+      requiresConfirmation: false
+    };
   }
 
   // Check read_only for write operations
-  if (['write', 'edit', 'delete'].includes(operation)) {
-    for (const pattern of boundaries.read_only) {
-      if (matchesPattern(relativePath, pattern)) {
-        return {
-          allowed: false,
-          reason: `File matches 'read_only' boundary: ${pattern}`,
-          requiresConfirmation: false
-        };
-      }
-    }
+  if (['write', 'edit', 'delete'].includes(operation) && byLevel.read_only.matched) {
+    return {
+      allowed: false,
+      reason: `File matches 'read_only' boundary: ${byLevel.read_only.rule}`,
+      requiresConfirmation: false
+    };
   }
 
   // Check warn_before_modify for write operations
-  if (['write', 'edit'].includes(operation)) {
-    for (const pattern of boundaries.warn_before_modify) {
-      if (matchesPattern(relativePath, pattern)) {
-        return {
-          allowed: true,
-          reason: `File matches 'warn_before_modify' boundary: ${pattern}`,
-          requiresConfirmation: true
-        };
-      }
-    }
+  if (['write', 'edit'].includes(operation) && byLevel.warn_before_modify.matched) {
+    return {
+      allowed: true,
+      reason: `File matches 'warn_before_modify' boundary: ${byLevel.warn_before_modify.rule}`,
+      requiresConfirmation: true
+    };
   }
 
   // All checks passed
@@ -272,14 +276,15 @@ ${boundaries.read_only.map(p => `  📖 ${p}`).join('\n')}
 Warn Before Modify (${boundaries.warn_before_modify.length} patterns):
 ${boundaries.warn_before_modify.map(p => `  ⚠ ${p}`).join('\n')}
 
-Customize in: .ralph/config.yaml
+Customize in: .ralph/config.yaml (gitignore syntax; later rules win)
 
 Example:
   boundaries:
     never_touch:
       - "production/**"
+      - "!production/README.md"
     read_only:
-      - "database/schema.sql"
+      - "database/*.{sql,prisma}"
     warn_before_modify:
       - "config/*.json"
 `;
@@ -292,30 +297,8 @@ Example:
  * @returns {Promise<{protected: boolean, level: string|null, pattern: string|null}>}
  */
 async function isFileProtected(filePath, projectRoot = process.cwd()) {
-  const boundaries = await loadBoundaries(projectRoot);
-  const relativePath = path.isAbsolute(filePath)
-    ? path.relative(projectRoot, filePath)
-    : filePath;
-
-  for (const pattern of boundaries.never_touch) {
-    if (matchesPattern(relativePath, pattern)) {
-      return { protected: true, level: 'never_touch', pattern };
-    }
-  }
-
-  for (const pattern of boundaries.read_only) {
-    if (matchesPattern(relativePath, pattern)) {
-      return { protected: true, level: 'read_only', pattern };
-    }
-  }
-
-  for (const pattern of boundaries.warn_before_modify) {
-    if (matchesPattern(relativePath, pattern)) {
-      return { protected: true, level: 'warn_before_modify', pattern };
-    }
-  }
-
-  return { protected: false, level: null, pattern: null };
+  const { level, rule } = await explainPath(filePath, projectRoot);
+  return { protected: level !== null, level, pattern: rule };
 }
 
 /**
@@ -372,9 +355,11 @@ async function removeBoundary(level, pattern, projectRoot = process.cwd()) {
 }
 
 export {
+  BOUNDARY_LEVELS,
   DEFAULT_BOUNDARIES,
   loadBoundaries,
   matchesPattern,
+  explainPath,
   validateFileOperation,
   formatValidationResult,
   listBoundaries,
@@ -0,0 +1,153 @@
+/**
+ * RALPH Budget Manager
+ *
+ * Prices sessions per model and enforces the token and cost budgets in
+ * .ralph/config.yaml. Spend is read from the run ledgers, so story and
+ * daily budgets count every recorded run, not just the current one:
+ *
+ *   run     - this run
+ *   story   - every iteration spent on the story, across runs
+ *   daily   - every iteration started today (local time)
+ *
+ * A budget of 0 means no limit. Crossing `warn_at` (a fraction of the
+ * limit) produces a warning; reaching the limit pauses the run.
+ *
+ * @module budget-manager
+ */
+
+import { DEFAULT_RALPH_CONFIG } from './ralph-config.js';
+import { listRuns, readLedger } from './run-ledger.js';
+
+// Budget scopes, in the order they are checked
+const BUDGET_SCOPES = ['run', 'story', 'daily'];
+
+// Units a budget can be set in (config key suffix)
+const BUDGET_UNITS = ['tokens', 'cost'];
+
+/**
+ * Find the pricing entry for a model. An exact name wins; otherwise the
+ * longest entry contained in the model name (e.g. "sonnet" for
+ * "claude-sonnet-4-5"); otherwise "default".
+ * @param {string|null} model - Model name
+ * @param {Object} pricing - pricing section of .ralph/config.yaml (USD per million tokens)
+ * @returns {{input: number, output: number}} Per-token rates in USD
+ */
+function getModelRates(model, pricing = DEFAULT_RALPH_CONFIG.pricing) {
+  let key = 'default';
+  if (model) {
+    const name = model.toLowerCase();
+    key = pricing[model]
+      ? model
+      : Object.keys(pricing)
+        .filter(k => k !== 'default' && name.includes(k.toLowerCase()))
+        .sort((a, b) => b.length - a.length)[0] || 'default';
+  }
+
+  const rates = pricing[key] || DEFAULT_RALPH_CONFIG.pricing.default;
+  return { input: rates.input / 1e6, output: rates.output / 1e6 };
+}
+
+/**
+ * Check the pricing table
+ * @param {Object} pricing - pricing section of .ralph/config.yaml
+ * @returns {Array<string>} Errors
+ */
+function validatePricing(pricing) {
+  return Object.entries(pricing)
+    .filter(([, rates]) => !(typeof rates?.input === 'number' && typeof rates?.output === 'number'))
+    .map(([model]) => `pricing.${model} needs numeric input and output rates (USD per million tokens)`);
+}
+
+/**
+ * Get the budgets that are set
+ * @param {Object} budget - budget section of .ralph/config.yaml
+ * @returns {Array<{scope: string, unit: string, limit: number}>} Active limits
+ */
+function getBudgetLimits(budget) {
+  return BUDGET_SCOPES.flatMap(scope => BUDGET_UNITS
+    .map(unit => ({ scope, unit, limit: Number(budget[`${scope}_${unit}`]) || 0 }))
+    .filter(({ limit }) => limit > 0));
+}
+
+/**
+ * Add up tokens and cost of ledger entries
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {{tokens: number, cost: number}}
+ */
+function sumSpend(entries) {
+  return {
+    tokens: entries.reduce((sum, e) => sum + (e.inputTokens || 0) + (e.outputTokens || 0), 0),
+    cost: entries.reduce((sum, e) => sum + (e.cost || 0), 0)
+  };
+}
+
+/**
+ * Read what has been spent so far from the run ledgers
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {string} options.runId - Current run
+ * @param {string} options.storyId - Story about to run
+ * @param {Date} options.now - Current time (decides "today")
+ * @returns {Promise<Object>} {run, story, daily}, each {tokens, cost}
+ */
+async function getSpend(projectRoot = process.cwd(), options = {}) {
+  const { runId = null, storyId = null, now = new Date() } = options;
+  const today = now.toDateString();
+
+  const entries = [];
+  for (const run of await listRuns(projectRoot)) {
+    entries.push(...await readLedger(run.id, projectRoot));
+  }
+
+  return {
+    run: sumSpend(entries.filter(e => e.runId === runId)),
+    story: sumSpend(entries.filter(e => e.storyId === storyId)),
+    daily: sumSpend(entries.filter(e => e.startedAt && new Date(e.startedAt).toDateString() === today))
+  };
+}
+
+/**
+ * Compare spend against the budgets
+ * @param {Object} spend - Result of getSpend
+ * @param {Object} budget - budget section of .ralph/config.yaml
+ * @returns {{exceeded: Array<Object>, warnings: Array<Object>}} Each {scope, unit, spent, limit}
+ */
+function checkBudgets(spend, budget) {
+  const warnAt = Number(budget.warn_at) || 0;
+  const exceeded = [];
+  const warnings = [];
+
+  for (const { scope, unit, limit } of getBudgetLimits(budget)) {
+    const spent = spend[scope][unit];
+    if (spent >= limit) {
+      exceeded.push({ scope, unit, spent, limit });
+    } else if (warnAt > 0 && spent >= limit * warnAt) {
+      warnings.push({ scope, unit, spent, limit });
+    }
+  }
+
+  return { exceeded, warnings };
+}
+
+/**
+ * Describe a budget check result
+ * @param {Object} item - {scope, unit, spent, limit}
+ * @param {string} storyId - Story, for story budgets
+ * @returns {string} e.g. "daily cost $4.1000 of $5.0000", "US-002 tokens 52000 of 50000"
+ */
+function describeBudget(item, storyId = null) {
+  const amount = value => (item.unit === 'cost' ? `$${value.toFixed(4)}` : String(value));
+  const scope = item.scope === 'story' && storyId ? storyId : item.scope;
+  return `${scope} ${item.unit} ${amount(item.spent)} of ${amount(item.limit)}`;
+}
+
+export {
+  BUDGET_SCOPES,
+  BUDGET_UNITS,
+  getModelRates,
+  validatePricing,
+  getBudgetLimits,
+  getSpend,
+  checkBudgets,
+  describeBudget
+};
@@ -9,6 +9,7 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { getStoryDependencies } from './story-scheduler.js';
 
 // Complexity levels
 const COMPLEXITY = {
@@ -115,9 +116,10 @@ function countDependencies(prd) {
       deps++;
     }
 
-    // Check for blocked/blocking indicators
-    if (story.blockedBy || story.blocks) {
-      deps += (story.blockedBy?.length || 0) + (story.blocks?.length || 0);
+    // Count explicit dependency edges
+    deps += getStoryDependencies(story).length;
+    if (Array.isArray(story.blocks)) {
+      deps += story.blocks.length;
     }
   }
 
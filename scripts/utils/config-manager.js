@@ -7,6 +7,11 @@
  * @module config-manager
  */
 
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 /**
  * Get environment variable with fallback to default
  * @param {string} envVar - Environment variable name
@@ -64,6 +69,13 @@ function validateConfig(config) {
     errors.push(`news.similarityThreshold must be 0-1, got ${config.news.similarityThreshold}`);
   }
 
+  // Fixture mode must be known, and record/replay need a directory
+  if (!['live', 'record', 'replay'].includes(config.http.fixtureMode)) {
+    errors.push(`http.fixtureMode must be live, record or replay, got ${config.http.fixtureMode}`);
+  } else if (config.http.fixtureMode !== 'live' && !config.http.fixturesDir) {
+    errors.push(`http.fixturesDir (HTTP_FIXTURES_DIR) is required in ${config.http.fixtureMode} mode`);
+  }
+
   if (errors.length > 0) {
     throw new Error(`Configuration validation failed:\n  - ${errors.join('\n  - ')}`);
   }
@@ -190,6 +202,14 @@ export const CONFIG = {
     lookbackWindow: getEnv('UPDATE_LOOKBACK', 24 * 60 * 60 * 1000), // 24 hours
   },
 
+  // ===========================================
+  // Knowledge Base
+  // ===========================================
+  knowledgeBase: {
+    /** Directory holding the synced docs, their history and the news cache */
+    path: getEnv('KNOWLEDGE_BASE_PATH', path.join(__dirname, '..', '..', 'knowledge-base')),
+  },
+
   // ===========================================
   // HTTP Client
   // ===========================================
@@ -208,6 +228,12 @@ export const CONFIG = {
 
     /** User agent string for requests */
     userAgent: getEnv('HTTP_USER_AGENT', 'claude-init-news-aggregator/1.0'),
+
+    /** Fixture mode: live, record (save responses) or replay (serve saved responses, offline) */
+    fixtureMode: getEnv('HTTP_FIXTURE_MODE', 'live'),
+
+    /** Directory for recorded response fixtures */
+    fixturesDir: getEnv('HTTP_FIXTURES_DIR', ''),
   },
 };
 
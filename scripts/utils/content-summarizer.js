@@ -4,8 +4,7 @@
  * Instead of just showing "modified: hooks", it explains WHAT changed
  */
 
-import fs from 'fs-extra';
-import path from 'path';
+import { diffWords } from './text-diff.js';
 
 /**
  * Extract sections from markdown content
@@ -132,15 +131,20 @@ export function compareDocuments(oldContent, newContent, docName) {
   for (const newSection of newSections) {
     const oldSection = oldSections.find(s => s.heading === newSection.heading);
     if (oldSection && oldSection.content !== newSection.content) {
-      // Check if content significantly changed
-      const oldLen = oldSection.content.length;
-      const newLen = newSection.content.length;
-      const diff = Math.abs(newLen - oldLen);
-
-      if (diff > 50 || diff / Math.max(oldLen, 1) > 0.1) {
+      // Count changed words; whitespace-only edits don't count
+      const ops = diffWords(oldSection.content, newSection.content);
+      const countWords = type => ops
+        .filter(op => op.type === type)
+        .reduce((sum, op) => sum + (op.value.match(/[\p{L}\p{N}_]+/gu) || []).length, 0);
+      const added = countWords('insert');
+      const removed = countWords('delete');
+
+      if (added + removed > 0) {
         summary.modifiedSections.push({
           heading: newSection.heading,
-          change: newLen > oldLen ? 'expanded' : 'condensed'
+          change: added > removed ? 'expanded' : 'condensed',
+          wordsAdded: added,
+          wordsRemoved: removed
         });
       }
     }
@@ -336,8 +340,12 @@ const DOC_CATEGORIES = {
 
 /**
  * Get category info for a doc
+ * A category set on the doc's source (doc.category, doc.icon) wins
  */
-export function getDocCategory(docName) {
+export function getDocCategory(docName, doc = {}) {
+  if (doc.category) {
+    return { category: doc.category, icon: doc.icon || '📄', title: docName, description: '', highlights: [] };
+  }
   return DOC_CATEGORIES[docName] || { category: 'Other', icon: '📄', title: docName, description: '', highlights: [] };
 }
 
@@ -371,7 +379,7 @@ export function groupChangesByCategory(summaries) {
   const grouped = {};
 
   for (const summary of summaries) {
-    const { category, icon } = getDocCategory(summary.docName);
+    const { category, icon } = getDocCategory(summary.docName, summary);
     if (!grouped[category]) {
       grouped[category] = { icon, changes: [] };
     }
@@ -408,43 +416,26 @@ export function generateOverallSummary(summaries) {
   return parts.join(', ') + '.';
 }
 
-/**
- * Store previous version of content for future comparison
- */
-export async function storePreviousVersion(knowledgeBasePath, docName, content) {
-  const historyDir = path.join(knowledgeBasePath, 'history');
-  await fs.ensureDir(historyDir);
-
-  const historyFile = path.join(historyDir, `${docName}.prev.md`);
-  await fs.writeFile(historyFile, content, 'utf-8');
-}
-
-/**
- * Load previous version of content
- */
-export async function loadPreviousVersion(knowledgeBasePath, docName) {
-  const historyDir = path.join(knowledgeBasePath, 'history');
-  const historyFile = path.join(historyDir, `${docName}.prev.md`);
-
-  if (await fs.pathExists(historyFile)) {
-    return await fs.readFile(historyFile, 'utf-8');
-  }
-
-  return null;
-}
-
 /**
  * Process all changes and generate summaries
  */
 export async function processChangesWithSummaries(changes, newDocs, existingDocs) {
   const summaries = [];
 
+  // Keep the doc's source and its category for grouping
+  const withSource = (summary, doc = {}) => ({
+    ...summary,
+    ...(doc.source && doc.source !== summary.docName && { source: doc.source }),
+    ...(doc.category && { category: doc.category }),
+    ...(doc.icon && { icon: doc.icon })
+  });
+
   // Process added docs
   for (const docName of changes.added) {
     const newDoc = newDocs[docName];
     if (newDoc && newDoc.content) {
       const summary = compareDocuments(null, newDoc.content, docName);
-      summaries.push(summary);
+      summaries.push(withSource(summary, newDoc));
     }
   }
 
@@ -454,14 +445,14 @@ export async function processChangesWithSummaries(changes, newDocs, existingDocs
     const oldDoc = existingDocs[docName];
     if (newDoc && newDoc.content && oldDoc && oldDoc.content) {
       const summary = compareDocuments(oldDoc.content, newDoc.content, docName);
-      summaries.push(summary);
+      summaries.push(withSource(summary, newDoc));
     }
   }
 
   // Process removed docs
   for (const docName of changes.removed) {
     const summary = compareDocuments(existingDocs[docName]?.content, null, docName);
-    summaries.push(summary);
+    summaries.push(withSource(summary, existingDocs[docName]));
   }
 
   return summaries;
@@ -0,0 +1,282 @@
+/**
+ * RALPH Control Channel
+ *
+ * Lets a human steer a running RALPH loop. Commands are appended to
+ * .ralph/control/commands.jsonl and acknowledged in acks.jsonl, one JSON
+ * object per line. The loop registers itself in runner.json (pid and
+ * current story) so senders can tell whether anyone is listening.
+ *
+ * The runner applies commands between iterations. While an agent session
+ * runs, the guard hook checks the channel before each guarded tool call:
+ * an abort, or a skip of the current story, denies the call so the agent
+ * stops, and a note is handed to the agent once as guidance.
+ *
+ * @module control-channel
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const CONTROL_DIR = '.ralph/control';
+const COMMANDS_FILE = path.join(CONTROL_DIR, 'commands.jsonl');
+const ACKS_FILE = path.join(CONTROL_DIR, 'acks.jsonl');
+const RUNNER_FILE = path.join(CONTROL_DIR, 'runner.json');
+
+// Supported commands and the value each takes
+const CONTROL_COMMANDS = {
+  pause: null,
+  resume: null,
+  skip: 'story',
+  note: 'text',
+  abort: null,
+  'max-iterations': 'number'
+};
+
+// Ack statuses that settle a command; 'delivered' (note shown to the agent) doesn't
+const FINAL_STATUSES = ['applied', 'rejected'];
+
+/**
+ * Validate a command and its value
+ * @param {string} command - Command name
+ * @param {Array<string>} args - Words after the command
+ * @returns {{command: string, value: string|number|null}}
+ */
+function parseControlCommand(command, args = []) {
+  if (!(command in CONTROL_COMMANDS)) {
+    throw new Error(`Unknown control command "${command}". Use one of: ${Object.keys(CONTROL_COMMANDS).join(', ')}`);
+  }
+
+  const kind = CONTROL_COMMANDS[command];
+  const text = args.join(' ').trim();
+
+  if (kind === null) {
+    if (text) throw new Error(`${command} takes no arguments`);
+    return { command, value: null };
+  }
+  if (!text) {
+    throw new Error(`${command} needs a ${kind}, e.g. ${command} ${kind === 'number' ? '10' : kind === 'story' ? 'US-003' : '"use the existing logger"'}`);
+  }
+  if (kind === 'number') {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < 0) {
+      throw new Error(`${command} needs a whole number (0 = until done), got "${text}"`);
+    }
+    return { command, value };
+  }
+  return { command, value: text };
+}
+
+/**
+ * Read a JSON lines file, skipping lines that don't parse
+ * @param {string} filePath - Absolute path
+ * @returns {Promise<Array<Object>>} Entries
+ */
+async function readJsonLines(filePath) {
+  if (!await fs.pathExists(filePath)) return [];
+  const content = await fs.readFile(filePath, 'utf-8');
+  return content.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Append one JSON line to a control file
+ * @param {string} file - Path relative to the project root
+ * @param {Object} entry - Entry
+ * @param {string} projectRoot - Project root directory
+ */
+async function appendJsonLine(file, entry, projectRoot) {
+  const filePath = path.join(projectRoot, file);
+  await fs.ensureDir(path.dirname(filePath));
+  await fs.appendFile(filePath, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * Queue a command for the running loop
+ * @param {string} command - Command name
+ * @param {string|number|null} value - Command value
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Queued entry {id, command, value, sentAt}
+ */
+async function sendControlCommand(command, value = null, projectRoot = process.cwd()) {
+  const entry = {
+    id: `${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+    command,
+    value,
+    sentAt: new Date().toISOString()
+  };
+  await appendJsonLine(COMMANDS_FILE, entry, projectRoot);
+  return entry;
+}
+
+/**
+ * Record an acknowledgement
+ * @param {Object} entry - Command entry
+ * @param {string} status - 'applied', 'rejected' or 'delivered'
+ * @param {string} message - What happened
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Ack
+ */
+async function acknowledgeCommand(entry, status, message, projectRoot = process.cwd()) {
+  const ack = { id: entry.id, command: entry.command, status, message, at: new Date().toISOString() };
+  await appendJsonLine(ACKS_FILE, ack, projectRoot);
+  return ack;
+}
+
+/**
+ * Get all acknowledgements, grouped by command ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Map<string, Array<Object>>>} ID -> acks in order
+ */
+async function loadAcks(projectRoot = process.cwd()) {
+  const acks = new Map();
+  for (const ack of await readJsonLines(path.join(projectRoot, ACKS_FILE))) {
+    if (!acks.has(ack.id)) acks.set(ack.id, []);
+    acks.get(ack.id).push(ack);
+  }
+  return acks;
+}
+
+/**
+ * Get commands that haven't been applied or rejected yet, oldest first
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<Object>>} Command entries, each with its acks so far
+ */
+async function getPendingCommands(projectRoot = process.cwd()) {
+  const acks = await loadAcks(projectRoot);
+  return (await readJsonLines(path.join(projectRoot, COMMANDS_FILE)))
+    .map(entry => ({ ...entry, acks: acks.get(entry.id) || [] }))
+    .filter(entry => !entry.acks.some(ack => FINAL_STATUSES.includes(ack.status)));
+}
+
+/**
+ * Check whether a process is alive
+ * @param {number} pid - Process ID
+ * @returns {boolean}
+ */
+function isProcessAlive(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Register the current process as the running loop. Commands left over
+ * from earlier runs are rejected so they don't hit this one.
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Runner info {pid, startedAt, storyId}
+ */
+async function registerRunner(projectRoot = process.cwd()) {
+  for (const entry of await getPendingCommands(projectRoot)) {
+    await acknowledgeCommand(entry, 'rejected', 'Sent before this run started', projectRoot);
+  }
+
+  const runner = { pid: process.pid, startedAt: new Date().toISOString(), storyId: null };
+  await fs.outputJson(path.join(projectRoot, RUNNER_FILE), runner, { spaces: 2 });
+  return runner;
+}
+
+/**
+ * Record the story the loop is working on
+ * @param {string|null} storyId - Current story
+ * @param {string} projectRoot - Project root directory
+ */
+async function setRunnerStory(storyId, projectRoot = process.cwd()) {
+  const runnerPath = path.join(projectRoot, RUNNER_FILE);
+  const runner = await fs.readJson(runnerPath).catch(() => null);
+  if (runner) {
+    await fs.writeJson(runnerPath, { ...runner, storyId }, { spaces: 2 });
+  }
+}
+
+/**
+ * Remove the runner registration
+ * @param {string} projectRoot - Project root directory
+ */
+async function unregisterRunner(projectRoot = process.cwd()) {
+  await fs.remove(path.join(projectRoot, RUNNER_FILE));
+}
+
+/**
+ * Get the running loop, if its process is still alive
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} Runner info
+ */
+async function getActiveRunner(projectRoot = process.cwd()) {
+  const runner = await fs.readJson(path.join(projectRoot, RUNNER_FILE)).catch(() => null);
+  return runner && isProcessAlive(runner.pid) ? runner : null;
+}
+
+/**
+ * Wait until a command is applied or rejected
+ * @param {string} id - Command ID
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {number} options.timeoutMs - Give up after this long
+ * @param {number} options.pollMs - Delay between checks
+ * @returns {Promise<Object|null>} Final ack, or null on timeout
+ */
+async function waitForAck(id, projectRoot = process.cwd(), options = {}) {
+  const { timeoutMs = 5000, pollMs = 250 } = options;
+  const deadline = Date.now() + timeoutMs;
+
+  for (;;) {
+    const acks = (await loadAcks(projectRoot)).get(id) || [];
+    const final = acks.find(ack => FINAL_STATUSES.includes(ack.status));
+    if (final) return final;
+    if (Date.now() >= deadline) return null;
+    await new Promise(resolve => setTimeout(resolve, pollMs));
+  }
+}
+
+/**
+ * Check the channel before an agent tool call
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{reason: string}|null>} Why to deny the call, or null to carry on
+ */
+async function checkControlForToolCall(projectRoot = process.cwd()) {
+  const runner = await getActiveRunner(projectRoot);
+  if (!runner) return null;
+
+  const pending = await getPendingCommands(projectRoot);
+
+  if (pending.some(entry => entry.command === 'abort')) {
+    return { reason: 'The operator aborted this RALPH run. Stop now: make no further changes and end your turn.' };
+  }
+  if (runner.storyId && pending.some(entry => entry.command === 'skip' && entry.value === runner.storyId)) {
+    return { reason: `The operator skipped ${runner.storyId}. Stop working on it: make no further changes and end your turn.` };
+  }
+
+  const note = pending.find(entry => entry.command === 'note' && entry.acks.length === 0);
+  if (note) {
+    await acknowledgeCommand(note, 'delivered', 'Shown to the agent', projectRoot);
+    return { reason: `Operator note: ${note.value}\nTake this into account, then retry the tool call if it still makes sense.` };
+  }
+
+  return null;
+}
+
+export {
+  CONTROL_DIR,
+  COMMANDS_FILE,
+  ACKS_FILE,
+  RUNNER_FILE,
+  CONTROL_COMMANDS,
+  parseControlCommand,
+  sendControlCommand,
+  acknowledgeCommand,
+  getPendingCommands,
+  registerRunner,
+  setRunnerStory,
+  unregisterRunner,
+  getActiveRunner,
+  waitForAck,
+  checkControlForToolCall
+};
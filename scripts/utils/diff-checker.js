@@ -25,7 +25,9 @@ export async function loadMetadata(knowledgeBasePath) {
     lastSync: null,
     totalSyncs: 0,
     lastProjectSetup: null,
-    docHashes: {}
+    docHashes: {},
+    // {url: {etag, lastModified}} for conditional requests on the next sync
+    httpValidators: {}
   };
 }
 
@@ -1,14 +1,15 @@
 /**
  * Documentation Fetcher Utility
- * Fetches and parses documentation from official Anthropic sources
+ * Fetches and parses documentation pages, and saves, loads and compares
+ * knowledge base docs. Which docs are tracked is up to doc-sources.js.
  */
 
-import fetch from 'node-fetch';
 import TurndownService from 'turndown';
 import fs from 'fs-extra';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
+import httpClient from './http-client.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -18,7 +19,7 @@ const turndownService = new TurndownService({
   codeBlockStyle: 'fenced'
 });
 
-// Official Claude Code documentation URLs
+// Official Claude Code documentation URLs (built-in sources)
 const DOC_SOURCES = {
   overview: 'https://docs.anthropic.com/en/docs/claude-code/overview',
   quickstart: 'https://docs.anthropic.com/en/docs/claude-code/quickstart',
@@ -46,19 +47,76 @@ export function calculateHash(content) {
   return crypto.createHash('md5').update(content).digest('hex');
 }
 
+/**
+ * Build a doc from markdown: tidy whitespace and hash the result
+ * Extra fields (source, category, icon) are copied onto the doc
+ */
+export function createDoc(name, url, markdown, extra = {}) {
+  const cleanedMarkdown = markdown
+    .replace(/\n{3,}/g, '\n\n')
+    .replace(/^\s+|\s+$/g, '')
+    .trim();
+
+  return {
+    name,
+    url,
+    content: cleanedMarkdown,
+    hash: calculateHash(cleanedMarkdown),
+    fetchedAt: new Date().toISOString(),
+    ...extra
+  };
+}
+
+/**
+ * Request headers that make a fetch conditional on the page having changed
+ * validators: {etag, lastModified} from an earlier response
+ */
+export function conditionalHeaders(validators = {}) {
+  const headers = {};
+  if (validators?.etag) headers['If-None-Match'] = validators.etag;
+  if (validators?.lastModified) headers['If-Modified-Since'] = validators.lastModified;
+  return headers;
+}
+
+/**
+ * Read the ETag/Last-Modified validators of a response
+ */
+export function responseValidators(response) {
+  const validators = {};
+  const etag = response.headers?.get?.('etag');
+  const lastModified = response.headers?.get?.('last-modified');
+  if (etag) validators.etag = etag;
+  if (lastModified) validators.lastModified = lastModified;
+  return validators;
+}
+
 /**
  * Fetch a single documentation page
+ * With validators the request is conditional; an unchanged page comes
+ * back as { notModified: true } without content
  */
-export async function fetchDoc(name, url) {
+export async function fetchDoc(name, url, validators = null) {
   try {
-    const response = await fetch(url, {
+    const response = await httpClient.fetch(url, {
       headers: {
         'User-Agent': 'Claude-Code-Project-Init/1.0',
-        'Accept': 'text/html,application/xhtml+xml'
+        'Accept': 'text/html,application/xhtml+xml',
+        ...conditionalHeaders(validators)
       },
       timeout: 30000
     });
 
+    if (response.status === 304) {
+      return {
+        name,
+        url,
+        notModified: true,
+        ...validators,
+        ...responseValidators(response),
+        fetchedAt: new Date().toISOString()
+      };
+    }
+
     if (!response.ok) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
@@ -74,20 +132,8 @@ export async function fetchDoc(name, url) {
     
     // Convert HTML to Markdown
     const markdown = turndownService.turndown(content);
-    
-    // Clean up the markdown
-    const cleanedMarkdown = markdown
-      .replace(/\n{3,}/g, '\n\n')
-      .replace(/^\s+|\s+$/g, '')
-      .trim();
 
-    return {
-      name,
-      url,
-      content: cleanedMarkdown,
-      hash: calculateHash(cleanedMarkdown),
-      fetchedAt: new Date().toISOString()
-    };
+    return createDoc(name, url, markdown, responseValidators(response));
   } catch (error) {
     console.error(`Failed to fetch ${name} from ${url}:`, error.message);
     return {
@@ -100,32 +146,6 @@ export async function fetchDoc(name, url) {
   }
 }
 
-/**
- * Fetch all documentation
- */
-export async function fetchAllDocs() {
-  const results = {};
-  const errors = [];
-
-  console.log(`Fetching ${Object.keys(DOC_SOURCES).length} documentation pages...`);
-
-  for (const [name, url] of Object.entries(DOC_SOURCES)) {
-    console.log(`  Fetching: ${name}...`);
-    const doc = await fetchDoc(name, url);
-    
-    if (doc.error) {
-      errors.push({ name, error: doc.error });
-    } else {
-      results[name] = doc;
-    }
-    
-    // Rate limiting - wait 500ms between requests
-    await new Promise(resolve => setTimeout(resolve, 500));
-  }
-
-  return { docs: results, errors };
-}
-
 /**
  * Save fetched docs to knowledge base
  */
@@ -141,7 +161,7 @@ export async function saveDocs(docs, knowledgeBasePath) {
       const fileContent = `---
 source: ${doc.url}
 fetched: ${doc.fetchedAt}
-hash: ${doc.hash}
+hash: ${doc.hash}${doc.source && doc.source !== name ? `\norigin: ${doc.source}` : ''}
 ---
 
 ${doc.content}`;
@@ -169,13 +189,17 @@ export async function loadExistingDocs(knowledgeBasePath) {
       const name = path.basename(file, '.md');
       const content = await fs.readFile(path.join(docsDir, file), 'utf-8');
       
-      // Extract hash from frontmatter
-      const hashMatch = content.match(/^---[\s\S]*?hash:\s*([a-f0-9]+)[\s\S]*?---/);
-      const hash = hashMatch ? hashMatch[1] : null;
+      // Read metadata from frontmatter
+      const header = content.match(/^---\n([\s\S]*?)\n---/)?.[1] || '';
+      const field = key => header.match(new RegExp(`^${key}:\\s*(.+)$`, 'm'))?.[1].trim() || null;
       
       existing[name] = {
         name,
-        hash,
+        url: field('source'),
+        fetchedAt: field('fetched'),
+        hash: field('hash'),
+        // Built-in docs are their own source
+        source: field('origin') || name,
         content: content.replace(/^---[\s\S]*?---\n\n/, '')
       };
     }
@@ -0,0 +1,267 @@
+/**
+ * Knowledge Base Doc History
+ *
+ * Keeps every synced version of each knowledge-base doc, so changes can
+ * be diffed between any two knowledge-base versions:
+ *
+ *   knowledge-base/history/<doc>/versions.json   - [{version, hash, recordedAt, removed}]
+ *   knowledge-base/history/<doc>/<version>.md    - doc content at that version
+ *
+ * A version is recorded only when a sync changes the doc, so a doc "at
+ * v1.4" is its latest recorded version at or before 1.4.
+ *
+ * @module doc-history
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+// History directory (relative to the knowledge base)
+const HISTORY_DIR = 'history';
+
+// Version index in each doc's history directory
+const VERSIONS_FILE = 'versions.json';
+
+/**
+ * Get a doc's history directory
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @param {string} docName - Doc name
+ * @returns {string} Directory path
+ */
+function getDocHistoryDir(knowledgeBasePath, docName) {
+  return path.join(knowledgeBasePath, HISTORY_DIR, docName);
+}
+
+/**
+ * Parse a version like "1.4.2" or "v1.4" into numbers
+ * @param {string} version - Version
+ * @returns {Array<number>|null} Parts, or null if not a version
+ */
+function parseVersion(version) {
+  const match = String(version).trim().match(/^v?(\d+(?:\.\d+){0,2})$/);
+  return match ? match[1].split('.').map(Number) : null;
+}
+
+/**
+ * Compare two versions
+ * @param {string} a - Version
+ * @param {string} b - Version
+ * @returns {number} Negative, zero or positive
+ */
+function compareVersions(a, b) {
+  const pa = parseVersion(a) || [];
+  const pb = parseVersion(b) || [];
+  for (let i = 0; i < 3; i++) {
+    const diff = (pa[i] || 0) - (pb[i] || 0);
+    if (diff !== 0) return diff;
+  }
+  return 0;
+}
+
+/**
+ * List the recorded versions of a doc
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @param {string} docName - Doc name
+ * @returns {Promise<Array<Object>>} Entries, oldest first
+ */
+async function listDocVersions(knowledgeBasePath, docName) {
+  const file = path.join(getDocHistoryDir(knowledgeBasePath, docName), VERSIONS_FILE);
+  if (!await fs.pathExists(file)) {
+    return [];
+  }
+  const entries = await fs.readJson(file);
+  return entries.sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * List docs that have history
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @returns {Promise<Array<string>>} Doc names
+ */
+async function listHistoryDocs(knowledgeBasePath) {
+  const dir = path.join(knowledgeBasePath, HISTORY_DIR);
+  if (!await fs.pathExists(dir)) {
+    return [];
+  }
+
+  const names = [];
+  for (const name of await fs.readdir(dir)) {
+    if (await fs.pathExists(path.join(dir, name, VERSIONS_FILE))) {
+      names.push(name);
+    }
+  }
+  return names.sort();
+}
+
+/**
+ * Record a doc's content at a knowledge-base version. Nothing is recorded
+ * if the content matches the latest version; recording a version again
+ * replaces it.
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @param {string} docName - Doc name
+ * @param {string} version - Knowledge base version
+ * @param {string|null} content - Doc content, or null if the doc was removed
+ * @param {Object} options - Options
+ * @param {string} options.hash - Content hash
+ * @returns {Promise<Object|null>} Recorded entry, or null if unchanged
+ */
+async function recordDocVersion(knowledgeBasePath, docName, version, content, options = {}) {
+  if (!parseVersion(version)) {
+    throw new Error(`Invalid knowledge base version: ${version}`);
+  }
+
+  const dir = getDocHistoryDir(knowledgeBasePath, docName);
+  const entries = (await listDocVersions(knowledgeBasePath, docName))
+    .filter(e => compareVersions(e.version, version) !== 0);
+
+  const latest = entries[entries.length - 1];
+  const removed = content === null;
+  if (latest && compareVersions(latest.version, version) < 0) {
+    const latestContent = latest.removed ? null : await fs.readFile(path.join(dir, `${latest.version}.md`), 'utf-8');
+    if (latestContent === content) {
+      return null;
+    }
+  }
+
+  const entry = {
+    version,
+    hash: options.hash || null,
+    recordedAt: new Date().toISOString(),
+    removed
+  };
+
+  await fs.ensureDir(dir);
+  if (removed) {
+    await fs.remove(path.join(dir, `${version}.md`));
+  } else {
+    await fs.writeFile(path.join(dir, `${version}.md`), content, 'utf-8');
+  }
+  entries.push(entry);
+  await fs.writeJson(path.join(dir, VERSIONS_FILE), entries.sort((a, b) => compareVersions(a.version, b.version)), { spaces: 2 });
+
+  return entry;
+}
+
+/**
+ * Record the docs a sync changed. Docs without history are first seeded
+ * with their pre-sync content at the previous version, so the first
+ * change after history was introduced can still be diffed.
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @param {Object} sync - Sync result
+ * @param {string} sync.previousVersion - Knowledge base version before the sync
+ * @param {string} sync.version - Knowledge base version after the sync
+ * @param {Object} sync.existingDocs - Docs before the sync (from loadExistingDocs)
+ * @param {Object} sync.newDocs - Fetched docs
+ * @param {Object} sync.changes - Result of detectChanges
+ * @returns {Promise<Array<string>>} Docs with a new version
+ */
+async function recordSyncVersions(knowledgeBasePath, sync) {
+  const { previousVersion, version, existingDocs = {}, newDocs = {}, changes } = sync;
+
+  for (const [name, doc] of Object.entries(existingDocs)) {
+    if ((await listDocVersions(knowledgeBasePath, name)).length === 0) {
+      await recordDocVersion(knowledgeBasePath, name, previousVersion, doc.content, { hash: doc.hash });
+    }
+  }
+
+  const recorded = [];
+  for (const name of [...changes.added, ...changes.modified]) {
+    const doc = newDocs[name];
+    if (doc?.content && await recordDocVersion(knowledgeBasePath, name, version, doc.content, { hash: doc.hash })) {
+      recorded.push(name);
+    }
+  }
+  for (const name of changes.removed) {
+    if (await recordDocVersion(knowledgeBasePath, name, version, null)) {
+      recorded.push(name);
+    }
+  }
+
+  return recorded;
+}
+
+/**
+ * Find the entry for a version spec: the latest version at or before it.
+ * A partial spec covers its whole range ("v1.4" includes 1.4.3).
+ * @param {Array<Object>} entries - Entries from listDocVersions
+ * @param {string} spec - Version spec, or "latest"
+ * @returns {Object|null} Entry, or null if none is that old
+ */
+function resolveDocVersion(entries, spec = 'latest') {
+  if (!spec || spec === 'latest') {
+    return entries[entries.length - 1] || null;
+  }
+
+  const parts = parseVersion(spec);
+  if (!parts) {
+    throw new Error(`Invalid version: ${spec} (expected e.g. v1.4 or 1.4.2)`);
+  }
+
+  // Missing parts match anything: 1.4 → up to 1.4.∞
+  const upper = [0, 1, 2].map(i => (parts[i] === undefined ? Infinity : parts[i]));
+  const atOrBefore = entries.filter(e => {
+    const version = parseVersion(e.version);
+    for (let i = 0; i < 3; i++) {
+      if (version[i] !== upper[i]) return version[i] < upper[i];
+    }
+    return true;
+  });
+
+  return atOrBefore[atOrBefore.length - 1] || null;
+}
+
+/**
+ * Load a doc as of a version
+ * @param {string} knowledgeBasePath - Knowledge base directory
+ * @param {string} docName - Doc name
+ * @param {string} spec - Version spec, or "latest"
+ * @returns {Promise<Object|null>} {version, content, removed}; content is '' for a removed doc
+ */
+async function loadDocVersion(knowledgeBasePath, docName, spec = 'latest') {
+  const entry = resolveDocVersion(await listDocVersions(knowledgeBasePath, docName), spec);
+  if (!entry) {
+    return null;
+  }
+
+  const content = entry.removed
+    ? ''
+    : await fs.readFile(path.join(getDocHistoryDir(knowledgeBasePath, docName), `${entry.version}.md`), 'utf-8');
+
+  return { version: entry.version, content, removed: entry.removed };
+}
+
+/**
+ * Match a doc name: exact, else a unique name that starts with or
+ * contains it ("hooks" → "hooks-guide")
+ * @param {Array<string>} names - Known doc names
+ * @param {string} input - Name to match
+ * @returns {string} Doc name
+ */
+function resolveDocName(names, input) {
+  if (names.includes(input)) {
+    return input;
+  }
+
+  const prefixed = names.filter(n => n.startsWith(input));
+  const matches = prefixed.length > 0 ? prefixed : names.filter(n => n.includes(input));
+  if (matches.length === 1) {
+    return matches[0];
+  }
+  if (matches.length > 1) {
+    throw new Error(`"${input}" matches several docs: ${matches.join(', ')}`);
+  }
+  throw new Error(`No history for doc "${input}"${names.length > 0 ? ` (known: ${names.join(', ')})` : ''}`);
+}
+
+export {
+  HISTORY_DIR,
+  getDocHistoryDir,
+  compareVersions,
+  listDocVersions,
+  listHistoryDocs,
+  recordDocVersion,
+  recordSyncVersions,
+  resolveDocVersion,
+  loadDocVersion,
+  resolveDocName
+};
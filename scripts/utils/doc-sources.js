@@ -0,0 +1,434 @@
+/**
+ * Documentation Sources
+ *
+ * The registry of docs `sync-knowledge` tracks. The built-in Claude Code
+ * pages are always registered; more sources come from `docSources` in
+ * the global config (~/.claude-init/config.json), keyed by source name:
+ *
+ *   "docSources": {
+ *     "react-hooks": { "type": "html", "url": "https://react.dev/reference/react/hooks" },
+ *     "vitest-config": { "type": "markdown", "url": "https://raw.githubusercontent.com/..." },
+ *     "runbooks": { "type": "directory", "path": "~/work/runbooks", "category": "Runbooks", "icon": "📒" },
+ *     "platform": { "type": "git", "path": "~/src/platform", "dir": "docs", "ref": "origin/main" },
+ *     "iam": false
+ *   }
+ *
+ * Built-in types:
+ * - html:      a web page; its main content is converted to markdown
+ * - markdown:  a raw markdown URL, stored as-is
+ * - directory: every markdown file in a local folder
+ * - git:       markdown files committed to a local repo at a ref (default HEAD)
+ *
+ * Single-page sources produce one doc named after the source; folder and
+ * repo sources produce one doc per file, named "<source>-<path>". Setting
+ * a source to false stops tracking it (built-ins included). Every doc
+ * gets the same hashing, change detection, history and summaries.
+ *
+ * @module doc-sources
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { pathToFileURL } from 'url';
+import { DOC_SOURCES, fetchDoc, createDoc, conditionalHeaders, responseValidators } from './doc-fetcher.js';
+import httpClient from './http-client.js';
+import { matchRules } from './glob-matcher.js';
+import { loadGlobalConfig } from './project-registry.js';
+import { getConfig } from './config-manager.js';
+
+const execFileAsync = promisify(execFile);
+
+// Source types
+const SOURCE_TYPES = {
+  HTML: 'html',
+  MARKDOWN: 'markdown',
+  DIRECTORY: 'directory',
+  GIT: 'git'
+};
+
+// Files a directory or git source picks up unless it sets `include`
+const DEFAULT_INCLUDE = ['*.md'];
+
+// Directories never scanned in a directory source
+const SKIPPED_DIRS = new Set(['.git', 'node_modules']);
+
+// Pause between URL fetches (ms)
+const FETCH_DELAY_MS = 500;
+
+/**
+ * Expand a leading ~ and resolve a path
+ * @param {string} filePath - Path from the config
+ * @returns {string} Absolute path
+ */
+function resolveSourcePath(filePath) {
+  return path.resolve(filePath.replace(/^~(?=$|[/\\])/, os.homedir()));
+}
+
+/**
+ * Name the doc for a file in a folder or repo source
+ * @param {string} sourceName - Source name
+ * @param {string} relativePath - File path inside the source
+ * @returns {string} e.g. "runbooks-deploy-rollback" for deploy/Rollback.md
+ */
+function fileDocName(sourceName, relativePath) {
+  const slug = relativePath
+    .replace(/\.[^./]+$/, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${sourceName}-${slug}`;
+}
+
+/**
+ * Fields every doc from a source carries
+ * @param {string} name - Source name
+ * @param {Object} definition - Source definition
+ * @returns {Object} {source, category?, icon?}
+ */
+function sourceFields(name, definition) {
+  return {
+    source: name,
+    ...(definition.category && { category: definition.category }),
+    ...(definition.icon && { icon: definition.icon })
+  };
+}
+
+/**
+ * Validators for a conditional request. Only sent when the doc is still
+ * in the knowledge base, since a 304 means "reuse what you have".
+ * @param {string} name - Doc name
+ * @param {string} url - Doc URL
+ * @param {Object} context - {existingDocs, validators}
+ * @returns {Object|null} {etag, lastModified}
+ */
+function getValidators(name, url, context) {
+  return context.existingDocs?.[name] ? context.validators?.[url] || null : null;
+}
+
+/**
+ * Reuse the knowledge base copy of a doc that wasn't modified
+ * @param {string} name - Doc name
+ * @param {Object} context - {existingDocs}
+ * @param {Object} fields - Validators and source fields
+ * @returns {Object} Doc
+ */
+function unchangedDoc(name, context, fields) {
+  return { ...context.existingDocs[name], ...fields, notModified: true };
+}
+
+/**
+ * Fetch an HTML page source
+ * @param {string} name - Source name
+ * @param {Object} definition - {url}
+ * @param {Object} context - {existingDocs, validators} for conditional requests
+ * @returns {Promise<Array<Object>>} Docs
+ */
+async function fetchHtmlSource(name, definition, context = {}) {
+  const doc = await fetchDoc(name, definition.url, getValidators(name, definition.url, context));
+  if (doc.error) {
+    throw new Error(doc.error);
+  }
+  if (doc.notModified) {
+    const { etag, lastModified } = doc;
+    return [unchangedDoc(name, context, { etag, lastModified, ...sourceFields(name, definition) })];
+  }
+  return [{ ...doc, ...sourceFields(name, definition) }];
+}
+
+/**
+ * Fetch a raw markdown URL source
+ * @param {string} name - Source name
+ * @param {Object} definition - {url}
+ * @param {Object} context - {existingDocs, validators} for conditional requests
+ * @returns {Promise<Array<Object>>} Docs
+ */
+async function fetchMarkdownSource(name, definition, context = {}) {
+  const validators = getValidators(name, definition.url, context);
+  const response = await httpClient.fetch(definition.url, {
+    headers: {
+      'User-Agent': 'Claude-Code-Project-Init/1.0',
+      'Accept': 'text/markdown,text/plain;q=0.9,*/*;q=0.8',
+      ...conditionalHeaders(validators)
+    },
+    timeout: getConfig('timeouts.docFetch', 30000)
+  });
+
+  if (response.status === 304) {
+    return [unchangedDoc(name, context, { ...validators, ...responseValidators(response), ...sourceFields(name, definition) })];
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+  }
+
+  return [createDoc(name, definition.url, await response.text(), {
+    ...responseValidators(response),
+    ...sourceFields(name, definition)
+  })];
+}
+
+/**
+ * List files under a directory matching include patterns
+ * @param {string} root - Directory
+ * @param {Array<string>} include - gitignore-style patterns
+ * @returns {Promise<Array<string>>} Relative paths (forward slashes), sorted
+ */
+async function listSourceFiles(root, include) {
+  const files = [];
+
+  async function walk(dir) {
+    for (const entry of await fs.readdir(dir, { withFileTypes: true })) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRS.has(entry.name)) await walk(fullPath);
+      } else if (entry.isFile()) {
+        const relativePath = path.relative(root, fullPath).split(path.sep).join('/');
+        if (matchRules(relativePath, include).matched) files.push(relativePath);
+      }
+    }
+  }
+
+  await walk(root);
+  return files.sort();
+}
+
+/**
+ * Read a local directory source
+ * @param {string} name - Source name
+ * @param {Object} definition - {path, include?}
+ * @returns {Promise<Array<Object>>} Docs
+ */
+async function fetchDirectorySource(name, definition) {
+  const root = resolveSourcePath(definition.path);
+  if (!await fs.pathExists(root)) {
+    throw new Error(`Directory not found: ${root}`);
+  }
+
+  const docs = [];
+  for (const file of await listSourceFiles(root, definition.include || DEFAULT_INCLUDE)) {
+    const fullPath = path.join(root, file);
+    const content = await fs.readFile(fullPath, 'utf-8');
+    docs.push(createDoc(fileDocName(name, file), pathToFileURL(fullPath).href, content, sourceFields(name, definition)));
+  }
+  return docs;
+}
+
+/**
+ * Run a git command
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Repository
+ * @returns {Promise<string>} stdout
+ */
+async function git(args, cwd) {
+  const { stdout } = await execFileAsync('git', args, { cwd, maxBuffer: 64 * 1024 * 1024 });
+  return stdout;
+}
+
+/**
+ * Read a git repository source: files as committed at `ref`, so
+ * uncommitted edits aren't synced. `pull: true` fast-forwards first.
+ * @param {string} name - Source name
+ * @param {Object} definition - {path, ref?, dir?, include?, pull?}
+ * @returns {Promise<Array<Object>>} Docs
+ */
+async function fetchGitSource(name, definition) {
+  const repo = resolveSourcePath(definition.path);
+  if (!await fs.pathExists(repo)) {
+    throw new Error(`Repository not found: ${repo}`);
+  }
+
+  if (definition.pull) {
+    await git(['pull', '--ff-only', '--quiet'], repo);
+  }
+
+  const ref = definition.ref || 'HEAD';
+  const commit = (await git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], repo).catch(() => '')).trim();
+  if (!commit) {
+    throw new Error(`Unknown ref "${ref}" in ${repo}`);
+  }
+
+  const dir = (definition.dir || '').replace(/^\/+|\/+$/g, '');
+  const listed = await git(['ls-tree', '-r', '-z', '--full-tree', '--name-only', commit, '--', dir || '.'], repo);
+  const include = definition.include || DEFAULT_INCLUDE;
+
+  const docs = [];
+  for (const file of listed.split('\0').filter(Boolean).sort()) {
+    const relativePath = dir ? file.slice(dir.length + 1) : file;
+    if (!matchRules(relativePath, include).matched) continue;
+
+    const content = await git(['show', `${commit}:${file}`], repo);
+    const url = `${pathToFileURL(repo).href}#${commit.slice(0, 7)}:${file}`;
+    docs.push(createDoc(fileDocName(name, relativePath), url, content, sourceFields(name, definition)));
+  }
+  return docs;
+}
+
+// Fetchers by source type
+const SOURCE_FETCHERS = {
+  [SOURCE_TYPES.HTML]: fetchHtmlSource,
+  [SOURCE_TYPES.MARKDOWN]: fetchMarkdownSource,
+  [SOURCE_TYPES.DIRECTORY]: fetchDirectorySource,
+  [SOURCE_TYPES.GIT]: fetchGitSource
+};
+
+/**
+ * Build the source registry: built-in pages plus configured sources
+ * @param {Object} configured - docSources from the global config
+ * @returns {Object} Source definitions by name
+ */
+function getDocSources(configured = {}) {
+  const sources = {};
+  for (const [name, url] of Object.entries(DOC_SOURCES)) {
+    sources[name] = { type: SOURCE_TYPES.HTML, url, builtin: true };
+  }
+
+  for (const [name, definition] of Object.entries(configured || {})) {
+    if (definition === false || definition === null) {
+      delete sources[name];
+    } else {
+      sources[name] = { ...definition };
+    }
+  }
+
+  return sources;
+}
+
+/**
+ * Load the source registry from the global config
+ * @returns {Promise<Object>} Source definitions by name
+ */
+async function loadDocSources() {
+  const config = await loadGlobalConfig();
+  return getDocSources(config.docSources);
+}
+
+/**
+ * Check a source definition
+ * @param {string} name - Source name
+ * @param {Object} definition - Source definition
+ * @returns {Array<string>} Errors
+ */
+function validateDocSource(name, definition) {
+  const errors = [];
+
+  if (!/^[a-z0-9][a-z0-9._-]*$/i.test(name)) {
+    errors.push(`Source name "${name}" may only use letters, digits, ".", "_" and "-"`);
+  }
+  if (!definition || typeof definition !== 'object') {
+    return [...errors, `Source "${name}" must be an object or false`];
+  }
+  if (!SOURCE_FETCHERS[definition.type]) {
+    errors.push(`Source "${name}" has unknown type "${definition.type}" (expected ${Object.values(SOURCE_TYPES).join(', ')})`);
+  } else if ([SOURCE_TYPES.HTML, SOURCE_TYPES.MARKDOWN].includes(definition.type) && !/^https?:\/\//.test(definition.url || '')) {
+    errors.push(`Source "${name}" needs an http(s) url`);
+  } else if ([SOURCE_TYPES.DIRECTORY, SOURCE_TYPES.GIT].includes(definition.type) && !definition.path) {
+    errors.push(`Source "${name}" needs a path`);
+  }
+  if (definition.include !== undefined && !(Array.isArray(definition.include) && definition.include.every(p => typeof p === 'string'))) {
+    errors.push(`Source "${name}" include must be a list of patterns`);
+  }
+
+  return errors;
+}
+
+/**
+ * Fetch every source. A source that fails (or is invalid) is reported in
+ * `errors` and skipped; the others still sync.
+ *
+ * URL sources are fetched conditionally when `validators` (kept in the
+ * knowledge base metadata) has an ETag or Last-Modified for them; a 304
+ * reuses the doc from `existingDocs` without downloading or converting it.
+ * @param {Object} sources - Source definitions by name
+ * @param {Object} context - Options
+ * @param {Object} context.existingDocs - Docs from loadExistingDocs
+ * @param {Object} context.validators - {url: {etag, lastModified}} from the last sync
+ * @returns {Promise<Object>} {docs: {name: doc}, errors: [{name, error}], results: {source: {type, docs, error}},
+ *   validators: {url: {etag, lastModified}}, notModified: [names]}
+ */
+async function fetchAllSources(sources, context = {}) {
+  const docs = {};
+  const errors = [];
+  const results = {};
+  const validators = {};
+  const notModified = [];
+
+  console.log(`Fetching ${Object.keys(sources).length} documentation sources...`);
+
+  for (const [name, definition] of Object.entries(sources)) {
+    const result = { type: definition?.type, docs: [], error: null };
+    results[name] = result;
+
+    const invalid = validateDocSource(name, definition);
+    if (invalid.length > 0) {
+      result.error = invalid.join('; ');
+      errors.push({ name, error: result.error });
+      continue;
+    }
+
+    console.log(`  Fetching: ${name}...`);
+    try {
+      for (const { notModified: unchanged, etag, lastModified, ...doc } of await SOURCE_FETCHERS[definition.type](name, definition, context)) {
+        if (docs[doc.name]) {
+          errors.push({ name: doc.name, error: `Also provided by source "${docs[doc.name].source}"; skipped the copy from "${name}"` });
+          continue;
+        }
+        docs[doc.name] = doc;
+        result.docs.push(doc.name);
+        if (unchanged) notModified.push(doc.name);
+        if (etag || lastModified) {
+          validators[doc.url] = { ...(etag && { etag }), ...(lastModified && { lastModified }) };
+        }
+      }
+    } catch (error) {
+      result.error = error.message;
+      errors.push({ name, error: error.message });
+    }
+
+    // Rate limiting between requests
+    if ([SOURCE_TYPES.HTML, SOURCE_TYPES.MARKDOWN].includes(definition.type)) {
+      await new Promise(resolve => setTimeout(resolve, FETCH_DELAY_MS));
+    }
+  }
+
+  // A failed source keeps its validators for next time
+  for (const [name, definition] of Object.entries(sources)) {
+    const previous = context.validators?.[definition?.url];
+    if (results[name].error && previous) validators[definition.url] = previous;
+  }
+
+  return { docs, errors, results, validators, notModified };
+}
+
+/**
+ * Carry over the existing docs of sources that failed to fetch, so an
+ * unreachable source doesn't show up as every one of its docs removed
+ * @param {Object} newDocs - Fetched docs (updated in place)
+ * @param {Object} existingDocs - Docs from loadExistingDocs
+ * @param {Array<{name: string}>} errors - Source errors from fetchAllSources
+ * @returns {Array<string>} Docs carried over
+ */
+function keepFailedSourceDocs(newDocs, existingDocs, errors) {
+  const failed = new Set(errors.map(e => e.name));
+  const kept = [];
+
+  for (const [name, doc] of Object.entries(existingDocs)) {
+    if (!newDocs[name] && failed.has(doc.source || name)) {
+      newDocs[name] = doc;
+      kept.push(name);
+    }
+  }
+
+  return kept;
+}
+
+export {
+  SOURCE_TYPES,
+  SOURCE_FETCHERS,
+  getDocSources,
+  loadDocSources,
+  validateDocSource,
+  fetchAllSources,
+  keepFailedSourceDocs
+};
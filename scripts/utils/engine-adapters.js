@@ -0,0 +1,370 @@
+/**
+ * AI Engine Adapters
+ *
+ * Every engine exposes the same `run(prompt, options)` call and resolves
+ * to a session result, so the RALPH runners don't care which agent CLI
+ * does the work. Engines are picked per project in .ralph/config.yaml
+ * (`engine.default`) and per story in prd.json (`engine`).
+ *
+ * Built-in types:
+ * - claude:   Claude CLI with stream-json output (the default)
+ * - command:  any agent CLI, driven by a command + args template
+ * - scripted: deterministic fake for running the loop offline / in CI
+ *
+ * @module engine-adapters
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { spawn } from 'child_process';
+
+// Agent output marker meaning "every story in the PRD is done"
+const COMPLETE_SIGNAL = '<promise>COMPLETE</promise>';
+
+// Engine types
+const ENGINE_TYPES = {
+  CLAUDE: 'claude',
+  COMMAND: 'command',
+  SCRIPTED: 'scripted'
+};
+
+// Placeholders substituted in command engine args
+const PROMPT_PLACEHOLDER = '{prompt}';
+const MODEL_PLACEHOLDER = '{model}';
+
+/**
+ * Build a session result with every field present
+ * @param {Object} fields - Fields to set
+ * @returns {{complete: boolean, response: string, error: string|null, inputTokens: number, outputTokens: number}}
+ */
+function sessionResult(fields = {}) {
+  return {
+    complete: false,
+    response: '',
+    error: null,
+    inputTokens: 0,
+    outputTokens: 0,
+    ...fields
+  };
+}
+
+/**
+ * Parse Claude CLI stream-json output
+ * @param {string} output - Raw stdout
+ * @returns {{response: string, error: string|null, found: boolean, inputTokens: number, outputTokens: number}}
+ */
+function parseStreamJson(output) {
+  let result = null;
+  let error = null;
+
+  for (const line of output.split('\n')) {
+    if (!line.trim().startsWith('{')) continue;
+    try {
+      const event = JSON.parse(line);
+      if (event.type === 'result') result = event;
+      if (event.type === 'error' && !error) {
+        error = event.error?.message || event.message || 'Unknown error';
+      }
+    } catch {
+      // Ignore partial lines
+    }
+  }
+
+  return {
+    response: typeof result?.result === 'string' ? result.result : '',
+    error,
+    found: Boolean(result),
+    inputTokens: result?.usage?.input_tokens || 0,
+    outputTokens: result?.usage?.output_tokens || 0
+  };
+}
+
+/**
+ * Spawn an agent process and collect its stdout
+ * @param {string} command - Executable
+ * @param {Array<string>} args - Arguments
+ * @param {Object} options - Options
+ * @param {string} options.cwd - Working directory
+ * @param {string} options.logPath - File to append raw output to
+ * @param {string} options.input - Text written to stdin (stdin is closed when omitted)
+ * @returns {Promise<{output: string, code: number|null, error: string|null}>}
+ */
+function spawnAgent(command, args, options = {}) {
+  return new Promise((resolve) => {
+    const child = spawn(command, args, {
+      cwd: options.cwd || process.cwd(),
+      stdio: [options.input !== undefined ? 'pipe' : 'ignore', 'pipe', 'pipe']
+    });
+
+    const log = options.logPath
+      ? fs.createWriteStream(options.logPath, { flags: 'a' })
+      : null;
+    let output = '';
+
+    child.stdout.on('data', (chunk) => {
+      output += chunk.toString();
+      log?.write(chunk);
+    });
+    child.stderr.on('data', (chunk) => log?.write(chunk));
+
+    child.on('error', (error) => {
+      log?.end();
+      resolve({ output, code: null, error: error.message });
+    });
+
+    child.on('close', (code) => {
+      log?.end();
+      resolve({ output, code, error: null });
+    });
+
+    if (options.input !== undefined) {
+      child.stdin.end(options.input);
+    }
+  });
+}
+
+/**
+ * Create the Claude CLI engine
+ * @param {Object} definition - Engine definition
+ * @param {string} definition.model - Default model
+ * @returns {Object} Engine
+ */
+function createClaudeEngine(definition = {}) {
+  return {
+    name: definition.name || ENGINE_TYPES.CLAUDE,
+    type: ENGINE_TYPES.CLAUDE,
+    model: definition.model || null,
+
+    async run(prompt, options = {}) {
+      const model = options.model || definition.model;
+      const args = ['--dangerously-skip-permissions'];
+      if (model) args.push('--model', model);
+      args.push('--verbose', '--output-format', 'stream-json', '-p', prompt);
+
+      const { output, code, error } = await spawnAgent('claude', args, options);
+      if (error) return sessionResult({ error });
+
+      const parsed = parseStreamJson(output);
+      let sessionError = parsed.error;
+      if (!parsed.found && !sessionError) {
+        sessionError = code === 0 ? 'Empty response' : `Agent exited with code ${code}`;
+      }
+
+      return sessionResult({
+        complete: parsed.response.includes(COMPLETE_SIGNAL),
+        response: parsed.response,
+        error: sessionError,
+        inputTokens: parsed.inputTokens,
+        outputTokens: parsed.outputTokens
+      });
+    }
+  };
+}
+
+/**
+ * Create an engine for any agent CLI from a command template.
+ *
+ * `{prompt}` and `{model}` in args are replaced per session. Without a
+ * `{prompt}` placeholder the prompt is written to stdin instead. Stdout
+ * is treated as the response; token counts aren't available.
+ *
+ * @param {Object} definition - Engine definition
+ * @param {string} definition.command - Executable to run
+ * @param {Array<string>} definition.args - Argument template
+ * @param {string} definition.model - Default model
+ * @returns {Object} Engine
+ */
+function createCommandEngine(definition = {}) {
+  if (!definition.command) {
+    throw new Error(`Engine "${definition.name}" is missing a command`);
+  }
+
+  const template = definition.args || [];
+
+  return {
+    name: definition.name || ENGINE_TYPES.COMMAND,
+    type: ENGINE_TYPES.COMMAND,
+    model: definition.model || null,
+
+    async run(prompt, options = {}) {
+      const model = options.model || definition.model || '';
+      const usesPlaceholder = template.some(arg => String(arg).includes(PROMPT_PLACEHOLDER));
+      const args = template.map(arg => String(arg)
+        .replaceAll(PROMPT_PLACEHOLDER, prompt)
+        .replaceAll(MODEL_PLACEHOLDER, model));
+
+      const { output, code, error } = await spawnAgent(definition.command, args, {
+        ...options,
+        input: usesPlaceholder ? undefined : prompt
+      });
+      if (error) return sessionResult({ error });
+
+      let sessionError = null;
+      if (code !== 0) {
+        sessionError = `Agent exited with code ${code}`;
+      } else if (!output.trim()) {
+        sessionError = 'Empty response';
+      }
+
+      return sessionResult({
+        complete: output.includes(COMPLETE_SIGNAL),
+        response: output.trim(),
+        error: sessionError
+      });
+    }
+  };
+}
+
+/**
+ * Create a deterministic scripted engine.
+ *
+ * Plays back `steps` (inline or from a JSON `script` file) one per
+ * session. A step may set `passes` to mark the session's story in
+ * prd.json, write `files` (path -> content), and force `complete`,
+ * `error`, `response` or token counts. Once the steps run out, every
+ * session marks its story as passing - enough to drive a whole PRD. A
+ * passing step checks off the story's acceptance criteria in its response.
+ *
+ * @param {Object} definition - Engine definition
+ * @param {Array<Object>} definition.steps - Inline steps
+ * @param {string} definition.script - JSON file with a steps array (relative to the project)
+ * @returns {Object} Engine
+ */
+function createScriptedEngine(definition = {}) {
+  let steps = definition.steps || null;
+  let index = 0;
+
+  async function loadSteps(cwd) {
+    if (steps) return steps;
+    if (!definition.script) return (steps = []);
+
+    const scriptPath = path.resolve(cwd, definition.script);
+    const script = await fs.readJson(scriptPath);
+    steps = Array.isArray(script) ? script : script.steps || [];
+    return steps;
+  }
+
+  return {
+    name: definition.name || ENGINE_TYPES.SCRIPTED,
+    type: ENGINE_TYPES.SCRIPTED,
+
+    async run(prompt, options = {}) {
+      const cwd = options.cwd || process.cwd();
+      const script = await loadSteps(cwd);
+      const step = index < script.length ? script[index] : { passes: true };
+      index++;
+
+      for (const [file, content] of Object.entries(step.files || {})) {
+        await fs.outputFile(path.join(cwd, file), content, 'utf-8');
+      }
+
+      // Parallel sessions leave prd.json to the orchestrator
+      const prdPath = path.join(cwd, 'prd.json');
+      let allPass = false;
+      if (!options.parallel && options.story && await fs.pathExists(prdPath)) {
+        const prd = await fs.readJson(prdPath);
+        const story = prd.userStories?.find(s => s.id === options.story.id);
+        if (story && step.passes !== undefined) {
+          story.passes = step.passes;
+          await fs.writeJson(prdPath, prd, { spaces: 2 });
+        }
+        allPass = (prd.userStories || []).every(s => s.passes);
+      }
+
+      const complete = step.complete ?? (options.parallel ? step.passes !== false : allPass);
+      // A step that passes its story reports the criteria met, as an agent would
+      const report = step.passes && !options.parallel
+        ? (options.story?.acceptanceCriteria || []).map(c => `- [x] ${c}`)
+        : [];
+      const response = step.response ??
+        [complete ? COMPLETE_SIGNAL : 'Scripted step done', ...report].join('\n');
+
+      if (options.logPath) {
+        await fs.appendFile(options.logPath, `[scripted] step ${index}: ${response}\n`, 'utf-8');
+      }
+
+      return sessionResult({
+        complete: !step.error && complete,
+        response,
+        error: step.error || null,
+        inputTokens: step.inputTokens || 0,
+        outputTokens: step.outputTokens || 0
+      });
+    }
+  };
+}
+
+// Factories keyed by engine type
+const ENGINE_FACTORIES = {
+  [ENGINE_TYPES.CLAUDE]: createClaudeEngine,
+  [ENGINE_TYPES.COMMAND]: createCommandEngine,
+  [ENGINE_TYPES.SCRIPTED]: createScriptedEngine
+};
+
+/**
+ * Look up an engine definition by name.
+ * Names defined under `engine.engines` win; otherwise a built-in type
+ * name (claude, scripted) is used as-is.
+ * @param {string} name - Engine name
+ * @param {Object} engineConfig - engine section of .ralph/config.yaml
+ * @returns {Object} Engine definition with name and type
+ */
+function getEngineDefinition(name, engineConfig = {}) {
+  const custom = engineConfig.engines?.[name];
+  if (custom) {
+    return { model: engineConfig.model, ...custom, name, type: custom.type || ENGINE_TYPES.COMMAND };
+  }
+
+  if (name in ENGINE_FACTORIES) {
+    return { model: engineConfig.model, name, type: name };
+  }
+
+  throw new Error(`Unknown AI engine: ${name}`);
+}
+
+/**
+ * Create an engine by name
+ * @param {string} name - Engine name
+ * @param {Object} engineConfig - engine section of .ralph/config.yaml
+ * @returns {Object} Engine
+ */
+function createEngine(name, engineConfig = {}) {
+  const definition = getEngineDefinition(name, engineConfig);
+  const factory = ENGINE_FACTORIES[definition.type];
+  if (!factory) {
+    throw new Error(`Unknown engine type "${definition.type}" for engine ${name}`);
+  }
+  return factory(definition);
+}
+
+/**
+ * Create a resolver that returns the engine for a story, reusing one
+ * instance per engine name for the whole run (scripted engines keep
+ * their position between sessions).
+ * @param {Object} engineConfig - engine section of .ralph/config.yaml
+ * @returns {Function} (story) => engine
+ */
+function createEngineResolver(engineConfig = {}) {
+  const engines = new Map();
+  const defaultName = engineConfig.default || ENGINE_TYPES.CLAUDE;
+
+  return (story) => {
+    const name = story?.engine || defaultName;
+    if (!engines.has(name)) {
+      engines.set(name, createEngine(name, engineConfig));
+    }
+    return engines.get(name);
+  };
+}
+
+export {
+  COMPLETE_SIGNAL,
+  ENGINE_TYPES,
+  parseStreamJson,
+  createClaudeEngine,
+  createCommandEngine,
+  createScriptedEngine,
+  getEngineDefinition,
+  createEngine,
+  createEngineResolver
+};
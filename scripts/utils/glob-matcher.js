@@ -0,0 +1,236 @@
+/**
+ * Glob Matcher
+ *
+ * gitignore-style path patterns: `*`, `?`, `**`, `[a-z]` / `[!a-z]`
+ * classes, `\` escapes, `{a,b}` brace expansion, a trailing `/` for
+ * directories only, and a leading or inner `/` to anchor the pattern to
+ * the project root (otherwise it matches at any depth). A pattern that
+ * matches a directory also matches everything inside it.
+ *
+ * Rule lists are ordered: the last matching rule decides, so a later
+ * `!pattern` re-allows what an earlier one matched. Unlike git, a
+ * negation can re-allow a file inside a matched directory.
+ *
+ * @module glob-matcher
+ */
+
+/**
+ * Escape a string for use in a regular expression
+ * @param {string} text - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
+
+/**
+ * Expand `{a,b}` alternatives (nested braces allowed). Braces without a
+ * top-level comma, unbalanced braces and escaped braces stay literal.
+ * @param {string} pattern - Glob pattern
+ * @returns {Array<string>} Expanded patterns
+ */
+function expandBraces(pattern) {
+  let open = -1;
+  let depth = 0;
+  const commas = [];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const ch = pattern[i];
+    if (ch === '\\') {
+      i++;
+    } else if (ch === '{') {
+      if (depth === 0) open = i;
+      depth++;
+    } else if (ch === ',' && depth === 1) {
+      commas.push(i);
+    } else if (ch === '}' && depth > 0 && --depth === 0) {
+      if (commas.length === 0) {
+        // "{a}" is literal - keep looking after it
+        return expandBraces(pattern.slice(i + 1)).map(rest => pattern.slice(0, i + 1) + rest);
+      }
+
+      const prefix = pattern.slice(0, open);
+      const suffix = pattern.slice(i + 1);
+      const bounds = [open, ...commas, i];
+      const alternatives = bounds.slice(1).map((end, k) => pattern.slice(bounds[k] + 1, end));
+
+      return alternatives.flatMap(alternative => expandBraces(prefix + alternative + suffix));
+    }
+  }
+
+  return [pattern];
+}
+
+/**
+ * Translate one path segment of a glob (no `/`) to a regex source
+ * @param {string} segment - Glob segment
+ * @returns {string} Regex source
+ */
+function segmentToRegex(segment) {
+  let source = '';
+
+  for (let i = 0; i < segment.length; i++) {
+    const ch = segment[i];
+
+    if (ch === '\\' && i + 1 < segment.length) {
+      source += escapeRegex(segment[++i]);
+    } else if (ch === '*') {
+      while (segment[i + 1] === '*') i++;
+      source += '[^/]*';
+    } else if (ch === '?') {
+      source += '[^/]';
+    } else if (ch === '[') {
+      // "]" right after "[" or "[!" is a literal member
+      let end = i + 1;
+      if (segment[end] === '!' || segment[end] === '^') end++;
+      if (segment[end] === ']') end++;
+      end = segment.indexOf(']', end);
+
+      if (end === -1) {
+        source += '\\[';
+      } else {
+        let members = segment.slice(i + 1, end);
+        const negated = members[0] === '!' || members[0] === '^';
+        if (negated) members = members.slice(1);
+        source += `[${negated ? '^' : ''}${members.replace(/[\\\]^[]/g, '\\$&')}]`;
+        i = end;
+      }
+    } else {
+      source += escapeRegex(ch);
+    }
+  }
+
+  return source;
+}
+
+/**
+ * Translate a glob (braces already expanded) to a regex
+ * @param {string} glob - Glob without leading or trailing `/`
+ * @param {boolean} anchored - Match from the project root only
+ * @returns {RegExp} Regular expression for a whole relative path
+ */
+function globToRegex(glob, anchored) {
+  const segments = glob.split('/');
+  const last = segments.length - 1;
+  let source = '';
+
+  segments.forEach((segment, i) => {
+    if (segment === '**') {
+      source += i === last ? '.*' : '(?:.*/)?';
+    } else {
+      source += segmentToRegex(segment) + (i < last ? '/' : '');
+    }
+  });
+
+  return new RegExp(`^${anchored ? '' : '(?:.*/)?'}${source}$`);
+}
+
+/**
+ * Compile a pattern into a rule
+ * @param {string} pattern - gitignore-style pattern
+ * @returns {Object|null} Rule ({pattern, negated, dirOnly, anchored, regexes}), or null for blanks and comments
+ */
+function compileRule(pattern) {
+  let glob = String(pattern).replace(/(?<!\\)\s+$/, '');
+  if (glob === '' || glob.startsWith('#')) return null;
+
+  const negated = glob.startsWith('!');
+  if (negated) glob = glob.slice(1);
+  if (glob.startsWith('\\!') || glob.startsWith('\\#')) glob = glob.slice(1);
+
+  const dirOnly = glob.endsWith('/');
+  if (dirOnly) glob = glob.replace(/\/+$/, '');
+
+  const anchored = glob.includes('/');
+  glob = glob.replace(/^\/+/, '');
+
+  return {
+    pattern: String(pattern),
+    negated,
+    dirOnly,
+    anchored,
+    regexes: expandBraces(glob).map(expanded => globToRegex(expanded, anchored))
+  };
+}
+
+/**
+ * Normalize a relative path: forward slashes, no leading `./` or `/`
+ * @param {string} filePath - Path to normalize
+ * @returns {{path: string, isDirectory: boolean}}
+ */
+function normalizePath(filePath) {
+  const normalized = String(filePath).replace(/\\/g, '/').replace(/^(\.\/)+/, '').replace(/^\/+/, '');
+  return {
+    path: normalized.replace(/\/+$/, ''),
+    isDirectory: normalized.endsWith('/')
+  };
+}
+
+/**
+ * Check a path against a rule, ignoring negation. The rule matches when
+ * it matches the path or one of its parent directories.
+ * @param {Object} rule - Compiled rule
+ * @param {string} filePath - Relative path
+ * @param {Object} options - Options
+ * @param {boolean} options.isDirectory - The path is a directory
+ * @returns {boolean}
+ */
+function ruleMatches(rule, filePath, options = {}) {
+  const normalized = normalizePath(filePath);
+  const isDirectory = options.isDirectory ?? normalized.isDirectory;
+  const parts = normalized.path.split('/');
+
+  for (let end = parts.length; end > 0; end--) {
+    const candidate = parts.slice(0, end).join('/');
+    const candidateIsDirectory = end < parts.length || isDirectory;
+    if (rule.dirOnly && !candidateIsDirectory) continue;
+    if (rule.regexes.some(regex => regex.test(candidate))) return true;
+  }
+  return false;
+}
+
+/**
+ * Match a path against ordered rules; the last matching rule decides
+ * @param {string} filePath - Relative path
+ * @param {Array<string>} patterns - Patterns in order
+ * @param {Object} options - Options
+ * @param {boolean} options.isDirectory - The path is a directory
+ * @returns {{matched: boolean, rule: string|null, index: number, trace: Array<{pattern: string, index: number, negated: boolean}>}}
+ *   rule/index are the deciding rule (-1 when none); trace lists every rule that matched
+ */
+function matchRules(filePath, patterns, options = {}) {
+  const trace = [];
+
+  patterns.forEach((pattern, index) => {
+    const rule = compileRule(pattern);
+    if (rule && ruleMatches(rule, filePath, options)) {
+      trace.push({ pattern: rule.pattern, index, negated: rule.negated });
+    }
+  });
+
+  const decider = trace[trace.length - 1];
+  return {
+    matched: Boolean(decider && !decider.negated),
+    rule: decider ? decider.pattern : null,
+    index: decider ? decider.index : -1,
+    trace
+  };
+}
+
+/**
+ * Check whether a path matches a single pattern
+ * @param {string} filePath - Relative path
+ * @param {string} pattern - gitignore-style pattern
+ * @returns {boolean}
+ */
+function matchesGlob(filePath, pattern) {
+  return matchRules(filePath, [pattern]).matched;
+}
+
+export {
+  expandBraces,
+  compileRule,
+  ruleMatches,
+  matchRules,
+  matchesGlob
+};
@@ -0,0 +1,247 @@
+/**
+ * Global Memory
+ *
+ * A shared insight store in the global claude-init directory
+ * (~/.claude-init/memory), next to the project registry. Project insights
+ * tagged "general" (framework gotchas, tooling quirks) are promoted into
+ * it, and projects on the same tech stack can search it.
+ *
+ * Each shared insight keeps its provenance: one entry per project that
+ * promoted it, with the project's registry ID, the local insight ID and
+ * the stack it was learned on. Demoting removes a project's entry; an
+ * insight with no provenance left is deleted.
+ *
+ * @module global-memory
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getGlobalConfigDir, getProject, getRegistryPath } from './project-registry.js';
+import { queryMemory, getInsight, updateInsight } from './memory-manager.js';
+import { toDocuments, updateIndex, scoreDocuments } from './memory-index.js';
+
+const GLOBAL_MEMORY_DIR = 'memory';
+const GLOBAL_INSIGHTS_FILE = 'insights.json';
+
+// Tag that marks a project insight as worth sharing
+const GENERAL_TAG = 'general';
+
+/**
+ * Path of the shared insight store
+ * @returns {string} Absolute path
+ */
+function getGlobalMemoryPath() {
+  return path.join(getGlobalConfigDir(), GLOBAL_MEMORY_DIR, GLOBAL_INSIGHTS_FILE);
+}
+
+/**
+ * Load the shared insight store
+ * @returns {Promise<Object>} {version, insights}
+ */
+async function loadGlobalMemory() {
+  try {
+    return await fs.readJson(getGlobalMemoryPath());
+  } catch {
+    return { version: '1.0.0', insights: [] };
+  }
+}
+
+/**
+ * Save the shared insight store
+ * @param {Object} data - Store data
+ */
+async function saveGlobalMemory(data) {
+  const memoryPath = getGlobalMemoryPath();
+  await fs.ensureDir(path.dirname(memoryPath));
+  await fs.writeJson(memoryPath, data, { spaces: 2 });
+}
+
+/**
+ * Generate a unique ID
+ * @returns {string} Unique identifier
+ */
+function generateId() {
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 11)}`;
+}
+
+/**
+ * Look up a project in the registry
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Registered project
+ */
+async function getRegisteredProject(projectRoot) {
+  const project = await getProject(projectRoot);
+  if (!project) {
+    throw new Error(`${path.resolve(projectRoot)} is not in the project registry (${getRegistryPath()}). Run claude-init setup there first.`);
+  }
+  return project;
+}
+
+/**
+ * Check whether a provenance entry was learned on a project's stack.
+ * Framework-neutral insights ("none") match any framework of the language.
+ * @param {Object} source - Provenance entry
+ * @param {Object} project - Registered project
+ * @returns {boolean}
+ */
+function isSameStack(source, project) {
+  return source.language === project.language &&
+    (source.framework === 'none' || source.framework === project.framework);
+}
+
+/**
+ * Promote a project insight into the shared store. The local insight is
+ * tagged "general"; an identical shared insight gains a provenance entry.
+ * @param {string} insightId - Local insight ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{insight: Object, created: boolean}>} Shared insight
+ */
+async function promoteInsight(insightId, projectRoot = process.cwd()) {
+  const project = await getRegisteredProject(projectRoot);
+  const local = await getInsight(insightId, projectRoot);
+  if (!local) {
+    throw new Error(`Insight "${insightId}" not found`);
+  }
+
+  if (!local.tags.includes(GENERAL_TAG)) {
+    await updateInsight(local.id, { tags: [...local.tags, GENERAL_TAG] }, projectRoot);
+  }
+
+  const data = await loadGlobalMemory();
+  const now = new Date().toISOString();
+  let shared = data.insights.find(i => i.learning.toLowerCase() === local.learning.toLowerCase());
+  const created = !shared;
+
+  if (!shared) {
+    shared = {
+      id: generateId(),
+      context: local.context,
+      learning: local.learning,
+      tags: [],
+      provenance: [],
+      createdAt: now
+    };
+    data.insights.push(shared);
+  }
+
+  shared.tags = [...new Set([...shared.tags, ...local.tags.filter(t => t !== GENERAL_TAG)])];
+  shared.provenance = shared.provenance.filter(p => p.projectId !== project.id);
+  shared.provenance.push({
+    projectId: project.id,
+    projectName: project.name,
+    insightId: local.id,
+    language: project.language,
+    framework: project.framework,
+    occurrences: local.occurrences || 1,
+    promotedAt: now
+  });
+  shared.updatedAt = now;
+
+  await saveGlobalMemory(data);
+  return { insight: shared, created };
+}
+
+/**
+ * Promote every project insight tagged "general"
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<{insight: Object, created: boolean}>>} Promotions
+ */
+async function promoteGeneralInsights(projectRoot = process.cwd()) {
+  await getRegisteredProject(projectRoot);
+  const { insights } = await queryMemory('', { tags: [GENERAL_TAG] }, projectRoot);
+
+  const promoted = [];
+  for (const insight of insights) {
+    promoted.push(await promoteInsight(insight.id, projectRoot));
+  }
+  return promoted;
+}
+
+/**
+ * Demote a shared insight. By default only this project's provenance is
+ * removed (and its local insight loses the "general" tag, so it isn't
+ * promoted again); with `everywhere` the shared insight is deleted.
+ * @param {string} sharedId - Shared insight ID
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {boolean} options.everywhere - Remove it for every project
+ * @returns {Promise<{insight: Object, deleted: boolean}>}
+ */
+async function demoteInsight(sharedId, projectRoot = process.cwd(), options = {}) {
+  const project = await getRegisteredProject(projectRoot);
+  const data = await loadGlobalMemory();
+  const shared = data.insights.find(i => i.id === sharedId);
+  if (!shared) {
+    throw new Error(`Shared insight "${sharedId}" not found`);
+  }
+
+  const own = shared.provenance.find(p => p.projectId === project.id);
+  if (!own && !options.everywhere) {
+    throw new Error(`Shared insight "${sharedId}" was not promoted from this project (use --all to remove it everywhere)`);
+  }
+
+  if (own) {
+    const local = await getInsight(own.insightId, projectRoot);
+    if (local) {
+      await updateInsight(local.id, { tags: local.tags.filter(t => t !== GENERAL_TAG) }, projectRoot);
+    }
+  }
+
+  shared.provenance = options.everywhere ? [] : shared.provenance.filter(p => p !== own);
+  const deleted = shared.provenance.length === 0;
+  if (deleted) {
+    data.insights = data.insights.filter(i => i !== shared);
+  }
+
+  await saveGlobalMemory(data);
+  return { insight: shared, deleted };
+}
+
+/**
+ * Search shared insights learned on the project's stack. Results are
+ * ranked with the memory search index; an empty query lists everything,
+ * most seen first.
+ * @param {string} query - Search query
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {boolean} options.allStacks - Don't filter by stack
+ * @returns {Promise<Array<Object>>} Shared insights ({..., occurrences, score?})
+ */
+async function queryGlobalMemory(query, projectRoot = process.cwd(), options = {}) {
+  const project = await getRegisteredProject(projectRoot);
+  const data = await loadGlobalMemory();
+
+  const matches = data.insights
+    .filter(insight => options.allStacks || insight.provenance.some(p => isSameStack(p, project)))
+    .map(insight => ({
+      ...insight,
+      occurrences: insight.provenance.reduce((sum, p) => sum + (p.occurrences || 1), 0)
+    }));
+
+  if (!query.trim()) {
+    return matches.sort((a, b) => b.occurrences - a.occurrences);
+  }
+
+  const index = await updateIndex(
+    toDocuments([], data.insights),
+    getGlobalConfigDir(),
+    GLOBAL_MEMORY_DIR,
+    { prune: true }
+  );
+  const scores = await scoreDocuments(query, index);
+
+  return matches
+    .filter(insight => scores.has(`insight:${insight.id}`))
+    .map(insight => ({ ...insight, score: Number(scores.get(`insight:${insight.id}`).toFixed(4)) }))
+    .sort((a, b) => b.score - a.score);
+}
+
+export {
+  GENERAL_TAG,
+  getGlobalMemoryPath,
+  loadGlobalMemory,
+  promoteInsight,
+  promoteGeneralInsights,
+  demoteInsight,
+  queryGlobalMemory
+};
@@ -6,10 +6,21 @@
  * - Exponential backoff
  * - Timeout configuration
  * - Request/response logging
+ * - Record/replay of responses as fixture files, for offline runs and tests
+ *
+ * Fixture modes (HTTP_FIXTURE_MODE, with HTTP_FIXTURES_DIR):
+ * - live:   plain network requests (default)
+ * - record: network requests, each response also saved as a fixture
+ * - replay: responses served from fixtures; the network is never used and
+ *           a request without a fixture fails. Conditional requests get a
+ *           304 when their validators match the fixture's ETag/Last-Modified.
  *
  * @module utils/http-client
  */
 
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
 import { CONFIG } from './config-manager.js';
 import { newsLogger as logger } from './logger.js';
 
@@ -24,9 +35,14 @@ const DEFAULT_OPTIONS = {
   backoffMultiplier: CONFIG.http.backoffMultiplier || 2,
   userAgent: CONFIG.http.userAgent || 'claude-init/1.0',
   retryOnStatus: [408, 429, 500, 502, 503, 504],
-  retryOnNetworkError: true
+  retryOnNetworkError: true,
+  fixtureMode: CONFIG.http.fixtureMode || 'live',
+  fixturesDir: CONFIG.http.fixturesDir || ''
 };
 
+// Statuses that never carry a body
+const NULL_BODY_STATUSES = [101, 204, 205, 304];
+
 // =============================================================================
 // HTTP CLIENT CLASS
 // =============================================================================
@@ -40,12 +56,37 @@ class HttpClient {
   }
 
   /**
-   * Make an HTTP request with retry logic
+   * Change client options, e.g. switch fixture mode in a test
+   * @param {object} options - Options to override
+   */
+  configure(options = {}) {
+    this.options = { ...this.options, ...options };
+  }
+
+  /**
+   * Make an HTTP request, live or from fixtures depending on fixtureMode
    * @param {string} url - URL to fetch
    * @param {object} options - Fetch options
    * @returns {Promise<Response>} Fetch response
    */
   async fetch(url, options = {}) {
+    const { fixtureMode, fixturesDir } = { ...this.options, ...options };
+
+    if (fixtureMode === 'replay') {
+      return replayFixture(fixturesDir, url, options);
+    }
+
+    const response = await this.fetchLive(url, options);
+    return fixtureMode === 'record' ? recordFixture(fixturesDir, url, options, response) : response;
+  }
+
+  /**
+   * Make an HTTP request with retry logic
+   * @param {string} url - URL to fetch
+   * @param {object} options - Fetch options
+   * @returns {Promise<Response>} Fetch response
+   */
+  async fetchLive(url, options = {}) {
     const {
       retries,
       retryDelay,
@@ -220,6 +261,114 @@ function sleep(ms) {
   return new Promise(resolve => setTimeout(resolve, ms));
 }
 
+/**
+ * Path of the fixture for a request
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options (method, body)
+ * @returns {string} <fixturesDir>/<host>/<method>-<path slug>-<hash>.json
+ */
+export function getFixturePath(fixturesDir, url, options = {}) {
+  const method = (options.method || 'GET').toUpperCase();
+  const { hostname, pathname, search } = new URL(url);
+  const slug = `${pathname}${search}`.replace(/[^a-z0-9]+/gi, '-').replace(/^-+|-+$/g, '').slice(0, 60) || 'index';
+  const hash = crypto.createHash('sha1')
+    .update(`${method} ${url} ${typeof options.body === 'string' ? options.body : ''}`)
+    .digest('hex')
+    .slice(0, 8);
+  return path.join(fixturesDir, hostname, `${method.toLowerCase()}-${slug}-${hash}.json`);
+}
+
+/**
+ * Read a request header, ignoring case
+ * @param {object} headers - Plain headers object
+ * @param {string} name - Header name
+ * @returns {string|null} Value
+ */
+function getHeader(headers = {}, name) {
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  return key ? headers[key] : null;
+}
+
+/**
+ * Build a Response from stored parts
+ * @param {object} stored - {status, statusText, headers, body}
+ * @returns {Response}
+ */
+function toResponse({ status, statusText = '', headers = {}, body = '' }) {
+  return new Response(NULL_BODY_STATUSES.includes(status) ? null : body, { status, statusText, headers });
+}
+
+/**
+ * Save a live response as a fixture and hand back an unread copy.
+ * A 304 isn't saved: it would replace the full response it refers to.
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @param {Response} response - Live response
+ * @returns {Promise<Response>} Copy of the response
+ */
+async function recordFixture(fixturesDir, url, options, response) {
+  if (response.status === 304) {
+    return response;
+  }
+
+  const stored = {
+    status: response.status,
+    statusText: response.statusText,
+    headers: Object.fromEntries(response.headers.entries()),
+    body: await response.text()
+  };
+
+  const fixturePath = getFixturePath(fixturesDir, url, options);
+  await fs.outputJson(fixturePath, {
+    request: { method: (options.method || 'GET').toUpperCase(), url },
+    response: stored,
+    recordedAt: new Date().toISOString()
+  }, { spaces: 2 });
+  logger.debug(`Recorded ${url} to ${fixturePath}`);
+
+  return toResponse(stored);
+}
+
+/**
+ * Serve a request from its fixture
+ * @param {string} fixturesDir - Fixture directory
+ * @param {string} url - Request URL
+ * @param {object} options - Fetch options
+ * @returns {Promise<Response>} Stored response, or 304 if the request's validators match it
+ * @throws {Error} If there is no fixture for the request
+ */
+async function replayFixture(fixturesDir, url, options = {}) {
+  const fixturePath = getFixturePath(fixturesDir, url, options);
+  if (!await fs.pathExists(fixturePath)) {
+    const error = new Error(`No recorded response for ${(options.method || 'GET').toUpperCase()} ${url} (record it with HTTP_FIXTURE_MODE=record)`);
+    error.fixtureMissing = true;
+    throw error;
+  }
+
+  const { response } = await fs.readJson(fixturePath);
+  const etag = getHeader(response.headers, 'etag');
+  const lastModified = getHeader(response.headers, 'last-modified');
+  const ifNoneMatch = getHeader(options.headers, 'if-none-match');
+  const ifModifiedSince = getHeader(options.headers, 'if-modified-since');
+
+  const weak = tag => tag.replace(/^W\//, '');
+  const notModified = ifNoneMatch
+    ? Boolean(etag) && ifNoneMatch.split(',').map(t => weak(t.trim())).includes(weak(etag))
+    : Boolean(ifModifiedSince && lastModified) && new Date(lastModified) <= new Date(ifModifiedSince);
+
+  logger.debug(`Replayed ${url} from ${fixturePath}${notModified ? ' (304)' : ''}`);
+
+  if (notModified) {
+    const headers = {};
+    if (etag) headers.etag = etag;
+    if (lastModified) headers['last-modified'] = lastModified;
+    return toResponse({ status: 304, statusText: 'Not Modified', headers });
+  }
+  return toResponse(response);
+}
+
 /**
  * Fetch with timeout (no retry)
  * @param {string} url - URL to fetch
@@ -4,15 +4,42 @@
  * Enables pause, resume, and rollback during RALPH execution.
  * Uses checkpoint system for safe recovery.
  *
+ * A checkpoint records the git commit and branch, a snapshot of
+ * uncommitted work (a commit of the whole working tree kept under
+ * refs/ralph/checkpoints/), and the contents of prd.json and
+ * .ralph/progress.txt. Rolling back restores all of them. Everything else
+ * under .ralph/ (memory, logs, this state) is left alone.
+ *
  * @module intervention-manager
  */
 
 import fs from 'fs-extra';
 import path from 'path';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+
+const execFileAsync = promisify(execFile);
 
 // Intervention file paths
 const INTERVENTION_FILE = '.ralph/intervention.json';
 const CHECKPOINTS_DIR = '.ralph/checkpoints';
+const PRD_FILE = 'prd.json';
+const PROGRESS_FILE = '.ralph/progress.txt';
+
+// Where working tree snapshots are kept so git doesn't prune them
+const CHECKPOINT_REF_PREFIX = 'refs/ralph/checkpoints/';
+
+// RALPH state is never snapshotted or restored
+const STATE_DIR = '.ralph';
+const EXCLUDE_STATE = `:(exclude)${STATE_DIR}`;
+
+// Identity for snapshot commits, which only live under refs/ralph/
+const SNAPSHOT_IDENTITY = {
+  GIT_AUTHOR_NAME: 'RALPH',
+  GIT_AUTHOR_EMAIL: 'ralph@localhost',
+  GIT_COMMITTER_NAME: 'RALPH',
+  GIT_COMMITTER_EMAIL: 'ralph@localhost'
+};
 
 // Intervention states
 const STATES = {
@@ -172,7 +199,116 @@ async function cancel(reason = 'User requested cancellation', projectRoot = proc
 }
 
 /**
- * Create a checkpoint
+ * Run a git command
+ * @param {Array<string>} args - Git arguments
+ * @param {string} cwd - Working directory
+ * @param {Object} env - Extra environment variables
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(args, cwd, env = {}) {
+  const { stdout } = await execFileAsync('git', args, {
+    cwd,
+    env: { ...process.env, ...env },
+    maxBuffer: 64 * 1024 * 1024
+  });
+  return stdout.trim();
+}
+
+/**
+ * Split NUL-separated git output into paths
+ * @param {string} output - Output of a -z command
+ * @returns {Array<string>} Paths
+ */
+function splitPaths(output) {
+  return output.split('\0').filter(Boolean);
+}
+
+/**
+ * Write the whole working tree (tracked and untracked files that aren't
+ * ignored, except .ralph/) to a git tree without touching the real index
+ * @param {string} projectRoot - Project root directory
+ * @param {string} name - Name for the temporary index file
+ * @returns {Promise<string>} Tree SHA
+ */
+async function writeWorkingTree(projectRoot, name) {
+  const gitDir = await git(['rev-parse', '--absolute-git-dir'], projectRoot);
+  const env = { GIT_INDEX_FILE: path.join(gitDir, `ralph-index-${name}`) };
+
+  try {
+    await git(['read-tree', 'HEAD'], projectRoot, env);
+    await git(['add', '-A'], projectRoot, env);
+    await git(['rm', '-r', '-q', '--cached', '--ignore-unmatch', '--', STATE_DIR], projectRoot, env);
+    return await git(['write-tree'], projectRoot, env);
+  } finally {
+    await fs.remove(env.GIT_INDEX_FILE).catch(() => {});
+  }
+}
+
+/**
+ * Record the git state: commit, branch, and a snapshot commit of
+ * uncommitted work (null when the working tree is clean)
+ * @param {string} checkpointId - Checkpoint ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} {commit, branch, snapshot}, or null outside git
+ *   or when the project is not the repository root
+ */
+async function captureGitState(checkpointId, projectRoot) {
+  let commit;
+  try {
+    commit = await git(['rev-parse', 'HEAD'], projectRoot);
+  } catch {
+    // Not a git repository, or no commits yet
+    return null;
+  }
+
+  // Restoring a whole repository from a subdirectory would reach outside the project
+  if (await git(['rev-parse', '--show-prefix'], projectRoot)) {
+    return null;
+  }
+
+  const branch = await git(['rev-parse', '--abbrev-ref', 'HEAD'], projectRoot);
+  const tree = await writeWorkingTree(projectRoot, checkpointId);
+
+  const clean = await git(['diff', '--quiet', commit, tree, '--', '.', EXCLUDE_STATE], projectRoot)
+    .then(() => true, () => false);
+
+  let snapshot = null;
+  if (!clean) {
+    snapshot = await git(
+      ['commit-tree', tree, '-p', commit, '-m', `RALPH checkpoint ${checkpointId}`],
+      projectRoot,
+      SNAPSHOT_IDENTITY
+    );
+    await git(['update-ref', `${CHECKPOINT_REF_PREFIX}${checkpointId}`, snapshot], projectRoot);
+  }
+
+  return { commit, branch: branch === 'HEAD' ? null : branch, snapshot };
+}
+
+/**
+ * Read a file relative to the project root
+ * @param {string} projectRoot - Project root directory
+ * @param {string} file - Relative path
+ * @returns {Promise<string|null>} Contents, or null when missing
+ */
+async function readProjectFile(projectRoot, file) {
+  const filePath = path.join(projectRoot, file);
+  return await fs.pathExists(filePath) ? fs.readFile(filePath, 'utf-8') : null;
+}
+
+/**
+ * Delete a checkpoint's file and snapshot ref
+ * @param {string} checkpointId - Checkpoint ID
+ * @param {string} projectRoot - Project root directory
+ */
+async function removeCheckpointFiles(checkpointId, projectRoot) {
+  const checkpointPath = path.join(projectRoot, CHECKPOINTS_DIR, `${checkpointId}.json`);
+  await fs.remove(checkpointPath).catch(() => {});
+  await git(['update-ref', '-d', `${CHECKPOINT_REF_PREFIX}${checkpointId}`], projectRoot).catch(() => {});
+}
+
+/**
+ * Create a checkpoint of the code, PRD and progress log
  * @param {string} subtaskId - Completed subtask ID
  * @param {Object} data - Checkpoint data
  * @param {string} projectRoot - Project root directory
@@ -181,15 +317,26 @@ async function createCheckpoint(subtaskId, data = {}, projectRoot = process.cwd(
   const state = await loadIntervention(projectRoot);
   const checkpointsDir = path.join(projectRoot, CHECKPOINTS_DIR);
 
+  // Timestamp IDs, bumped if two checkpoints land in the same millisecond
+  let stamp = Date.now();
+  while (state.checkpoints.some(cp => cp.id === `cp-${stamp}`)) stamp++;
+  const id = `cp-${stamp}`;
+
   const checkpoint = {
-    id: `cp-${Date.now()}`,
+    id,
     subtaskId,
     createdAt: new Date().toISOString(),
-    data
+    data,
+    git: await captureGitState(id, projectRoot),
+    files: {
+      [PRD_FILE]: await readProjectFile(projectRoot, PRD_FILE),
+      [PROGRESS_FILE]: await readProjectFile(projectRoot, PROGRESS_FILE)
+    }
   };
 
   // Save checkpoint file
   const checkpointPath = path.join(checkpointsDir, `${checkpoint.id}.json`);
+  await fs.ensureDir(checkpointsDir);
   await fs.writeJson(checkpointPath, checkpoint, { spaces: 2 });
 
   // Update intervention state
@@ -237,11 +384,121 @@ async function loadCheckpoint(checkpointId, projectRoot = process.cwd()) {
 }
 
 /**
- * Rollback to a checkpoint
+ * Find a checkpoint in the intervention state
+ * @param {Object} state - Intervention state
+ * @param {string} checkpointId - Checkpoint ID (or 'last')
+ * @returns {Object|undefined} Checkpoint summary
+ */
+function findCheckpoint(state, checkpointId) {
+  if (checkpointId === 'last') {
+    return state.checkpoints[state.checkpoints.length - 1];
+  }
+  return state.checkpoints.find(cp => cp.id === checkpointId);
+}
+
+/**
+ * Parse a saved prd.json, tolerating missing or broken content
+ * @param {string|null} content - File contents
+ * @returns {Object} PRD (userStories may be empty)
+ */
+function parsePrd(content) {
+  try {
+    return JSON.parse(content) || { userStories: [] };
+  } catch {
+    return { userStories: [] };
+  }
+}
+
+/**
+ * Work out what rolling back to a checkpoint would discard
+ * @param {Object} checkpoint - Full checkpoint
+ * @param {Object} state - Intervention state
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} {checkpoints, subtasks, commits, files, stories, progressLines}
+ *   files are {status: 'added'|'modified'|'deleted', path} changes made since the checkpoint
+ */
+async function previewDiscarded(checkpoint, state, projectRoot) {
+  const index = state.checkpoints.findIndex(cp => cp.id === checkpoint.id);
+  const subtaskIndex = state.completedSubtasks.indexOf(checkpoint.subtaskId);
+  const discarded = {
+    checkpoints: state.checkpoints.slice(index + 1).map(cp => cp.id),
+    subtasks: subtaskIndex >= 0 ? state.completedSubtasks.slice(subtaskIndex + 1) : [],
+    commits: [],
+    files: [],
+    stories: [],
+    progressLines: 0
+  };
+
+  if (checkpoint.git) {
+    const target = checkpoint.git.snapshot || checkpoint.git.commit;
+    const log = await git(['log', '--format=%h %s', `${checkpoint.git.commit}..HEAD`], projectRoot);
+    discarded.commits = log ? log.split('\n') : [];
+
+    const current = await writeWorkingTree(projectRoot, `preview-${checkpoint.id}`);
+    const diff = splitPaths(await git(
+      ['diff', '--name-status', '--no-renames', '-z', target, current, '--', '.', EXCLUDE_STATE],
+      projectRoot
+    ));
+    const statuses = { A: 'added', M: 'modified', D: 'deleted', T: 'modified' };
+    for (let i = 0; i < diff.length; i += 2) {
+      discarded.files.push({ status: statuses[diff[i]] || diff[i], path: diff[i + 1] });
+    }
+  }
+
+  const files = checkpoint.files || {};
+  if (files[PRD_FILE] !== undefined) {
+    const saved = parsePrd(files[PRD_FILE]).userStories || [];
+    const current = parsePrd(await readProjectFile(projectRoot, PRD_FILE)).userStories || [];
+    discarded.stories = current
+      .filter(story => story.passes && !saved.find(s => s.id === story.id)?.passes)
+      .map(story => story.id);
+  }
+  if (files[PROGRESS_FILE] !== undefined) {
+    const countLines = text => (text || '').split('\n').filter(Boolean).length;
+    const current = await readProjectFile(projectRoot, PROGRESS_FILE);
+    discarded.progressLines = Math.max(0, countLines(current) - countLines(files[PROGRESS_FILE]));
+  }
+
+  return discarded;
+}
+
+/**
+ * Restore the branch, HEAD and working tree recorded in a checkpoint.
+ * Files created since are deleted; .ralph/ is left alone.
+ * @param {Object} gitState - Checkpoint git state {commit, branch, snapshot}
+ * @param {string} projectRoot - Project root directory
+ */
+async function restoreGitState(gitState, projectRoot) {
+  const branch = await git(['rev-parse', '--abbrev-ref', 'HEAD'], projectRoot);
+  if (gitState.branch && branch !== gitState.branch) {
+    await git(['checkout', '-q', '-f', gitState.branch], projectRoot);
+  }
+  await git(['reset', '-q', gitState.commit], projectRoot);
+
+  const target = gitState.snapshot || gitState.commit;
+  const keep = new Set(splitPaths(await git(['ls-tree', '-r', '-z', '--name-only', target], projectRoot)));
+  const present = splitPaths(await git(['ls-files', '-z', '--cached', '--others', '--exclude-standard'], projectRoot));
+  for (const file of present) {
+    if (!keep.has(file) && !file.startsWith(`${STATE_DIR}/`)) {
+      await fs.remove(path.join(projectRoot, file));
+    }
+  }
+
+  await git(['checkout', target, '--', '.', EXCLUDE_STATE], projectRoot);
+
+  // Uncommitted work comes back unstaged, as it was
+  await git(['reset', '-q'], projectRoot);
+}
+
+/**
+ * Rollback to a checkpoint: restore the working tree, prd.json and
+ * progress.txt, and drop later checkpoints and completed subtasks
  * @param {string} checkpointId - Checkpoint ID to rollback to (or 'last')
  * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {boolean} options.dryRun - Only report what would be discarded
  */
-async function rollback(checkpointId = 'last', projectRoot = process.cwd()) {
+async function rollback(checkpointId = 'last', projectRoot = process.cwd(), options = {}) {
   const state = await loadIntervention(projectRoot);
 
   if (!state.checkpoints || state.checkpoints.length === 0) {
@@ -251,13 +508,7 @@ async function rollback(checkpointId = 'last', projectRoot = process.cwd()) {
     };
   }
 
-  let targetCheckpoint;
-
-  if (checkpointId === 'last') {
-    targetCheckpoint = state.checkpoints[state.checkpoints.length - 1];
-  } else {
-    targetCheckpoint = state.checkpoints.find(cp => cp.id === checkpointId);
-  }
+  const targetCheckpoint = findCheckpoint(state, checkpointId);
 
   if (!targetCheckpoint) {
     return {
@@ -276,6 +527,46 @@ async function rollback(checkpointId = 'last', projectRoot = process.cwd()) {
     };
   }
 
+  let discarded;
+  try {
+    discarded = await previewDiscarded(checkpointData, state, projectRoot);
+  } catch (error) {
+    return {
+      success: false,
+      message: `Cannot read git state of ${targetCheckpoint.id}: ${error.message}`
+    };
+  }
+
+  if (options.dryRun) {
+    return {
+      success: true,
+      dryRun: true,
+      message: `Rolling back to ${targetCheckpoint.id} would discard the changes below`,
+      checkpoint: targetCheckpoint,
+      discarded
+    };
+  }
+
+  // Restore code, then the PRD and progress log
+  if (checkpointData.git) {
+    try {
+      await restoreGitState(checkpointData.git, projectRoot);
+    } catch (error) {
+      return {
+        success: false,
+        message: `Failed to restore git state: ${error.message}`,
+        checkpoint: targetCheckpoint
+      };
+    }
+  }
+
+  const restoredFiles = [];
+  for (const [file, content] of Object.entries(checkpointData.files || {})) {
+    if (content === null) continue;
+    await fs.outputFile(path.join(projectRoot, file), content, 'utf-8');
+    restoredFiles.push(file);
+  }
+
   // Remove checkpoints after the target
   const targetIndex = state.checkpoints.findIndex(cp => cp.id === targetCheckpoint.id);
   const removedCheckpoints = state.checkpoints.splice(targetIndex + 1);
@@ -286,10 +577,9 @@ async function rollback(checkpointId = 'last', projectRoot = process.cwd()) {
     state.completedSubtasks = state.completedSubtasks.slice(0, targetSubtaskIndex + 1);
   }
 
-  // Clean up removed checkpoint files
+  // Clean up removed checkpoint files and snapshots
   for (const removed of removedCheckpoints) {
-    const removedPath = path.join(projectRoot, CHECKPOINTS_DIR, `${removed.id}.json`);
-    await fs.remove(removedPath).catch(() => {});
+    await removeCheckpointFiles(removed.id, projectRoot);
   }
 
   // Update state
@@ -305,6 +595,11 @@ async function rollback(checkpointId = 'last', projectRoot = process.cwd()) {
     message: `Rolled back to checkpoint: ${targetCheckpoint.id}`,
     checkpoint: targetCheckpoint,
     removedCheckpoints: removedCheckpoints.length,
+    discarded,
+    restored: {
+      git: Boolean(checkpointData.git),
+      files: restoredFiles
+    },
     nextStep: `Resume with /ralph-resume to continue from ${targetCheckpoint.subtaskId}`
   };
 }
@@ -382,8 +677,7 @@ async function cleanupCheckpoints(keepLast = 5, projectRoot = process.cwd()) {
   const toKeep = state.checkpoints.slice(-keepLast);
 
   for (const checkpoint of toRemove) {
-    const checkpointPath = path.join(projectRoot, CHECKPOINTS_DIR, `${checkpoint.id}.json`);
-    await fs.remove(checkpointPath).catch(() => {});
+    await removeCheckpointFiles(checkpoint.id, projectRoot);
   }
 
   state.checkpoints = toKeep;
@@ -428,5 +722,6 @@ export {
   cleanupCheckpoints,
   complete,
   INTERVENTION_FILE,
-  CHECKPOINTS_DIR
+  CHECKPOINTS_DIR,
+  CHECKPOINT_REF_PREFIX
 };
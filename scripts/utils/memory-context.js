@@ -0,0 +1,270 @@
+/**
+ * Memory Context Builder
+ *
+ * Picks what RALPH has learned that matters for the story at hand and
+ * renders it as a prompt section. Gotchas (entities of type "gotcha") and
+ * insights are ranked with the memory search index against the story
+ * title, acceptance criteria and touched files; recurring QA issues are
+ * picked when they hit a touched file or have been flagged for review.
+ *
+ * Items are added in priority order until the token budget is spent. The
+ * selection, including what didn't fit, is appended to
+ * .ralph/memory-context.log for every iteration.
+ *
+ * @module memory-context
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { queryMemory, describeEntity } from './memory-manager.js';
+import { loadQaHistory } from './qa-loop.js';
+
+const execAsync = promisify(exec);
+
+const MEMORY_CONTEXT_LOG = '.ralph/memory-context.log';
+const DEFAULT_TOKEN_BUDGET = 1500;
+
+// Rough token estimate for English text and code
+const CHARS_PER_TOKEN = 4;
+
+const SECTION_TITLE = '## Relevant Memory';
+const SECTION_INTRO = 'Learned in earlier iterations of this project. Use it, but trust the code if they disagree.';
+
+// Subsection per kind, in render order
+const KIND_TITLES = {
+  qa_issue: 'Recurring QA Issues',
+  gotcha: 'Gotchas',
+  insight: 'Insights'
+};
+
+// Paths written in story text, e.g. src/auth/login.ts or README.md
+const PATH_PATTERN = /(?:[\w.-]+\/)+[\w.-]+|[\w-]+\.[a-z][a-z0-9]{1,4}\b/gi;
+
+/**
+ * Estimate the tokens in a piece of text
+ * @param {string} text - Text
+ * @returns {number} Token estimate
+ */
+function estimateTokens(text) {
+  return Math.ceil(String(text).length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Normalize a project-relative path for comparison
+ * @param {string} filePath - Path
+ * @returns {string} Path with forward slashes and no leading ./
+ */
+function normalizeFile(filePath) {
+  return String(filePath).replace(/\\/g, '/').replace(/^(\.\/)+/, '');
+}
+
+/**
+ * Files a story is likely to touch: paths named in its text, files from
+ * its last QA feedback, and uncommitted changes in the working tree
+ * @param {Object} story - User story
+ * @param {string} projectRoot - Project root directory
+ * @param {Array<Object>} qaIssues - Issues from a failed QA pass
+ * @returns {Promise<Array<string>>} Relative paths
+ */
+async function findTouchedFiles(story, projectRoot = process.cwd(), qaIssues = []) {
+  const files = new Set();
+
+  const text = [story.title, story.description, ...(story.acceptanceCriteria || [])].join('\n');
+  for (const [match] of text.matchAll(PATH_PATTERN)) {
+    files.add(normalizeFile(match));
+  }
+
+  for (const issue of qaIssues || []) {
+    if (issue.file) files.add(normalizeFile(issue.file));
+  }
+
+  try {
+    const { stdout } = await execAsync('git status --porcelain', { cwd: projectRoot });
+    for (const line of stdout.split('\n').filter(Boolean)) {
+      // "XY path" or "XY old -> new"
+      files.add(normalizeFile(line.slice(3).split(' -> ').pop()));
+    }
+  } catch {
+    // Not a git repository
+  }
+
+  return [...files];
+}
+
+/**
+ * Build the memory search query for a story
+ * @param {Object} story - User story
+ * @param {Array<string>} touchedFiles - Touched files
+ * @returns {string} Query
+ */
+function buildStoryQuery(story, touchedFiles = []) {
+  return [story.title, ...(story.acceptanceCriteria || []), ...touchedFiles].join(' ');
+}
+
+/**
+ * Check whether a file is one of the touched files
+ * @param {string} file - File from memory or QA history
+ * @param {Array<string>} touchedFiles - Touched files
+ * @returns {boolean}
+ */
+function isTouched(file, touchedFiles) {
+  if (!file) return false;
+  const normalized = normalizeFile(file);
+  return touchedFiles.some(touched => touched === normalized || touched.endsWith(`/${normalized}`));
+}
+
+/**
+ * Format a recurring QA issue as a prompt line
+ * @param {Object} issue - Entry from qa-history.json recurringIssues
+ * @returns {string} Line text
+ */
+function describeRecurringIssue(issue) {
+  const where = issue.file ? ` in ${issue.file}` : '';
+  const what = issue.description ? `: ${issue.description}` : '';
+  return `${issue.type}${where}${what} (failed QA ${issue.occurrences}x)`;
+}
+
+/**
+ * Select the memory to inject for a story
+ * @param {Object} story - User story
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {number} options.tokenBudget - Maximum tokens for the rendered section (0 disables)
+ * @param {Array<string>} options.touchedFiles - Files the story touches
+ * @returns {Promise<Object>} {storyId, query, touchedFiles, tokenBudget, tokens, items, skipped}
+ *   items/skipped are {kind, id, text, score, reason, tokens}
+ */
+async function buildMemoryContext(story, projectRoot = process.cwd(), options = {}) {
+  const tokenBudget = options.tokenBudget ?? DEFAULT_TOKEN_BUDGET;
+  const touchedFiles = (options.touchedFiles || []).map(normalizeFile);
+  const query = buildStoryQuery(story, touchedFiles);
+  const context = { storyId: story.id, query, touchedFiles, tokenBudget, tokens: 0, items: [], skipped: [] };
+
+  if (tokenBudget <= 0) return context;
+
+  const results = await queryMemory(query, {}, projectRoot);
+  const history = await loadQaHistory(projectRoot);
+
+  const touchedIssues = [];
+  const flaggedIssues = [];
+  history.recurringIssues.forEach((issue, i) => {
+    const candidate = {
+      kind: 'qa_issue',
+      id: `${issue.type}:${issue.file || i}`,
+      text: describeRecurringIssue(issue),
+      score: issue.occurrences
+    };
+    if (isTouched(issue.file, touchedFiles)) {
+      touchedIssues.push({ ...candidate, reason: `touches ${issue.file}` });
+    } else if (issue.flaggedForReview) {
+      flaggedIssues.push({ ...candidate, reason: 'flagged for review' });
+    }
+  });
+  const byOccurrences = (a, b) => b.score - a.score;
+
+  const gotchas = results.entities
+    .filter(entity => entity.type === 'gotcha')
+    .map(entity => ({
+      kind: 'gotcha',
+      id: entity.id,
+      text: describeEntity(entity),
+      score: entity.score,
+      reason: isTouched(entity.properties?.file, touchedFiles)
+        ? `touches ${entity.properties.file}`
+        : 'matches story'
+    }));
+
+  const insights = results.insights.map(insight => ({
+    kind: 'insight',
+    id: insight.id,
+    text: insight.context ? `${insight.learning} (${insight.context})` : insight.learning,
+    score: insight.score,
+    reason: `matches story, seen ${insight.occurrences || 1}x`
+  }));
+
+  // Concrete file-level warnings first, then ranked memory, then the rest
+  const candidates = [
+    ...touchedIssues.sort(byOccurrences),
+    ...gotchas,
+    ...insights,
+    ...flaggedIssues.sort(byOccurrences)
+  ];
+
+  // Section header plus one subsection header per kind
+  let tokens = estimateTokens(`${SECTION_TITLE}\n${SECTION_INTRO}\n`);
+  const kinds = new Set();
+  for (const candidate of candidates) {
+    const itemTokens = estimateTokens(`- ${candidate.text}\n`);
+    const headerTokens = kinds.has(candidate.kind) ? 0 : estimateTokens(`\n### ${KIND_TITLES[candidate.kind]}\n`);
+
+    if (tokens + itemTokens + headerTokens > tokenBudget) {
+      context.skipped.push({ ...candidate, tokens: itemTokens });
+      continue;
+    }
+
+    tokens += itemTokens + headerTokens;
+    kinds.add(candidate.kind);
+    context.items.push({ ...candidate, tokens: itemTokens });
+  }
+
+  context.tokens = context.items.length > 0 ? tokens : 0;
+  return context;
+}
+
+/**
+ * Render a memory context as a prompt section
+ * @param {Object} context - Result of buildMemoryContext
+ * @returns {string} Section text, or '' when nothing was selected
+ */
+function renderMemoryContext(context) {
+  if (!context || context.items.length === 0) return '';
+
+  const parts = [`${SECTION_TITLE}\n${SECTION_INTRO}`];
+  for (const [kind, title] of Object.entries(KIND_TITLES)) {
+    const lines = context.items.filter(item => item.kind === kind).map(item => `- ${item.text}`);
+    if (lines.length > 0) {
+      parts.push(`### ${title}\n${lines.join('\n')}`);
+    }
+  }
+
+  return parts.join('\n\n');
+}
+
+/**
+ * Append an iteration's selection to .ralph/memory-context.log
+ * (one JSON object per line)
+ * @param {Object} context - Result of buildMemoryContext
+ * @param {number} iteration - Iteration number
+ * @param {string} projectRoot - Project root directory
+ */
+async function logMemoryContext(context, iteration, projectRoot = process.cwd()) {
+  const summarize = ({ kind, id, score, reason, tokens }) => ({ kind, id, score, reason, tokens });
+  const entry = {
+    timestamp: new Date().toISOString(),
+    iteration,
+    storyId: context.storyId,
+    query: context.query,
+    touchedFiles: context.touchedFiles,
+    tokenBudget: context.tokenBudget,
+    tokens: context.tokens,
+    selected: context.items.map(summarize),
+    skipped: context.skipped.map(summarize)
+  };
+
+  const logPath = path.join(projectRoot, MEMORY_CONTEXT_LOG);
+  await fs.ensureDir(path.dirname(logPath));
+  await fs.appendFile(logPath, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+export {
+  MEMORY_CONTEXT_LOG,
+  DEFAULT_TOKEN_BUDGET,
+  estimateTokens,
+  findTouchedFiles,
+  buildStoryQuery,
+  buildMemoryContext,
+  renderMemoryContext,
+  logMemoryContext
+};
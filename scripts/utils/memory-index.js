@@ -0,0 +1,341 @@
+/**
+ * Memory Search Index
+ *
+ * Offline ranking for RALPH memory. Entities and insights are tokenized
+ * (lowercased, camelCase split, lightly stemmed) and scored with BM25;
+ * a query term also matches longer terms it prefixes ("auth" finds
+ * "authentication") at a discount. An embedder registered with
+ * setEmbedder adds cosine similarity on top.
+ *
+ * The index lives in .ralph/memory/memory-index.json, next to (but not
+ * part of) the memory files; index.json there belongs to the memory layer.
+ * Each document keeps a hash of its text, so a refresh only re-tokenizes
+ * (and re-embeds) what changed.
+ *
+ * @module memory-index
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import crypto from 'crypto';
+
+const INDEX_FILE = 'memory-index.json';
+const INDEX_VERSION = 1;
+
+// BM25 parameters
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+
+// Weight of a prefix match relative to an exact term match
+const PREFIX_MATCH_WEIGHT = 0.5;
+const MIN_PREFIX_LENGTH = 3;
+
+// Cosine similarity below which an embedding alone doesn't count as a hit
+const MIN_SIMILARITY = 0.5;
+
+const SNIPPET_LENGTH = 120;
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'has', 'in',
+  'is', 'it', 'its', 'of', 'on', 'or', 'that', 'the', 'this', 'to', 'was',
+  'were', 'will', 'with'
+]);
+
+// Longest first; a suffix is only removed when 3+ characters remain
+const SUFFIXES = ['ations', 'ation', 'ings', 'ing', 'ies', 'ied', 'ers', 'er', 'ed', 'es', 'ly', 's', 'y', 'e'];
+
+let embedder = null;
+
+/**
+ * Register a vector embedder, or null to rank with BM25 only
+ * @param {Object|null} next - {name: string, embed: (texts: string[]) => Promise<number[][]>}
+ */
+function setEmbedder(next) {
+  if (next && (typeof next.name !== 'string' || typeof next.embed !== 'function')) {
+    throw new Error('An embedder needs a name and an embed(texts) function');
+  }
+  embedder = next;
+}
+
+/**
+ * Get the registered embedder
+ * @returns {Object|null} Embedder
+ */
+function getEmbedder() {
+  return embedder;
+}
+
+/**
+ * Reduce a lowercase word to its stem
+ * @param {string} word - Lowercase word
+ * @returns {string} Stem
+ */
+function stem(word) {
+  if (word.length <= 4 || /\d/.test(word)) return word;
+  const suffix = SUFFIXES.find(s => word.endsWith(s) && word.length - s.length >= 3);
+  return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+/**
+ * Split text into words, keeping camelCase parts and the whole word
+ * @param {string} text - Text
+ * @returns {Array<string>} Lowercase words
+ */
+function splitWords(text) {
+  const words = [];
+  for (const [word] of String(text).matchAll(/[A-Za-z0-9]+/g)) {
+    const parts = word.split(/(?<=[a-z0-9])(?=[A-Z])|(?<=[A-Z])(?=[A-Z][a-z])/);
+    words.push(word.toLowerCase());
+    if (parts.length > 1) words.push(...parts.map(p => p.toLowerCase()));
+  }
+  return words;
+}
+
+/**
+ * Tokenize text into index terms
+ * @param {string} text - Text
+ * @returns {Array<string>} Terms
+ */
+function tokenize(text) {
+  return splitWords(text).filter(word => !STOPWORDS.has(word)).map(stem);
+}
+
+/**
+ * Searchable text of an entity (the name counts twice)
+ * @param {Object} entity - Entity
+ * @returns {string} Text
+ */
+function entityText(entity) {
+  const values = JSON.stringify(entity.properties || {}).replace(/[{}[\]",:]/g, ' ');
+  return [entity.name, entity.name, entity.type, values].join(' ');
+}
+
+/**
+ * Searchable text of an insight (the learning counts twice)
+ * @param {Object} insight - Insight
+ * @returns {string} Text
+ */
+function insightText(insight) {
+  return [insight.learning, insight.learning, insight.context, ...(insight.tags || [])].join(' ');
+}
+
+/**
+ * Turn entities and insights into index documents
+ * @param {Array<Object>} entities - Entities
+ * @param {Array<Object>} insights - Insights
+ * @returns {Array<{key: string, text: string}>}
+ */
+function toDocuments(entities, insights) {
+  return [
+    ...entities.map(e => ({ key: `entity:${e.id}`, text: entityText(e) })),
+    ...insights.map(i => ({ key: `insight:${i.id}`, text: insightText(i) }))
+  ];
+}
+
+/**
+ * Load the index (empty when missing or from another version)
+ * @param {string} projectRoot - Project root directory
+ * @param {string} memoryDir - Memory directory relative to the root
+ * @returns {Promise<Object>} Index
+ */
+async function loadIndex(projectRoot, memoryDir) {
+  const indexPath = path.join(projectRoot, memoryDir, INDEX_FILE);
+  try {
+    const index = await fs.readJson(indexPath);
+    if (index.version === INDEX_VERSION) return index;
+  } catch {
+    // Missing or unreadable - rebuild
+  }
+  return { version: INDEX_VERSION, embedder: null, docs: {} };
+}
+
+/**
+ * Add or refresh documents in the index
+ * @param {Array<{key: string, text: string}>} documents - Documents to index
+ * @param {string} projectRoot - Project root directory
+ * @param {string} memoryDir - Memory directory relative to the root
+ * @param {Object} options - Options
+ * @param {boolean} options.prune - Drop indexed documents not in `documents`
+ * @returns {Promise<Object>} Updated index
+ */
+async function updateIndex(documents, projectRoot, memoryDir, options = {}) {
+  const index = await loadIndex(projectRoot, memoryDir);
+  const embedderName = embedder ? embedder.name : null;
+  const reembed = embedderName !== null && index.embedder !== embedderName;
+  let changed = false;
+
+  const stale = [];
+  for (const doc of documents) {
+    const hash = crypto.createHash('sha1').update(doc.text).digest('hex');
+    const existing = index.docs[doc.key];
+
+    if (!existing || existing.hash !== hash) {
+      const terms = {};
+      const tokens = tokenize(doc.text);
+      for (const term of tokens) terms[term] = (terms[term] || 0) + 1;
+      index.docs[doc.key] = { hash, length: tokens.length, terms };
+      changed = true;
+    }
+    if (embedderName && (reembed || !index.docs[doc.key].vector)) {
+      stale.push(doc);
+    }
+  }
+
+  if (stale.length > 0) {
+    const vectors = await embedder.embed(stale.map(doc => doc.text));
+    stale.forEach((doc, i) => {
+      index.docs[doc.key].vector = vectors[i];
+    });
+    changed = true;
+  }
+  if (embedderName && index.embedder !== embedderName) {
+    index.embedder = embedderName;
+    changed = true;
+  }
+
+  if (options.prune) {
+    const keep = new Set(documents.map(doc => doc.key));
+    for (const key of Object.keys(index.docs)) {
+      if (!keep.has(key)) {
+        delete index.docs[key];
+        changed = true;
+      }
+    }
+  }
+
+  if (changed) {
+    const indexPath = path.join(projectRoot, memoryDir, INDEX_FILE);
+    await fs.ensureDir(path.dirname(indexPath));
+    await fs.writeJson(indexPath, index);
+  }
+  return index;
+}
+
+/**
+ * Match weights of index terms for one query term: 1 for the term itself,
+ * PREFIX_MATCH_WEIGHT for longer terms it prefixes
+ * @param {string} queryTerm - Query term
+ * @param {Set<string>} vocabulary - All index terms
+ * @returns {Map<string, number>} Term -> weight
+ */
+function expandTerm(queryTerm, vocabulary) {
+  const matches = new Map();
+  if (vocabulary.has(queryTerm)) matches.set(queryTerm, 1);
+  if (queryTerm.length >= MIN_PREFIX_LENGTH) {
+    for (const term of vocabulary) {
+      if (term !== queryTerm && term.startsWith(queryTerm)) matches.set(term, PREFIX_MATCH_WEIGHT);
+    }
+  }
+  return matches;
+}
+
+/**
+ * Cosine similarity of two vectors
+ * @param {Array<number>} a - Vector
+ * @param {Array<number>} b - Vector
+ * @returns {number} Similarity (-1..1)
+ */
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Score every indexed document against a query
+ * @param {string} query - Search query
+ * @param {Object} index - Index from updateIndex
+ * @returns {Promise<Map<string, number>>} Document key -> score (only hits)
+ */
+async function scoreDocuments(query, index) {
+  const entries = Object.entries(index.docs);
+  const scores = new Map();
+  if (entries.length === 0) return scores;
+
+  const vocabulary = new Set(entries.flatMap(([, doc]) => Object.keys(doc.terms)));
+  const avgLength = entries.reduce((sum, [, doc]) => sum + doc.length, 0) / entries.length || 1;
+  const documentFrequency = term => entries.filter(([, doc]) => doc.terms[term]).length;
+
+  for (const queryTerm of new Set(tokenize(query))) {
+    for (const [term, weight] of expandTerm(queryTerm, vocabulary)) {
+      const df = documentFrequency(term);
+      const idf = Math.log(1 + (entries.length - df + 0.5) / (df + 0.5));
+
+      for (const [key, doc] of entries) {
+        const tf = doc.terms[term];
+        if (!tf) continue;
+        const norm = tf + BM25_K1 * (1 - BM25_B + BM25_B * doc.length / avgLength);
+        scores.set(key, (scores.get(key) || 0) + weight * idf * tf * (BM25_K1 + 1) / norm);
+      }
+    }
+  }
+
+  if (!embedder || index.embedder !== embedder.name) return scores;
+
+  // Blend normalized BM25 with embedding similarity
+  const [queryVector] = await embedder.embed([query]);
+  const maxBm25 = Math.max(0, ...scores.values()) || 1;
+  const blended = new Map();
+  for (const [key, doc] of entries) {
+    const bm25 = (scores.get(key) || 0) / maxBm25;
+    const similarity = doc.vector ? cosine(queryVector, doc.vector) : 0;
+    if (bm25 > 0 || similarity >= MIN_SIMILARITY) {
+      blended.set(key, 0.5 * bm25 + 0.5 * Math.max(similarity, 0));
+    }
+  }
+  return blended;
+}
+
+/**
+ * Cut a snippet of `text` around the first query match
+ * @param {string} text - Text to cut from
+ * @param {string} query - Search query
+ * @returns {{snippet: string, highlights: Array<{start: number, end: number}>}}
+ *   highlights are offsets of matched words within the snippet
+ */
+function buildSnippet(text, query) {
+  const queryTerms = [...new Set(tokenize(query))];
+  const isMatch = word => splitWords(word).filter(w => !STOPWORDS.has(w)).map(stem).some(term =>
+    queryTerms.some(q => term === q || (q.length >= MIN_PREFIX_LENGTH && term.startsWith(q)))
+  );
+
+  const matches = [];
+  for (const match of String(text).matchAll(/[A-Za-z0-9]+/g)) {
+    if (isMatch(match[0])) matches.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  let start = 0;
+  if (text.length > SNIPPET_LENGTH && matches.length > 0) {
+    start = Math.max(0, Math.min(matches[0].start - 20, text.length - SNIPPET_LENGTH));
+  }
+  const end = Math.min(text.length, start + SNIPPET_LENGTH);
+  const prefix = start > 0 ? '...' : '';
+  const suffix = end < text.length ? '...' : '';
+
+  return {
+    snippet: prefix + text.slice(start, end) + suffix,
+    highlights: matches
+      .filter(m => m.start >= start && m.end <= end)
+      .map(m => ({ start: m.start - start + prefix.length, end: m.end - start + prefix.length }))
+  };
+}
+
+export {
+  INDEX_FILE,
+  setEmbedder,
+  getEmbedder,
+  tokenize,
+  entityText,
+  insightText,
+  toDocuments,
+  loadIndex,
+  updateIndex,
+  scoreDocuments,
+  buildSnippet
+};
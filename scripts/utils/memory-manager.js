@@ -9,6 +9,13 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import {
+  INDEX_FILE,
+  toDocuments,
+  updateIndex,
+  scoreDocuments,
+  buildSnippet
+} from './memory-index.js';
 
 // Memory storage paths
 const MEMORY_DIR = '.ralph/memory';
@@ -112,6 +119,7 @@ async function addEntity(type, name, properties = {}, projectRoot = process.cwd(
       updatedAt: new Date().toISOString()
     });
     await saveMemoryFile(ENTITIES_FILE, data, projectRoot);
+    await updateIndex(toDocuments([existing], []), projectRoot, MEMORY_DIR);
     return existing;
   }
 
@@ -127,6 +135,7 @@ async function addEntity(type, name, properties = {}, projectRoot = process.cwd(
 
   data.entities.push(entity);
   await saveMemoryFile(ENTITIES_FILE, data, projectRoot);
+  await updateIndex(toDocuments([entity], []), projectRoot, MEMORY_DIR);
 
   return entity;
 }
@@ -274,6 +283,68 @@ async function getRelationshipsByType(type, projectRoot = process.cwd()) {
   return data.relationships.filter(r => r.type === type);
 }
 
+/**
+ * Get the relationship graph around an entity
+ * Relationships may reference entities by ID or by name, so both are matched.
+ * @param {string} nameOrId - Entity name or ID
+ * @param {Object} options - Options {type, depth}
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} {entity, nodes, edges} or null if not found
+ */
+async function getEntityGraph(nameOrId, options = {}, projectRoot = process.cwd()) {
+  const { type = null, depth = 1 } = options;
+  const entitiesData = await loadMemoryFile(ENTITIES_FILE, projectRoot);
+  const relData = await loadMemoryFile(RELATIONSHIPS_FILE, projectRoot);
+
+  const entity = entitiesData.entities.find(e =>
+    (e.id === nameOrId || e.name === nameOrId) && (!type || e.type === type)
+  );
+  if (!entity) return null;
+
+  const byKey = new Map();
+  for (const e of entitiesData.entities) {
+    byKey.set(e.id, e);
+    if (!byKey.has(e.name)) byKey.set(e.name, e);
+  }
+
+  const keysOf = e => (e ? [e.id, e.name] : []);
+  const nodes = new Map([[entity.id, entity]]);
+  const edges = new Map();
+  let frontier = [entity];
+
+  for (let level = 0; level < depth && frontier.length > 0; level++) {
+    const next = [];
+    for (const current of frontier) {
+      const keys = keysOf(current);
+      for (const rel of relData.relationships) {
+        if (!keys.includes(rel.fromId) && !keys.includes(rel.toId)) continue;
+        edges.set(rel.id, rel);
+
+        const otherKey = keys.includes(rel.fromId) ? rel.toId : rel.fromId;
+        const other = byKey.get(otherKey);
+        if (other && !nodes.has(other.id)) {
+          nodes.set(other.id, other);
+          next.push(other);
+        }
+      }
+    }
+    frontier = next;
+  }
+
+  // Label edges with entity names where the endpoint is known
+  const label = key => byKey.get(key)?.name || key;
+
+  return {
+    entity,
+    nodes: [...nodes.values()],
+    edges: [...edges.values()].map(rel => ({
+      ...rel,
+      from: label(rel.fromId),
+      to: label(rel.toId)
+    }))
+  };
+}
+
 // ============ INSIGHTS ============
 
 /**
@@ -298,6 +369,7 @@ async function addInsight(context, learning, tags = [], projectRoot = process.cw
     existing.occurrences = (existing.occurrences || 1) + 1;
     existing.lastSeen = new Date().toISOString();
     await saveMemoryFile(INSIGHTS_FILE, data, projectRoot);
+    await updateIndex(toDocuments([], [existing]), projectRoot, MEMORY_DIR);
     return existing;
   }
 
@@ -314,10 +386,42 @@ async function addInsight(context, learning, tags = [], projectRoot = process.cw
 
   data.insights.push(insight);
   await saveMemoryFile(INSIGHTS_FILE, data, projectRoot);
+  await updateIndex(toDocuments([], [insight]), projectRoot, MEMORY_DIR);
 
   return insight;
 }
 
+/**
+ * Get an insight by ID
+ * @param {string} id - Insight ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} Insight or null
+ */
+async function getInsight(id, projectRoot = process.cwd()) {
+  const data = await loadMemoryFile(INSIGHTS_FILE, projectRoot);
+  return data.insights.find(i => i.id === id) || null;
+}
+
+/**
+ * Update an insight
+ * @param {string} id - Insight ID
+ * @param {Object} updates - Fields to update (context, learning, tags)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} Updated insight or null
+ */
+async function updateInsight(id, updates, projectRoot = process.cwd()) {
+  const data = await loadMemoryFile(INSIGHTS_FILE, projectRoot);
+  const insight = data.insights.find(i => i.id === id);
+
+  if (!insight) return null;
+
+  Object.assign(insight, updates);
+
+  await saveMemoryFile(INSIGHTS_FILE, data, projectRoot);
+  await updateIndex(toDocuments([], [insight]), projectRoot, MEMORY_DIR);
+  return insight;
+}
+
 /**
  * Get insights by tags
  * @param {Array} tags - Tags to filter by
@@ -363,7 +467,21 @@ async function getMostFrequentInsights(limit = 10, projectRoot = process.cwd())
 // ============ QUERY ============
 
 /**
- * Query memory with simple text matching
+ * Display text of an entity for snippets
+ * @param {Object} entity - Entity
+ * @returns {string} Text
+ */
+function describeEntity(entity) {
+  const props = Object.entries(entity.properties || {})
+    .map(([key, value]) => `${key}: ${typeof value === 'string' ? value : JSON.stringify(value)}`);
+  return props.length > 0 ? `${entity.name} - ${props.join(', ')}` : entity.name;
+}
+
+/**
+ * Query memory. Entities and insights are ranked with the search index
+ * (BM25, plus embeddings when an embedder is registered) and come back
+ * best first with a score and a highlighted snippet; relationships match
+ * by substring. An empty query matches everything, unranked.
  * @param {string} query - Search query
  * @param {Object} filters - Optional filters {type, tags, since}
  * @param {string} projectRoot - Project root directory
@@ -377,30 +495,62 @@ async function queryMemory(query, filters = {}, projectRoot = process.cwd()) {
     insights: []
   };
 
-  // Search entities
   const entitiesData = await loadMemoryFile(ENTITIES_FILE, projectRoot);
-  results.entities = entitiesData.entities.filter(entity => {
-    // Apply type filter
-    if (filters.type && entity.type !== filters.type) return false;
+  const insightsData = await loadMemoryFile(INSIGHTS_FILE, projectRoot);
 
-    // Text match on name and properties
-    const nameMatch = entity.name.toLowerCase().includes(queryLower);
-    const propsMatch = JSON.stringify(entity.properties).toLowerCase().includes(queryLower);
+  // Bring the index up to date (edits, deletes, imports) and score
+  let scores = null;
+  if (query.trim()) {
+    const index = await updateIndex(
+      toDocuments(entitiesData.entities, insightsData.insights),
+      projectRoot,
+      MEMORY_DIR,
+      { prune: true }
+    );
+    scores = await scoreDocuments(query, index);
+  }
 
-    return nameMatch || propsMatch;
-  });
+  /**
+   * Attach score and snippet, or drop items the query doesn't hit
+   * @param {Array<Object>} items - Entities or insights
+   * @param {string} kind - 'entity' or 'insight'
+   * @param {Function} describe - Item to display text
+   * @returns {Array<Object>} Ranked items
+   */
+  const rank = (items, kind, describe) => {
+    if (!scores) return items;
+    return items
+      .filter(item => scores.has(`${kind}:${item.id}`))
+      .map(item => ({
+        ...item,
+        score: Number(scores.get(`${kind}:${item.id}`).toFixed(4)),
+        ...buildSnippet(describe(item), query)
+      }))
+      .sort((a, b) => b.score - a.score);
+  };
 
-  // Search relationships
+  // Search entities
+  results.entities = rank(
+    entitiesData.entities.filter(entity => !filters.type || entity.type === filters.type),
+    'entity',
+    describeEntity
+  );
+
+  // Search relationships, labelling endpoints with entity names
+  const names = new Map(entitiesData.entities.map(e => [e.id, e.name]));
   const relData = await loadMemoryFile(RELATIONSHIPS_FILE, projectRoot);
   results.relationships = relData.relationships.filter(rel => {
     const typeMatch = rel.type.toLowerCase().includes(queryLower);
     const propsMatch = JSON.stringify(rel.properties).toLowerCase().includes(queryLower);
     return typeMatch || propsMatch;
-  });
+  }).map(rel => ({
+    ...rel,
+    from: names.get(rel.fromId) || rel.fromId,
+    to: names.get(rel.toId) || rel.toId
+  }));
 
   // Search insights
-  const insightsData = await loadMemoryFile(INSIGHTS_FILE, projectRoot);
-  results.insights = insightsData.insights.filter(insight => {
+  const insights = insightsData.insights.filter(insight => {
     // Apply tag filter
     if (filters.tags && !filters.tags.some(t => insight.tags.includes(t))) {
       return false;
@@ -412,13 +562,9 @@ async function queryMemory(query, filters = {}, projectRoot = process.cwd()) {
       if (new Date(insight.createdAt) < sinceDate) return false;
     }
 
-    // Text match
-    const contextMatch = insight.context.toLowerCase().includes(queryLower);
-    const learningMatch = insight.learning.toLowerCase().includes(queryLower);
-    const tagMatch = insight.tags.some(t => t.toLowerCase().includes(queryLower));
-
-    return contextMatch || learningMatch || tagMatch;
+    return true;
   });
+  results.insights = rank(insights, 'insight', insight => `${insight.learning} (${insight.context})`);
 
   return results;
 }
@@ -487,18 +633,22 @@ async function cleanupMemory(maxAgeDays = 90, projectRoot = process.cwd()) {
   // Clean entities
   const entitiesData = await loadMemoryFile(ENTITIES_FILE, projectRoot);
   const originalEntities = entitiesData.entities.length;
+  const removed = entitiesData.entities.filter(e => new Date(e.updatedAt) < cutoffDate);
   entitiesData.entities = entitiesData.entities.filter(
     e => new Date(e.updatedAt) >= cutoffDate
   );
   stats.entities = originalEntities - entitiesData.entities.length;
   await saveMemoryFile(ENTITIES_FILE, entitiesData, projectRoot);
 
-  // Clean relationships (keep if entities still exist)
-  const entityIds = new Set(entitiesData.entities.map(e => e.id));
+  // Clean relationships that point at a removed entity (by ID or name)
+  const kept = new Set(entitiesData.entities.flatMap(e => [e.id, e.name]));
+  const removedKeys = new Set(
+    removed.flatMap(e => [e.id, e.name]).filter(key => !kept.has(key))
+  );
   const relData = await loadMemoryFile(RELATIONSHIPS_FILE, projectRoot);
   const originalRels = relData.relationships.length;
   relData.relationships = relData.relationships.filter(
-    r => entityIds.has(r.fromId) && entityIds.has(r.toId)
+    r => !removedKeys.has(r.fromId) && !removedKeys.has(r.toId)
   );
   stats.relationships = originalRels - relData.relationships.length;
   await saveMemoryFile(RELATIONSHIPS_FILE, relData, projectRoot);
@@ -541,18 +691,24 @@ async function exportMemory(outputPath, projectRoot = process.cwd()) {
  * @param {string} inputPath - Input file path
  * @param {boolean} merge - Merge with existing (true) or replace (false)
  * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Counts of imported entities, relationships and insights
  */
 async function importMemory(inputPath, merge = true, projectRoot = process.cwd()) {
   const importData = await fs.readJson(inputPath);
 
   if (merge) {
-    // Merge with existing data
+    // Merge with existing data. Merged entities may get new IDs, so
+    // point imported relationships at the IDs they ended up with.
+    const idMap = new Map();
     for (const entity of importData.entities || []) {
-      await addEntity(entity.type, entity.name, entity.properties, projectRoot);
+      const merged = await addEntity(entity.type, entity.name, entity.properties, projectRoot);
+      idMap.set(entity.id, merged.id);
     }
 
     for (const rel of importData.relationships || []) {
-      await addRelationship(rel.fromId, rel.toId, rel.type, rel.properties, projectRoot);
+      const fromId = idMap.get(rel.fromId) || rel.fromId;
+      const toId = idMap.get(rel.toId) || rel.toId;
+      await addRelationship(fromId, toId, rel.type, rel.properties, projectRoot);
     }
 
     for (const insight of importData.insights || []) {
@@ -575,6 +731,12 @@ async function importMemory(inputPath, merge = true, projectRoot = process.cwd()
       insights: importData.insights || []
     }, projectRoot);
   }
+
+  return {
+    entities: (importData.entities || []).length,
+    relationships: (importData.relationships || []).length,
+    insights: (importData.insights || []).length
+  };
 }
 
 export {
@@ -592,15 +754,19 @@ export {
   addRelationship,
   getRelationships,
   getRelationshipsByType,
+  getEntityGraph,
 
   // Insights
   addInsight,
+  getInsight,
+  updateInsight,
   getInsightsByTags,
   getRecentInsights,
   getMostFrequentInsights,
 
   // Query
   queryMemory,
+  describeEntity,
 
   // Statistics
   getMemoryStats,
@@ -616,5 +782,6 @@ export {
   MEMORY_DIR,
   ENTITIES_FILE,
   RELATIONSHIPS_FILE,
-  INSIGHTS_FILE
+  INSIGHTS_FILE,
+  INDEX_FILE
 };
@@ -12,7 +12,6 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { XMLParser } from 'fast-xml-parser';
 import {
   RSS_FEEDS,
@@ -27,11 +26,8 @@ import { CONFIG } from './config-manager.js';
 import { newsLogger as logger } from './logger.js';
 import httpClient, { fetchAllSettled } from './http-client.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Cache configuration (from centralized config)
-const CACHE_DIR = path.join(__dirname, '..', '..', 'knowledge-base', '.cache');
+const CACHE_DIR = path.join(CONFIG.knowledgeBase.path, '.cache');
 const AGGREGATED_CACHE_FILE = path.join(CACHE_DIR, 'aggregated-news.json');
 
 // User agent for API requests (from centralized config)
@@ -54,12 +50,11 @@ const xmlParser = new XMLParser({
  * Handles both RSS 2.0 and Atom feed formats properly
  */
 async function parseRSSFeed(url, timeout = CONFIG.timeouts.rssFeed) {
-  const controller = new AbortController();
-  const timeoutId = setTimeout(() => controller.abort(), timeout);
-
   try {
-    const response = await fetch(url, {
-      signal: controller.signal,
+    // Through the shared client so feeds can be recorded and replayed
+    const response = await httpClient.fetch(url, {
+      timeout,
+      retries: 0,
       headers: { 'User-Agent': USER_AGENT }
     });
 
@@ -117,12 +112,10 @@ async function parseRSSFeed(url, timeout = CONFIG.timeouts.rssFeed) {
     logger.debug(`Parsed ${items.length} items from ${url}`);
     return items;
   } catch (error) {
-    if (error.name === 'AbortError') {
+    if (error.timeout) {
       throw new Error('Request timeout');
     }
     throw error;
-  } finally {
-    clearTimeout(timeoutId);
   }
 }
 
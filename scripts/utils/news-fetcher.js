@@ -13,16 +13,12 @@
 
 import fs from 'fs-extra';
 import path from 'path';
-import { fileURLToPath } from 'url';
 import { aggregateNews, getTopStory, getNewsByCategory, getNewsStats } from './news-aggregator.js';
 import { NEWS_CATEGORIES, NEWSLETTER_SECTIONS } from './news-sources.js';
 import { CONFIG } from './config-manager.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
-
 // Cache file for news to avoid excessive API calls (using centralized config)
-const CACHE_DIR = path.join(__dirname, '..', '..', 'knowledge-base', '.cache');
+const CACHE_DIR = path.join(CONFIG.knowledgeBase.path, '.cache');
 const NEWS_CACHE_FILE = path.join(CACHE_DIR, 'news-cache.json');
 
 /**
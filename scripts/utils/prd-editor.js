@@ -0,0 +1,156 @@
+/**
+ * PRD Editor
+ *
+ * Structural edits to prd.json user stories: add, move and split.
+ * Story order in the array is kept in step with priority, so every edit
+ * renumbers priorities 1..n to match the new order.
+ *
+ * @module prd-editor
+ */
+
+const STORY_ID_PREFIX = 'US-';
+
+/**
+ * Get the next free story ID (one past the highest US-NNN)
+ * @param {Object} prd - PRD object
+ * @returns {string} Story ID
+ */
+function nextStoryId(prd) {
+  const numbers = (prd.userStories || [])
+    .map(s => String(s.id).match(/^US-(\d+)$/))
+    .filter(Boolean)
+    .map(match => parseInt(match[1], 10));
+  const next = numbers.length > 0 ? Math.max(...numbers) + 1 : 1;
+  return `${STORY_ID_PREFIX}${String(next).padStart(3, '0')}`;
+}
+
+/**
+ * Find a story's index, throwing when it doesn't exist
+ * @param {Object} prd - PRD object
+ * @param {string} storyId - Story ID
+ * @returns {number} Index in userStories
+ */
+function findStoryIndex(prd, storyId) {
+  const index = (prd.userStories || []).findIndex(s => s.id === storyId);
+  if (index === -1) {
+    throw new Error(`Story ${storyId} not found in prd.json`);
+  }
+  return index;
+}
+
+/**
+ * Set priorities to match array order
+ * @param {Object} prd - PRD object
+ */
+function renumberPriorities(prd) {
+  prd.userStories.forEach((story, index) => {
+    story.priority = index + 1;
+  });
+}
+
+/**
+ * Build a new, incomplete story
+ * @param {string} id - Story ID
+ * @param {Object} fields - Story fields
+ * @returns {Object} User story
+ */
+function createStory(id, fields) {
+  const title = (fields.title || '').trim();
+  if (!title) {
+    throw new Error('A story needs a title');
+  }
+
+  const acceptanceCriteria = (fields.acceptanceCriteria || []).map(c => c.trim()).filter(Boolean);
+  if (acceptanceCriteria.length === 0) {
+    throw new Error(`Story "${title}" needs at least one acceptance criterion`);
+  }
+
+  return {
+    id,
+    title,
+    description: fields.description || '',
+    acceptanceCriteria,
+    priority: 0,
+    passes: false,
+    notes: fields.notes || ''
+  };
+}
+
+/**
+ * Add a story
+ * @param {Object} prd - PRD object (modified in place)
+ * @param {Object} fields - Story fields
+ * @param {string} fields.title - Title
+ * @param {string} fields.description - Description
+ * @param {Array<string>} fields.acceptanceCriteria - Acceptance criteria
+ * @param {number} position - Zero-based position (default: end)
+ * @returns {Object} The new story
+ */
+function addStory(prd, fields, position) {
+  prd.userStories = prd.userStories || [];
+  const story = createStory(nextStoryId(prd), fields);
+  const index = position === undefined
+    ? prd.userStories.length
+    : Math.min(Math.max(position, 0), prd.userStories.length);
+
+  prd.userStories.splice(index, 0, story);
+  renumberPriorities(prd);
+  return story;
+}
+
+/**
+ * Move a story to a new position
+ * @param {Object} prd - PRD object (modified in place)
+ * @param {string} storyId - Story to move
+ * @param {number} position - Zero-based target position
+ * @returns {Object} The moved story
+ */
+function moveStory(prd, storyId, position) {
+  const from = findStoryIndex(prd, storyId);
+  const [story] = prd.userStories.splice(from, 1);
+  const to = Math.min(Math.max(position, 0), prd.userStories.length);
+
+  prd.userStories.splice(to, 0, story);
+  renumberPriorities(prd);
+  return story;
+}
+
+/**
+ * Split a story into several. The first part keeps the original ID (and
+ * any engine or dependency fields); the others get new IDs and follow it.
+ * Every part starts incomplete.
+ * @param {Object} prd - PRD object (modified in place)
+ * @param {string} storyId - Story to split
+ * @param {Array<Object>} parts - At least two {title, description, acceptanceCriteria}
+ * @returns {Array<Object>} The resulting stories
+ */
+function splitStory(prd, storyId, parts) {
+  if (!Array.isArray(parts) || parts.length < 2) {
+    throw new Error('Splitting a story needs at least two parts');
+  }
+
+  const index = findStoryIndex(prd, storyId);
+  const original = prd.userStories[index];
+
+  const stories = [];
+  for (const [i, part] of parts.entries()) {
+    const id = i === 0 ? original.id : nextStoryId({ userStories: [...prd.userStories, ...stories] });
+    const story = createStory(id, {
+      description: original.description,
+      ...part,
+      notes: i === 0 ? original.notes : `Split from ${original.id}`
+    });
+    stories.push(i === 0 ? { ...original, ...story } : story);
+  }
+
+  prd.userStories.splice(index, 1, ...stories);
+  renumberPriorities(prd);
+  return stories;
+}
+
+export {
+  nextStoryId,
+  addStory,
+  moveStory,
+  splitStory
+};
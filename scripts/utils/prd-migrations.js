@@ -0,0 +1,86 @@
+/**
+ * PRD Migrations
+ *
+ * Upgrades prd.json files written in older formats. A PRD without a
+ * `schemaVersion` is version 1; each migration lifts it one version, so
+ * a PRD is upgraded by running every migration above its version in order.
+ *
+ * @module prd-migrations
+ */
+
+import { PRD_SCHEMA_VERSION, PRD_SCHEMA_URL } from './prd-validator.js';
+
+/**
+ * Migrations in version order. `migrate` gets a copy of the PRD and
+ * returns the upgraded one; `schemaVersion` is set by migratePrd.
+ */
+const PRD_MIGRATIONS = [
+  {
+    version: 2,
+    description: 'Add $schema and schemaVersion, move blockedBy into dependsOn, default passes and notes',
+    migrate(prd) {
+      const userStories = (prd.userStories || []).map(story => {
+        const { blockedBy, ...rest } = story;
+        const dependsOn = [...new Set([
+          ...(Array.isArray(story.dependsOn) ? story.dependsOn : []),
+          ...(Array.isArray(blockedBy) ? blockedBy : [])
+        ])];
+
+        return {
+          ...rest,
+          passes: story.passes === true || story.passes === 'true',
+          notes: typeof story.notes === 'string' ? story.notes : '',
+          ...(dependsOn.length > 0 ? { dependsOn } : {})
+        };
+      });
+
+      return { $schema: prd.$schema || PRD_SCHEMA_URL, ...prd, userStories };
+    }
+  }
+];
+
+/**
+ * Get a PRD's format version (1 when it has no schemaVersion)
+ * @param {Object} prd - PRD object
+ * @returns {number} Version
+ */
+function getPrdSchemaVersion(prd) {
+  return Number.isInteger(prd?.schemaVersion) ? prd.schemaVersion : 1;
+}
+
+/**
+ * Upgrade a PRD to the current format. The input is not modified.
+ * @param {Object} prd - PRD object
+ * @returns {{prd: Object, fromVersion: number, toVersion: number, applied: Array<{version: number, description: string}>}}
+ */
+function migratePrd(prd) {
+  const fromVersion = getPrdSchemaVersion(prd);
+  if (fromVersion > PRD_SCHEMA_VERSION) {
+    throw new Error(`prd.json is schema version ${fromVersion}, newer than supported (${PRD_SCHEMA_VERSION}) - update claude-init`);
+  }
+
+  let migrated = structuredClone(prd);
+  const applied = [];
+
+  for (const migration of PRD_MIGRATIONS) {
+    if (migration.version <= fromVersion) continue;
+
+    const { $schema, schemaVersion, ...rest } = migration.migrate(migrated);
+    // Keep the format fields at the top of the file
+    migrated = { ...($schema ? { $schema } : {}), schemaVersion: migration.version, ...rest };
+    applied.push({ version: migration.version, description: migration.description });
+  }
+
+  return {
+    prd: migrated,
+    fromVersion,
+    toVersion: getPrdSchemaVersion(migrated),
+    applied
+  };
+}
+
+export {
+  PRD_MIGRATIONS,
+  getPrdSchemaVersion,
+  migratePrd
+};
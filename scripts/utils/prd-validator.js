@@ -1,21 +1,91 @@
 /**
  * PRD Validator
  *
- * Validates prd.json structure before RALPH runs.
+ * Validates prd.json structure before RALPH runs, and publishes the same
+ * rules as a JSON Schema (templates/ralph/prd.schema.json) for editors.
  *
  * @module prd-validator
  */
 
+import { getStoryDependencies, findDependencyCycle, getNextStory } from './story-scheduler.js';
+
+/**
+ * Current prd.json format version. Bump it together with a new migration
+ * in prd-migrations.js whenever the format changes.
+ */
+export const PRD_SCHEMA_VERSION = 2;
+
+/**
+ * Where editors fetch the published schema from (`$schema` in prd.json)
+ */
+export const PRD_SCHEMA_URL = 'https://raw.githubusercontent.com/doravidan/supreme-ralph/main/templates/ralph/prd.schema.json';
+
 /**
- * PRD Schema definition
+ * PRD Schema definition (property entries are JSON Schema fragments)
  */
 const PRD_SCHEMA = {
   required: ['project', 'branchName', 'userStories'],
-  optional: ['description', 'createdAt', 'projectContext', 'techStack'],
+  properties: {
+    $schema: { type: 'string', description: 'JSON Schema URL for editor validation' },
+    schemaVersion: {
+      type: 'integer',
+      minimum: 1,
+      maximum: PRD_SCHEMA_VERSION,
+      description: 'prd.json format version; upgrade older files with `claude-init prd migrate`'
+    },
+    project: { type: 'string', description: 'Feature or project name' },
+    branchName: { type: 'string', description: 'Git branch for the work, conventionally ralph/<feature>' },
+    description: { type: 'string' },
+    createdAt: { type: 'string', description: 'Creation date (YYYY-MM-DD)' },
+    projectContext: { type: 'object', description: 'Detected project details' },
+    techStack: { type: 'object', description: 'Detected tech stack' },
+    existingPatterns: { type: 'object', description: 'Detected code conventions' },
+    complexity: { enum: ['SIMPLE', 'STANDARD', 'COMPLEX'], description: 'Set by the complexity classifier' },
+    complexityDetails: { type: 'object' },
+    userStories: { type: 'array', minItems: 1, items: { $ref: '#/$defs/userStory' } }
+  },
   userStoryRequired: ['id', 'title', 'acceptanceCriteria', 'priority'],
-  userStoryOptional: ['description', 'passes', 'notes']
+  userStoryProperties: {
+    id: { type: 'string', description: 'Story ID, conventionally US-NNN' },
+    title: { type: 'string' },
+    description: { type: 'string' },
+    acceptanceCriteria: { type: 'array', minItems: 1, items: { type: 'string' } },
+    priority: { type: 'number', minimum: 1, description: '1 is highest' },
+    passes: { type: 'boolean', description: 'Whether the story is complete' },
+    notes: { type: 'string' },
+    engine: { type: 'string', minLength: 1, description: 'AI engine override from .ralph/config.yaml' },
+    dependsOn: {
+      type: 'array',
+      uniqueItems: true,
+      items: { type: 'string', minLength: 1 },
+      description: 'IDs of stories that must pass first'
+    }
+  }
 };
 
+/**
+ * Build the JSON Schema (draft 2020-12) for prd.json
+ * @returns {object} JSON Schema
+ */
+export function buildPrdJsonSchema() {
+  return {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    $id: PRD_SCHEMA_URL,
+    title: 'RALPH PRD',
+    description: `prd.json user stories for RALPH autonomous development (schema version ${PRD_SCHEMA_VERSION})`,
+    type: 'object',
+    required: PRD_SCHEMA.required,
+    properties: PRD_SCHEMA.properties,
+    $defs: {
+      userStory: {
+        type: 'object',
+        required: PRD_SCHEMA.userStoryRequired,
+        properties: PRD_SCHEMA.userStoryProperties
+      }
+    }
+  };
+}
+
 /**
  * Validate a PRD object
  * @param {object} prd - The PRD object to validate
@@ -40,6 +110,17 @@ export function validatePrd(prd) {
     }
   }
 
+  // Check format version
+  if (prd.schemaVersion === undefined) {
+    warnings.push('No schemaVersion - run `claude-init prd migrate` to upgrade prd.json');
+  } else if (!Number.isInteger(prd.schemaVersion) || prd.schemaVersion < 1) {
+    errors.push('schemaVersion must be a positive integer');
+  } else if (prd.schemaVersion > PRD_SCHEMA_VERSION) {
+    errors.push(`schemaVersion ${prd.schemaVersion} is newer than supported (${PRD_SCHEMA_VERSION}) - update claude-init`);
+  } else if (prd.schemaVersion < PRD_SCHEMA_VERSION) {
+    warnings.push(`schemaVersion ${prd.schemaVersion} is outdated - run \`claude-init prd migrate\``);
+  }
+
   // Validate project name
   if (prd.project && typeof prd.project !== 'string') {
     errors.push('project must be a string');
@@ -76,6 +157,20 @@ export function validatePrd(prd) {
     if (duplicates.length > 0) {
       errors.push(`Duplicate story IDs found: ${[...new Set(duplicates)].join(', ')}`);
     }
+
+    // Check the dependency graph
+    const knownIds = new Set(ids);
+    prd.userStories.forEach((story, index) => {
+      const unknown = getStoryDependencies(story).filter(id => typeof id === 'string' && !knownIds.has(id));
+      if (unknown.length > 0) {
+        errors.push(`Story [${index}]: depends on unknown stories: ${unknown.join(', ')}`);
+      }
+    });
+
+    const cycle = findDependencyCycle(prd.userStories.filter(s => s && typeof s === 'object'));
+    if (cycle) {
+      errors.push(`Dependency cycle: ${cycle.join(' -> ')}`);
+    }
   }
 
   return {
@@ -149,6 +244,18 @@ function validateUserStory(story, index) {
     warnings.push(`${prefix}: passes should be a boolean (true/false)`);
   }
 
+  // Validate engine override
+  if (story.engine !== undefined && (typeof story.engine !== 'string' || !story.engine)) {
+    errors.push(`${prefix}: engine must be a non-empty string`);
+  }
+
+  // Validate dependencies
+  if (story.dependsOn !== undefined) {
+    if (!Array.isArray(story.dependsOn) || story.dependsOn.some(id => typeof id !== 'string' || !id)) {
+      errors.push(`${prefix}: dependsOn must be an array of story IDs`);
+    }
+  }
+
   return { errors, warnings };
 }
 
@@ -173,8 +280,8 @@ export function getPrdStats(prd) {
   const remaining = total - complete;
   const percentComplete = total > 0 ? Math.round((complete / total) * 100) : 0;
 
-  // Find next incomplete story
-  const nextStory = prd.userStories.find(s => !s.passes) || null;
+  // Next story: highest priority among those whose dependencies are done
+  const nextStory = getNextStory(prd);
 
   return {
     total,
@@ -213,6 +320,9 @@ export function formatValidationResult(result) {
 }
 
 export default {
+  PRD_SCHEMA_VERSION,
+  PRD_SCHEMA_URL,
+  buildPrdJsonSchema,
   validatePrd,
   getPrdStats,
   formatValidationResult
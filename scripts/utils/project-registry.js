@@ -63,7 +63,8 @@ export async function loadGlobalConfig() {
     resendApiKey: '',
     lastEmailSent: null,
     defaultProjectType: 'typescript',
-    includeExamples: true
+    includeExamples: true,
+    docSources: {}
   };
 }
 
@@ -238,6 +239,8 @@ async function createLocalMetadata(projectPath, project, kbVersion, setupDetails
     lastUpdated: new Date().toISOString(),
     knowledgeBaseVersion: kbVersion || existingMetadata.knowledgeBaseVersion || '',
     syncedFromKb: new Date().toISOString(),
+    // Written by template-writer during setup, before the project is registered
+    generatedFiles: existingMetadata.generatedFiles || {},
     setupHistory: existingMetadata.setupHistory || []
   };
 
@@ -258,6 +261,36 @@ async function createLocalMetadata(projectPath, project, kbVersion, setupDetails
   await fs.writeJson(metadataPath, metadata, { spaces: 2 });
 }
 
+/**
+ * Record a template upgrade in the registry and the project's local metadata
+ * @param {string} projectPath - Path to the project
+ * @param {string} kbVersion - Knowledge base version the templates now match
+ * @param {Array<Object>} changes - Changes made { type, item, description }
+ */
+export async function markProjectUpgraded(projectPath, kbVersion, changes = []) {
+  const resolvedPath = path.resolve(projectPath);
+  const registry = await loadRegistry();
+
+  if (registry.projects[resolvedPath]) {
+    registry.projects[resolvedPath].lastUpgrade = new Date().toISOString();
+    await saveRegistry(registry);
+  }
+
+  const metadataPath = path.join(resolvedPath, '.claude', 'metadata.json');
+  const metadata = await fs.pathExists(metadataPath) ? await fs.readJson(metadataPath) : {};
+
+  metadata.lastUpdated = new Date().toISOString();
+  metadata.knowledgeBaseVersion = kbVersion || metadata.knowledgeBaseVersion || '';
+  metadata.syncedFromKb = new Date().toISOString();
+  metadata.setupHistory = [
+    ...(metadata.setupHistory || []),
+    { timestamp: new Date().toISOString(), kbVersion: kbVersion || '', setupType: 'upgrade', changes }
+  ].slice(-20);
+
+  await fs.ensureDir(path.dirname(metadataPath));
+  await fs.writeJson(metadataPath, metadata, { spaces: 2 });
+}
+
 /**
  * Remove a project from the registry
  * @param {string} projectPath - Path to the project
@@ -2,6 +2,8 @@
  * QA Validation Loop Module
  *
  * Implements iterative QA validation with max attempts and escalation.
+ * Quality gates are verified by running the project's configured
+ * commands, not by trusting what the coder reports.
  * Used by QA Reviewer and QA Fixer agents in the RALPH pipeline.
  *
  * @module qa-loop
@@ -9,11 +11,43 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { loadRalphConfig } from './ralph-config.js';
+
+const execAsync = promisify(exec);
 
 // Configuration constants
 const MAX_QA_ITERATIONS = 5;
 const RECURRING_ISSUE_THRESHOLD = 3;
 const QA_HISTORY_FILE = '.ralph/qa-history.json';
+const GATE_TIMEOUT_MS = 10 * 60 * 1000;
+const MAX_GATE_ISSUES = 20;
+const GATE_OUTPUT_TAIL = 4000;
+
+// Quality gates in the order they run. `command` is the key under
+// commands in .ralph/config.yaml; setting it to false disables the gate.
+const QUALITY_GATES = [
+  { gate: 'typecheck', command: 'typecheck', severity: 'high', description: 'Type errors', suggestion: 'Fix type errors before proceeding' },
+  { gate: 'lint', command: 'lint', severity: 'medium', description: 'Lint errors', suggestion: 'Run the linter with --fix, then fix the rest by hand' },
+  { gate: 'tests', command: 'test', severity: 'high', description: 'Test failure', suggestion: 'Fix failing tests' },
+  { gate: 'build', command: 'build', severity: 'high', description: 'Build error', suggestion: 'Fix the build before proceeding' }
+];
+
+// Gate statuses
+const GATE_STATUS = {
+  PASSED: 'passed',
+  FAILED: 'failed',
+  SKIPPED: 'skipped'
+};
+
+// Output line patterns that point at a source location
+const TS_PAREN_PATTERN = /^(.+?\.[cm]?[jt]sx?)\((\d+),(\d+)\):\s*(?:error\s+)?(.*)$/;
+const TEST_FAIL_PATTERN = /^\s*(?:FAIL|×|✗)\s+(\S+\.\w+)\s+>\s+(.+)$/;
+const LOCATION_PATTERN = /(?:^|[\s(])((?:[A-Za-z]:)?[\w./\\@-]+\.[A-Za-z]\w*):(\d+)(?::(\d+))?\)?(?:\s*[-:]\s*(.*))?$/;
+const STYLISH_FILE_PATTERN = /^((?:[A-Za-z]:)?[\w./\\@-]+\.[A-Za-z]\w*)$/;
+const STYLISH_ENTRY_PATTERN = /^\s+(\d+):(\d+)\s+(?:error|warning)\s+(.+?)(?:\s{2,}(\S+))?$/;
+const ANSI_PATTERN = /\x1b\[[0-9;]*m/g;
 
 /**
  * Initialize QA history file if it doesn't exist
@@ -43,8 +77,7 @@ async function initQaHistory(projectRoot = process.cwd()) {
 async function loadQaHistory(projectRoot = process.cwd()) {
   const historyPath = path.join(projectRoot, QA_HISTORY_FILE);
 
-  await initQaHistory(projectRoot);
-
+  // Reading leaves no file behind (dry runs read it); saving creates it
   try {
     return await fs.readJson(historyPath);
   } catch (error) {
@@ -64,22 +97,203 @@ async function loadQaHistory(projectRoot = process.cwd()) {
  */
 async function saveQaHistory(history, projectRoot = process.cwd()) {
   const historyPath = path.join(projectRoot, QA_HISTORY_FILE);
-  await fs.writeJson(historyPath, history, { spaces: 2 });
+  await fs.outputJson(historyPath, history, { spaces: 2 });
+}
+
+/**
+ * Make a reported path relative to the project and drop paths we can't act on
+ * @param {string} file - Path from tool output
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Project-relative path, or null for dependencies/internals
+ */
+function normalizeIssueFile(file, projectRoot) {
+  if (!file || file.startsWith('node:') || file.includes('node_modules')) return null;
+
+  const relative = path.isAbsolute(file) ? path.relative(projectRoot, file) : file.replace(/^\.\//, '');
+  if (relative.startsWith('..')) return null;
+
+  return relative.split(path.sep).join('/');
+}
+
+/**
+ * Parse quality gate output into structured issues with file and line
+ * where the tool reports them (tsc, ESLint, vitest/jest, pytest, go, cargo...)
+ * @param {Object} gateDef - Entry from QUALITY_GATES
+ * @param {string} output - Combined stdout/stderr
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array<Object>} Issues (at most MAX_GATE_ISSUES)
+ */
+function parseGateOutput(gateDef, output, projectRoot = process.cwd()) {
+  const issues = [];
+  const seen = new Set();
+  let stylishFile = null;
+
+  const add = (file, line, column, message) => {
+    const normalized = normalizeIssueFile(file, projectRoot);
+    if (!normalized) return;
+
+    const key = `${normalized}:${line || ''}:${message || ''}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+
+    issues.push({
+      severity: gateDef.severity,
+      type: `${gateDef.gate}_failed`,
+      description: message ? message.trim() : gateDef.description,
+      file: normalized,
+      line: line ? parseInt(line, 10) : null,
+      column: column ? parseInt(column, 10) : null,
+      suggestion: gateDef.suggestion
+    });
+  };
+
+  for (const rawLine of (output || '').replace(ANSI_PATTERN, '').split('\n')) {
+    if (issues.length >= MAX_GATE_ISSUES) break;
+    const line = rawLine.trimEnd();
+
+    let match = line.match(TS_PAREN_PATTERN);
+    if (match) {
+      add(match[1], match[2], match[3], match[4]);
+      continue;
+    }
+
+    match = line.match(TEST_FAIL_PATTERN);
+    if (match) {
+      add(match[1], null, null, match[2]);
+      continue;
+    }
+
+    // ESLint "stylish": a file path line followed by indented line:col entries
+    match = line.match(STYLISH_FILE_PATTERN);
+    if (match) {
+      stylishFile = match[1];
+      continue;
+    }
+
+    match = line.match(STYLISH_ENTRY_PATTERN);
+    if (match && stylishFile) {
+      add(stylishFile, match[1], match[2], match[4] ? `${match[3]} (${match[4]})` : match[3]);
+      continue;
+    }
+    if (!line.trim()) stylishFile = null;
+
+    match = line.match(LOCATION_PATTERN);
+    if (match) {
+      add(match[1], match[2], match[3], match[4]);
+    }
+  }
+
+  return issues;
 }
 
 /**
- * Run QA validation against acceptance criteria
+ * Run a single quality gate command
+ * @param {Object} gateDef - Entry from QUALITY_GATES
+ * @param {string|false|undefined} cmd - Configured command (false = disabled)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Gate result with status, exitCode, output and issues
+ */
+async function runQualityGate(gateDef, cmd, projectRoot = process.cwd()) {
+  const result = {
+    gate: gateDef.gate,
+    command: cmd || null,
+    status: GATE_STATUS.FAILED,
+    exitCode: null,
+    output: '',
+    durationMs: 0,
+    issues: []
+  };
+
+  if (cmd === false) {
+    result.status = GATE_STATUS.SKIPPED;
+    return result;
+  }
+
+  // A gate nobody configured must not pass by default
+  if (typeof cmd !== 'string' || !cmd.trim()) {
+    result.issues.push({
+      severity: 'high',
+      type: 'gate_not_configured',
+      gate: gateDef.gate,
+      description: `No ${gateDef.command} command configured`,
+      suggestion: `Set commands.${gateDef.command} in .ralph/config.yaml (or false to disable the gate)`
+    });
+    return result;
+  }
+
+  const startedAt = Date.now();
+  try {
+    const { stdout, stderr } = await execAsync(cmd, {
+      cwd: projectRoot,
+      timeout: GATE_TIMEOUT_MS,
+      maxBuffer: 10 * 1024 * 1024
+    });
+    result.status = GATE_STATUS.PASSED;
+    result.exitCode = 0;
+    result.output = `${stdout}${stderr}`;
+  } catch (error) {
+    result.exitCode = typeof error.code === 'number' ? error.code : 1;
+    result.output = `${error.stdout || ''}${error.stderr || ''}` || error.message;
+    result.issues = parseGateOutput(gateDef, result.output, projectRoot);
+
+    // Nothing parseable - report the gate with the tail of its output
+    if (result.issues.length === 0) {
+      result.issues.push({
+        severity: gateDef.severity,
+        type: `${gateDef.gate}_failed`,
+        description: `${gateDef.command} command failed (exit ${result.exitCode}): ${cmd}`,
+        details: result.output.slice(-GATE_OUTPUT_TAIL),
+        suggestion: gateDef.suggestion
+      });
+    }
+  }
+  result.durationMs = Date.now() - startedAt;
+
+  return result;
+}
+
+/**
+ * Run the configured quality gate commands
+ * @param {Object} commands - commands section of .ralph/config.yaml
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {Array<string>} options.skip - Command names to skip (e.g. 'test', 'lint')
+ * @returns {Promise<{gates: Object, results: Array}>} Gate statuses keyed by gate name, plus full results
+ */
+async function runQualityGates(commands = {}, projectRoot = process.cwd(), options = {}) {
+  const skip = new Set(options.skip || []);
+  const gates = {};
+  const results = [];
+
+  for (const gateDef of QUALITY_GATES) {
+    const cmd = skip.has(gateDef.command) ? false : commands[gateDef.command];
+    const result = await runQualityGate(gateDef, cmd, projectRoot);
+    gates[gateDef.gate] = result.status;
+    results.push(result);
+  }
+
+  return { gates, results };
+}
+
+/**
+ * Run QA validation: check acceptance criteria and run the quality gate
+ * commands from .ralph/config.yaml. Gates the coder reports in
+ * `implementation.qualityGates` are not trusted.
  * @param {Object} subtask - Subtask object from implementation plan
  * @param {Object} implementation - Implementation details
  * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options
+ * @param {Object} options.commands - Gate commands (defaults to .ralph/config.yaml)
+ * @param {Array<string>} options.skip - Command names to skip (e.g. 'test', 'lint')
  * @returns {Promise<{passed: boolean, issues: Array, report: Object}>}
  */
-async function runQaValidation(subtask, implementation, projectRoot = process.cwd()) {
+async function runQaValidation(subtask, implementation, projectRoot = process.cwd(), options = {}) {
   const report = {
     subtaskId: subtask.id,
     timestamp: new Date().toISOString(),
     criteria: [],
     qualityGates: {},
+    gateResults: [],
     issues: [],
     status: 'pending'
   };
@@ -112,45 +326,23 @@ async function runQaValidation(subtask, implementation, projectRoot = process.cw
     report.criteria.push(result);
   }
 
-  // Check quality gates from implementation
-  report.qualityGates = {
-    typecheck: implementation.qualityGates?.typecheck || 'unknown',
-    lint: implementation.qualityGates?.lint || 'unknown',
-    tests: implementation.qualityGates?.tests || 'unknown'
-  };
-
-  // Add quality gate failures as issues
-  if (report.qualityGates.typecheck === 'failed') {
-    report.issues.push({
-      severity: 'high',
-      type: 'typecheck_failed',
-      description: 'TypeScript compilation errors',
-      suggestion: 'Fix type errors before proceeding'
-    });
-  }
-
-  if (report.qualityGates.lint === 'failed') {
-    report.issues.push({
-      severity: 'medium',
-      type: 'lint_failed',
-      description: 'Linting errors found',
-      suggestion: 'Run npm run lint:fix'
-    });
-  }
-
-  if (report.qualityGates.tests === 'failed') {
-    report.issues.push({
-      severity: 'high',
-      type: 'tests_failed',
-      description: 'Test failures detected',
-      suggestion: 'Fix failing tests'
-    });
+  // Run the quality gates ourselves
+  const commands = options.commands || (await loadRalphConfig(projectRoot)).commands;
+  const { gates, results } = await runQualityGates(commands, projectRoot, { skip: options.skip });
+  report.qualityGates = gates;
+  report.gateResults = results.map(({ output, ...result }) => ({
+    ...result,
+    output: output.slice(-GATE_OUTPUT_TAIL)
+  }));
+
+  for (const result of results) {
+    report.issues.push(...result.issues);
   }
 
   // Determine overall status
   const allCriteriaPassed = report.criteria.every(c => c.passed);
   const allGatesPassed = Object.values(report.qualityGates).every(
-    g => g === 'passed' || g === 'unknown'
+    g => g === GATE_STATUS.PASSED || g === GATE_STATUS.SKIPPED
   );
 
   report.status = (allCriteriaPassed && allGatesPassed) ? 'passed' : 'needs_fix';
@@ -232,6 +424,20 @@ function determineFixAction(issue, context) {
         suggestion: 'Failing tests require investigation'
       };
 
+    case 'build_failed':
+      return {
+        canAutoFix: false,
+        action: 'manual_fix',
+        suggestion: 'Build errors require manual intervention'
+      };
+
+    case 'gate_not_configured':
+      return {
+        canAutoFix: false,
+        action: 'configure',
+        suggestion: issue.suggestion
+      };
+
     case 'criterion_not_met':
       return {
         canAutoFix: false,
@@ -302,6 +508,10 @@ function generateRecommendation(issues) {
     return 'Test failures may indicate logic errors or missing edge cases. Review test output carefully.';
   }
 
+  if (highSeverity.some(i => i.type === 'gate_not_configured')) {
+    return 'Some quality gates have no command configured. Set them in .ralph/config.yaml or disable them explicitly.';
+  }
+
   if (highSeverity.some(i => i.type === 'criterion_not_met')) {
     return 'Some acceptance criteria could not be met automatically. The requirements may need clarification.';
   }
@@ -336,6 +546,9 @@ async function trackRecurringIssue(issue, projectRoot = process.cwd()) {
 
   recurring.occurrences++;
   recurring.lastSeen = new Date().toISOString();
+  if (issue.description) {
+    recurring.description = issue.description;
+  }
 
   // Flag if threshold reached
   if (recurring.occurrences >= RECURRING_ISSUE_THRESHOLD) {
@@ -408,9 +621,10 @@ async function getQaStats(projectRoot = process.cwd()) {
  * Create a QA session
  * @param {string} subtaskId - Subtask being validated
  * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Options passed through to runQaValidation
  * @returns {Object} Session object with methods
  */
-function createQaSession(subtaskId, projectRoot = process.cwd()) {
+function createQaSession(subtaskId, projectRoot = process.cwd(), options = {}) {
   const session = {
     subtaskId,
     startTime: new Date().toISOString(),
@@ -428,7 +642,7 @@ function createQaSession(subtaskId, projectRoot = process.cwd()) {
 
       this.currentIteration++;
 
-      const validation = await runQaValidation(subtask, implementation, projectRoot);
+      const validation = await runQaValidation(subtask, implementation, projectRoot, options);
 
       if (validation.passed) {
         this.iterations.push({
@@ -437,7 +651,7 @@ function createQaSession(subtaskId, projectRoot = process.cwd()) {
           timestamp: new Date().toISOString()
         });
 
-        return { passed: true };
+        return { passed: true, report: validation.report };
       }
 
       const fix = await runQaFix(validation.issues, { subtask }, projectRoot);
@@ -458,6 +672,8 @@ function createQaSession(subtaskId, projectRoot = process.cwd()) {
 
       return {
         passed: false,
+        report: validation.report,
+        issues: validation.issues,
         fixed: fix.fixed,
         remaining: fix.remaining,
         actions: fix.actions,
@@ -488,6 +704,11 @@ function createQaSession(subtaskId, projectRoot = process.cwd()) {
 export {
   MAX_QA_ITERATIONS,
   RECURRING_ISSUE_THRESHOLD,
+  QUALITY_GATES,
+  GATE_STATUS,
+  parseGateOutput,
+  runQualityGate,
+  runQualityGates,
   runQaValidation,
   runQaFix,
   escalateToHuman,
@@ -0,0 +1,138 @@
+/**
+ * RALPH Config Loader
+ *
+ * Reads .ralph/config.yaml and fills in defaults for anything the
+ * project leaves out, so runners don't have to null-check every key.
+ *
+ * @module ralph-config
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import yaml from 'yaml';
+
+// Config file path (relative to project root)
+const RALPH_CONFIG_FILE = '.ralph/config.yaml';
+
+// Defaults mirror templates/ralph/config.yaml.template
+const DEFAULT_RALPH_CONFIG = {
+  project: {
+    name: '',
+    language: '',
+    framework: '',
+    description: ''
+  },
+  commands: {
+    test: '',
+    lint: '',
+    typecheck: '',
+    build: ''
+  },
+  rules: [],
+  boundaries: {
+    never_touch: []
+  },
+  settings: {
+    max_retries: 3,
+    retry_delay: 5,
+    auto_commit: true,
+    branch_per_task: false,
+    create_pr: false
+  },
+  prd: {
+    format: 'json',
+    branch_prefix: 'ralph/',
+    priority_order: 'asc'
+  },
+  engine: {
+    default: 'claude',
+    model: '',
+    engines: {}
+  },
+  memory: {
+    context_budget: 1500
+  },
+  budget: {
+    warn_at: 0.8,
+    run_tokens: 0,
+    run_cost: 0,
+    story_tokens: 0,
+    story_cost: 0,
+    daily_tokens: 0,
+    daily_cost: 0
+  },
+  // USD per million tokens; model names match by substring
+  pricing: {
+    default: { input: 3, output: 15 },
+    sonnet: { input: 3, output: 15 },
+    opus: { input: 15, output: 75 },
+    haiku: { input: 0.8, output: 4 }
+  }
+};
+
+/**
+ * Merge user config over defaults, one level deep for object sections.
+ * Empty YAML sections (e.g. `rules:` with only comments) parse as null
+ * and fall back to the default.
+ * @param {Object} defaults - Default config
+ * @param {Object} config - Parsed user config
+ * @returns {Object} Merged config
+ */
+function mergeWithDefaults(defaults, config) {
+  const merged = {};
+
+  for (const [key, value] of Object.entries(defaults)) {
+    const userValue = config[key];
+
+    if (userValue === undefined || userValue === null) {
+      merged[key] = structuredClone(value);
+    } else if (Array.isArray(value)) {
+      merged[key] = Array.isArray(userValue) ? userValue : structuredClone(value);
+    } else if (typeof value === 'object') {
+      merged[key] = { ...value };
+      for (const [subKey, subValue] of Object.entries(userValue)) {
+        if (subValue !== null && subValue !== undefined) {
+          merged[key][subKey] = subValue;
+        }
+      }
+    } else {
+      merged[key] = userValue;
+    }
+  }
+
+  // Keep sections we don't know about untouched
+  for (const [key, value] of Object.entries(config)) {
+    if (!(key in defaults)) {
+      merged[key] = value;
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Load RALPH configuration for a project
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Config with defaults applied
+ */
+async function loadRalphConfig(projectRoot = process.cwd()) {
+  const configPath = path.join(projectRoot, RALPH_CONFIG_FILE);
+
+  if (!await fs.pathExists(configPath)) {
+    return structuredClone(DEFAULT_RALPH_CONFIG);
+  }
+
+  try {
+    const content = await fs.readFile(configPath, 'utf-8');
+    const parsed = yaml.parse(content) || {};
+    return mergeWithDefaults(DEFAULT_RALPH_CONFIG, parsed);
+  } catch (error) {
+    throw new Error(`Failed to parse ${RALPH_CONFIG_FILE}: ${error.message}`);
+  }
+}
+
+export {
+  RALPH_CONFIG_FILE,
+  DEFAULT_RALPH_CONFIG,
+  loadRalphConfig
+};
@@ -0,0 +1,201 @@
+/**
+ * RALPH Guard
+ *
+ * Enforces the security allowlist (.ralph/security.json) and filesystem
+ * boundaries (.ralph/config.yaml) on Claude Code tool calls. Installed as a
+ * PreToolUse hook: Bash commands go through validateCommand, Write/Edit
+ * targets through validateFileOperation, and the verdict is returned with
+ * the hook decision protocol. Every decision is appended to .ralph/audit.log.
+ * Calls that pass are also checked against the control channel, so an
+ * operator can stop or steer a running session.
+ *
+ * @module ralph-guard
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { validateCommand } from './security-analyzer.js';
+import { validateFileOperation } from './boundary-validator.js';
+import { checkControlForToolCall } from './control-channel.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const AUDIT_LOG = '.ralph/audit.log';
+const HOOK_FILE = '.claude/hooks/ralph-guard.mjs';
+const GUARD_LOCATION_FILE = '.claude/hooks/ralph-guard.local.json';
+const HOOKS_CONFIG = '.claude/hooks/hooks.json';
+const HOOK_TEMPLATE = path.join(__dirname, '..', '..', 'templates', 'hooks', 'ralph-guard.mjs');
+
+// Tools the hook is registered for, and the boundary operation each one is
+const GUARDED_TOOLS = {
+  Bash: 'command',
+  Write: 'write',
+  Edit: 'edit',
+  MultiEdit: 'edit',
+  NotebookEdit: 'edit'
+};
+
+/**
+ * Decide whether a tool call may run
+ * @param {Object} input - Hook input ({tool_name, tool_input, ...})
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{decision: string, tool: string, target: string, reason: string, segments?: Array<Object>}>}
+ *   decision is 'allow', 'ask' or 'deny'
+ */
+async function evaluateToolCall(input, projectRoot = process.cwd()) {
+  const tool = input.tool_name;
+  const toolInput = input.tool_input || {};
+  const operation = GUARDED_TOOLS[tool];
+
+  if (!operation) {
+    return { decision: 'allow', tool, target: '', reason: 'Tool is not guarded' };
+  }
+
+  if (operation === 'command') {
+    const command = toolInput.command || '';
+    const result = await validateCommand(command, projectRoot);
+    return {
+      decision: result.allowed ? 'allow' : 'deny',
+      tool,
+      target: command,
+      reason: result.reason,
+      segments: result.segments
+    };
+  }
+
+  const filePath = toolInput.file_path || toolInput.notebook_path;
+  if (!filePath) {
+    return { decision: 'deny', tool, target: '', reason: `${tool} call has no file path` };
+  }
+
+  const result = await validateFileOperation(operation, filePath, projectRoot);
+  return {
+    decision: !result.allowed ? 'deny' : result.requiresConfirmation ? 'ask' : 'allow',
+    tool,
+    target: filePath,
+    reason: result.reason
+  };
+}
+
+/**
+ * Append a decision to .ralph/audit.log (one JSON object per line)
+ * @param {Object} verdict - Result of evaluateToolCall
+ * @param {Object} input - Hook input
+ * @param {string} projectRoot - Project root directory
+ */
+async function appendAuditLog(verdict, input, projectRoot = process.cwd()) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    sessionId: input.session_id || null,
+    tool: verdict.tool,
+    target: verdict.target,
+    decision: verdict.decision,
+    reason: verdict.reason
+  };
+
+  const refused = (verdict.segments || []).filter(s => !s.allowed);
+  if (refused.length > 0) {
+    entry.refused = refused.map(s => ({ command: s.command, reason: s.reason }));
+  }
+
+  const logPath = path.join(projectRoot, AUDIT_LOG);
+  await fs.ensureDir(path.dirname(logPath));
+  await fs.appendFile(logPath, JSON.stringify(entry) + '\n', 'utf-8');
+}
+
+/**
+ * Build the PreToolUse hook output for a verdict. Allowed calls produce
+ * no output so Claude Code's own permission rules still apply.
+ * @param {Object} verdict - Result of evaluateToolCall
+ * @returns {Object|null} Hook output
+ */
+function buildHookOutput(verdict) {
+  if (verdict.decision === 'allow') return null;
+
+  return {
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: verdict.decision,
+      permissionDecisionReason: `RALPH guard: ${verdict.reason}`
+    }
+  };
+}
+
+/**
+ * Run the hook: evaluate the call, log it, and return the hook output
+ * @param {string} rawInput - JSON read from stdin
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} Hook output
+ */
+async function runGuardHook(rawInput, projectRoot = process.cwd()) {
+  let input;
+  let verdict;
+  try {
+    input = JSON.parse(rawInput);
+    verdict = await evaluateToolCall(input, projectRoot);
+
+    if (verdict.decision !== 'deny') {
+      const control = await checkControlForToolCall(projectRoot);
+      if (control) {
+        verdict = { decision: 'deny', tool: verdict.tool, target: verdict.target, reason: control.reason };
+      }
+    }
+  } catch {
+    input = {};
+    verdict = { decision: 'deny', tool: null, target: '', reason: 'Could not read hook input' };
+  }
+
+  await appendAuditLog(verdict, input, projectRoot);
+  return buildHookOutput(verdict);
+}
+
+/**
+ * Install the guard hook script and register it in hooks.json. An
+ * existing ralph-guard entry is replaced; other hooks are kept. The
+ * script holds no paths of this machine, so it can be committed and
+ * shared; the absolute path of this module goes to ralph-guard.local.json
+ * next to it, which the hook tries first. That keeps the hook working
+ * when claude-init ran through npx and is neither a dependency nor on PATH.
+ * @param {string} targetPath - Target project directory
+ * @returns {Promise<{hookPath: string, configPath: string, locationPath: string}>}
+ */
+async function installGuardHook(targetPath) {
+  const hookPath = path.join(targetPath, HOOK_FILE);
+  await fs.copy(HOOK_TEMPLATE, hookPath);
+  await fs.chmod(hookPath, '755');
+
+  const locationPath = path.join(targetPath, GUARD_LOCATION_FILE);
+  await fs.writeJson(locationPath, { module: fileURLToPath(import.meta.url) }, { spaces: 2 });
+
+  const configPath = path.join(targetPath, HOOKS_CONFIG);
+  const config = await fs.pathExists(configPath)
+    ? await fs.readJson(configPath)
+    : { description: 'Project hooks configuration', hooks: {} };
+  config.hooks = config.hooks || {};
+
+  const entries = (config.hooks.PreToolUse || [])
+    .filter(entry => !(entry.hooks || []).some(h => String(h.command).includes('ralph-guard.mjs')));
+  entries.push({
+    matcher: Object.keys(GUARDED_TOOLS).join('|'),
+    hooks: [{
+      type: 'command',
+      command: `node \${CLAUDE_PROJECT_DIR}/${HOOK_FILE}`,
+      timeout: 10
+    }]
+  });
+  config.hooks.PreToolUse = entries;
+
+  await fs.writeJson(configPath, config, { spaces: 2 });
+  return { hookPath, configPath, locationPath };
+}
+
+export {
+  AUDIT_LOG,
+  GUARDED_TOOLS,
+  evaluateToolCall,
+  appendAuditLog,
+  buildHookOutput,
+  runGuardHook,
+  installGuardHook
+};
@@ -0,0 +1,827 @@
+/**
+ * RALPH Loop Runner
+ *
+ * Native Node.js implementation of the RALPH iteration loop that used to
+ * live in ralph.sh: picks the next story, runs an agent session with
+ * retries and backoff, verifies quality gates through the QA loop, and
+ * tallies tokens and cost. Works without bash, jq or tput. Sessions go
+ * through the engine adapters, so any configured agent CLI can drive it.
+ * Every iteration is recorded in the run ledger (.ralph/runs/<run-id>/).
+ *
+ * @module ralph-runner
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { exec } from 'child_process';
+import { promisify } from 'util';
+import { validatePrd, getPrdStats } from './prd-validator.js';
+import { getStoryDependencies, getNextStory } from './story-scheduler.js';
+import { loadRalphConfig } from './ralph-config.js';
+import {
+  STATES,
+  initIntervention,
+  loadIntervention,
+  saveIntervention,
+  checkForPause,
+  pause,
+  resume,
+  cancel,
+  setCurrentSubtask,
+  createCheckpoint,
+  complete
+} from './intervention-manager.js';
+import { QUALITY_GATES, runQaValidation, trackRecurringIssue } from './qa-loop.js';
+import { COMPLETE_SIGNAL, createEngineResolver } from './engine-adapters.js';
+import {
+  findTouchedFiles,
+  buildMemoryContext,
+  renderMemoryContext,
+  logMemoryContext
+} from './memory-context.js';
+import {
+  getPendingCommands,
+  acknowledgeCommand,
+  registerRunner,
+  setRunnerStory,
+  unregisterRunner
+} from './control-channel.js';
+import { startRun, appendLedgerEntry, finishRun } from './run-ledger.js';
+import {
+  getModelRates,
+  validatePricing,
+  getBudgetLimits,
+  getSpend,
+  checkBudgets,
+  describeBudget
+} from './budget-manager.js';
+
+const execAsync = promisify(exec);
+
+// Progress log shared with ralph.sh
+const PROGRESS_FILE = '.ralph/progress.txt';
+
+// Raw agent output, one file per run
+const LOGS_DIR = '.ralph/logs';
+
+// How often a loop paused from the control channel checks for resume
+const CONTROL_POLL_MS = 1000;
+
+// Per-token rates used by ralph.sh (Claude Sonnet list price, USD); the
+// runner prices each model from the pricing section of .ralph/config.yaml
+const TOKEN_PRICING = {
+  input: 0.000003,
+  output: 0.000015
+};
+
+// Run outcomes
+const RUN_STATUS = {
+  COMPLETE: 'complete',
+  MAX_ITERATIONS: 'max_iterations',
+  PAUSED: 'paused',
+  CANCELLED: 'cancelled',
+  INVALID: 'invalid',
+  BLOCKED: 'blocked',
+  DRY_RUN: 'dry_run'
+};
+
+/**
+ * Estimate cost in USD for a token count
+ * @param {number} inputTokens - Input tokens
+ * @param {number} outputTokens - Output tokens
+ * @param {{input: number, output: number}} rates - Per-token rates (see getModelRates)
+ * @returns {number} Cost in USD
+ */
+function calculateCost(inputTokens, outputTokens, rates = TOKEN_PRICING) {
+  return inputTokens * rates.input + outputTokens * rates.output;
+}
+
+/**
+ * Slugify text for branch names (same rules as ralph.sh)
+ * @param {string} text - Text to slugify
+ * @returns {string} Slug
+ */
+function slugify(text) {
+  return text
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, 50);
+}
+
+/**
+ * Format a QA issue as a prompt bullet, with its location when known
+ * @param {Object} issue - Issue from the QA loop
+ * @returns {string} Bullet line
+ */
+function formatQaIssue(issue) {
+  const location = issue.file ? ` at ${issue.file}${issue.line ? `:${issue.line}` : ''}` : '';
+  const suggestion = issue.suggestion ? ` (${issue.suggestion})` : '';
+  return `- [${issue.severity}] ${issue.description}${location}${suggestion}`;
+}
+
+/**
+ * Build the agent prompt for one story
+ * @param {Object} story - User story to implement
+ * @param {Object} prd - PRD object
+ * @param {Object} ralphConfig - Loaded .ralph/config.yaml
+ * @param {Object} options - Prompt options
+ * @param {boolean} options.skipTests - Leave out the test gate
+ * @param {boolean} options.skipLint - Leave out the lint gate
+ * @param {boolean} options.parallel - Story runs in its own worktree; don't touch shared files
+ * @param {Array} options.qaIssues - Issues from a failed QA pass to fix first
+ * @param {string} options.memoryContext - Rendered memory section (see memory-context)
+ * @param {Array<string>} options.notes - Guidance sent by the operator during the run
+ * @returns {string} Prompt text
+ */
+function buildStoryPrompt(story, prd, ralphConfig, options = {}) {
+  const sections = [];
+  const { project, rules, boundaries, commands } = ralphConfig;
+
+  const context = [
+    project.name && `Project: ${project.name}`,
+    project.language && `Language: ${project.language}`,
+    project.framework && `Framework: ${project.framework}`,
+    project.description && `Description: ${project.description}`
+  ].filter(Boolean);
+  if (context.length > 0) {
+    sections.push(`## Project Context\n${context.join('\n')}`);
+  }
+
+  if (rules.length > 0) {
+    sections.push(`## Rules (you MUST follow these)\n${rules.map(r => `- ${r}`).join('\n')}`);
+  }
+
+  if (boundaries.never_touch.length > 0) {
+    sections.push(`## Boundaries - Do NOT modify these files:\n${boundaries.never_touch.join('\n')}`);
+  }
+
+  const gates = QUALITY_GATES
+    .filter(({ command }) => commands[command])
+    .filter(({ command }) => !(options.skipTests && command === 'test'))
+    .filter(({ command }) => !(options.skipLint && command === 'lint'))
+    .map(({ command }) => `- ${command}: ${commands[command]}`);
+  if (gates.length > 0) {
+    sections.push(`## Quality Gate Commands\n${gates.join('\n')}`);
+  }
+
+  sections.push(`## Story
+Feature: ${prd.project}
+${story.id}: ${story.title}
+${story.description ? `\n${story.description}\n` : ''}
+Acceptance criteria:
+${(story.acceptanceCriteria || []).map(c => `- ${c}`).join('\n')}`);
+
+  const dependencies = getStoryDependencies(story)
+    .map(id => prd.userStories?.find(s => s.id === id))
+    .filter(Boolean);
+  if (dependencies.length > 0) {
+    sections.push(`## Builds On (already complete)
+${dependencies.map(s => `- ${s.id}: ${s.title}`).join('\n')}`);
+  }
+
+  if (options.memoryContext) {
+    sections.push(options.memoryContext);
+  }
+
+  if (options.qaIssues?.length > 0) {
+    sections.push(`## QA Feedback From Previous Attempt
+${options.qaIssues.map(formatQaIssue).join('\n')}`);
+  }
+
+  if (options.notes?.length > 0) {
+    sections.push(`## Notes From the Operator
+${options.notes.map(n => `- ${n}`).join('\n')}`);
+  }
+
+  const steps = [`Implement ONLY ${story.id}.`];
+  if (gates.length > 0) {
+    steps.push('Run every quality gate command above and make sure it passes.');
+  }
+
+  if (options.parallel) {
+    steps.push(`Commit your changes with a message starting with "${story.id}:".`);
+    steps.push('Do NOT edit prd.json or progress.txt - the orchestrator updates them after merging.');
+    sections.push(`## Instructions
+${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+When every acceptance criterion is met and committed, output ${COMPLETE_SIGNAL}.`);
+  } else {
+    steps.push(`Update prd.json to mark ${story.id} as complete (set passes: true).`);
+    steps.push(`Append your progress to ${PROGRESS_FILE} with learnings.`);
+    steps.push('Commit your changes with a descriptive message.');
+    steps.push('End your reply with each acceptance criterion you met, one per line, as "- [x] <criterion>".');
+    sections.push(`## Instructions
+${steps.map((s, i) => `${i + 1}. ${s}`).join('\n')}
+
+ONLY WORK ON A SINGLE STORY. Do not mark it complete if a quality gate fails.
+
+If ALL stories in prd.json are complete, output ${COMPLETE_SIGNAL}.`);
+  }
+
+  return sections.join('\n\n');
+}
+
+/**
+ * Normalize a criterion for comparison: case, spacing and a trailing
+ * full stop don't matter
+ * @param {string} text - Criterion text
+ * @returns {string}
+ */
+function normalizeCriterion(text) {
+  return text.trim().replace(/\s+/g, ' ').replace(/\.$/, '').toLowerCase();
+}
+
+/**
+ * Find the acceptance criteria the agent reported as met, i.e. checked
+ * off as "- [x] <criterion>" in its reply
+ * @param {string} response - Agent reply
+ * @param {Array<string>} criteria - The story's acceptance criteria
+ * @returns {Array<string>} Criteria reported as met
+ */
+function getReportedCriteria(response, criteria = []) {
+  const checked = new Set();
+  for (const line of (response || '').split('\n')) {
+    const match = line.match(/^\s*[-*]\s*\[[xX]\]\s*(.+)$/);
+    if (match) checked.add(normalizeCriterion(match[1]));
+  }
+  return criteria.filter(criterion => checked.has(normalizeCriterion(criterion)));
+}
+
+/**
+ * Run a git command
+ * @param {string} command - Git arguments
+ * @param {string} cwd - Working directory
+ * @returns {Promise<string>} Trimmed stdout
+ */
+async function git(command, cwd) {
+  const { stdout } = await execAsync(`git ${command}`, { cwd });
+  return stdout.trim();
+}
+
+/**
+ * Check out (creating from the base branch if needed) the branch for a story
+ * @param {Object} story - User story
+ * @param {string} prefix - Branch prefix from config
+ * @param {string} baseBranch - Branch new story branches start from
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<string>} Branch name
+ */
+async function checkoutStoryBranch(story, prefix, baseBranch, projectRoot) {
+  const branch = `${prefix}${slugify(`${story.id} ${story.title}`)}`;
+
+  try {
+    await git(`checkout -b ${branch} ${baseBranch}`, projectRoot);
+  } catch {
+    await git(`checkout ${branch}`, projectRoot);
+  }
+
+  return branch;
+}
+
+/**
+ * Merge a completed story's branch into the base branch and mark the
+ * story complete there, so the next story's branch starts from its code.
+ * Anything the agent left uncommitted is committed to the story branch
+ * first. A merge that stops on conflicts is aborted and the story stays
+ * incomplete on the base branch.
+ * @param {string} baseBranch - Branch the run started on
+ * @param {string} branch - The story's branch
+ * @param {Object} story - Completed story
+ * @param {string} prdPath - Path to prd.json
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{success: boolean, message: string}>} Result
+ */
+async function mergeStoryBranch(baseBranch, branch, story, prdPath, projectRoot) {
+  if (await git('status --porcelain', projectRoot)) {
+    await git('add -A', projectRoot);
+    await git(`commit -m "chore(ralph): commit remaining ${story.id} changes"`, projectRoot);
+  }
+
+  await git(`checkout ${baseBranch}`, projectRoot);
+  try {
+    await git(`merge ${branch} --no-ff -m "Merge ${branch} into ${baseBranch}"`, projectRoot);
+  } catch (error) {
+    // Leave the base branch clean; the story isn't done there
+    await git('merge --abort', projectRoot).catch(() => {});
+    // An untracked prd.json still says it passed
+    const prd = await fs.readJson(prdPath);
+    if (prd.userStories.find(s => s.id === story.id)?.passes) {
+      await setStoryPasses(prdPath, story.id, false);
+    }
+    const detail = (error.stdout || error.message).trim().split('\n').pop();
+    return { success: false, message: `Could not merge ${branch} into ${baseBranch}: ${detail}` };
+  }
+
+  await setStoryPasses(prdPath, story.id, true);
+
+  // Nothing to commit if prd.json is ignored or came in with the merge
+  if (await git('status --porcelain -- prd.json', projectRoot)) {
+    await git('add prd.json', projectRoot);
+    await git(`commit -m "chore(ralph): mark ${story.id} complete"`, projectRoot);
+  }
+
+  return { success: true, message: `Merged ${branch} into ${baseBranch}` };
+}
+
+/**
+ * Append a line to the progress log (same format as ralph.sh)
+ * @param {string} projectRoot - Project root directory
+ * @param {string} task - Task description
+ * @param {string} status - 'completed' or 'failed'
+ */
+async function logTaskHistory(projectRoot, task, status) {
+  const progressPath = path.join(projectRoot, PROGRESS_FILE);
+  if (!await fs.pathExists(progressPath)) return;
+
+  const timestamp = new Date().toISOString().slice(0, 16).replace('T', ' ');
+  const icon = status === 'failed' ? '[x]' : '[+]';
+  await fs.appendFile(progressPath, `- ${icon} ${timestamp} - ${task}\n`, 'utf-8');
+}
+
+/**
+ * Set a story's passes flag in prd.json
+ * @param {string} prdPath - Path to prd.json
+ * @param {string} storyId - Story ID
+ * @param {boolean} passes - New value
+ */
+async function setStoryPasses(prdPath, storyId, passes) {
+  const prd = await fs.readJson(prdPath);
+  const story = prd.userStories.find(s => s.id === storyId);
+  if (story) {
+    story.passes = passes;
+    await fs.writeJson(prdPath, prd, { spaces: 2 });
+  }
+}
+
+/**
+ * Apply one control channel command to the running loop
+ * @param {Object} entry - Command entry {id, command, value}
+ * @param {Object} control - Mutable run controls {maxIterations, skipped, notes, holding}
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<{status: string, message: string}>} Acknowledgement
+ */
+async function applyControlCommand(entry, control, projectRoot) {
+  switch (entry.command) {
+    case 'pause':
+      await pause('Paused from the control channel', projectRoot);
+      control.holding = true;
+      return { status: 'applied', message: 'Paused before the next story; send resume to continue' };
+
+    case 'resume': {
+      const resumed = await resume(projectRoot);
+      control.holding = false;
+      return { status: resumed.success ? 'applied' : 'rejected', message: resumed.success ? 'Resumed' : resumed.message };
+    }
+
+    case 'skip': {
+      const prd = await fs.readJson(path.join(projectRoot, 'prd.json'));
+      const story = prd.userStories.find(s => s.id === entry.value);
+      if (!story) {
+        return { status: 'rejected', message: `Story ${entry.value} not found in prd.json` };
+      }
+      if (story.passes) {
+        return { status: 'rejected', message: `${story.id} is already complete` };
+      }
+      control.skipped.add(story.id);
+      return { status: 'applied', message: `Skipping ${story.id} (and stories that depend on it) for the rest of this run` };
+    }
+
+    case 'note':
+      control.notes.push(entry.value);
+      return { status: 'applied', message: 'Added to the prompt of every following iteration' };
+
+    case 'abort':
+      await cancel('Aborted from the control channel', projectRoot);
+      control.holding = false;
+      return { status: 'applied', message: 'Stopping before the next story' };
+
+    case 'max-iterations':
+      control.maxIterations = entry.value;
+      return {
+        status: 'applied',
+        message: entry.value === 0 ? 'Running until every story is done' : `Stopping after iteration ${entry.value}`
+      };
+
+    default:
+      return { status: 'rejected', message: `Unknown control command "${entry.command}"` };
+  }
+}
+
+/**
+ * Apply and acknowledge every pending control channel command
+ * @param {Object} control - Mutable run controls
+ * @param {string} projectRoot - Project root directory
+ * @param {Function} onEvent - Progress callback
+ */
+async function applyControlCommands(control, projectRoot, onEvent) {
+  for (const entry of await getPendingCommands(projectRoot)) {
+    const { status, message } = await applyControlCommand(entry, control, projectRoot);
+    await acknowledgeCommand(entry, status, message, projectRoot);
+    onEvent('control', { command: entry.command, value: entry.value, status, message });
+  }
+}
+
+/**
+ * Run the RALPH loop until the PRD is complete, max iterations is reached,
+ * a budget in .ralph/config.yaml is reached (the run is paused), or a
+ * human pauses/cancels through the intervention file or the control
+ * channel. A pause from the control channel holds the process until resume
+ * or abort instead of exiting.
+ *
+ * @param {string} projectRoot - Project root directory
+ * @param {Object} options - Run options
+ * @param {number} options.maxIterations - Maximum iterations (0 = until done)
+ * @param {boolean} options.skipTests - Skip the test gate
+ * @param {boolean} options.skipLint - Skip the lint gate
+ * @param {boolean} options.dryRun - Build the first prompt and stop
+ * @param {string} options.model - Model override
+ * @param {Function} options.runSession - Session runner overriding the configured engines
+ * @param {Function} options.sleep - Delay function used for retry backoff and control polling
+ * @param {Function} options.onEvent - Progress callback (type, data)
+ * @returns {Promise<Object>} Structured run result
+ */
+async function runRalphLoop(projectRoot = process.cwd(), options = {}) {
+  const {
+    maxIterations = 0,
+    skipTests = false,
+    skipLint = false,
+    dryRun = false,
+    model = null,
+    runSession = null,
+    sleep = ms => new Promise(resolve => setTimeout(resolve, ms)),
+    onEvent = () => {}
+  } = options;
+
+  const prdPath = path.join(projectRoot, 'prd.json');
+  const result = {
+    status: null,
+    iterations: [],
+    branches: [],
+    totals: { inputTokens: 0, outputTokens: 0, cost: 0 },
+    errors: []
+  };
+
+  let prd = await fs.readJson(prdPath);
+  const validation = validatePrd(prd);
+  if (!validation.valid) {
+    result.status = RUN_STATUS.INVALID;
+    result.errors = validation.errors;
+    return result;
+  }
+
+  const ralphConfig = await loadRalphConfig(projectRoot);
+  const { settings } = ralphConfig;
+
+  const pricingErrors = validatePricing(ralphConfig.pricing);
+  if (pricingErrors.length > 0) {
+    result.status = RUN_STATUS.INVALID;
+    result.errors = pricingErrors;
+    return result;
+  }
+
+  // Fail before the first session if a story names an unknown engine
+  const resolveEngine = createEngineResolver(ralphConfig.engine);
+  if (!runSession) {
+    for (const story of prd.userStories.filter(s => !s.passes)) {
+      try {
+        resolveEngine(story);
+      } catch (error) {
+        result.errors.push(`${story.id}: ${error.message}`);
+      }
+    }
+    if (result.errors.length > 0) {
+      result.status = RUN_STATUS.INVALID;
+      return result;
+    }
+  }
+  const maxRetries = Math.max(1, settings.max_retries);
+  const retryDelayMs = settings.retry_delay * 1000;
+
+  // A finished or cancelled previous run shouldn't block a new one.
+  // Dry runs only read state, so they leave nothing behind.
+  if (!dryRun) {
+    await initIntervention(projectRoot);
+    const intervention = await loadIntervention(projectRoot);
+    if (intervention.state === STATES.COMPLETED || intervention.state === STATES.CANCELLED) {
+      intervention.state = STATES.RUNNING;
+      intervention.startedAt = new Date().toISOString();
+      delete intervention.cancelReason;
+      await saveIntervention(intervention, projectRoot);
+    }
+  }
+
+  // Dry runs don't leave a ledger behind
+  const run = dryRun ? null : await startRun({
+    project: prd.project,
+    engine: ralphConfig.engine.default || null,
+    model,
+    maxIterations
+  }, projectRoot);
+  if (run) result.runId = run.id;
+
+  const logPath = path.join(projectRoot, LOGS_DIR, `${run ? run.id : `run-${Date.now()}`}.log`);
+  if (!dryRun) {
+    await fs.ensureDir(path.dirname(logPath));
+  }
+
+  const skip = [];
+  if (skipTests) skip.push('test');
+  if (skipLint) skip.push('lint');
+
+  const qaFeedback = {};
+  // Story branches start from, and are merged back into, the branch the run started on
+  const baseBranch = settings.branch_per_task && !dryRun
+    ? await git('rev-parse --abbrev-ref HEAD', projectRoot)
+    : null;
+  const budgeted = getBudgetLimits(ralphConfig.budget).length > 0;
+  const budgetWarnings = new Set();
+  const control = { maxIterations, skipped: new Set(), notes: [], holding: false };
+
+  // Lets claude-init ralph control find this process
+  if (!dryRun) {
+    await registerRunner(projectRoot);
+  }
+
+  try {
+    for (let number = 1; control.maxIterations <= 0 || number <= control.maxIterations; number++) {
+      if (!dryRun) {
+        await applyControlCommands(control, projectRoot, onEvent);
+      }
+
+      let pauseCheck = await checkForPause(projectRoot);
+      if (pauseCheck.shouldPause && control.holding) {
+        onEvent('holding', { reason: pauseCheck.reason });
+      }
+      while (pauseCheck.shouldPause && control.holding) {
+        await sleep(CONTROL_POLL_MS);
+        await applyControlCommands(control, projectRoot, onEvent);
+        pauseCheck = await checkForPause(projectRoot);
+      }
+      control.holding = false;
+
+      if (pauseCheck.shouldPause) {
+        const state = await loadIntervention(projectRoot);
+        result.status = state.state === STATES.CANCELLED ? RUN_STATUS.CANCELLED : RUN_STATUS.PAUSED;
+        result.reason = pauseCheck.reason;
+        onEvent('paused', { reason: pauseCheck.reason });
+        break;
+      }
+
+      // The limit may have been lowered while paused
+      if (control.maxIterations > 0 && number > control.maxIterations) break;
+
+      prd = await fs.readJson(prdPath);
+      const stats = getPrdStats(prd);
+      const story = getNextStory({ ...prd, userStories: prd.userStories.filter(s => !control.skipped.has(s.id)) });
+
+      if (!story) {
+        if (stats.remaining > 0) {
+          // Every remaining story was skipped or waits on an incomplete dependency
+          result.status = RUN_STATUS.BLOCKED;
+          result.errors = validatePrd(prd).errors;
+          result.reason = control.skipped.size > 0
+            ? `${stats.remaining} stories were skipped or are waiting on dependencies that can't complete`
+            : `${stats.remaining} stories are waiting on dependencies that can't complete`;
+        } else {
+          result.status = RUN_STATUS.COMPLETE;
+        }
+        break;
+      }
+
+      const memoryContext = await buildMemoryContext(story, projectRoot, {
+        tokenBudget: ralphConfig.memory.context_budget,
+        touchedFiles: await findTouchedFiles(story, projectRoot, qaFeedback[story.id])
+      });
+      if (!dryRun) {
+        await logMemoryContext(memoryContext, number, projectRoot);
+      }
+
+      const prompt = buildStoryPrompt(story, prd, ralphConfig, {
+        skipTests,
+        skipLint,
+        qaIssues: qaFeedback[story.id],
+        memoryContext: renderMemoryContext(memoryContext),
+        notes: control.notes
+      });
+
+      if (dryRun) {
+        result.status = RUN_STATUS.DRY_RUN;
+        result.prompt = prompt;
+        onEvent('dry-run', { story, prompt });
+        break;
+      }
+
+      // Stop before spending more once a budget is used up
+      if (budgeted) {
+        const spend = await getSpend(projectRoot, { runId: run.id, storyId: story.id });
+        const { exceeded, warnings } = checkBudgets(spend, ralphConfig.budget);
+
+        for (const warning of warnings) {
+          const key = `${warning.scope === 'story' ? story.id : warning.scope}:${warning.unit}`;
+          if (!budgetWarnings.has(key)) {
+            budgetWarnings.add(key);
+            onEvent('budget-warning', { ...warning, message: describeBudget(warning, story.id) });
+          }
+        }
+
+        if (exceeded.length > 0) {
+          const reason = `Budget reached: ${exceeded.map(b => describeBudget(b, story.id)).join(', ')}`;
+          await pause(reason, projectRoot);
+          result.status = RUN_STATUS.PAUSED;
+          result.reason = reason;
+          result.budget = exceeded;
+          onEvent('paused', { reason });
+          break;
+        }
+      }
+
+      onEvent('iteration-start', { number, story, stats });
+      await setCurrentSubtask(story.id, projectRoot);
+      await setRunnerStory(story.id, projectRoot);
+
+      let branch = null;
+      if (settings.branch_per_task) {
+        branch = await checkoutStoryBranch(story, ralphConfig.prd.branch_prefix, baseBranch, projectRoot);
+        if (!result.branches.includes(branch)) result.branches.push(branch);
+        onEvent('branch', { branch });
+      }
+
+      const startedAt = Date.now();
+      const headBefore = await git('rev-parse HEAD', projectRoot).catch(() => null);
+      const iteration = {
+        number,
+        storyId: story.id,
+        branch,
+        attempts: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        status: 'failed',
+        gates: null,
+        qaStatus: null
+      };
+
+      // Run the agent, retrying with exponential backoff on empty/API errors
+      const engine = runSession ? null : resolveEngine(story);
+      iteration.engine = engine?.name || null;
+      iteration.model = model || engine?.model || null;
+
+      let session = null;
+      while (iteration.attempts < maxRetries) {
+        iteration.attempts++;
+        const sessionOptions = { cwd: projectRoot, logPath, model, story };
+        session = runSession
+          ? await runSession(prompt, sessionOptions)
+          : await engine.run(prompt, sessionOptions);
+        iteration.inputTokens += session.inputTokens || 0;
+        iteration.outputTokens += session.outputTokens || 0;
+
+        if (!session.error) break;
+
+        onEvent('retry', { attempt: iteration.attempts, maxRetries, error: session.error });
+        if (iteration.attempts < maxRetries) {
+          await sleep(retryDelayMs * 2 ** (iteration.attempts - 1));
+        }
+      }
+
+      if (session.error) {
+        iteration.error = session.error;
+        await logTaskHistory(projectRoot, `${story.id}: ${story.title}`, 'failed');
+      } else {
+        prd = await fs.readJson(prdPath);
+        const updated = prd.userStories.find(s => s.id === story.id);
+
+        if (updated?.passes) {
+          // Verify the agent's claim before accepting it: only the criteria
+          // it reported as met count, and the gates run regardless
+          const qa = await runQaValidation(
+            { id: story.id, title: story.title, acceptance_criteria: story.acceptanceCriteria },
+            { completedCriteria: getReportedCriteria(session.response, story.acceptanceCriteria) },
+            projectRoot,
+            { commands: ralphConfig.commands, skip }
+          );
+          iteration.gates = qa.report.qualityGates;
+          iteration.gateResults = qa.report.gateResults;
+          iteration.qaStatus = qa.report.status;
+
+          if (qa.passed) {
+            iteration.status = 'completed';
+            delete qaFeedback[story.id];
+            await createCheckpoint(story.id, { iteration: number, branch }, projectRoot);
+            await logTaskHistory(projectRoot, `${story.id}: ${story.title}`, 'completed');
+          } else {
+            iteration.status = 'qa_failed';
+            qaFeedback[story.id] = qa.issues;
+            await setStoryPasses(prdPath, story.id, false);
+            for (const issue of qa.issues) {
+              await trackRecurringIssue(issue, projectRoot);
+            }
+          }
+        } else {
+          iteration.status = 'incomplete';
+        }
+      }
+
+      // The agent's commit, if it made one
+      const headAfter = await git('rev-parse HEAD', projectRoot).catch(() => null);
+      iteration.commit = headAfter && headAfter !== headBefore ? headAfter : null;
+
+      let mergeFailure = null;
+      if (branch && iteration.status === 'completed') {
+        const merge = await mergeStoryBranch(baseBranch, branch, story, prdPath, projectRoot);
+        if (!merge.success) {
+          iteration.status = 'failed';
+          iteration.error = merge.message;
+          mergeFailure = merge.message;
+        }
+      }
+
+      iteration.cost = calculateCost(
+        iteration.inputTokens,
+        iteration.outputTokens,
+        getModelRates(iteration.model, ralphConfig.pricing)
+      );
+      iteration.durationMs = Date.now() - startedAt;
+      result.iterations.push(iteration);
+      result.totals.inputTokens += iteration.inputTokens;
+      result.totals.outputTokens += iteration.outputTokens;
+      result.totals.cost += iteration.cost;
+
+      await appendLedgerEntry(run.id, {
+        iteration: number,
+        storyId: story.id,
+        storyTitle: story.title,
+        engine: iteration.engine,
+        model: iteration.model,
+        status: iteration.status,
+        attempts: iteration.attempts,
+        inputTokens: iteration.inputTokens,
+        outputTokens: iteration.outputTokens,
+        cost: iteration.cost,
+        durationMs: iteration.durationMs,
+        gates: iteration.gates,
+        qaVerdict: iteration.qaStatus,
+        commit: iteration.commit,
+        branch,
+        error: iteration.error || null,
+        startedAt: new Date(startedAt).toISOString()
+      }, projectRoot);
+
+      onEvent('iteration-end', { iteration, story });
+
+      // Later stories would start without this one's code
+      if (mergeFailure) {
+        result.status = RUN_STATUS.BLOCKED;
+        result.reason = `${mergeFailure}. Resolve the conflicts, merge ${branch} and run again.`;
+        break;
+      }
+
+      if (session.complete && getPrdStats(await fs.readJson(prdPath)).remaining === 0) {
+        result.status = RUN_STATUS.COMPLETE;
+        break;
+      }
+    }
+  } finally {
+    if (!dryRun) {
+      await unregisterRunner(projectRoot);
+    }
+  }
+
+  if (control.skipped.size > 0) {
+    result.skipped = [...control.skipped];
+  }
+
+  if (!result.status) {
+    const remaining = getPrdStats(await fs.readJson(prdPath)).remaining;
+    result.status = remaining === 0 ? RUN_STATUS.COMPLETE : RUN_STATUS.MAX_ITERATIONS;
+  }
+
+  if (result.status === RUN_STATUS.COMPLETE) {
+    await complete(projectRoot);
+  }
+
+  if (run) {
+    await finishRun(run.id, {
+      status: result.status,
+      reason: result.reason || null,
+      totals: result.totals,
+      skipped: result.skipped || []
+    }, projectRoot);
+  }
+
+  return result;
+}
+
+export {
+  COMPLETE_SIGNAL,
+  CONTROL_POLL_MS,
+  PROGRESS_FILE,
+  LOGS_DIR,
+  TOKEN_PRICING,
+  RUN_STATUS,
+  calculateCost,
+  slugify,
+  buildStoryPrompt,
+  getReportedCriteria,
+  runRalphLoop
+};
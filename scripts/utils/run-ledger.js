@@ -0,0 +1,367 @@
+/**
+ * RALPH Run Ledger
+ *
+ * A structured record of every RALPH run. Each run gets a directory under
+ * .ralph/runs/<run-id>/ with run.json (when and how it ran, final status
+ * and totals) and ledger.jsonl, one JSON line per iteration: story,
+ * engine, model, tokens, cost, duration, gate results, commit and QA
+ * verdict. Reports render a run as markdown or HTML; `claude-init ralph
+ * report` prints it as a terminal table.
+ *
+ * @module run-ledger
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { icons } from './design-system.js';
+
+const RUNS_DIR = '.ralph/runs';
+const RUN_FILE = 'run.json';
+const LEDGER_FILE = 'ledger.jsonl';
+
+// Report output formats (table is rendered by the CLI)
+const REPORT_FORMATS = ['table', 'markdown', 'html'];
+
+// Symbols for iteration outcomes and gate statuses
+const STATUS_SYMBOLS = {
+  completed: icons.success,
+  qa_failed: icons.warning,
+  incomplete: icons.pending,
+  failed: icons.error
+};
+const GATE_SYMBOLS = {
+  passed: icons.success,
+  failed: icons.error
+};
+
+/**
+ * Directory of a run
+ * @param {string} runId - Run ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {string} Absolute path
+ */
+function getRunDir(runId, projectRoot = process.cwd()) {
+  return path.join(projectRoot, RUNS_DIR, runId);
+}
+
+/**
+ * Start a run: pick a unique ID and write run.json
+ * @param {Object} info - What to record about the run (project, engine, maxIterations...)
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Run metadata {id, startedAt, ...info}
+ */
+async function startRun(info = {}, projectRoot = process.cwd()) {
+  let timestamp = Date.now();
+  while (await fs.pathExists(getRunDir(`run-${timestamp}`, projectRoot))) {
+    timestamp++;
+  }
+
+  const run = { id: `run-${timestamp}`, startedAt: new Date().toISOString(), ...info };
+  await fs.outputJson(path.join(getRunDir(run.id, projectRoot), RUN_FILE), run, { spaces: 2 });
+  return run;
+}
+
+/**
+ * Append an iteration to a run's ledger
+ * @param {string} runId - Run ID
+ * @param {Object} entry - Ledger entry
+ * @param {string} projectRoot - Project root directory
+ */
+async function appendLedgerEntry(runId, entry, projectRoot = process.cwd()) {
+  const ledgerPath = path.join(getRunDir(runId, projectRoot), LEDGER_FILE);
+  await fs.ensureDir(path.dirname(ledgerPath));
+  await fs.appendFile(ledgerPath, JSON.stringify({ runId, ...entry }) + '\n', 'utf-8');
+}
+
+/**
+ * Record how a run ended
+ * @param {string} runId - Run ID
+ * @param {Object} outcome - {status, reason, totals, ...}
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object>} Updated run metadata
+ */
+async function finishRun(runId, outcome, projectRoot = process.cwd()) {
+  const runPath = path.join(getRunDir(runId, projectRoot), RUN_FILE);
+  const run = await fs.readJson(runPath).catch(() => ({ id: runId }));
+  const finished = { ...run, ...outcome, finishedAt: new Date().toISOString() };
+  await fs.outputJson(runPath, finished, { spaces: 2 });
+  return finished;
+}
+
+/**
+ * Read a run's ledger, skipping lines that don't parse
+ * @param {string} runId - Run ID
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<Object>>} Entries in order
+ */
+async function readLedger(runId, projectRoot = process.cwd()) {
+  const ledgerPath = path.join(getRunDir(runId, projectRoot), LEDGER_FILE);
+  if (!await fs.pathExists(ledgerPath)) return [];
+
+  const content = await fs.readFile(ledgerPath, 'utf-8');
+  return content.split('\n').filter(Boolean).flatMap(line => {
+    try {
+      return [JSON.parse(line)];
+    } catch {
+      return [];
+    }
+  });
+}
+
+/**
+ * Add up a run's ledger
+ * @param {Array<Object>} entries - Ledger entries
+ * @returns {Object} {iterations, completed, stories, inputTokens, outputTokens, cost, durationMs}
+ */
+function summarizeLedger(entries) {
+  return {
+    iterations: entries.length,
+    completed: entries.filter(e => e.status === 'completed').length,
+    stories: [...new Set(entries.map(e => e.storyId))],
+    inputTokens: entries.reduce((sum, e) => sum + (e.inputTokens || 0), 0),
+    outputTokens: entries.reduce((sum, e) => sum + (e.outputTokens || 0), 0),
+    cost: entries.reduce((sum, e) => sum + (e.cost || 0), 0),
+    durationMs: entries.reduce((sum, e) => sum + (e.durationMs || 0), 0)
+  };
+}
+
+/**
+ * List runs, oldest first
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<Object>>} Run metadata with a ledger summary
+ */
+async function listRuns(projectRoot = process.cwd()) {
+  const runsDir = path.join(projectRoot, RUNS_DIR);
+  if (!await fs.pathExists(runsDir)) return [];
+
+  const ids = (await fs.readdir(runsDir))
+    .filter(id => id.startsWith('run-'))
+    .sort((a, b) => Number(a.slice(4)) - Number(b.slice(4)));
+
+  const runs = [];
+  for (const id of ids) {
+    const run = await fs.readJson(path.join(runsDir, id, RUN_FILE)).catch(() => ({ id }));
+    runs.push({ ...run, summary: summarizeLedger(await readLedger(id, projectRoot)) });
+  }
+  return runs;
+}
+
+/**
+ * Load a run with its ledger
+ * @param {string} runId - Run ID, or 'last'
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Object|null>} {...metadata, entries, summary}
+ */
+async function loadRun(runId = 'last', projectRoot = process.cwd()) {
+  if (runId === 'last') {
+    const runs = await listRuns(projectRoot);
+    if (runs.length === 0) return null;
+    runId = runs[runs.length - 1].id;
+  }
+
+  const runDir = getRunDir(runId, projectRoot);
+  if (!await fs.pathExists(runDir)) return null;
+
+  const run = await fs.readJson(path.join(runDir, RUN_FILE)).catch(() => ({ id: runId }));
+  const entries = await readLedger(runId, projectRoot);
+  return { ...run, entries, summary: summarizeLedger(entries) };
+}
+
+/**
+ * Format a duration for reports
+ * @param {number} ms - Milliseconds
+ * @returns {string} e.g. "850ms", "12.3s", "2m 05s"
+ */
+function formatDuration(ms = 0) {
+  if (ms < 1000) return `${ms}ms`;
+  if (ms < 60000) return `${(ms / 1000).toFixed(1)}s`;
+  const minutes = Math.floor(ms / 60000);
+  const seconds = Math.round((ms % 60000) / 1000);
+  return `${minutes}m ${String(seconds).padStart(2, '0')}s`;
+}
+
+/**
+ * Format gate results for a report cell. Skipped gates are left out.
+ * @param {Object|null} gates - Gate name -> status
+ * @returns {string} e.g. "tests ✓ lint ✗"
+ */
+function formatGates(gates) {
+  return Object.entries(gates || {})
+    .filter(([, status]) => status !== 'skipped')
+    .map(([gate, status]) => `${gate} ${GATE_SYMBOLS[status] || status}`)
+    .join(' ');
+}
+
+/**
+ * Cells of one ledger entry, shared by every report format
+ * @param {Object} entry - Ledger entry
+ * @returns {Object} Display values
+ */
+function formatEntry(entry) {
+  return {
+    number: String(entry.iteration),
+    story: entry.storyTitle ? `${entry.storyId}: ${entry.storyTitle}` : entry.storyId,
+    engine: entry.engine || '',
+    model: entry.model || '',
+    status: `${STATUS_SYMBOLS[entry.status] || ''} ${entry.status}`.trim(),
+    qa: entry.qaVerdict || '',
+    gates: formatGates(entry.gates),
+    tokens: `${entry.inputTokens || 0} / ${entry.outputTokens || 0}`,
+    cost: `$${(entry.cost || 0).toFixed(4)}`,
+    duration: formatDuration(entry.durationMs),
+    commit: entry.commit ? entry.commit.slice(0, 7) : ''
+  };
+}
+
+// Report columns: key in formatEntry, heading
+const REPORT_COLUMNS = [
+  ['number', '#'],
+  ['story', 'Story'],
+  ['engine', 'Engine'],
+  ['model', 'Model'],
+  ['status', 'Status'],
+  ['qa', 'QA'],
+  ['gates', 'Gates'],
+  ['tokens', 'Tokens (in / out)'],
+  ['cost', 'Cost'],
+  ['duration', 'Duration'],
+  ['commit', 'Commit']
+];
+
+/**
+ * Summary lines shared by the markdown and HTML reports
+ * @param {Object} run - Loaded run
+ * @returns {Array<[string, string]>} Label/value pairs
+ */
+function summaryRows(run) {
+  const { summary } = run;
+  return [
+    ['Project', run.project || ''],
+    ['Status', run.status ? `${run.status}${run.reason ? ` (${run.reason})` : ''}` : 'unfinished'],
+    ['Started', run.startedAt || ''],
+    ['Finished', run.finishedAt || ''],
+    ['Iterations', `${summary.iterations} (${summary.completed} completed)`],
+    ['Tokens', `${summary.inputTokens} in / ${summary.outputTokens} out`],
+    ['Cost', `$${summary.cost.toFixed(4)}`],
+    ['Agent time', formatDuration(summary.durationMs)]
+  ].filter(([, value]) => value);
+}
+
+/**
+ * Render a run as markdown
+ * @param {Object} run - Loaded run (see loadRun)
+ * @returns {string} Markdown
+ */
+function renderMarkdownReport(run) {
+  const cell = text => String(text).replace(/\|/g, '\\|');
+  const lines = [`# RALPH Run ${run.id}`, ''];
+
+  for (const [label, value] of summaryRows(run)) {
+    lines.push(`- **${label}:** ${cell(value)}`);
+  }
+  lines.push('');
+
+  if (run.entries.length === 0) {
+    lines.push('_No iterations recorded._');
+    return lines.join('\n') + '\n';
+  }
+
+  lines.push(`| ${REPORT_COLUMNS.map(([, heading]) => heading).join(' | ')} |`);
+  lines.push(`| ${REPORT_COLUMNS.map(() => '---').join(' | ')} |`);
+  for (const entry of run.entries) {
+    const values = formatEntry(entry);
+    lines.push(`| ${REPORT_COLUMNS.map(([key]) => cell(values[key])).join(' | ')} |`);
+  }
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escape text for HTML
+ * @param {string} text - Text
+ * @returns {string} Escaped text
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a run as a standalone HTML page
+ * @param {Object} run - Loaded run (see loadRun)
+ * @returns {string} HTML
+ */
+function renderHtmlReport(run) {
+  const summary = summaryRows(run)
+    .map(([label, value]) => `<tr><th>${escapeHtml(label)}</th><td>${escapeHtml(value)}</td></tr>`)
+    .join('\n        ');
+
+  const rows = run.entries.map(entry => {
+    const values = formatEntry(entry);
+    const cells = REPORT_COLUMNS.map(([key]) => `<td>${escapeHtml(values[key])}</td>`).join('');
+    return `<tr class="status-${escapeHtml(entry.status)}">${cells}</tr>`;
+  }).join('\n        ');
+
+  const iterations = run.entries.length === 0
+    ? '<p class="muted">No iterations recorded.</p>'
+    : `<table class="ledger">
+      <thead>
+        <tr>${REPORT_COLUMNS.map(([, heading]) => `<th>${escapeHtml(heading)}</th>`).join('')}</tr>
+      </thead>
+      <tbody>
+        ${rows}
+      </tbody>
+    </table>`;
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>RALPH Run ${escapeHtml(run.id)}</title>
+  <style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; margin: 0 auto; padding: 20px; max-width: 1200px; color: #222; }
+    h1 { border-bottom: 4px solid #5D5CDE; padding-bottom: 10px; }
+    table { border-collapse: collapse; margin-bottom: 20px; }
+    th, td { padding: 6px 10px; text-align: left; border-bottom: 1px solid #eee; }
+    .summary th { color: #666; font-weight: normal; }
+    .ledger { width: 100%; font-size: 14px; }
+    .ledger thead th { background: #f9f9f9; }
+    .status-completed td:nth-child(5) { color: #166534; }
+    .status-qa_failed td:nth-child(5) { color: #92400e; }
+    .status-failed td:nth-child(5) { color: #991b1b; }
+    .status-incomplete td:nth-child(5), .muted { color: #666; }
+  </style>
+</head>
+<body>
+  <h1>RALPH Run ${escapeHtml(run.id)}</h1>
+  <table class="summary">
+    <tbody>
+        ${summary}
+    </tbody>
+  </table>
+  ${iterations}
+</body>
+</html>
+`;
+}
+
+export {
+  RUNS_DIR,
+  REPORT_FORMATS,
+  REPORT_COLUMNS,
+  STATUS_SYMBOLS,
+  startRun,
+  appendLedgerEntry,
+  finishRun,
+  readLedger,
+  summarizeLedger,
+  listRuns,
+  loadRun,
+  formatDuration,
+  formatEntry,
+  renderMarkdownReport,
+  renderHtmlReport
+};
@@ -9,6 +9,7 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import { parseShellCommand } from './shell-parser.js';
 
 // Security configuration path
 const SECURITY_FILE = '.ralph/security.json';
@@ -373,11 +374,309 @@ async function loadSecurityConfig(projectRoot = process.cwd()) {
   return null;
 }
 
+// Builtins that only change the shell's own state, always allowed (`cd`
+// only within the project)
+const SAFE_BUILTINS = ['cd', 'pwd', 'true', 'false', 'test', '[', 'exit'];
+
+// Redirect targets outside the project that are still fine to write
+const SAFE_REDIRECT_TARGETS = ['/dev/null', '/dev/stdout', '/dev/stderr', '/dev/tty'];
+
+// Redirections that write to their target
+const OUTPUT_REDIRECTS = ['>', '>>', '>|', '&>', '&>>', '<>'];
+
+/**
+ * Compile a blocked pattern. Patterns that parse as commands match by
+ * words (so "eval" doesn't block "npm run evaluate", and "curl | sh"
+ * matches any curl piped into sh); anything else, like the fork bomb,
+ * matches as a substring ignoring whitespace.
+ * @param {string} pattern - Blocked pattern
+ * @returns {Object} Compiled pattern
+ */
+function compileBlockedPattern(pattern) {
+  try {
+    const segments = parseShellCommand(pattern);
+    if (segments.length > 0 && segments.every(s => s.source === 'command')) {
+      return { pattern, segments };
+    }
+  } catch {
+    // Not a command - fall through to substring matching
+  }
+  return { pattern, raw: pattern.replace(/\s+/g, '') };
+}
+
+/**
+ * Check whether `prefix` words start `words`
+ * @param {Array<string>} prefix - Expected leading words
+ * @param {Array<string>} words - Words to check
+ * @returns {boolean}
+ */
+function startsWithWords(prefix, words) {
+  return prefix.length <= words.length && prefix.every((word, i) => words[i] === word);
+}
+
+// Long and alternative spellings of flags, so "rm --recursive --force /"
+// reads like "rm -rf /"
+const FLAG_ALIASES = { '--recursive': '-r', '-R': '-r', '--force': '-f' };
+
+/**
+ * Split a command's words into its name, flags and operands. Combined
+ * short flags are split up ("-fr" becomes "-f" and "-r") so flag order
+ * and grouping don't matter.
+ * @param {Array<string>} words - Command words
+ * @returns {{name: string, flags: Set<string>, operands: Array<string>}}
+ */
+function normalizeWords(words) {
+  const [name, ...rest] = words;
+  const flags = new Set();
+  const operands = [];
+  let endOfFlags = false;
+
+  for (const word of rest) {
+    if (endOfFlags || !word.startsWith('-') || word === '-') {
+      operands.push(word);
+    } else if (word === '--') {
+      endOfFlags = true;
+    } else if (/^-[A-Za-z]{2,}$/.test(word)) {
+      for (const letter of word.slice(1)) {
+        flags.add(FLAG_ALIASES[`-${letter}`] || `-${letter}`);
+      }
+    } else {
+      flags.add(FLAG_ALIASES[word] || word);
+    }
+  }
+  return { name, flags, operands };
+}
+
+/**
+ * Check whether a command's words match a blocked pattern's words: same
+ * command name, every flag of the pattern in any order, and the pattern's
+ * operands among the command's in the same order
+ * @param {Array<string>} expected - Pattern words
+ * @param {Array<string>} words - Command words
+ * @returns {boolean}
+ */
+function wordsMatchPattern(expected, words) {
+  if (expected.length === 0) return true;
+  if (words.length === 0 || words[0] !== expected[0]) return false;
+
+  const want = normalizeWords(expected);
+  const have = normalizeWords(words);
+  let next = 0;
+  for (const operand of have.operands) {
+    if (operand === want.operands[next]) next++;
+  }
+  return next === want.operands.length && [...want.flags].every(flag => have.flags.has(flag));
+}
+
+/**
+ * Check one segment against one segment of a blocked pattern
+ * @param {Object} expected - Pattern segment
+ * @param {Object} segment - Command segment
+ * @returns {boolean}
+ */
+function segmentMatchesPattern(expected, segment) {
+  const wordsMatch = wordsMatchPattern(expected.argv, segment.argv) ||
+    wordsMatchPattern(expected.argv, segment.command);
+  const redirectsMatch = expected.redirects.every(want =>
+    segment.redirects.some(r => r.op === want.op && r.target === want.target)
+  );
+  return wordsMatch && redirectsMatch;
+}
+
+/**
+ * Find the blocked pattern matching the segment at `index`. Multi-part
+ * patterns must match a pipeline starting there.
+ * @param {Array<Object>} segments - All segments
+ * @param {number} index - Segment index
+ * @param {Array<Object>} patterns - Compiled patterns
+ * @returns {string|null} Matching pattern
+ */
+function findBlockedPattern(segments, index, patterns) {
+  for (const { pattern, segments: parts } of patterns) {
+    if (!parts) continue;
+
+    const matches = parts.every((part, k) => {
+      const segment = segments[index + k];
+      if (!segment || segment.source !== segments[index].source) return false;
+      if (k > 0 && segment.operator !== '|' && segment.operator !== '|&') return false;
+      return segmentMatchesPattern(part, segment);
+    });
+    if (matches) return pattern;
+  }
+  return null;
+}
+
+/**
+ * Check whether a path is the project root or inside it
+ * @param {string} projectRoot - Project root directory
+ * @param {string} target - Absolute path
+ * @returns {boolean}
+ */
+function isInsideProject(projectRoot, target) {
+  const relative = path.relative(path.resolve(projectRoot), target);
+  return !relative.startsWith('..') && !path.isAbsolute(relative);
+}
+
+/**
+ * Resolve where a `cd` segment moves to from each possible working
+ * directory
+ * @param {Object} segment - `cd` command segment
+ * @param {Set<string>} cwds - Possible working directories
+ * @returns {Array<string>|null} Target directories, or null if the target
+ *   can't be known without running the shell (home, `-`, variables)
+ */
+function resolveCdTargets(segment, cwds) {
+  const target = segment.command.slice(1).find(arg => !/^-[LPe@]+$/.test(arg));
+  if (!target || target === '-' || target.startsWith('~') || /[$`]/.test(target)) {
+    return null;
+  }
+  return [...cwds].map(cwd => path.resolve(cwd, target));
+}
+
+/**
+ * Work out the directories each segment could run in. Top-level segments
+ * follow the `cd`s before them (a `cd` that might fail, or that is part of
+ * a pipeline, keeps the previous directory possible too). Subshells,
+ * substitutions and `sh -c` scripts may start from any directory the
+ * command reaches, plus any they `cd` into themselves.
+ * @param {Array<Object>} segments - All segments
+ * @param {string} projectRoot - Project root directory
+ * @returns {Array<Set<string>>} Possible working directories, by segment index
+ */
+function trackWorkingDirectories(segments, projectRoot) {
+  const cwds = [];
+  const topLevel = segments.filter(s => s.source === 'command');
+  const isPiped = segment => segment?.operator === '|' || segment?.operator === '|&';
+  const insideTargets = (segment, from) => segment.command[0] === 'cd' && !segment.dynamic
+    ? (resolveCdTargets(segment, from) || []).filter(dir => isInsideProject(projectRoot, dir))
+    : [];
+
+  let current = new Set([path.resolve(projectRoot)]);
+  const reached = new Set(current);
+  topLevel.forEach((segment, k) => {
+    cwds[segments.indexOf(segment)] = current;
+
+    const targets = insideTargets(segment, current);
+    const next = topLevel[k + 1];
+    if (targets.length === 0 || isPiped(segment) || isPiped(next)) return;
+
+    current = new Set(next?.operator === '&&' ? targets : [...current, ...targets]);
+    current.forEach(dir => reached.add(dir));
+  });
+
+  const nested = segments.filter(s => s.source !== 'command');
+  for (const segment of nested) {
+    insideTargets(segment, reached).forEach(dir => reached.add(dir));
+  }
+  for (const segment of nested) {
+    cwds[segments.indexOf(segment)] = reached;
+  }
+  return cwds;
+}
+
+/**
+ * Check a `cd` segment stays inside the project
+ * @param {Object} segment - `cd` command segment
+ * @param {Set<string>} cwds - Directories the segment could run in
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Reason the `cd` is refused
+ */
+function checkCd(segment, cwds, projectRoot) {
+  const targets = resolveCdTargets(segment, cwds);
+  const target = segment.command.slice(1).join(' ') || '~';
+
+  if (!targets) {
+    return `Directory change target is not static: ${target}`;
+  }
+  if (!targets.every(dir => isInsideProject(projectRoot, dir))) {
+    return `Changes directory outside the project: ${target}`;
+  }
+  return null;
+}
+
+/**
+ * Check a segment's output redirections stay inside the project, from
+ * whichever directory the segment runs in
+ * @param {Object} segment - Command segment
+ * @param {Set<string>} cwds - Directories the segment could run in
+ * @param {string} projectRoot - Project root directory
+ * @returns {string|null} Reason the redirect is refused
+ */
+function checkRedirects(segment, cwds, projectRoot) {
+  for (const redirect of segment.redirects) {
+    if (!OUTPUT_REDIRECTS.includes(redirect.op)) continue;
+    if (redirect.dynamic) {
+      return `Redirect target is not static: ${redirect.target}`;
+    }
+    if (SAFE_REDIRECT_TARGETS.includes(redirect.target)) continue;
+
+    const outside = redirect.target.startsWith('~') ||
+      [...cwds].some(cwd => !isInsideProject(projectRoot, path.resolve(cwd, redirect.target)));
+    if (outside) {
+      return `Redirects output outside the project: ${redirect.target}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Decide whether one segment may run
+ * @param {Array<Object>} segments - All segments
+ * @param {number} index - Segment index
+ * @param {Object} rules - {patterns, allowed, projectRoot, cwds}
+ * @returns {{allowed: boolean, reason: string}}
+ */
+function checkSegment(segments, index, rules) {
+  const segment = segments[index];
+
+  const pattern = findBlockedPattern(segments, index, rules.patterns);
+  if (pattern) {
+    return { allowed: false, reason: `Command matches blocked pattern: ${pattern}` };
+  }
+
+  const redirectReason = checkRedirects(segment, rules.cwds[index], rules.projectRoot);
+  if (redirectReason) {
+    return { allowed: false, reason: redirectReason };
+  }
+
+  const [name] = segment.command;
+  if (!name) {
+    return { allowed: true, reason: 'Nothing to run' };
+  }
+  if (segment.dynamicEnv.length > 0) {
+    const [envName] = segment.dynamicEnv;
+    return { allowed: false, reason: `Environment assignment is not static: ${envName}=${segment.env[envName]}` };
+  }
+  if (segment.dynamic) {
+    return { allowed: false, reason: `Command name is not static: ${name}` };
+  }
+  if (segment.shellScript !== null) {
+    return { allowed: true, reason: 'Script is checked as separate commands' };
+  }
+  if (name === 'cd') {
+    const cdReason = checkCd(segment, rules.cwds[index], rules.projectRoot);
+    if (cdReason) {
+      return { allowed: false, reason: cdReason };
+    }
+  }
+  if (SAFE_BUILTINS.includes(name)) {
+    return { allowed: true, reason: 'Shell builtin' };
+  }
+  if (rules.allowed.some(words => startsWithWords(words, segment.command))) {
+    return { allowed: true, reason: 'Command in allowlist' };
+  }
+
+  return { allowed: false, reason: `Command "${name}" not in allowlist for detected stack` };
+}
+
 /**
- * Validate a command against security rules
+ * Validate a command against security rules. The command is parsed into
+ * every simple command it would run (lists, pipelines, subshells,
+ * substitutions, `sh -c` scripts) and each one is checked; the command is
+ * allowed only when all of them are.
  * @param {string} command - Command to validate
  * @param {string} projectRoot - Project root directory
- * @returns {Promise<{allowed: boolean, reason: string}>}
+ * @returns {Promise<{allowed: boolean, reason: string, segments: Array<{command: string, source: string, allowed: boolean, reason: string}>}>}
  */
 async function validateCommand(command, projectRoot = process.cwd()) {
   // Load or generate security config
@@ -386,37 +685,50 @@ async function validateCommand(command, projectRoot = process.cwd()) {
     config = await generateSecurityConfig(projectRoot);
   }
 
-  // Check against blocked patterns
-  for (const blocked of [...config.blockedPatterns, ...config.customBlocked]) {
-    if (command.includes(blocked)) {
-      return {
-        allowed: false,
-        reason: `Command matches blocked pattern: ${blocked}`
-      };
-    }
-  }
+  const patterns = [...config.blockedPatterns, ...config.customBlocked].map(compileBlockedPattern);
 
-  // Extract base command
-  const baseCommand = command.split(' ')[0];
-
-  // Check if base command is allowed
-  const allAllowed = [...config.allowedCommands, ...config.customAllowed];
+  // Patterns that aren't commands are checked against the raw text
+  const squashed = command.replace(/\s+/g, '');
+  const rawMatch = patterns.find(p => p.raw && squashed.includes(p.raw));
+  if (rawMatch) {
+    return { allowed: false, reason: `Command matches blocked pattern: ${rawMatch.pattern}`, segments: [] };
+  }
 
-  // Check for exact match or prefix match
-  const isAllowed = allAllowed.some(allowed => {
-    if (baseCommand === allowed) return true;
-    if (command.startsWith(allowed)) return true;
-    return false;
-  });
+  let segments;
+  try {
+    segments = parseShellCommand(command);
+  } catch (error) {
+    return { allowed: false, reason: `Could not parse command: ${error.message}`, segments: [] };
+  }
 
-  if (isAllowed) {
-    return { allowed: true, reason: 'Command in allowlist' };
+  if (segments.length === 0) {
+    return { allowed: false, reason: 'Empty command', segments: [] };
   }
 
-  return {
-    allowed: false,
-    reason: `Command "${baseCommand}" not in allowlist for detected stack`
+  const rules = {
+    patterns,
+    allowed: [...config.allowedCommands, ...config.customAllowed].map(a => a.trim().split(/\s+/)),
+    projectRoot,
+    cwds: trackWorkingDirectories(segments, projectRoot)
   };
+  const verdicts = segments.map((segment, index) => ({
+    command: segment.text,
+    source: segment.source,
+    ...checkSegment(segments, index, rules)
+  }));
+
+  // Report a blocked pattern ahead of a plain allowlist miss
+  const refused = verdicts.find(v => !v.allowed && v.reason.startsWith('Command matches blocked pattern')) ||
+    verdicts.find(v => !v.allowed);
+  if (refused) {
+    return {
+      allowed: false,
+      reason: verdicts.length > 1 ? `${refused.reason} (in "${refused.command}")` : refused.reason,
+      segments: verdicts
+    };
+  }
+
+  return { allowed: true, reason: 'Command in allowlist', segments: verdicts };
 }
 
 /**
@@ -0,0 +1,485 @@
+/**
+ * Shell Parser
+ *
+ * Splits a shell command line into the simple commands ("segments") it
+ * would run: every part of a list or pipeline (`;`, `&&`, `||`, `|`, `&`),
+ * subshells, command and process substitutions, scripts passed to
+ * `sh -c`, and commands run by `find -exec`. Each segment carries its
+ * argv, env assignments and redirections, plus the effective command once
+ * wrappers like `env`, `nohup` or `xargs` are looked through.
+ *
+ * Variables are not expanded. Words containing expansions are flagged
+ * `dynamic` so callers can refuse what they can't inspect. Compound
+ * commands (if, for, while, case, functions) are rejected rather than
+ * guessed at.
+ *
+ * @module shell-parser
+ */
+
+// Reserved words that start compound commands we don't interpret
+const UNSUPPORTED_KEYWORDS = new Set([
+  'if', 'then', 'else', 'elif', 'fi', 'for', 'while', 'until', 'do', 'done',
+  'case', 'esac', 'select', 'function', '[[', ']]'
+]);
+
+// Operators that need a command on both sides
+const BINARY_OPERATORS = new Set(['&&', '||', '|', '|&']);
+
+// Longest first, so `>>` wins over `>`
+const REDIRECT_OPERATORS = ['&>>', '&>', '<<<', '<<-', '<<', '<>', '<&', '>&', '>|', '>>', '<', '>'];
+
+// Commands that run another command given as their arguments
+const COMMAND_WRAPPERS = {
+  env: { valueFlags: ['-u', '--unset', '-C', '--chdir'], assignments: true },
+  nohup: {},
+  time: { valueFlags: ['-f', '--format', '-o', '--output'] },
+  nice: { valueFlags: ['-n', '--adjustment'] },
+  command: {},
+  exec: { valueFlags: ['-a'] },
+  timeout: { valueFlags: ['-s', '--signal', '-k', '--kill-after'], positional: 1 },
+  xargs: { valueFlags: ['-I', '-i', '-n', '-P', '-L', '-l', '-d', '-s', '-E', '-e', '-a'] }
+};
+
+// Shells whose `-c` script is parsed as nested commands
+const SHELLS = new Set(['sh', 'bash', 'zsh', 'dash', 'ksh']);
+
+// Shell options before `-c` that take a value
+const SHELL_VALUE_OPTIONS = new Set(['-o', '+o', '-O', '+O', '--rcfile', '--init-file']);
+
+// find actions that run the words after them, up to a `;` or `+`
+const FIND_EXEC_ACTIONS = new Set(['-exec', '-execdir', '-ok', '-okdir']);
+
+/**
+ * Create an empty word token
+ * @returns {Object} Word token
+ */
+function createWord() {
+  return { type: 'word', value: '', quoted: false, quotedAt: null, dynamic: false, nested: [] };
+}
+
+/**
+ * Find the end of a `${...}` or `$((...))` expansion
+ * @param {string} src - Source text
+ * @param {number} start - Index of the opening bracket
+ * @param {string} open - Opening character
+ * @param {string} close - Closing character
+ * @returns {number} Index just past the matching close
+ */
+function findClosing(src, start, open, close) {
+  let depth = 0;
+  for (let i = start; i < src.length; i++) {
+    if (src[i] === '\\') {
+      i++;
+    } else if (src[i] === open) {
+      depth++;
+    } else if (src[i] === close && --depth === 0) {
+      return i + 1;
+    }
+  }
+  throw new Error(`Missing closing '${close}'`);
+}
+
+/**
+ * Tokenize shell source into words, operators, redirections and subshells
+ * @param {string} src - Source text
+ * @param {number} start - Index to start at
+ * @param {string|null} closer - ')' when lexing inside $( ), <( ) or ( )
+ * @returns {{tokens: Array<Object>, end: number}}
+ */
+function lex(src, start = 0, closer = null) {
+  const tokens = [];
+  const heredocs = [];
+  let expectHeredocDelimiter = false;
+  let word = null;
+  let i = start;
+
+  const startWord = () => {
+    if (!word) word = createWord();
+  };
+  // Remember where quoting starts: `FOO="a b"` is still an assignment
+  const markQuoted = () => {
+    if (!word.quoted) word.quotedAt = word.value.length;
+    word.quoted = true;
+  };
+  const endWord = () => {
+    if (!word) return;
+    tokens.push(word);
+    if (expectHeredocDelimiter) {
+      heredocs.push(word.value);
+      expectHeredocDelimiter = false;
+    }
+    word = null;
+  };
+
+  // $name, ${...}, $(...), $((...)) - appended raw and marked dynamic
+  const readDollar = () => {
+    const next = src[i + 1];
+    let end;
+
+    if (next === '(' && src[i + 2] === '(') {
+      end = findClosing(src, i + 1, '(', ')');
+    } else if (next === '(') {
+      const inner = lex(src, i + 2, ')');
+      word.nested.push(inner.tokens);
+      end = inner.end;
+    } else if (next === '{') {
+      end = findClosing(src, i + 1, '{', '}');
+    } else if (next && /[A-Za-z_]/.test(next)) {
+      end = i + 1;
+      while (end < src.length && /\w/.test(src[end])) end++;
+    } else if (next && /[0-9@*#?$!-]/.test(next)) {
+      end = i + 2;
+    } else {
+      word.value += '$';
+      i++;
+      return;
+    }
+
+    word.value += src.slice(i, end);
+    word.dynamic = true;
+    i = end;
+  };
+
+  // `...` - nested command, appended raw and marked dynamic
+  const readBacktick = () => {
+    let end = i + 1;
+    while (end < src.length && src[end] !== '`') {
+      end += src[end] === '\\' ? 2 : 1;
+    }
+    if (end >= src.length) throw new Error('Unterminated backtick');
+
+    const script = src.slice(i + 1, end).replace(/\\([`\\$])/g, '$1');
+    word.nested.push(lex(script).tokens);
+    word.value += src.slice(i, end + 1);
+    word.dynamic = true;
+    i = end + 1;
+  };
+
+  while (i < src.length) {
+    const ch = src[i];
+
+    if (ch === ' ' || ch === '\t') {
+      endWord();
+      i++;
+    } else if (ch === '\n') {
+      endWord();
+      tokens.push({ type: 'op', value: ';' });
+      i++;
+      // Skip heredoc bodies that start on this line
+      for (const delimiter of heredocs.splice(0)) {
+        while (i < src.length) {
+          const lineEnd = src.indexOf('\n', i) === -1 ? src.length : src.indexOf('\n', i);
+          const line = src.slice(i, lineEnd);
+          i = lineEnd + 1;
+          if (line.replace(/^\t+/, '') === delimiter) break;
+        }
+      }
+    } else if (ch === '#' && !word) {
+      while (i < src.length && src[i] !== '\n') i++;
+    } else if (ch === ')') {
+      if (closer !== ')') throw new Error("Unexpected ')'");
+      endWord();
+      return { tokens, end: i + 1 };
+    } else if (ch === '(') {
+      if (word) throw new Error(`Unexpected '(' after "${word.value}"`);
+      const inner = lex(src, i + 1, ')');
+      tokens.push({ type: 'subshell', tokens: inner.tokens });
+      i = inner.end;
+    } else if ((ch === '<' || ch === '>') && src[i + 1] === '(' && !word) {
+      // Process substitution
+      word = createWord();
+      const inner = lex(src, i + 2, ')');
+      word.nested.push(inner.tokens);
+      word.value = src.slice(i, inner.end);
+      word.dynamic = true;
+      i = inner.end;
+    } else if (ch === '<' || ch === '>' || (ch === '&' && src[i + 1] === '>')) {
+      let fd = null;
+      if (word && !word.quoted && /^\d+$/.test(word.value)) {
+        fd = word.value;
+        word = null;
+      } else {
+        endWord();
+      }
+      const op = REDIRECT_OPERATORS.find(candidate => src.startsWith(candidate, i));
+      tokens.push({ type: 'redirect', op, fd });
+      expectHeredocDelimiter = op === '<<' || op === '<<-';
+      i += op.length;
+    } else if (ch === ';' || ch === '&' || ch === '|') {
+      endWord();
+      const op = ['&&', '||', '|&', ';;'].find(candidate => src.startsWith(candidate, i)) || ch;
+      if (op === ';;') throw new Error("Unsupported shell syntax: ';;'");
+      tokens.push({ type: 'op', value: op });
+      i += op.length;
+    } else if (ch === '\\') {
+      startWord();
+      if (src[i + 1] !== '\n') {
+        markQuoted();
+        word.value += src[i + 1] ?? '';
+      }
+      i += 2;
+    } else if (ch === "'") {
+      startWord();
+      const end = src.indexOf("'", i + 1);
+      if (end === -1) throw new Error('Unterminated single quote');
+      markQuoted();
+      word.value += src.slice(i + 1, end);
+      i = end + 1;
+    } else if (ch === '"') {
+      startWord();
+      markQuoted();
+      i++;
+      while (src[i] !== '"') {
+        if (i >= src.length) throw new Error('Unterminated double quote');
+        if (src[i] === '\\' && '"\\$`\n'.includes(src[i + 1])) {
+          if (src[i + 1] !== '\n') word.value += src[i + 1];
+          i += 2;
+        } else if (src[i] === '$') {
+          readDollar();
+        } else if (src[i] === '`') {
+          readBacktick();
+        } else {
+          word.value += src[i++];
+        }
+      }
+      i++;
+    } else if (ch === '$') {
+      startWord();
+      readDollar();
+    } else if (ch === '`') {
+      startWord();
+      readBacktick();
+    } else {
+      startWord();
+      word.value += ch;
+      i++;
+    }
+  }
+
+  if (closer) throw new Error(`Missing closing '${closer}'`);
+  endWord();
+  return { tokens, end: i };
+}
+
+/**
+ * Whether a word is an env assignment (NAME=value with an unquoted NAME=)
+ * @param {Object} word - Word token
+ * @returns {boolean}
+ */
+function isAssignment(word) {
+  const match = /^[A-Za-z_]\w*=/.exec(word.value);
+  return Boolean(match) && (word.quotedAt === null || word.quotedAt >= match[0].length);
+}
+
+/**
+ * Look through wrapper commands (env, nohup, xargs, ...) to the command
+ * they run
+ * @param {Array<Object>} words - Word tokens of a segment
+ * @returns {{words: Array<Object>, wrappers: Array<string>}}
+ */
+function unwrapCommand(words) {
+  const wrappers = [];
+  let rest = words;
+
+  while (rest.length > 0 && !rest[0].dynamic && COMMAND_WRAPPERS[rest[0].value]) {
+    const spec = COMMAND_WRAPPERS[rest[0].value];
+    let k = 1;
+    let positional = spec.positional || 0;
+
+    while (k < rest.length) {
+      const arg = rest[k].value;
+      if (arg === '--') {
+        k++;
+        break;
+      }
+      if (arg.startsWith('-') && arg.length > 1) {
+        k += spec.valueFlags?.includes(arg) ? 2 : 1;
+      } else if (spec.assignments && /^[A-Za-z_]\w*=/.test(arg)) {
+        k++;
+      } else if (positional > 0) {
+        positional--;
+        k++;
+      } else {
+        break;
+      }
+    }
+
+    // A wrapper with nothing to run is the command itself
+    if (k >= rest.length) break;
+
+    wrappers.push(rest[0].value);
+    rest = rest.slice(k);
+  }
+
+  return { words: rest, wrappers };
+}
+
+/**
+ * Find the script of a `sh -c '...'` style command
+ * @param {Array<Object>} words - Effective command words
+ * @returns {Object|null} Word token holding the script
+ */
+function findShellScript(words) {
+  if (words.length === 0 || words[0].dynamic) return null;
+  if (!SHELLS.has(words[0].value.split('/').pop())) return null;
+
+  for (let k = 1; k < words.length; k++) {
+    const arg = words[k].value;
+    if (SHELL_VALUE_OPTIONS.has(arg)) {
+      k++;
+      continue;
+    }
+    // Long options (--norc, --login, ...)
+    if (/^--[A-Za-z][\w-]*$/.test(arg)) continue;
+    if (!/^[-+][A-Za-z]+$/.test(arg)) return null;
+    if (arg.startsWith('-') && arg.includes('c')) {
+      if (!words[k + 1]) throw new Error(`Missing script after ${words[0].value} ${arg}`);
+      return words[k + 1];
+    }
+  }
+  return null;
+}
+
+/**
+ * Find the commands a `find` runs through -exec, -execdir, -ok or -okdir
+ * @param {Array<Object>} words - Effective command words
+ * @returns {Array<Array<Object>>} Word tokens of each command
+ */
+function findExecCommands(words) {
+  if (words.length === 0 || words[0].dynamic || words[0].value.split('/').pop() !== 'find') return [];
+
+  const commands = [];
+  for (let k = 1; k < words.length; k++) {
+    if (!FIND_EXEC_ACTIONS.has(words[k].value)) continue;
+
+    const start = k + 1;
+    k = start;
+    // An unquoted `;` ends the segment, so the command may run to the end
+    while (k < words.length && !(words[k].quoted && words[k].value === ';') && words[k].value !== '+') k++;
+    if (k === start) throw new Error(`Missing command after find ${words[start - 1].value}`);
+    // Substitutions inside were already collected with the find itself
+    commands.push(words.slice(start, k).map(word => ({ ...word, nested: [] })));
+  }
+  return commands;
+}
+
+/**
+ * Turn tokens into segments, appending to `segments`. Nested commands
+ * (subshells, substitutions, sh -c scripts, find -exec) follow the list they
+ * appear in, so pipelines stay adjacent.
+ * @param {Array<Object>} tokens - Tokens from lex()
+ * @param {string} source - Where the tokens came from
+ * @param {Array<Object>} segments - Output list
+ */
+function parseTokens(tokens, source, segments) {
+  const nested = [];
+  let operator = null;
+  let current = { words: [], env: {}, dynamicEnv: [], redirects: [], hasSubshell: false };
+
+  const isEmpty = () =>
+    current.words.length === 0 && current.redirects.length === 0 &&
+    Object.keys(current.env).length === 0 && !current.hasSubshell;
+
+  const finish = (nextOperator) => {
+    if (isEmpty()) {
+      if (BINARY_OPERATORS.has(nextOperator) || (BINARY_OPERATORS.has(operator) && nextOperator === null)) {
+        throw new Error(nextOperator ? `Unexpected '${nextOperator}'` : `Missing command after '${operator}'`);
+      }
+    } else if (current.words.length > 0 || current.redirects.length > 0 || Object.keys(current.env).length > 0) {
+      const { words, wrappers } = unwrapCommand(current.words);
+      const script = findShellScript(words);
+      if (script) {
+        if (script.dynamic) throw new Error('Cannot inspect a shell -c script built from variables');
+        nested.push({ tokens: lex(script.value).tokens, source: 'shell -c' });
+      }
+      for (const execWords of findExecCommands(words)) {
+        nested.push({ tokens: execWords, source: 'find -exec' });
+      }
+
+      segments.push({
+        text: [
+          ...Object.entries(current.env).map(([name, value]) => `${name}=${value}`),
+          ...current.words.map(w => w.value),
+          ...current.redirects.map(r => `${r.fd || ''}${r.op}${r.op.endsWith('&') ? '' : ' '}${r.target}`)
+        ].join(' '),
+        argv: current.words.map(w => w.value),
+        command: words.map(w => w.value),
+        dynamic: words.length > 0 && words[0].dynamic,
+        env: current.env,
+        dynamicEnv: current.dynamicEnv,
+        redirects: current.redirects,
+        wrappers,
+        shellScript: script ? script.value : null,
+        operator,
+        source
+      });
+    }
+
+    operator = nextOperator;
+    current = { words: [], env: {}, dynamicEnv: [], redirects: [], hasSubshell: false };
+  };
+
+  for (let k = 0; k < tokens.length; k++) {
+    const token = tokens[k];
+
+    if (token.type === 'op') {
+      finish(token.value);
+    } else if (token.type === 'subshell') {
+      current.hasSubshell = true;
+      nested.push({ tokens: token.tokens, source: 'subshell' });
+    } else if (token.type === 'redirect') {
+      const target = tokens[k + 1];
+      if (!target || target.type !== 'word') {
+        throw new Error(`Missing target after '${token.op}'`);
+      }
+      k++;
+      target.nested.forEach(list => nested.push({ tokens: list, source: 'substitution' }));
+      current.redirects.push({
+        op: token.op,
+        fd: token.fd,
+        target: target.value,
+        dynamic: target.dynamic,
+        heredoc: token.op === '<<' || token.op === '<<-'
+      });
+    } else {
+      token.nested.forEach(list => nested.push({ tokens: list, source: 'substitution' }));
+      const atStart = current.words.length === 0;
+
+      if (atStart && isAssignment(token)) {
+        const eq = token.value.indexOf('=');
+        const name = token.value.slice(0, eq);
+        current.env[name] = token.value.slice(eq + 1);
+        if (token.dynamic) current.dynamicEnv.push(name);
+      } else if (atStart && !token.quoted && ['{', '}', '!'].includes(token.value)) {
+        // Grouping braces and negation don't run anything themselves
+      } else if (atStart && !token.quoted && UNSUPPORTED_KEYWORDS.has(token.value)) {
+        throw new Error(`Unsupported shell syntax: '${token.value}'`);
+      } else {
+        current.words.push(token);
+      }
+    }
+  }
+  finish(null);
+
+  for (const list of nested) {
+    parseTokens(list.tokens, list.source, segments);
+  }
+}
+
+/**
+ * Parse a command line into the simple commands it would run
+ * @param {string} command - Command line
+ * @returns {Array<Object>} Segments: {text, argv, command, dynamic, env, dynamicEnv, redirects, wrappers, shellScript, operator, source}
+ * @throws {Error} When the command can't be parsed or uses unsupported syntax
+ */
+function parseShellCommand(command) {
+  const segments = [];
+  parseTokens(lex(String(command)).tokens, 'command', segments);
+  return segments;
+}
+
+export {
+  COMMAND_WRAPPERS,
+  SHELLS,
+  parseShellCommand
+};
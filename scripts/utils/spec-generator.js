@@ -8,6 +8,7 @@
 import fs from 'fs-extra';
 import path from 'path';
 import { buildDirectoryTree } from './project-analyzer.js';
+import { PRD_SCHEMA_VERSION, PRD_SCHEMA_URL } from './prd-validator.js';
 
 /**
  * Generate PROJECT_SPEC.md content from analysis
@@ -367,8 +368,14 @@ export async function writeProjectSpec(targetPath, analysis) {
 
 /**
  * Generate intelligent PRD based on analysis
+ *
+ * Optional clarifications (from `claude-init prd generate --smart`) refine it:
+ * - featureType: extra text for story pattern detection (e.g. "api", "ui")
+ * - users: who the feature is for, added to the description
+ * - requirements: must-have behaviours, added as core story criteria
+ * - outOfScope: what not to build, added to the description
  */
-export function generateIntelligentPrd(featureDescription, analysis, existingDocs = []) {
+export function generateIntelligentPrd(featureDescription, analysis, existingDocs = [], clarifications = {}) {
   const slug = featureDescription
     .toLowerCase()
     .replace(/[^a-z0-9\s]/g, '')
@@ -376,7 +383,8 @@ export function generateIntelligentPrd(featureDescription, analysis, existingDoc
     .substring(0, 30);
 
   // Determine story pattern based on tech stack
-  const storyPattern = getStoryPattern(analysis.techStack, featureDescription);
+  const patternText = [featureDescription, clarifications.featureType].filter(Boolean).join(' ');
+  const storyPattern = getStoryPattern(analysis.techStack, patternText);
 
   // Generate context-aware stories
   const userStories = generateContextAwareStories(
@@ -385,11 +393,23 @@ export function generateIntelligentPrd(featureDescription, analysis, existingDoc
     analysis
   );
 
+  const requirements = clarifications.requirements || [];
+  if (requirements.length > 0) {
+    const core = userStories.find(s => /core|logic|service/i.test(s.title)) || userStories[0];
+    core.acceptanceCriteria.unshift(...requirements);
+  }
+
+  const descriptionLines = [`Implementation of: ${featureDescription}`];
+  if (clarifications.users) descriptionLines.push(`Users: ${clarifications.users}`);
+  if (clarifications.outOfScope) descriptionLines.push(`Out of scope: ${clarifications.outOfScope}`);
+
   // Build PRD
   const prd = {
+    $schema: PRD_SCHEMA_URL,
+    schemaVersion: PRD_SCHEMA_VERSION,
     project: featureDescription,
     branchName: `ralph/${slug}`,
-    description: `Implementation of: ${featureDescription}\n\nBased on: PROJECT_SPEC.md`,
+    description: `${descriptionLines.join('\n')}\n\nBased on: PROJECT_SPEC.md`,
     createdAt: new Date().toISOString().split('T')[0],
     projectContext: {
       name: analysis.overview.name,
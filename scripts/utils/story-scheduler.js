@@ -0,0 +1,275 @@
+/**
+ * Story Scheduler
+ *
+ * Works with the dependency graph of PRD user stories (`dependsOn`):
+ * cycle detection, next-story selection, execution waves, ASCII and
+ * Mermaid rendering, and a bounded concurrency pool for running waves.
+ *
+ * @module story-scheduler
+ */
+
+/**
+ * Get the IDs a story depends on (`dependsOn`, plus the older `blockedBy`)
+ * @param {Object} story - User story
+ * @returns {Array<string>} Dependency story IDs
+ */
+function getStoryDependencies(story) {
+  const ids = [
+    ...(Array.isArray(story?.dependsOn) ? story.dependsOn : []),
+    ...(Array.isArray(story?.blockedBy) ? story.blockedBy : [])
+  ];
+  return [...new Set(ids)];
+}
+
+/**
+ * Find a dependency cycle among stories
+ * @param {Array<Object>} stories - User stories
+ * @returns {Array<string>|null} Cycle as IDs, first ID repeated at the end (e.g. A, B, A)
+ */
+function findDependencyCycle(stories) {
+  const byId = new Map(stories.map(s => [s.id, s]));
+  const state = new Map(); // id -> 'visiting' | 'done'
+  const path = [];
+
+  function visit(id) {
+    if (state.get(id) === 'done') return null;
+    if (state.get(id) === 'visiting') {
+      return [...path.slice(path.indexOf(id)), id];
+    }
+
+    state.set(id, 'visiting');
+    path.push(id);
+    for (const dep of getStoryDependencies(byId.get(id))) {
+      if (!byId.has(dep)) continue;
+      const cycle = visit(dep);
+      if (cycle) return cycle;
+    }
+    path.pop();
+    state.set(id, 'done');
+    return null;
+  }
+
+  for (const story of stories) {
+    const cycle = visit(story.id);
+    if (cycle) return cycle;
+  }
+  return null;
+}
+
+/**
+ * Pick the story to work on next: the highest-priority incomplete story
+ * whose dependencies are all complete
+ * @param {Object} prd - PRD object
+ * @returns {Object|null} Story, or null when nothing is ready
+ */
+function getNextStory(prd) {
+  const stories = Array.isArray(prd?.userStories) ? prd.userStories : [];
+  const done = new Set(stories.filter(s => s.passes).map(s => s.id));
+
+  return sortByPriority(stories.filter(s => !s.passes))
+    .find(story => getStoryDependencies(story).every(id => done.has(id))) || null;
+}
+
+/**
+ * Sort stories by priority (lowest number first), keeping PRD order for ties
+ * @param {Array<Object>} stories - User stories
+ * @returns {Array<Object>} Sorted copy
+ */
+function sortByPriority(stories) {
+  return stories
+    .map((story, index) => ({ story, index }))
+    .sort((a, b) => {
+      const pa = typeof a.story.priority === 'number' ? a.story.priority : Infinity;
+      const pb = typeof b.story.priority === 'number' ? b.story.priority : Infinity;
+      return pa - pb || a.index - b.index;
+    })
+    .map(entry => entry.story);
+}
+
+/**
+ * Group incomplete stories into waves. Every story in a wave only depends
+ * on stories that are already complete or sit in an earlier wave, so a wave
+ * can run fully in parallel.
+ *
+ * Stories that can never run (unknown dependency, dependency cycle, or a
+ * dependency listed in `options.exclude`) are returned in `blocked`.
+ *
+ * @param {Object} prd - PRD object
+ * @param {Object} options - Options
+ * @param {Array<string>} options.exclude - Story IDs to treat as unrunnable (e.g. failed)
+ * @returns {{waves: Array<Array<Object>>, blocked: Array<{story: Object, reason: string}>}}
+ */
+function buildExecutionWaves(prd, options = {}) {
+  const stories = Array.isArray(prd?.userStories) ? prd.userStories : [];
+  const exclude = new Set(options.exclude || []);
+  const knownIds = new Set(stories.map(s => s.id));
+  const done = new Set(stories.filter(s => s.passes).map(s => s.id));
+
+  let pending = sortByPriority(stories.filter(s => !s.passes && !exclude.has(s.id)));
+  const waves = [];
+  const blocked = [];
+
+  // Drop stories whose dependencies can never be satisfied
+  pending = pending.filter(story => {
+    const unknown = getStoryDependencies(story).filter(id => !knownIds.has(id));
+    if (unknown.length > 0) {
+      blocked.push({ story, reason: `Unknown dependencies: ${unknown.join(', ')}` });
+      return false;
+    }
+    return true;
+  });
+
+  while (pending.length > 0) {
+    const wave = pending.filter(story =>
+      getStoryDependencies(story).every(id => done.has(id))
+    );
+
+    if (wave.length === 0) break;
+
+    waves.push(wave);
+    wave.forEach(story => done.add(story.id));
+    pending = pending.filter(story => !wave.includes(story));
+  }
+
+  // Whatever is left waits on an excluded story or sits in a cycle
+  for (const story of pending) {
+    const waitingOn = getStoryDependencies(story).filter(id => !done.has(id));
+    const excluded = waitingOn.filter(id => exclude.has(id));
+    blocked.push({
+      story,
+      reason: excluded.length > 0
+        ? `Depends on unfinished stories: ${excluded.join(', ')}`
+        : `Dependency cycle involving: ${waitingOn.join(', ')}`
+    });
+  }
+
+  return { waves, blocked };
+}
+
+/**
+ * Run a worker over items with at most `limit` running at once. A worker
+ * that throws doesn't stop the others: its result comes from `onError`,
+ * or without one the first error is thrown once every item has run.
+ * @param {Array} items - Items to process
+ * @param {number} limit - Maximum concurrent workers
+ * @param {Function} worker - Async function (item, index) => result
+ * @param {Function} onError - Optional (error, item, index) => result
+ * @returns {Promise<Array>} Results in input order
+ */
+async function runWithConcurrency(items, limit, worker, onError = null) {
+  const results = new Array(items.length);
+  const errors = [];
+  const size = Math.max(1, Math.min(limit || 1, items.length));
+  let next = 0;
+
+  async function lane() {
+    while (next < items.length) {
+      const index = next++;
+      try {
+        results[index] = await worker(items[index], index);
+      } catch (error) {
+        if (!onError) {
+          errors.push(error);
+          continue;
+        }
+        results[index] = onError(error, items[index], index);
+      }
+    }
+  }
+
+  await Promise.all(Array.from({ length: size }, () => lane()));
+
+  if (errors.length > 0) throw errors[0];
+  return results;
+}
+
+/**
+ * Group every story (complete or not) into dependency levels: level 0 has
+ * no dependencies, level N depends only on earlier levels. Unknown
+ * dependencies are ignored and stories in a cycle are left out.
+ * @param {Object} prd - PRD object
+ * @returns {Array<Array<Object>>} Levels of stories
+ */
+function getDependencyLevels(prd) {
+  const stories = Array.isArray(prd?.userStories) ? prd.userStories : [];
+  const knownIds = new Set(stories.map(s => s.id));
+  const placed = new Set();
+  let pending = sortByPriority(stories);
+  const levels = [];
+
+  while (pending.length > 0) {
+    const level = pending.filter(story =>
+      getStoryDependencies(story).every(id => placed.has(id) || !knownIds.has(id))
+    );
+    if (level.length === 0) break;
+
+    levels.push(level);
+    level.forEach(story => placed.add(story.id));
+    pending = pending.filter(story => !level.includes(story));
+  }
+
+  return levels;
+}
+
+/**
+ * Render the story graph as plain ASCII, one block per dependency level
+ * @param {Object} prd - PRD object
+ * @returns {string} Rendered graph
+ */
+function renderAsciiGraph(prd) {
+  const lines = [];
+
+  getDependencyLevels(prd).forEach((level, index) => {
+    lines.push(`Level ${index}`);
+    for (const story of level) {
+      const deps = getStoryDependencies(story);
+      const mark = story.passes ? '[x]' : '[ ]';
+      lines.push(`  ${mark} ${story.id}: ${story.title}${deps.length > 0 ? ` <- ${deps.join(', ')}` : ''}`);
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render the story graph as a Mermaid flowchart (edges point from a
+ * dependency to the story that needs it)
+ * @param {Object} prd - PRD object
+ * @returns {string} Mermaid source
+ */
+function renderMermaidGraph(prd) {
+  const stories = Array.isArray(prd?.userStories) ? prd.userStories : [];
+  const knownIds = new Set(stories.map(s => s.id));
+  const nodeId = id => String(id).replace(/[^A-Za-z0-9_]/g, '_');
+  const label = text => String(text).replace(/"/g, '#quot;');
+
+  const lines = ['graph TD'];
+  for (const story of stories) {
+    lines.push(`  ${nodeId(story.id)}["${label(`${story.id}: ${story.title}`)}"]`);
+  }
+  for (const story of stories) {
+    for (const dep of getStoryDependencies(story).filter(id => knownIds.has(id))) {
+      lines.push(`  ${nodeId(dep)} --> ${nodeId(story.id)}`);
+    }
+  }
+
+  const done = stories.filter(s => s.passes).map(s => nodeId(s.id));
+  if (done.length > 0) {
+    lines.push('  classDef done fill:#d4edda,stroke:#28a745');
+    lines.push(`  class ${done.join(',')} done`);
+  }
+
+  return lines.join('\n');
+}
+
+export {
+  getStoryDependencies,
+  findDependencyCycle,
+  sortByPriority,
+  getNextStory,
+  buildExecutionWaves,
+  getDependencyLevels,
+  renderAsciiGraph,
+  renderMermaidGraph,
+  runWithConcurrency
+};
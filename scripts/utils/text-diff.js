@@ -0,0 +1,426 @@
+/**
+ * Text Diff
+ *
+ * Line and word diffs using Myers' O(ND) algorithm, grouped into hunks
+ * with context. formatUnified produces a standard unified diff;
+ * pairChanges lines up removed and added lines for side-by-side views
+ * and word highlighting. mergeBlocks and mergeLines do a diff3-style
+ * three-way merge.
+ *
+ * @module text-diff
+ */
+
+/**
+ * Shortest edit script between two sequences (Myers). Common prefix and
+ * suffix are trimmed first, so small edits to long texts stay cheap.
+ * @param {Array<string>} a - Old sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<{type: string, value: string}>} 'equal', 'delete' or 'insert' ops
+ */
+function diffSequences(a, b) {
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) start++;
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const equal = value => ({ type: 'equal', value });
+  return [
+    ...a.slice(0, start).map(equal),
+    ...myers(a.slice(start, endA), b.slice(start, endB)),
+    ...a.slice(endA).map(equal)
+  ];
+}
+
+/**
+ * Myers' algorithm with a trace for backtracking. Each trace entry keeps
+ * only the diagonals reachable at that step, so memory grows with the
+ * square of the edit distance, not of the input size.
+ * @param {Array<string>} a - Old sequence
+ * @param {Array<string>} b - New sequence
+ * @returns {Array<{type: string, value: string}>} Ops
+ */
+function myers(a, b) {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0) return b.map(value => ({ type: 'insert', value }));
+  if (m === 0) return a.map(value => ({ type: 'delete', value }));
+
+  const max = n + m;
+  const offset = max;
+  const v = new Int32Array(2 * max + 2);
+  const trace = [];
+  let distance = 0;
+
+  search:
+  for (let d = 0; d <= max; d++) {
+    // State before step d: diagonals -(d-1)..(d-1)
+    trace.push(d === 0 ? null : v.slice(offset - d + 1, offset + d));
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && v[offset + k - 1] < v[offset + k + 1]))
+        ? v[offset + k + 1]
+        : v[offset + k - 1] + 1;
+      let y = x - k;
+      while (x < n && y < m && a[x] === b[y]) {
+        x++;
+        y++;
+      }
+      v[offset + k] = x;
+
+      if (x >= n && y >= m) {
+        distance = d;
+        break search;
+      }
+    }
+  }
+
+  const ops = [];
+  let x = n;
+  let y = m;
+
+  for (let d = distance; d > 0; d--) {
+    const prev = trace[d];
+    const at = k => prev[k + d - 1];
+    const k = x - y;
+    const prevK = (k === -d || (k !== d && at(k - 1) < at(k + 1))) ? k + 1 : k - 1;
+    const prevX = at(prevK);
+    const prevY = prevX - prevK;
+
+    while (x > prevX && y > prevY) {
+      ops.push({ type: 'equal', value: a[x - 1] });
+      x--;
+      y--;
+    }
+    if (x === prevX) {
+      ops.push({ type: 'insert', value: b[y - 1] });
+    } else {
+      ops.push({ type: 'delete', value: a[x - 1] });
+    }
+    x = prevX;
+    y = prevY;
+  }
+
+  while (x > 0 && y > 0) {
+    ops.push({ type: 'equal', value: a[x - 1] });
+    x--;
+    y--;
+  }
+
+  return ops.reverse();
+}
+
+/**
+ * Split text into lines. A trailing newline doesn't add an empty line.
+ * @param {string} text - Text
+ * @returns {Array<string>} Lines
+ */
+function splitLines(text) {
+  if (!text) return [];
+  const lines = text.split(/\r?\n/);
+  if (lines[lines.length - 1] === '') lines.pop();
+  return lines;
+}
+
+/**
+ * Line diff of two texts
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<Object>} Ops {type, value, oldLine?, newLine?} with 1-based line numbers
+ */
+function diffLines(oldText, newText) {
+  let oldLine = 0;
+  let newLine = 0;
+
+  return diffSequences(splitLines(oldText), splitLines(newText)).map(op => {
+    if (op.type === 'equal') return { ...op, oldLine: ++oldLine, newLine: ++newLine };
+    if (op.type === 'delete') return { ...op, oldLine: ++oldLine };
+    return { ...op, newLine: ++newLine };
+  });
+}
+
+// Words, runs of whitespace, and single punctuation characters
+const WORD_PATTERN = /\s+|[\p{L}\p{N}_]+|[^\s\p{L}\p{N}_]/gu;
+
+/**
+ * Word diff of two strings. Adjacent ops of the same type are merged.
+ * @param {string} oldText - Old text
+ * @param {string} newText - New text
+ * @returns {Array<{type: string, value: string}>} Ops
+ */
+function diffWords(oldText, newText) {
+  const ops = diffSequences(oldText.match(WORD_PATTERN) || [], newText.match(WORD_PATTERN) || []);
+
+  const merged = [];
+  for (const op of ops) {
+    const last = merged[merged.length - 1];
+    if (last && last.type === op.type) {
+      last.value += op.value;
+    } else {
+      merged.push({ ...op });
+    }
+  }
+  return merged;
+}
+
+/**
+ * Count changes in a diff
+ * @param {Array<Object>} ops - Ops from diffLines
+ * @returns {{added: number, removed: number, unchanged: number}} Line counts
+ */
+function diffStats(ops) {
+  const stats = { added: 0, removed: 0, unchanged: 0 };
+  for (const op of ops) {
+    if (op.type === 'insert') stats.added++;
+    else if (op.type === 'delete') stats.removed++;
+    else stats.unchanged++;
+  }
+  return stats;
+}
+
+/**
+ * Group line ops into hunks with surrounding context
+ * @param {Array<Object>} ops - Ops from diffLines
+ * @param {number} context - Unchanged lines to keep around each change
+ * @returns {Array<Object>} Hunks {oldStart, oldLines, newStart, newLines, ops}
+ */
+function buildHunks(ops, context = 3) {
+  const ranges = [];
+  ops.forEach((op, i) => {
+    if (op.type === 'equal') return;
+    const start = Math.max(0, i - context);
+    const end = Math.min(ops.length - 1, i + context);
+    const last = ranges[ranges.length - 1];
+    if (last && start <= last.end + 1) {
+      last.end = Math.max(last.end, end);
+    } else {
+      ranges.push({ start, end });
+    }
+  });
+
+  // Lines consumed before each op
+  const before = [];
+  let oldCount = 0;
+  let newCount = 0;
+  for (const op of ops) {
+    before.push({ old: oldCount, new: newCount });
+    if (op.type !== 'insert') oldCount++;
+    if (op.type !== 'delete') newCount++;
+  }
+
+  return ranges.map(({ start, end }) => {
+    const hunkOps = ops.slice(start, end + 1);
+    const oldLines = hunkOps.filter(op => op.type !== 'insert').length;
+    const newLines = hunkOps.filter(op => op.type !== 'delete').length;
+    return {
+      oldStart: before[start].old + (oldLines > 0 ? 1 : 0),
+      oldLines,
+      newStart: before[start].new + (newLines > 0 ? 1 : 0),
+      newLines,
+      ops: hunkOps
+    };
+  });
+}
+
+/**
+ * Format line ops as a unified diff
+ * @param {Array<Object>} ops - Ops from diffLines
+ * @param {Object} options - Options
+ * @param {string} options.fromLabel - Old file label
+ * @param {string} options.toLabel - New file label
+ * @param {number} options.context - Context lines
+ * @returns {string} Unified diff, empty when nothing changed
+ */
+function formatUnified(ops, options = {}) {
+  const { fromLabel = 'a', toLabel = 'b', context = 3 } = options;
+  const hunks = buildHunks(ops, context);
+  if (hunks.length === 0) return '';
+
+  const prefix = { equal: ' ', delete: '-', insert: '+' };
+  const lines = [`--- ${fromLabel}`, `+++ ${toLabel}`];
+  for (const hunk of hunks) {
+    lines.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`);
+    lines.push(...hunk.ops.map(op => `${prefix[op.type]}${op.value}`));
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Line up a hunk's ops as rows: unchanged lines on both sides, and each
+ * run of removed lines next to the added lines that replace it
+ * @param {Array<Object>} ops - Hunk ops
+ * @returns {Array<{type: string, left: Object|null, right: Object|null}>}
+ *   Rows of type 'equal', 'change', 'delete' or 'insert'; sides are {line, text}
+ */
+function pairChanges(ops) {
+  const rows = [];
+  let i = 0;
+
+  while (i < ops.length) {
+    const op = ops[i];
+    if (op.type === 'equal') {
+      rows.push({ type: 'equal', left: { line: op.oldLine, text: op.value }, right: { line: op.newLine, text: op.value } });
+      i++;
+      continue;
+    }
+
+    const deleted = [];
+    const inserted = [];
+    while (i < ops.length && ops[i].type === 'delete') deleted.push(ops[i++]);
+    while (i < ops.length && ops[i].type === 'insert') inserted.push(ops[i++]);
+
+    for (let j = 0; j < Math.max(deleted.length, inserted.length); j++) {
+      const left = deleted[j] ? { line: deleted[j].oldLine, text: deleted[j].value } : null;
+      const right = inserted[j] ? { line: inserted[j].newLine, text: inserted[j].value } : null;
+      rows.push({ type: left && right ? 'change' : left ? 'delete' : 'insert', left, right });
+    }
+  }
+
+  return rows;
+}
+
+/**
+ * For each line of base, its index in other, or -1 if it was changed
+ * @param {Array<string>} base - Base lines
+ * @param {Array<string>} other - Other lines
+ * @returns {Int32Array} Matches
+ */
+function matchLines(base, other) {
+  const matches = new Int32Array(base.length).fill(-1);
+  let i = 0;
+  let j = 0;
+  for (const op of diffSequences(base, other)) {
+    if (op.type === 'equal') matches[i++] = j++;
+    else if (op.type === 'delete') i++;
+    else j++;
+  }
+  return matches;
+}
+
+/**
+ * Three-way line merge as a list of blocks. Changes made on only one side
+ * are taken as they are; overlapping changes that differ are left as
+ * conflict blocks.
+ * @param {string} baseText - Common ancestor
+ * @param {string} oursText - Our version
+ * @param {string} theirsText - Their version
+ * @returns {Array<Object>} Blocks {type: 'resolved', lines} or
+ *   {type: 'conflict', base, ours, theirs} (arrays of lines)
+ */
+function mergeBlocks(baseText, oursText, theirsText) {
+  const base = splitLines(baseText);
+  const ours = splitLines(oursText);
+  const theirs = splitLines(theirsText);
+  const oursMatch = matchLines(base, ours);
+  const theirsMatch = matchLines(base, theirs);
+  const same = (x, y) => x.length === y.length && x.every((line, i) => line === y[i]);
+
+  const blocks = [];
+  const resolve = lines => {
+    if (lines.length === 0) return;
+    const last = blocks[blocks.length - 1];
+    if (last && last.type === 'resolved') last.lines.push(...lines);
+    else blocks.push({ type: 'resolved', lines: [...lines] });
+  };
+
+  let b = 0;
+  let o = 0;
+  let t = 0;
+
+  while (b < base.length || o < ours.length || t < theirs.length) {
+    // Lines unchanged on both sides
+    if (b < base.length && oursMatch[b] === o && theirsMatch[b] === t) {
+      resolve([base[b++]]);
+      o++;
+      t++;
+      continue;
+    }
+
+    // Next base line both sides kept ends the changed region
+    let end = b;
+    while (end < base.length && (oursMatch[end] === -1 || theirsMatch[end] === -1)) end++;
+    const oursEnd = end < base.length ? oursMatch[end] : ours.length;
+    const theirsEnd = end < base.length ? theirsMatch[end] : theirs.length;
+
+    const baseChunk = base.slice(b, end);
+    const oursChunk = ours.slice(o, oursEnd);
+    const theirsChunk = theirs.slice(t, theirsEnd);
+
+    if (same(oursChunk, baseChunk) || same(oursChunk, theirsChunk)) {
+      resolve(theirsChunk);
+    } else if (same(theirsChunk, baseChunk)) {
+      resolve(oursChunk);
+    } else {
+      blocks.push({ type: 'conflict', base: baseChunk, ours: oursChunk, theirs: theirsChunk });
+    }
+
+    b = end;
+    o = oursEnd;
+    t = theirsEnd;
+  }
+
+  return blocks;
+}
+
+/**
+ * Join merge blocks into text. Conflicts the resolve callback doesn't
+ * settle are written with git-style markers.
+ * @param {Array<Object>} blocks - Blocks from mergeBlocks
+ * @param {Object} options - Options
+ * @param {string} options.oursLabel - Label after <<<<<<<
+ * @param {string} options.theirsLabel - Label after >>>>>>>
+ * @param {Function} options.resolve - (block, index) => lines, or null to keep the conflict
+ * @returns {{text: string, conflicts: number}} Merged text and conflicts left in it
+ */
+function formatMerge(blocks, options = {}) {
+  const { oursLabel = 'ours', theirsLabel = 'theirs', resolve = () => null } = options;
+  const lines = [];
+  let conflicts = 0;
+  let index = 0;
+
+  for (const block of blocks) {
+    if (block.type === 'resolved') {
+      lines.push(...block.lines);
+      continue;
+    }
+
+    const chosen = resolve(block, index++);
+    if (chosen) {
+      lines.push(...chosen);
+    } else {
+      conflicts++;
+      lines.push(`<<<<<<< ${oursLabel}`, ...block.ours, '=======', ...block.theirs, `>>>>>>> ${theirsLabel}`);
+    }
+  }
+
+  return { text: lines.length > 0 ? lines.join('\n') + '\n' : '', conflicts };
+}
+
+/**
+ * Three-way line merge, with conflicts marked git-style
+ * @param {string} baseText - Common ancestor
+ * @param {string} oursText - Our version
+ * @param {string} theirsText - Their version
+ * @param {Object} options - Labels, as for formatMerge
+ * @returns {{text: string, conflicts: number}} Merged text
+ */
+function mergeLines(baseText, oursText, theirsText, options = {}) {
+  return formatMerge(mergeBlocks(baseText, oursText, theirsText), options);
+}
+
+export {
+  diffSequences,
+  diffLines,
+  diffWords,
+  diffStats,
+  buildHunks,
+  formatUnified,
+  pairChanges,
+  mergeBlocks,
+  formatMerge,
+  mergeLines
+};
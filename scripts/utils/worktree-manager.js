@@ -185,7 +185,9 @@ async function getWorktreeDiff(specName, projectRoot = process.cwd(), baseBranch
 }
 
 /**
- * Merge a worktree branch back to the target branch
+ * Merge a worktree branch back to the target branch. Changes left
+ * uncommitted in the worktree are committed first so they aren't lost
+ * when the worktree is removed; a branch with nothing to merge fails.
  * @param {string} specName - Spec name
  * @param {string} projectRoot - Project root directory
  * @param {string} targetBranch - Branch to merge into (default: main)
@@ -196,8 +198,18 @@ async function mergeWorktree(specName, projectRoot = process.cwd(), targetBranch
   const worktreePath = getWorktreePath(specName, projectRoot);
 
   try {
-    // Save current branch
-    const currentBranch = await gitCommand('rev-parse --abbrev-ref HEAD', projectRoot);
+    if (await fs.pathExists(worktreePath) && await gitCommand('status --porcelain', worktreePath)) {
+      await gitCommand('add -A', worktreePath);
+      await gitCommand(`commit -m "chore(ralph): commit remaining ${specName} changes"`, worktreePath);
+    }
+
+    const counts = await getAheadBehind(specName, projectRoot, targetBranch);
+    if (!counts || counts.ahead === 0) {
+      return {
+        success: false,
+        message: `Nothing to merge: ${branchName} has no commits ahead of ${targetBranch}`
+      };
+    }
 
     // Checkout target branch
     await gitCommand(`checkout ${targetBranch}`, projectRoot);
@@ -216,6 +228,9 @@ async function mergeWorktree(specName, projectRoot = process.cwd(), targetBranch
       message: `Successfully merged ${branchName} into ${targetBranch}`
     };
   } catch (error) {
+    // Leave the target branch clean if the merge stopped on conflicts
+    await gitCommand('merge --abort', projectRoot).catch(() => {});
+
     return {
       success: false,
       message: `Merge failed: ${error.message}`
@@ -228,9 +243,10 @@ async function mergeWorktree(specName, projectRoot = process.cwd(), targetBranch
  * @param {string} specName - Spec name
  * @param {string} projectRoot - Project root directory
  * @param {boolean} force - Force removal even with uncommitted changes
+ * @param {boolean} deleteBranch - Also delete the worktree's branch
  * @returns {Promise<{success: boolean, message: string}>} Result
  */
-async function discardWorktree(specName, projectRoot = process.cwd(), force = false) {
+async function discardWorktree(specName, projectRoot = process.cwd(), force = false, deleteBranch = true) {
   const branchName = getBranchName(specName);
   const worktreePath = getWorktreePath(specName, projectRoot);
 
@@ -248,11 +264,15 @@ async function discardWorktree(specName, projectRoot = process.cwd(), force = fa
     await gitCommand(`worktree remove "${worktreePath}" ${forceFlag}`, projectRoot);
 
     // Delete the branch (force delete since it wasn't merged)
-    await gitCommand(`branch -D ${branchName}`, projectRoot);
+    if (deleteBranch) {
+      await gitCommand(`branch -D ${branchName}`, projectRoot);
+    }
 
     return {
       success: true,
-      message: `Discarded worktree for "${specName}"`
+      message: deleteBranch
+        ? `Discarded worktree for "${specName}"`
+        : `Removed worktree for "${specName}" (kept branch ${branchName})`
     };
   } catch (error) {
     return {
@@ -307,6 +327,55 @@ async function getWorktreeStatus(specName, projectRoot = process.cwd()) {
   }
 }
 
+/**
+ * Count commits a worktree branch is ahead of / behind the base branch
+ * @param {string} specName - Spec name
+ * @param {string} projectRoot - Project root directory
+ * @param {string} baseBranch - Branch to compare against
+ * @returns {Promise<{ahead: number, behind: number}|null>} Counts, or null if unavailable
+ */
+async function getAheadBehind(specName, projectRoot = process.cwd(), baseBranch = 'main') {
+  const branchName = getBranchName(specName);
+
+  try {
+    const output = await gitCommand(
+      `rev-list --left-right --count ${baseBranch}...${branchName}`,
+      projectRoot
+    );
+    const [behind, ahead] = output.split(/\s+/).map(n => parseInt(n, 10) || 0);
+    return { ahead, behind };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Find RALPH worktrees whose PRD story is already complete
+ * @param {Object} prd - PRD object
+ * @param {string} projectRoot - Project root directory
+ * @returns {Promise<Array<{path: string, branch: string, storyId: string}>>} Stale worktrees
+ */
+async function findCompletedWorktrees(prd, projectRoot = process.cwd()) {
+  const completed = new Map(
+    (prd?.userStories || [])
+      .filter(story => story.passes)
+      .map(story => [getBranchName(story.id), story.id])
+  );
+
+  const worktrees = await listWorktrees(projectRoot);
+  return worktrees
+    .filter(w => completed.has(w.branch))
+    .map(w => ({ ...w, storyId: completed.get(w.branch) }));
+}
+
+/**
+ * Prune worktree entries whose directories no longer exist
+ * @param {string} projectRoot - Project root directory
+ */
+async function pruneWorktrees(projectRoot = process.cwd()) {
+  await gitCommand('worktree prune', projectRoot);
+}
+
 /**
  * Add .worktrees to .gitignore if not already present
  * @param {string} projectRoot - Project root directory
@@ -339,6 +408,9 @@ export {
   getBranchName,
   getWorktreeDiff,
   getWorktreeStatus,
+  getAheadBehind,
+  findCompletedWorktrees,
+  pruneWorktrees,
   ensureGitignore,
   WORKTREES_DIR,
   BRANCH_PREFIX
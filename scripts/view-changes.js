@@ -2,21 +2,245 @@
 
 /**
  * View Changes Script
- * Shows detailed changelog since last project setup
+ * Shows detailed changelog since last project setup, or with --doc the
+ * line-level diff of one doc between two knowledge base versions
  */
 
+import { Command } from 'commander';
 import fs from 'fs-extra';
-import path from 'path';
-import { fileURLToPath } from 'url';
 import { ui } from './utils/design-system.js';
 import { loadMetadata, getChangesSince } from './utils/diff-checker.js';
+import {
+  listDocVersions,
+  listHistoryDocs,
+  loadDocVersion,
+  resolveDocVersion,
+  resolveDocName
+} from './utils/doc-history.js';
+import { diffLines, diffWords, diffStats, buildHunks, pairChanges } from './utils/text-diff.js';
+import { CONFIG } from './utils/config-manager.js';
 
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+const KNOWLEDGE_BASE_PATH = CONFIG.knowledgeBase.path;
 
-const KNOWLEDGE_BASE_PATH = path.join(__dirname, '..', 'knowledge-base');
+// Diff layouts for --format
+const DIFF_FORMATS = ['unified', 'side-by-side'];
+
+const program = new Command();
+
+program
+  .name('view-changes')
+  .description('Show the knowledge base changelog, or diff a doc between versions')
+  .option('-d, --doc <name>', 'Diff a doc (name or a unique part of it, e.g. hooks)')
+  .option('--from <version>', 'Older version (default: the one before --to)')
+  .option('--to <version>', 'Newer version (default: latest)')
+  .option('-f, --format <format>', `Diff format (${DIFF_FORMATS.join(', ')})`, 'unified')
+  .option('-C, --context <lines>', 'Unchanged lines around each change', '3')
+  .option('--versions', 'List the recorded versions of --doc')
+  .parse(process.argv);
+
+const options = program.opts();
+
+/**
+ * Render one side of a word diff, highlighting the changed words
+ * @param {Array<Object>} ops - Ops from diffWords
+ * @param {string} side - 'old' or 'new'
+ * @returns {Array<{text: string, changed: boolean}>} Segments
+ */
+function wordSegments(ops, side) {
+  const skip = side === 'old' ? 'insert' : 'delete';
+  return ops
+    .filter(op => op.type !== skip)
+    .map(op => ({ text: op.value.replace(/\t/g, '  '), changed: op.type !== 'equal' }));
+}
+
+/**
+ * Color segments: changed words inverted, the rest in the line color
+ * @param {Array<Object>} segments - Segments
+ * @param {Function} color - Line color
+ * @returns {string} Colored text
+ */
+function paintSegments(segments, color) {
+  return segments.map(s => (s.changed ? ui.colors.inverse(color(s.text)) : color(s.text))).join('');
+}
+
+/**
+ * Wrap segments into lines of at most `width` characters
+ * @param {Array<Object>} segments - Segments
+ * @param {number} width - Line width
+ * @returns {Array<Array<Object>>} Lines of segments (at least one)
+ */
+function wrapSegments(segments, width) {
+  const lines = [[]];
+  let used = 0;
+
+  for (const segment of segments) {
+    let text = segment.text;
+    while (text.length > 0) {
+      if (used === width) {
+        lines.push([]);
+        used = 0;
+      }
+      const part = text.slice(0, width - used);
+      lines[lines.length - 1].push({ ...segment, text: part });
+      used += part.length;
+      text = text.slice(part.length);
+    }
+  }
+
+  return lines;
+}
+
+/**
+ * Print hunks as a unified diff with word highlights
+ * @param {Array<Object>} hunks - Hunks from buildHunks
+ */
+function printUnified(hunks) {
+  for (const hunk of hunks) {
+    console.log(ui.colors.secondary(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+
+    const rows = pairChanges(hunk.ops);
+    for (let i = 0; i < rows.length;) {
+      if (rows[i].type === 'equal') {
+        console.log(` ${rows[i].left.text}`);
+        i++;
+        continue;
+      }
+
+      // Print a block of changes as removals then additions
+      const block = [];
+      while (i < rows.length && rows[i].type !== 'equal') block.push(rows[i++]);
+
+      for (const row of block.filter(r => r.left)) {
+        const segments = row.right
+          ? wordSegments(diffWords(row.left.text, row.right.text), 'old')
+          : [{ text: row.left.text, changed: false }];
+        console.log(paintSegments([{ text: '-', changed: false }, ...segments], ui.colors.error));
+      }
+      for (const row of block.filter(r => r.right)) {
+        const segments = row.left
+          ? wordSegments(diffWords(row.left.text, row.right.text), 'new')
+          : [{ text: row.right.text, changed: false }];
+        console.log(paintSegments([{ text: '+', changed: false }, ...segments], ui.colors.success));
+      }
+    }
+  }
+}
+
+/**
+ * Print hunks side by side, wrapping long lines
+ * @param {Array<Object>} hunks - Hunks from buildHunks
+ */
+function printSideBySide(hunks) {
+  const width = Math.max(20, Math.floor(((process.stdout.columns || 120) - 13) / 2));
+  const number = line => String(line ?? '').padStart(4);
+
+  for (const hunk of hunks) {
+    console.log(ui.colors.secondary(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@`));
+
+    for (const row of pairChanges(hunk.ops)) {
+      const words = row.type === 'change' ? diffWords(row.left.text, row.right.text) : null;
+      const side = (cell, name) => {
+        if (!cell) return [];
+        if (words) return wordSegments(words, name);
+        return [{ text: cell.text.replace(/\t/g, '  '), changed: false }];
+      };
+      const left = wrapSegments(side(row.left, 'old'), width);
+      const right = wrapSegments(side(row.right, 'new'), width);
+      const leftColor = row.type === 'equal' ? text => text : ui.colors.error;
+      const rightColor = row.type === 'equal' ? text => text : ui.colors.success;
+
+      for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const l = left[i] || [];
+        const r = right[i] || [];
+        const padding = ' '.repeat(width - l.reduce((n, s) => n + s.text.length, 0));
+        console.log([
+          ui.colors.muted(i === 0 && row.left ? number(row.left.line) : number()),
+          paintSegments(l, leftColor) + padding,
+          ui.colors.muted('│'),
+          ui.colors.muted(i === 0 && row.right ? number(row.right.line) : number()),
+          paintSegments(r, rightColor)
+        ].join(' '));
+      }
+    }
+  }
+}
+
+/**
+ * Show a doc's recorded versions, or its diff between two of them
+ */
+async function showDocDiff() {
+  if (!DIFF_FORMATS.includes(options.format)) {
+    throw new Error(`Unknown format: ${options.format} (expected ${DIFF_FORMATS.join(' or ')})`);
+  }
+
+  const docs = await listHistoryDocs(KNOWLEDGE_BASE_PATH);
+  if (docs.length === 0) {
+    throw new Error('No doc history yet. Versions are recorded when "npm run sync-knowledge" changes a doc.');
+  }
+
+  const docName = resolveDocName(docs, options.doc);
+  const versions = await listDocVersions(KNOWLEDGE_BASE_PATH, docName);
+
+  if (options.versions) {
+    ui.header(`${docName} Versions`, 'changelog');
+    for (const entry of [...versions].reverse()) {
+      const date = entry.recordedAt.split('T')[0];
+      console.log(`  v${entry.version.padEnd(10)}${ui.colors.muted(date)}${entry.removed ? ui.colors.error('  removed') : ''}`);
+    }
+    ui.blank();
+    return;
+  }
+
+  const to = resolveDocVersion(versions, options.to);
+  if (!to) {
+    throw new Error(`${docName} has no version at or before ${options.to} (first recorded: v${versions[0].version})`);
+  }
+
+  let from;
+  if (options.from) {
+    from = resolveDocVersion(versions, options.from);
+    if (!from) {
+      throw new Error(`${docName} has no version at or before ${options.from} (first recorded: v${versions[0].version})`);
+    }
+  } else {
+    from = versions[versions.indexOf(to) - 1];
+    if (!from) {
+      throw new Error(`${docName} has only one version (v${to.version}) at or before ${options.to || 'latest'}; nothing to compare`);
+    }
+  }
+
+  const oldDoc = await loadDocVersion(KNOWLEDGE_BASE_PATH, docName, from.version);
+  const newDoc = await loadDocVersion(KNOWLEDGE_BASE_PATH, docName, to.version);
+  const ops = diffLines(oldDoc.content, newDoc.content);
+  const hunks = buildHunks(ops, Math.max(0, parseInt(options.context, 10) || 0));
+
+  console.log(ui.colors.bold(`--- ${docName} v${from.version}${from.removed ? ' (removed)' : ''}`));
+  console.log(ui.colors.bold(`+++ ${docName} v${to.version}${to.removed ? ' (removed)' : ''}`));
+
+  if (hunks.length === 0) {
+    ui.muted(`No changes between v${from.version} and v${to.version}.`);
+    return;
+  }
+
+  if (options.format === 'side-by-side') {
+    printSideBySide(hunks);
+  } else {
+    printUnified(hunks);
+  }
+
+  const stats = diffStats(ops);
+  ui.blank();
+  ui.muted(`${stats.added} line${stats.added === 1 ? '' : 's'} added, ${stats.removed} removed`);
+}
 
 async function main() {
+  if (options.doc) {
+    return showDocDiff();
+  }
+  if (options.versions || options.from || options.to) {
+    throw new Error('--versions, --from and --to need --doc');
+  }
+
   ui.header('Knowledge Base Changelog', 'changelog');
 
   // Check if knowledge base exists
@@ -0,0 +1,144 @@
+#!/usr/bin/env node
+
+/**
+ * RALPH Guard Hook Script
+ *
+ * Enforces .ralph/security.json (command allowlist) and the boundaries in
+ * .ralph/config.yaml (never_touch, read_only, warn_before_modify) before
+ * Bash, Write and Edit tool calls run. Blocked calls are denied, calls
+ * touching warn_before_modify files ask for confirmation, and every
+ * decision is appended to .ralph/audit.log. It also relays abort, skip
+ * and note commands sent with `claude-init ralph control` to the session.
+ *
+ * The checks live in the installed claude-init package. It is looked up
+ * at the path recorded in ralph-guard.local.json when the hook was
+ * installed, then through the project's node_modules, the claude-init
+ * command on PATH and the global npm prefix, so the hook keeps working
+ * when claude-init is upgraded or moved. RALPH_GUARD_MODULE overrides
+ * all of these. If the package can't be found or loaded, the hook exits
+ * with a setup error instead of deciding anything.
+ *
+ * Usage in hooks.json:
+ * {
+ *   "hooks": {
+ *     "PreToolUse": [{
+ *       "matcher": "Bash|Write|Edit|MultiEdit|NotebookEdit",
+ *       "hooks": [{
+ *         "type": "command",
+ *         "command": "node ${CLAUDE_PROJECT_DIR}/.claude/hooks/ralph-guard.mjs"
+ *       }]
+ *     }]
+ *   }
+ * }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { fileURLToPath, pathToFileURL } from 'url';
+
+const PACKAGE_NAME = 'supreme-ralph';
+const PACKAGE_BINS = ['claude-init', 'supreme-ralph'];
+const GUARD_PATH = 'scripts/utils/ralph-guard.js';
+const LOCATION_FILE = path.join(path.dirname(fileURLToPath(import.meta.url)), 'ralph-guard.local.json');
+
+/**
+ * Find the guard module of the installed package
+ * @returns {string|null} Path to the module
+ */
+function findGuardModule() {
+  if (process.env.RALPH_GUARD_MODULE) {
+    return process.env.RALPH_GUARD_MODULE;
+  }
+
+  // Recorded at install time; missing when the hook came from another machine
+  try {
+    const recorded = JSON.parse(fs.readFileSync(LOCATION_FILE, 'utf8')).module;
+    if (recorded && fs.existsSync(recorded)) return recorded;
+  } catch {
+    // Not recorded - look the package up
+  }
+
+  // Installed as a dependency of the project
+  try {
+    return createRequire(import.meta.url).resolve(`${PACKAGE_NAME}/${GUARD_PATH}`);
+  } catch {
+    // Not a dependency - look for a global install
+  }
+
+  // The claude-init command links into the package's bin directory
+  const candidates = [];
+  for (const dir of (process.env.PATH || '').split(path.delimiter).filter(Boolean)) {
+    for (const bin of PACKAGE_BINS) {
+      try {
+        const binPath = fs.realpathSync(path.join(dir, bin));
+        candidates.push(path.join(path.dirname(binPath), '..', GUARD_PATH));
+      } catch {
+        // Not in this directory
+      }
+    }
+  }
+
+  const prefix = process.env.npm_config_prefix || path.join(path.dirname(process.execPath), '..');
+  candidates.push(
+    path.join(prefix, 'lib', 'node_modules', PACKAGE_NAME, GUARD_PATH),
+    path.join(prefix, 'node_modules', PACKAGE_NAME, GUARD_PATH)
+  );
+
+  return candidates.find(candidate => fs.existsSync(candidate)) || null;
+}
+
+/**
+ * Print a decision that denies the call
+ */
+function deny(reason) {
+  console.log(JSON.stringify({
+    hookSpecificOutput: {
+      hookEventName: 'PreToolUse',
+      permissionDecision: 'deny',
+      permissionDecisionReason: `RALPH guard: ${reason}`
+    }
+  }));
+}
+
+/**
+ * Report that the hook is not set up. Exiting with 1 is a hook error:
+ * Claude Code shows the message and the call is not decided by the guard.
+ */
+function setupError(message) {
+  console.error(`RALPH guard is not set up: ${message}`);
+  process.exitCode = 1;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const input = fs.readFileSync(0, 'utf8'); // Read from stdin
+  const projectRoot = process.env.CLAUDE_PROJECT_DIR || process.cwd();
+
+  const guardModule = findGuardModule();
+  if (!guardModule) {
+    setupError(`claude-init (${PACKAGE_NAME}) is not installed where this hook can find it. ` +
+      `Install it (npm install -g ${PACKAGE_NAME}) and reinstall the hook with "claude-init setup", ` +
+      'or point RALPH_GUARD_MODULE at scripts/utils/ralph-guard.js.');
+    return;
+  }
+
+  let guard;
+  try {
+    guard = await import(pathToFileURL(guardModule).href);
+  } catch (error) {
+    setupError(`could not load ${guardModule} (${error.message}). Reinstall the hook with "claude-init setup".`);
+    return;
+  }
+
+  const output = await guard.runGuardHook(input, projectRoot);
+  if (output) {
+    console.log(JSON.stringify(output));
+  }
+}
+
+main().catch(error => {
+  deny(error.message);
+});
@@ -0,0 +1,88 @@
+/**
+ * Tests for boundary-validator.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  explainPath,
+  validateFileOperation,
+  isFileProtected
+} from '../scripts/utils/boundary-validator.js';
+
+describe('boundary-validator', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `boundary-validator-test-${Date.now()}`);
+    await fs.outputFile(path.join(testDir, '.ralph', 'config.yaml'), [
+      'boundaries:',
+      '  never_touch:',
+      '    - "!.env.example"',
+      '    - "legacy/**"',
+      '  read_only:',
+      '    - "db/*.{sql,prisma}"',
+      ''
+    ].join('\n'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('validateFileOperation', () => {
+    it('should let config negations re-allow default boundaries', async () => {
+      expect((await validateFileOperation('edit', '.env.local', testDir)).allowed).toBe(false);
+      expect(await validateFileOperation('edit', '.env.example', testDir)).toEqual({
+        allowed: true,
+        reason: 'No boundary restrictions apply',
+        requiresConfirmation: false
+      });
+    });
+
+    it('should apply brace patterns and levels per operation', async () => {
+      const write = await validateFileOperation('write', 'db/schema.prisma', testDir);
+      expect(write).toMatchObject({ allowed: false, reason: "File matches 'read_only' boundary: db/*.{sql,prisma}" });
+      expect((await validateFileOperation('read', 'db/schema.prisma', testDir)).allowed).toBe(true);
+
+      const warn = await validateFileOperation('edit', path.join(testDir, 'package.json'), testDir);
+      expect(warn).toMatchObject({ allowed: true, requiresConfirmation: true });
+    });
+
+    it('should not treat patterns as suffixes', async () => {
+      expect((await validateFileOperation('write', 'src/monkey.js', testDir)).allowed).toBe(true);
+      expect((await validateFileOperation('write', 'docs/NOT_README.md', testDir)).requiresConfirmation).toBe(false);
+    });
+
+    it('should block paths outside the project', async () => {
+      const result = await validateFileOperation('write', '../elsewhere.txt', testDir);
+      expect(result.reason).toBe('Path is outside project directory: ../elsewhere.txt');
+      expect((await validateFileOperation('write', '..notes.md', testDir)).allowed).toBe(true);
+    });
+  });
+
+  describe('explainPath', () => {
+    it('should show every matching rule and the one that decides', async () => {
+      const explanation = await explainPath('.env.example', testDir);
+
+      expect(explanation.level).toBeNull();
+      const neverTouch = explanation.levels.find(l => l.level === 'never_touch');
+      expect(neverTouch.trace.map(t => t.pattern)).toEqual(['.env.*', '!.env.example']);
+      expect(neverTouch.rule).toBe('!.env.example');
+    });
+
+    it('should pick the strictest matching level', async () => {
+      const explanation = await explainPath('legacy/README.md', testDir);
+
+      expect(explanation).toMatchObject({ path: 'legacy/README.md', level: 'never_touch', rule: 'legacy/**' });
+      expect(explanation.levels.find(l => l.level === 'warn_before_modify').matched).toBe(true);
+      expect(await isFileProtected('legacy/README.md', testDir)).toEqual({
+        protected: true,
+        level: 'never_touch',
+        pattern: 'legacy/**'
+      });
+    });
+  });
+});
@@ -0,0 +1,81 @@
+/**
+ * Tests for budget-manager.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  getModelRates,
+  validatePricing,
+  getSpend,
+  checkBudgets,
+  describeBudget
+} from '../scripts/utils/budget-manager.js';
+import { DEFAULT_RALPH_CONFIG } from '../scripts/utils/ralph-config.js';
+import { startRun, appendLedgerEntry } from '../scripts/utils/run-ledger.js';
+
+describe('budget-manager', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `budget-manager-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('getModelRates', () => {
+    it('should match exact names, then contained names, then default', () => {
+      const pricing = { ...DEFAULT_RALPH_CONFIG.pricing, 'claude-opus-x': { input: 1, output: 2 } };
+
+      expect(getModelRates('claude-opus-x', pricing)).toEqual({ input: 1e-6, output: 2e-6 });
+      expect(getModelRates('claude-opus-4-1', pricing)).toEqual({ input: 15e-6, output: 75e-6 });
+      expect(getModelRates('gpt-whatever', pricing)).toEqual({ input: 3e-6, output: 15e-6 });
+      expect(getModelRates(null)).toEqual({ input: 3e-6, output: 15e-6 });
+    });
+
+    it('should report pricing entries without numeric rates', () => {
+      expect(validatePricing({ default: { input: 3, output: 15 }, local: { input: 'free' } }))
+        .toEqual(['pricing.local needs numeric input and output rates (USD per million tokens)']);
+    });
+  });
+
+  describe('getSpend', () => {
+    it('should add up this run, the story across runs, and today', async () => {
+      const entry = (storyId, startedAt) => ({ storyId, inputTokens: 900, outputTokens: 100, cost: 0.5, startedAt });
+      const earlier = await startRun({}, testDir);
+      const current = await startRun({}, testDir);
+      await appendLedgerEntry(earlier.id, entry('US-001', '2026-01-01T12:00:00'), testDir);
+      await appendLedgerEntry(current.id, entry('US-001', '2026-01-02T12:00:00'), testDir);
+      await appendLedgerEntry(current.id, entry('US-002', '2026-01-02T13:00:00'), testDir);
+
+      const spend = await getSpend(testDir, { runId: current.id, storyId: 'US-001', now: new Date('2026-01-02T18:00:00') });
+
+      expect(spend.run).toEqual({ tokens: 2000, cost: 1 });
+      expect(spend.story).toEqual({ tokens: 2000, cost: 1 });
+      expect(spend.daily).toEqual({ tokens: 2000, cost: 1 });
+    });
+  });
+
+  describe('checkBudgets', () => {
+    it('should warn past the threshold and flag reached budgets', () => {
+      const spend = {
+        run: { tokens: 850, cost: 0.2 },
+        story: { tokens: 100, cost: 1.5 },
+        daily: { tokens: 0, cost: 0 }
+      };
+      const budget = { ...DEFAULT_RALPH_CONFIG.budget, run_tokens: 1000, story_cost: 1.5, daily_cost: 10 };
+
+      const { exceeded, warnings } = checkBudgets(spend, budget);
+
+      expect(warnings).toEqual([{ scope: 'run', unit: 'tokens', spent: 850, limit: 1000 }]);
+      expect(exceeded).toEqual([{ scope: 'story', unit: 'cost', spent: 1.5, limit: 1.5 }]);
+      expect(describeBudget(exceeded[0], 'US-002')).toBe('US-002 cost $1.5000 of $1.5000');
+      expect(describeBudget(warnings[0])).toBe('run tokens 850 of 1000');
+    });
+  });
+});
@@ -258,6 +258,31 @@ describe('CLI Integration Tests', () => {
     });
   });
 
+  // ==========================================================================
+  // QA Command Tests
+  // ==========================================================================
+
+  describe('claude-init qa', () => {
+    it('should escalate failed gates in validate-only mode', async () => {
+      await fs.writeJson(path.join(tempDir, 'prd.json'), {
+        project: 'QA Test',
+        branchName: 'ralph/qa-test',
+        userStories: [{ id: 'US-001', title: 'Story', acceptanceCriteria: ['Works'], priority: 1, passes: true }]
+      });
+      await fs.outputFile(
+        path.join(tempDir, '.ralph', 'config.yaml'),
+        'commands:\n  test: node -e "process.exit(1)"\n  lint: false\n  typecheck: false\n  build: false\n'
+      );
+
+      const result = await runCLI(['qa', '--story', 'US-001', '--no-fix', '-t', tempDir]);
+      const history = await fs.readJson(path.join(tempDir, '.ralph', 'qa-history.json'));
+
+      expect(result.stdout).toContain('QA escalated after 1 attempt(s)');
+      expect(result.stdout).toContain('--no-fix');
+      expect(history.sessions.map(s => s.type)).toContain('escalation');
+    }, TEST_TIMEOUT);
+  });
+
   // ==========================================================================
   // Error Handling Tests
   // ==========================================================================
@@ -0,0 +1,114 @@
+/**
+ * Tests for control-channel.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  RUNNER_FILE,
+  parseControlCommand,
+  sendControlCommand,
+  acknowledgeCommand,
+  getPendingCommands,
+  registerRunner,
+  setRunnerStory,
+  getActiveRunner,
+  waitForAck,
+  checkControlForToolCall
+} from '../scripts/utils/control-channel.js';
+
+describe('control-channel', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `control-channel-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('parseControlCommand', () => {
+    it('should validate commands and their values', () => {
+      expect(parseControlCommand('pause')).toEqual({ command: 'pause', value: null });
+      expect(parseControlCommand('note', ['use', 'the', 'logger'])).toEqual({ command: 'note', value: 'use the logger' });
+      expect(parseControlCommand('max-iterations', ['3'])).toEqual({ command: 'max-iterations', value: 3 });
+
+      expect(() => parseControlCommand('stop')).toThrow('Unknown control command');
+      expect(() => parseControlCommand('skip')).toThrow('needs a story');
+      expect(() => parseControlCommand('abort', ['now'])).toThrow('takes no arguments');
+      expect(() => parseControlCommand('max-iterations', ['-1'])).toThrow('whole number');
+    });
+  });
+
+  describe('commands and acknowledgements', () => {
+    it('should keep commands pending until applied or rejected', async () => {
+      const note = await sendControlCommand('note', 'prefer small commits', testDir);
+      const abort = await sendControlCommand('abort', null, testDir);
+
+      await acknowledgeCommand(note, 'delivered', 'Shown to the agent', testDir);
+      await acknowledgeCommand(abort, 'applied', 'Stopping', testDir);
+
+      const pending = await getPendingCommands(testDir);
+      expect(pending.map(c => c.id)).toEqual([note.id]);
+      expect(pending[0].acks.map(a => a.status)).toEqual(['delivered']);
+      expect(await waitForAck(abort.id, testDir, { timeoutMs: 0 })).toMatchObject({ status: 'applied' });
+      expect(await waitForAck(note.id, testDir, { timeoutMs: 0 })).toBeNull();
+    });
+
+    it('should reject commands left over when a new run registers', async () => {
+      const stale = await sendControlCommand('abort', null, testDir);
+
+      const runner = await registerRunner(testDir);
+
+      expect(runner.pid).toBe(process.pid);
+      expect(await getPendingCommands(testDir)).toEqual([]);
+      expect(await waitForAck(stale.id, testDir, { timeoutMs: 0 })).toMatchObject({ status: 'rejected' });
+    });
+
+    it('should ignore a runner whose process is gone', async () => {
+      await fs.outputJson(path.join(testDir, RUNNER_FILE), { pid: 999999999, storyId: null });
+      expect(await getActiveRunner(testDir)).toBeNull();
+    });
+  });
+
+  describe('checkControlForToolCall', () => {
+    beforeEach(async () => {
+      await registerRunner(testDir);
+      await setRunnerStory('US-002', testDir);
+    });
+
+    it('should stop the session on abort or a skip of the current story', async () => {
+      await sendControlCommand('skip', 'US-001', testDir);
+      expect(await checkControlForToolCall(testDir)).toBeNull();
+
+      await sendControlCommand('skip', 'US-002', testDir);
+      expect((await checkControlForToolCall(testDir)).reason).toContain('skipped US-002');
+
+      await sendControlCommand('abort', null, testDir);
+      expect((await checkControlForToolCall(testDir)).reason).toContain('aborted');
+    });
+
+    it('should deliver a note once', async () => {
+      const note = await sendControlCommand('note', 'the API is rate limited', testDir);
+
+      const first = await checkControlForToolCall(testDir);
+      const second = await checkControlForToolCall(testDir);
+
+      expect(first.reason).toContain('Operator note: the API is rate limited');
+      expect(second).toBeNull();
+      // Still pending: the runner adds it to later prompts
+      expect((await getPendingCommands(testDir)).map(c => c.id)).toEqual([note.id]);
+    });
+
+    it('should do nothing when no loop is running', async () => {
+      await fs.remove(path.join(testDir, RUNNER_FILE));
+      await sendControlCommand('abort', null, testDir);
+
+      expect(await checkControlForToolCall(testDir)).toBeNull();
+    });
+  });
+});
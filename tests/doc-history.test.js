@@ -0,0 +1,85 @@
+/**
+ * Tests for doc-history.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  listDocVersions,
+  listHistoryDocs,
+  recordDocVersion,
+  recordSyncVersions,
+  resolveDocVersion,
+  loadDocVersion,
+  resolveDocName
+} from '../scripts/utils/doc-history.js';
+
+describe('doc-history', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `doc-history-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it('should record versions and skip unchanged content', async () => {
+    await recordDocVersion(testDir, 'hooks-guide', '1.4.0', 'v1');
+    await recordDocVersion(testDir, 'hooks-guide', '1.10.0', 'v3');
+    await recordDocVersion(testDir, 'hooks-guide', '1.7.2', 'v2');
+    const unchanged = await recordDocVersion(testDir, 'hooks-guide', '1.11.0', 'v3');
+    await recordDocVersion(testDir, 'hooks-guide', '2.0.0', null);
+
+    const versions = await listDocVersions(testDir, 'hooks-guide');
+
+    expect(unchanged).toBeNull();
+    expect(versions.map(v => v.version)).toEqual(['1.4.0', '1.7.2', '1.10.0', '2.0.0']);
+    expect(versions[3].removed).toBe(true);
+    expect(await loadDocVersion(testDir, 'hooks-guide', 'v1.7')).toEqual({ version: '1.7.2', content: 'v2', removed: false });
+    expect(await loadDocVersion(testDir, 'hooks-guide', 'latest')).toEqual({ version: '2.0.0', content: '', removed: true });
+    await expect(recordDocVersion(testDir, 'hooks-guide', 'next', 'x')).rejects.toThrow('Invalid knowledge base version');
+  });
+
+  it('should resolve a version spec to the latest version at or before it', () => {
+    const entries = ['1.4.0', '1.4.3', '1.6.0'].map(version => ({ version }));
+
+    expect(resolveDocVersion(entries, 'v1.4')?.version).toBe('1.4.3');
+    expect(resolveDocVersion(entries, '1.4.1')?.version).toBe('1.4.0');
+    expect(resolveDocVersion(entries, 'v1.5')?.version).toBe('1.4.3');
+    expect(resolveDocVersion(entries, 'v2')?.version).toBe('1.6.0');
+    expect(resolveDocVersion(entries)?.version).toBe('1.6.0');
+    expect(resolveDocVersion(entries, '1.3')).toBeNull();
+    expect(() => resolveDocVersion(entries, 'yesterday')).toThrow('Invalid version');
+  });
+
+  it('should record a sync, seeding docs without history', async () => {
+    const recorded = await recordSyncVersions(testDir, {
+      previousVersion: '0.3.0',
+      version: '0.4.0',
+      existingDocs: { hooks: { content: 'old hooks', hash: 'a1' }, memory: { content: 'memory', hash: 'b1' } },
+      newDocs: { hooks: { content: 'new hooks', hash: 'a2' }, plugins: { content: 'plugins', hash: 'c1' } },
+      changes: { added: ['plugins'], modified: ['hooks'], removed: ['memory'], unchanged: [] }
+    });
+
+    expect(recorded.sort()).toEqual(['hooks', 'memory', 'plugins']);
+    expect(await listHistoryDocs(testDir)).toEqual(['hooks', 'memory', 'plugins']);
+    expect((await listDocVersions(testDir, 'hooks')).map(v => [v.version, v.hash])).toEqual([['0.3.0', 'a1'], ['0.4.0', 'a2']]);
+    expect((await loadDocVersion(testDir, 'hooks', '0.3')).content).toBe('old hooks');
+    expect((await listDocVersions(testDir, 'memory')).map(v => v.removed)).toEqual([false, true]);
+  });
+
+  it('should match doc names by a unique part', () => {
+    const names = ['hooks-guide', 'memory', 'slash-commands', 'sub-agents'];
+
+    expect(resolveDocName(names, 'memory')).toBe('memory');
+    expect(resolveDocName(names, 'hooks')).toBe('hooks-guide');
+    expect(resolveDocName(names, 'agents')).toBe('sub-agents');
+    expect(() => resolveDocName(names, 's')).toThrow('matches several docs');
+    expect(() => resolveDocName(names, 'mcp')).toThrow('No history for doc "mcp"');
+  });
+});
@@ -0,0 +1,149 @@
+/**
+ * Tests for doc-sources.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import {
+  getDocSources,
+  validateDocSource,
+  fetchAllSources,
+  keepFailedSourceDocs
+} from '../scripts/utils/doc-sources.js';
+import { calculateHash, saveDocs, loadExistingDocs, detectChanges } from '../scripts/utils/doc-fetcher.js';
+import httpClient, { getFixturePath } from '../scripts/utils/http-client.js';
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+}
+
+describe('doc-sources', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `doc-sources-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it('should merge configured sources over the built-in pages', () => {
+    const sources = getDocSources({
+      iam: false,
+      runbooks: { type: 'directory', path: '~/runbooks' }
+    });
+
+    expect(sources.hooks).toMatchObject({ type: 'html', builtin: true });
+    expect(sources.iam).toBeUndefined();
+    expect(sources.runbooks).toEqual({ type: 'directory', path: '~/runbooks' });
+  });
+
+  it('should validate source definitions', () => {
+    expect(validateDocSource('react', { type: 'html', url: 'https://react.dev/reference' })).toEqual([]);
+    expect(validateDocSource('notes', { type: 'directory', path: 'docs', include: ['*.md', '!drafts/'] })).toEqual([]);
+    expect(validateDocSource('wiki', { type: 'confluence' })[0]).toContain('unknown type "confluence"');
+    expect(validateDocSource('raw', { type: 'markdown', url: 'ftp://example.com/a.md' })).toEqual(['Source "raw" needs an http(s) url']);
+    expect(validateDocSource('repo', { type: 'git' })).toEqual(['Source "repo" needs a path']);
+    expect(validateDocSource('bad name', { type: 'directory', path: '.', include: '*.md' })).toHaveLength(2);
+  });
+
+  it('should read directory and git sources', async () => {
+    const notes = path.join(testDir, 'notes');
+    await fs.outputFile(path.join(notes, 'Deploy/Rollback.md'), '# Rollback\n\n\n\nSteps\n');
+    await fs.outputFile(path.join(notes, 'drafts/idea.md'), '# Idea\n');
+    await fs.outputFile(path.join(notes, 'image.png'), 'binary');
+
+    const repo = path.join(testDir, 'repo');
+    await fs.outputFile(path.join(repo, 'docs/setup.md'), '# Setup\n');
+    await fs.outputFile(path.join(repo, 'README.md'), '# Readme\n');
+    git(repo, 'init', '-q');
+    git(repo, 'config', 'user.email', 'test@example.com');
+    git(repo, 'config', 'user.name', 'Test');
+    git(repo, 'add', '-A');
+    git(repo, 'commit', '-q', '-m', 'docs');
+    await fs.outputFile(path.join(repo, 'docs/setup.md'), '# Uncommitted\n');
+
+    const { docs, errors, results } = await fetchAllSources({
+      notes: { type: 'directory', path: notes, include: ['*.md', '!drafts/'], category: 'Runbooks', icon: '📒' },
+      platform: { type: 'git', path: repo, dir: 'docs' },
+      missing: { type: 'directory', path: path.join(testDir, 'nope') }
+    });
+
+    expect(Object.keys(docs).sort()).toEqual(['notes-deploy-rollback', 'platform-setup']);
+    expect(docs['notes-deploy-rollback']).toMatchObject({
+      content: '# Rollback\n\nSteps',
+      hash: calculateHash('# Rollback\n\nSteps'),
+      source: 'notes',
+      category: 'Runbooks',
+      icon: '📒'
+    });
+    expect(docs['platform-setup'].content).toBe('# Setup');
+    expect(docs['platform-setup'].url).toMatch(/#[0-9a-f]{7}:docs\/setup\.md$/);
+    expect(results.platform).toEqual({ type: 'git', docs: ['platform-setup'], error: null });
+    expect(errors).toEqual([{ name: 'missing', error: `Directory not found: ${path.join(testDir, 'nope')}` }]);
+  });
+
+  it('should reuse unchanged docs on a 304 and record validators', async () => {
+    const fixturesDir = path.join(testDir, 'fixtures');
+    const fixture = (url, headers, body) => fs.outputJson(getFixturePath(fixturesDir, url), {
+      request: { method: 'GET', url },
+      response: { status: 200, statusText: 'OK', headers, body }
+    });
+    await fixture('https://docs.example.com/hooks', { etag: '"h2"' }, '<main><h1>Hooks</h1><p>Changed</p></main>');
+    await fixture('https://raw.example.com/config.md', { 'last-modified': 'Mon, 05 Jan 2026 10:00:00 GMT' }, '# Config\n');
+
+    const existingDocs = {
+      hooks: { name: 'hooks', url: 'https://docs.example.com/hooks', content: 'old', hash: 'old', source: 'hooks' },
+      config: { name: 'config', url: 'https://raw.example.com/config.md', content: '# Config', hash: calculateHash('# Config'), source: 'config' }
+    };
+    const sources = {
+      hooks: { type: 'html', url: 'https://docs.example.com/hooks' },
+      config: { type: 'markdown', url: 'https://raw.example.com/config.md' }
+    };
+
+    httpClient.configure({ fixtureMode: 'replay', fixturesDir });
+    try {
+      const { docs, validators, notModified } = await fetchAllSources(sources, {
+        existingDocs,
+        validators: {
+          'https://docs.example.com/hooks': { etag: '"h1"' },
+          'https://raw.example.com/config.md': { lastModified: 'Mon, 05 Jan 2026 10:00:00 GMT' }
+        }
+      });
+
+      expect(notModified).toEqual(['config']);
+      expect(docs.config).toEqual({ ...existingDocs.config, source: 'config' });
+      expect(docs.hooks.content).toBe('# Hooks\n\nChanged');
+      expect(validators).toEqual({
+        'https://docs.example.com/hooks': { etag: '"h2"' },
+        'https://raw.example.com/config.md': { lastModified: 'Mon, 05 Jan 2026 10:00:00 GMT' }
+      });
+    } finally {
+      httpClient.configure({ fixtureMode: 'live', fixturesDir: '' });
+    }
+  });
+
+  it('should keep the docs of a failed source instead of removing them', async () => {
+    const kb = path.join(testDir, 'kb');
+    const doc = (name, source, content) => ({ name, url: `https://example.com/${name}`, source, content, hash: calculateHash(content), fetchedAt: '2026-01-01T00:00:00.000Z' });
+    await saveDocs({
+      hooks: doc('hooks', 'hooks', 'Hooks'),
+      'wiki-a': doc('wiki-a', 'wiki', 'A'),
+      'notes-b': doc('notes-b', 'notes', 'B')
+    }, kb);
+
+    const existing = await loadExistingDocs(kb);
+    const newDocs = { hooks: doc('hooks', 'hooks', 'Hooks') };
+    const kept = keepFailedSourceDocs(newDocs, existing, [{ name: 'wiki', error: 'HTTP 503' }]);
+
+    expect(existing['wiki-a']).toMatchObject({ source: 'wiki', url: 'https://example.com/wiki-a' });
+    expect(existing.hooks.source).toBe('hooks');
+    expect(kept).toEqual(['wiki-a']);
+    expect(detectChanges(newDocs, existing)).toMatchObject({ removed: ['notes-b'], unchanged: ['hooks', 'wiki-a'] });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for engine-adapters.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  COMPLETE_SIGNAL,
+  parseStreamJson,
+  createCommandEngine,
+  createScriptedEngine,
+  getEngineDefinition,
+  createEngineResolver
+} from '../scripts/utils/engine-adapters.js';
+
+describe('engine-adapters', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `engine-adapters-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('parseStreamJson', () => {
+    it('should read the response and usage from the result line', () => {
+      const output = [
+        '{"type":"assistant","message":{}}',
+        'not json',
+        '{"type":"result","result":"done <promise>COMPLETE</promise>","usage":{"input_tokens":12,"output_tokens":3}}'
+      ].join('\n');
+      const parsed = parseStreamJson(output);
+      expect(parsed.inputTokens).toBe(12);
+      expect(parsed.outputTokens).toBe(3);
+      expect(parsed.found).toBe(true);
+      expect(parsed.response).toContain(COMPLETE_SIGNAL);
+    });
+
+    it('should report error events', () => {
+      const parsed = parseStreamJson('{"type":"error","error":{"message":"rate limited"}}');
+      expect(parsed.found).toBe(false);
+      expect(parsed.error).toBe('rate limited');
+    });
+  });
+
+  describe('createCommandEngine', () => {
+    it('should substitute the prompt placeholder', async () => {
+      const engine = createCommandEngine({
+        command: process.execPath,
+        args: ['-e', 'console.log(process.argv[1])', '{prompt}']
+      });
+      const session = await engine.run(`hello ${COMPLETE_SIGNAL}`, { cwd: testDir });
+      expect(session.error).toBeNull();
+      expect(session.response).toBe(`hello ${COMPLETE_SIGNAL}`);
+      expect(session.complete).toBe(true);
+    });
+
+    it('should send the prompt on stdin without a placeholder', async () => {
+      const engine = createCommandEngine({
+        command: process.execPath,
+        args: ['-e', 'process.stdin.pipe(process.stdout)']
+      });
+      const session = await engine.run('from stdin', { cwd: testDir });
+      expect(session.response).toBe('from stdin');
+      expect(session.complete).toBe(false);
+    });
+
+    it('should report non-zero exits as errors', async () => {
+      const engine = createCommandEngine({ command: process.execPath, args: ['-e', 'process.exit(3)'] });
+      const session = await engine.run('x', { cwd: testDir });
+      expect(session.error).toBe('Agent exited with code 3');
+    });
+
+    it('should require a command', () => {
+      expect(() => createCommandEngine({ name: 'broken' })).toThrow('missing a command');
+    });
+  });
+
+  describe('createScriptedEngine', () => {
+    const prd = {
+      userStories: [
+        { id: 'US-001', passes: false },
+        { id: 'US-002', passes: false }
+      ]
+    };
+
+    it('should play back steps in order', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+      const engine = createScriptedEngine({
+        steps: [
+          { error: 'Empty response' },
+          { passes: true, inputTokens: 10, files: { 'src/a.js': 'export {};\n' } }
+        ]
+      });
+      const story = prd.userStories[0];
+
+      const first = await engine.run('p', { cwd: testDir, story });
+      expect(first.error).toBe('Empty response');
+
+      const second = await engine.run('p', { cwd: testDir, story });
+      expect(second.error).toBeNull();
+      expect(second.inputTokens).toBe(10);
+      expect(second.complete).toBe(false);
+      expect(await fs.readFile(path.join(testDir, 'src/a.js'), 'utf-8')).toBe('export {};\n');
+      expect((await fs.readJson(path.join(testDir, 'prd.json'))).userStories[0].passes).toBe(true);
+    });
+
+    it('should complete the PRD once steps run out', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+      const engine = createScriptedEngine();
+
+      await engine.run('p', { cwd: testDir, story: prd.userStories[0] });
+      const last = await engine.run('p', { cwd: testDir, story: prd.userStories[1] });
+
+      expect(last.complete).toBe(true);
+      expect(last.response).toContain(COMPLETE_SIGNAL);
+    });
+
+    it('should load steps from a script file', async () => {
+      await fs.writeJson(path.join(testDir, 'script.json'), { steps: [{ response: 'scripted', complete: true }] });
+      const engine = createScriptedEngine({ script: 'script.json' });
+
+      const session = await engine.run('p', { cwd: testDir });
+      expect(session.response).toBe('scripted');
+      expect(session.complete).toBe(true);
+    });
+
+    it('should leave prd.json alone in parallel mode', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+      const engine = createScriptedEngine();
+
+      const session = await engine.run('p', { cwd: testDir, story: prd.userStories[0], parallel: true });
+      expect(session.complete).toBe(true);
+      expect((await fs.readJson(path.join(testDir, 'prd.json'))).userStories[0].passes).toBe(false);
+    });
+  });
+
+  describe('getEngineDefinition', () => {
+    it('should resolve built-in engines', () => {
+      expect(getEngineDefinition('claude', { model: 'sonnet' })).toEqual({ model: 'sonnet', name: 'claude', type: 'claude' });
+    });
+
+    it('should default custom engines to the command type', () => {
+      const definition = getEngineDefinition('aider', { engines: { aider: { command: 'aider' } } });
+      expect(definition.type).toBe('command');
+      expect(definition.command).toBe('aider');
+    });
+
+    it('should reject unknown engines', () => {
+      expect(() => getEngineDefinition('nope', {})).toThrow('Unknown AI engine: nope');
+    });
+  });
+
+  describe('createEngineResolver', () => {
+    it('should prefer the story override and reuse instances', () => {
+      const resolve = createEngineResolver({ default: 'claude' });
+      expect(resolve({ id: 'US-001' }).name).toBe('claude');
+      expect(resolve({ id: 'US-002', engine: 'scripted' }).name).toBe('scripted');
+      expect(resolve({ id: 'US-003', engine: 'scripted' })).toBe(resolve({ id: 'US-002', engine: 'scripted' }));
+    });
+  });
+});
@@ -0,0 +1,100 @@
+/**
+ * Tests for glob-matcher.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  expandBraces,
+  compileRule,
+  matchRules,
+  matchesGlob
+} from '../scripts/utils/glob-matcher.js';
+
+describe('glob-matcher', () => {
+  describe('expandBraces', () => {
+    it('should expand alternatives, including nested ones', () => {
+      expect(expandBraces('*.{js,ts}')).toEqual(['*.js', '*.ts']);
+      expect(expandBraces('{a,b{c,d}}.js')).toEqual(['a.js', 'bc.js', 'bd.js']);
+    });
+
+    it('should leave single, unbalanced and escaped braces literal', () => {
+      expect(expandBraces('{a}')).toEqual(['{a}']);
+      expect(expandBraces('{a,b')).toEqual(['{a,b']);
+      expect(expandBraces('\\{a,b}')).toEqual(['\\{a,b}']);
+    });
+  });
+
+  describe('compileRule', () => {
+    it('should skip blank lines and comments', () => {
+      expect(compileRule('')).toBeNull();
+      expect(compileRule('# comment')).toBeNull();
+      expect(compileRule('\\#file')).not.toBeNull();
+    });
+
+    it('should read negation, directory-only and anchoring', () => {
+      expect(compileRule('!build/')).toMatchObject({ negated: true, dirOnly: true, anchored: false });
+      expect(compileRule('/LICENSE')).toMatchObject({ negated: false, anchored: true });
+      expect(compileRule('docs/*.md')).toMatchObject({ anchored: true });
+    });
+  });
+
+  describe('matchesGlob', () => {
+    it.each([
+      ['key', 'monkey', false],
+      ['key', 'config/key', true],
+      ['*.key', 'a/b/server.key', true],
+      ['/LICENSE', 'docs/LICENSE', false],
+      ['docs/*.md', 'docs/a.md', true],
+      ['docs/*.md', 'docs/api/a.md', false],
+      ['docs/**/*.md', 'docs/api/a.md', true],
+      ['a/**/b', 'a/b', true],
+      ['node_modules/**', 'src/node_modules/x.js', false],
+      ['node_modules', 'src/node_modules/x.js', true],
+      ['secrets/', 'secrets/token', true],
+      ['secrets/', 'secrets', false],
+      ['file?.txt', 'file1.txt', true],
+      ['file?.txt', 'file10.txt', false],
+      ['[!a]*.md', 'b.md', true],
+      ['[!a]*.md', 'a.md', false],
+      ['[a-c].js', 'b.js', true],
+      ['src/*.{js,ts}', 'src/index.ts', true],
+      ['f(1)+.txt', 'f(1)+.txt', true],
+      ['\\!important', '!important', true]
+    ])('%s against %s is %s', (pattern, filePath, expected) => {
+      expect(matchesGlob(filePath, pattern)).toBe(expected);
+    });
+
+    it('should normalize Windows separators and ./ prefixes', () => {
+      expect(matchesGlob('.\\src\\app.key', '*.key')).toBe(true);
+      expect(matchesGlob('./docs/a.md', 'docs/*.md')).toBe(true);
+    });
+  });
+
+  describe('matchRules', () => {
+    it('should let the last matching rule decide', () => {
+      const rules = ['.env', '.env.*', '!.env.example'];
+
+      expect(matchRules('.env.local', rules)).toMatchObject({ matched: true, rule: '.env.*', index: 1 });
+      expect(matchRules('.env.example', rules)).toMatchObject({
+        matched: false,
+        rule: '!.env.example',
+        index: 2,
+        trace: [
+          { pattern: '.env.*', index: 1, negated: false },
+          { pattern: '!.env.example', index: 2, negated: true }
+        ]
+      });
+    });
+
+    it('should re-allow files inside a matched directory', () => {
+      const rules = ['secrets/', '!secrets/README.md'];
+
+      expect(matchRules('secrets/token', rules).matched).toBe(true);
+      expect(matchRules('secrets/README.md', rules).matched).toBe(false);
+    });
+
+    it('should report no match when nothing applies', () => {
+      expect(matchRules('src/index.js', ['*.key'])).toEqual({ matched: false, rule: null, index: -1, trace: [] });
+    });
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Tests for global-memory.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+
+describe('global-memory', () => {
+  let testDir;
+  let originalHome;
+  let registry;
+  let memory;
+  let globalMemory;
+
+  /**
+   * Register a project directory in the (test) global registry
+   */
+  async function makeProject(name, language, framework) {
+    const projectPath = path.join(testDir, name);
+    await fs.ensureDir(projectPath);
+    await registry.registerProject({ targetPath: projectPath, projectName: name, language, framework });
+    return projectPath;
+  }
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `global-memory-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+
+    // The global directory is resolved from HOME at import time
+    originalHome = process.env.HOME;
+    process.env.HOME = path.join(testDir, 'home');
+    vi.resetModules();
+    registry = await import('../scripts/utils/project-registry.js');
+    memory = await import('../scripts/utils/memory-manager.js');
+    globalMemory = await import('../scripts/utils/global-memory.js');
+  });
+
+  afterEach(async () => {
+    process.env.HOME = originalHome;
+    vi.resetModules();
+    await fs.remove(testDir);
+  });
+
+  it('should promote an insight with provenance and tag it general', async () => {
+    const api = await makeProject('api', 'typescript', 'express');
+    const local = await memory.addInsight('US-001', 'Vitest needs --pool=forks with native addons', ['testing'], api);
+
+    const { insight, created } = await globalMemory.promoteInsight(local.id, api);
+    const project = await registry.getProject(api);
+
+    expect(created).toBe(true);
+    expect(insight.tags).toEqual(['testing']);
+    expect(insight.provenance).toEqual([expect.objectContaining({
+      projectId: project.id,
+      insightId: local.id,
+      language: 'typescript',
+      framework: 'express'
+    })]);
+    expect((await memory.getInsight(local.id, api)).tags).toContain(globalMemory.GENERAL_TAG);
+    expect(await fs.pathExists(globalMemory.getGlobalMemoryPath())).toBe(true);
+  });
+
+  it('should merge the same insight promoted from two projects', async () => {
+    const api = await makeProject('api', 'typescript', 'express');
+    const web = await makeProject('web', 'typescript', 'react');
+    await memory.addInsight('US-001', 'Pin the TypeScript version', ['general'], api);
+    await memory.addInsight('US-007', 'pin the typescript version', ['general'], web);
+
+    await globalMemory.promoteGeneralInsights(api);
+    await globalMemory.promoteGeneralInsights(web);
+
+    const { insights } = await globalMemory.loadGlobalMemory();
+    expect(insights).toHaveLength(1);
+    expect(insights[0].provenance.map(p => p.projectName)).toEqual(['api', 'web']);
+  });
+
+  it('should only return insights learned on the same stack', async () => {
+    const api = await makeProject('api', 'typescript', 'express');
+    const worker = await makeProject('worker', 'typescript', 'none');
+    const web = await makeProject('web', 'typescript', 'react');
+    const tool = await makeProject('tool', 'python', 'none');
+    await globalMemory.promoteInsight((await memory.addInsight('US-001', 'Express error handlers need four arguments', [], api)).id, api);
+    await globalMemory.promoteInsight((await memory.addInsight('US-002', 'Use tsx to run TypeScript scripts', [], worker)).id, worker);
+
+    const fromWeb = await globalMemory.queryGlobalMemory('', web);
+    const ranked = await globalMemory.queryGlobalMemory('typescript scripts', api);
+
+    expect(fromWeb.map(i => i.learning)).toEqual(['Use tsx to run TypeScript scripts']);
+    expect(await globalMemory.queryGlobalMemory('', tool)).toEqual([]);
+    expect(await globalMemory.queryGlobalMemory('', tool, { allStacks: true })).toHaveLength(2);
+    expect(ranked.map(i => i.learning)).toEqual(['Use tsx to run TypeScript scripts']);
+    expect(ranked[0].score).toBeGreaterThan(0);
+  });
+
+  it('should demote per project and delete when no provenance is left', async () => {
+    const api = await makeProject('api', 'typescript', 'express');
+    const web = await makeProject('web', 'typescript', 'react');
+    const apiInsight = await memory.addInsight('US-001', 'Pin the TypeScript version', ['general'], api);
+    await memory.addInsight('US-007', 'Pin the TypeScript version', ['general'], web);
+    await globalMemory.promoteGeneralInsights(api);
+    const [{ insight }] = await globalMemory.promoteGeneralInsights(web);
+
+    const first = await globalMemory.demoteInsight(insight.id, api);
+    expect(first.deleted).toBe(false);
+    expect(first.insight.provenance.map(p => p.projectName)).toEqual(['web']);
+    expect((await memory.getInsight(apiInsight.id, api)).tags).not.toContain(globalMemory.GENERAL_TAG);
+    await expect(globalMemory.demoteInsight(insight.id, api)).rejects.toThrow('not promoted from this project');
+
+    const second = await globalMemory.demoteInsight(insight.id, api, { everywhere: true });
+    expect(second.deleted).toBe(true);
+    expect((await globalMemory.loadGlobalMemory()).insights).toEqual([]);
+  });
+
+  it('should refuse projects that are not registered', async () => {
+    const loose = path.join(testDir, 'loose');
+    await fs.ensureDir(loose);
+    const local = await memory.addInsight('US-001', 'Something general', [], loose);
+
+    await expect(globalMemory.promoteInsight(local.id, loose)).rejects.toThrow('not in the project registry');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for http-client.js fixture modes
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { HttpClient, getFixturePath } from '../scripts/utils/http-client.js';
+
+const URL = 'https://docs.example.com/guide/hooks?lang=en';
+
+describe('http-client fixtures', () => {
+  let fixturesDir;
+  let liveFetch;
+
+  beforeEach(async () => {
+    fixturesDir = path.join(os.tmpdir(), `http-client-test-${Date.now()}`);
+    liveFetch = vi.spyOn(global, 'fetch').mockImplementation(async () => new Response('<main>Hooks</main>', {
+      status: 200,
+      headers: { 'content-type': 'text/html', etag: 'W/"v1"', 'last-modified': 'Mon, 05 Jan 2026 10:00:00 GMT' }
+    }));
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.remove(fixturesDir);
+  });
+
+  it('should record responses and replay them offline', async () => {
+    const recorder = new HttpClient({ fixtureMode: 'record', fixturesDir });
+    const recorded = await recorder.fetch(URL);
+
+    const fixturePath = getFixturePath(fixturesDir, URL);
+    const fixture = await fs.readJson(fixturePath);
+
+    liveFetch.mockRejectedValue(new Error('offline'));
+    const player = new HttpClient({ fixtureMode: 'replay', fixturesDir });
+    const replayed = await player.fetch(URL);
+
+    expect(await recorded.text()).toBe('<main>Hooks</main>');
+    expect(path.relative(fixturesDir, fixturePath)).toMatch(/^docs\.example\.com\/get-guide-hooks-lang-en-[0-9a-f]{8}\.json$/);
+    expect(fixture.request).toEqual({ method: 'GET', url: URL });
+    expect(fixture.response).toMatchObject({ status: 200, body: '<main>Hooks</main>' });
+    expect(replayed.status).toBe(200);
+    expect(replayed.headers.get('etag')).toBe('W/"v1"');
+    expect(await replayed.text()).toBe('<main>Hooks</main>');
+    expect(liveFetch).toHaveBeenCalledTimes(1);
+  });
+
+  it('should answer conditional requests from the fixture validators', async () => {
+    await new HttpClient({ fixtureMode: 'record', fixturesDir }).fetch(URL);
+    const player = new HttpClient({ fixtureMode: 'replay', fixturesDir });
+
+    const byEtag = await player.fetch(URL, { headers: { 'If-None-Match': '"v1"' } });
+    const staleEtag = await player.fetch(URL, { headers: { 'If-None-Match': '"v0"' } });
+    const byDate = await player.fetch(URL, { headers: { 'If-Modified-Since': 'Tue, 06 Jan 2026 00:00:00 GMT' } });
+    const olderDate = await player.fetch(URL, { headers: { 'If-Modified-Since': 'Sun, 04 Jan 2026 00:00:00 GMT' } });
+
+    expect(byEtag.status).toBe(304);
+    expect(byEtag.headers.get('etag')).toBe('W/"v1"');
+    expect(staleEtag.status).toBe(200);
+    expect(byDate.status).toBe(304);
+    expect(olderDate.status).toBe(200);
+  });
+
+  it('should not overwrite a fixture with a 304 and fail on unrecorded requests', async () => {
+    const recorder = new HttpClient({ fixtureMode: 'record', fixturesDir });
+    await recorder.fetch(URL);
+    liveFetch.mockResolvedValue(new Response(null, { status: 304 }));
+    await recorder.fetch(URL, { headers: { 'If-None-Match': 'W/"v1"' } });
+
+    const player = new HttpClient({ fixtureMode: 'replay', fixturesDir });
+
+    expect((await fs.readJson(getFixturePath(fixturesDir, URL))).response.status).toBe(200);
+    await expect(player.fetch('https://docs.example.com/other')).rejects.toThrow('No recorded response for GET https://docs.example.com/other');
+    await expect(player.fetch(URL, { method: 'POST', body: '{}' })).rejects.toMatchObject({ fixtureMissing: true });
+  });
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for intervention-manager.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execFileSync } from 'child_process';
+import {
+  CHECKPOINT_REF_PREFIX,
+  initIntervention,
+  loadIntervention,
+  createCheckpoint,
+  loadCheckpoint,
+  listCheckpoints,
+  rollback
+} from '../scripts/utils/intervention-manager.js';
+
+function git(cwd, ...args) {
+  return execFileSync('git', args, { cwd, encoding: 'utf-8' }).trim();
+}
+
+function makePrd(passing = []) {
+  return JSON.stringify({
+    project: 'Test',
+    userStories: ['US-001', 'US-002'].map(id => ({ id, title: id, passes: passing.includes(id) }))
+  }, null, 2);
+}
+
+describe('intervention-manager', () => {
+  let testDir;
+
+  const write = (file, content) => fs.outputFile(path.join(testDir, file), content);
+  const read = file => fs.readFile(path.join(testDir, file), 'utf-8');
+  const exists = file => fs.pathExists(path.join(testDir, file));
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `intervention-manager-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+    await initIntervention(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('outside a git repository', () => {
+    it('should restore prd.json and progress.txt', async () => {
+      await write('prd.json', makePrd(['US-001']));
+      await write('.ralph/progress.txt', '- [+] US-001\n');
+      const checkpoint = await createCheckpoint('US-001', {}, testDir);
+
+      await write('prd.json', makePrd(['US-001', 'US-002']));
+      await write('.ralph/progress.txt', '- [+] US-001\n- [+] US-002\n');
+      await createCheckpoint('US-002', {}, testDir);
+
+      const result = await rollback(checkpoint.id, testDir);
+
+      expect(checkpoint.git).toBeNull();
+      expect(result.success).toBe(true);
+      expect(result.discarded).toMatchObject({ stories: ['US-002'], subtasks: ['US-002'], progressLines: 1 });
+      expect(result.restored).toEqual({ git: false, files: ['prd.json', '.ralph/progress.txt'] });
+      expect(await read('prd.json')).toBe(makePrd(['US-001']));
+      expect(await read('.ralph/progress.txt')).toBe('- [+] US-001\n');
+      expect(await listCheckpoints(testDir)).toHaveLength(1);
+    });
+  });
+
+  describe('in a git repository', () => {
+    beforeEach(async () => {
+      git(testDir, 'init', '-q');
+      git(testDir, 'config', 'user.email', 'test@example.com');
+      git(testDir, 'config', 'user.name', 'Test');
+      await write('.gitignore', '.ralph/\n');
+      await write('src/app.js', 'v1\n');
+      await write('prd.json', makePrd());
+      git(testDir, 'add', '-A');
+      git(testDir, 'commit', '-q', '-m', 'initial');
+    });
+
+    it('should record the commit and snapshot uncommitted work', async () => {
+      await write('src/app.js', 'v1 + wip\n');
+      await write('src/new.js', 'untracked\n');
+
+      const checkpoint = await createCheckpoint('US-001', {}, testDir);
+      const saved = await loadCheckpoint(checkpoint.id, testDir);
+
+      expect(saved.git.commit).toBe(git(testDir, 'rev-parse', 'HEAD'));
+      expect(saved.git.snapshot).toBe(git(testDir, 'rev-parse', `${CHECKPOINT_REF_PREFIX}${checkpoint.id}`));
+      expect(git(testDir, 'show', `${saved.git.snapshot}:src/new.js`)).toBe('untracked');
+      expect(saved.files['prd.json']).toBe(makePrd());
+
+      // Taking a snapshot leaves the index and working tree alone
+      expect(git(testDir, 'status', '--porcelain')).toBe('M src/app.js\n?? src/new.js');
+    });
+
+    it('should not snapshot a clean working tree', async () => {
+      const checkpoint = await createCheckpoint('US-001', {}, testDir);
+      expect(checkpoint.git.snapshot).toBeNull();
+    });
+
+    it('should preview a rollback without changing anything', async () => {
+      const checkpoint = await createCheckpoint('US-001', {}, testDir);
+      await write('src/app.js', 'v2\n');
+      await write('src/extra.js', 'extra\n');
+      git(testDir, 'commit', '-q', '-am', 'second');
+
+      const result = await rollback(checkpoint.id, testDir, { dryRun: true });
+
+      expect(result.dryRun).toBe(true);
+      expect(result.discarded.commits).toEqual([expect.stringMatching(/ second$/)]);
+      expect(result.discarded.files).toEqual([
+        { status: 'modified', path: 'src/app.js' },
+        { status: 'added', path: 'src/extra.js' }
+      ]);
+      expect(await read('src/app.js')).toBe('v2\n');
+      expect((await loadIntervention(testDir)).rollbackTo).toBeUndefined();
+    });
+
+    it('should restore commits, uncommitted work and the PRD', async () => {
+      await write('src/app.js', 'v1 + wip\n');
+      await write('src/kept.js', 'untracked at checkpoint\n');
+      const checkpoint = await createCheckpoint('US-001', {}, testDir);
+
+      await write('src/app.js', 'v2\n');
+      await write('prd.json', makePrd(['US-001', 'US-002']));
+      git(testDir, 'add', '-A');
+      git(testDir, 'commit', '-q', '-m', 'US-002');
+      await write('src/later.js', 'created after\n');
+      await write('.ralph/memory/insights.json', '{"insights":[]}');
+      const second = await createCheckpoint('US-002', {}, testDir);
+
+      const result = await rollback(checkpoint.id, testDir);
+
+      expect(result.success).toBe(true);
+      expect(result.discarded.stories).toEqual(['US-001', 'US-002']);
+      expect(git(testDir, 'log', '--format=%s')).toBe('initial');
+      expect(await read('src/app.js')).toBe('v1 + wip\n');
+      expect(await read('src/kept.js')).toBe('untracked at checkpoint\n');
+      expect(await exists('src/later.js')).toBe(false);
+      expect(await read('prd.json')).toBe(makePrd());
+      expect(git(testDir, 'status', '--porcelain')).toBe('M src/app.js\n?? src/kept.js');
+
+      // RALPH state survives, later checkpoints and their snapshots are gone
+      expect(await exists('.ralph/memory/insights.json')).toBe(true);
+      expect(await loadCheckpoint(second.id, testDir)).toBeNull();
+      expect(() => git(testDir, 'rev-parse', '--verify', '-q', `${CHECKPOINT_REF_PREFIX}${second.id}`)).toThrow();
+      expect((await loadIntervention(testDir)).state).toBe('paused');
+    });
+  });
+});
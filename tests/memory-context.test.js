@@ -0,0 +1,128 @@
+/**
+ * Tests for memory-context.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  MEMORY_CONTEXT_LOG,
+  findTouchedFiles,
+  buildMemoryContext,
+  renderMemoryContext,
+  logMemoryContext
+} from '../scripts/utils/memory-context.js';
+import { addEntity, addInsight } from '../scripts/utils/memory-manager.js';
+import { trackRecurringIssue, RECURRING_ISSUE_THRESHOLD } from '../scripts/utils/qa-loop.js';
+
+const STORY = {
+  id: 'US-003',
+  title: 'Refresh expired auth tokens',
+  acceptanceCriteria: ['Expired tokens are refreshed in src/auth/session.js'],
+  passes: false
+};
+
+describe('memory-context', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `memory-context-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('findTouchedFiles', () => {
+    it('should collect paths from the story text and QA feedback', async () => {
+      const files = await findTouchedFiles(STORY, testDir, [{ file: './src/auth/token.js' }]);
+      expect(files).toEqual(['src/auth/session.js', 'src/auth/token.js']);
+    });
+  });
+
+  describe('buildMemoryContext', () => {
+    it('should select matching gotchas, insights and recurring issues for touched files', async () => {
+      await addInsight('US-001', 'Token refresh must retry once on 401', ['auth'], testDir);
+      await addInsight('US-002', 'Use pnpm for installs', ['tooling'], testDir);
+      await addEntity('gotcha', 'Clock skew', { description: 'Token expiry checks need a 30s leeway' }, testDir);
+      await addEntity('pattern', 'Token store', { description: 'Tokens live in the session store' }, testDir);
+      await trackRecurringIssue({ type: 'test_failure', file: 'src/auth/session.js', description: 'refresh test times out' }, testDir);
+      await trackRecurringIssue({ type: 'lint_error', file: 'src/ui/button.js' }, testDir);
+
+      const context = await buildMemoryContext(STORY, testDir, { touchedFiles: ['src/auth/session.js'] });
+
+      expect(context.items.map(i => i.kind)).toEqual(['qa_issue', 'gotcha', 'insight']);
+      expect(context.items[0].text).toBe('test_failure in src/auth/session.js: refresh test times out (failed QA 1x)');
+      expect(context.items[0].reason).toBe('touches src/auth/session.js');
+      expect(context.items[1].text).toContain('30s leeway');
+      expect(context.items[2].text).toBe('Token refresh must retry once on 401 (US-001)');
+      expect(context.tokens).toBeLessThanOrEqual(context.tokenBudget);
+    });
+
+    it('should include recurring issues flagged for review elsewhere', async () => {
+      for (let i = 0; i < RECURRING_ISSUE_THRESHOLD; i++) {
+        await trackRecurringIssue({ type: 'type_error', file: 'src/api.ts' }, testDir);
+      }
+
+      const context = await buildMemoryContext(STORY, testDir);
+
+      expect(context.items).toHaveLength(1);
+      expect(context.items[0].reason).toBe('flagged for review');
+    });
+
+    it('should skip items that would exceed the token budget', async () => {
+      await addInsight('US-001', 'Auth tokens expire after 15 minutes', [], testDir);
+      await addInsight('US-002', `Auth tokens ${'are stored encrypted '.repeat(20)}`, [], testDir);
+
+      const context = await buildMemoryContext(STORY, testDir, { tokenBudget: 50 });
+
+      expect(context.items).toHaveLength(1);
+      expect(context.skipped).toHaveLength(1);
+      expect(context.tokens).toBeLessThanOrEqual(50);
+    });
+
+    it('should select nothing when the budget is 0', async () => {
+      await addInsight('US-001', 'Auth tokens expire after 15 minutes', [], testDir);
+
+      const context = await buildMemoryContext(STORY, testDir, { tokenBudget: 0 });
+
+      expect(context.items).toEqual([]);
+      expect(renderMemoryContext(context)).toBe('');
+    });
+  });
+
+  describe('renderMemoryContext', () => {
+    it('should group items under a heading per kind', () => {
+      const section = renderMemoryContext({
+        items: [
+          { kind: 'insight', text: 'Mock the clock in token tests' },
+          { kind: 'gotcha', text: 'Clock skew' }
+        ]
+      });
+
+      expect(section).toMatch(/^## Relevant Memory\n/);
+      expect(section.indexOf('### Gotchas\n- Clock skew')).toBeLessThan(
+        section.indexOf('### Insights\n- Mock the clock in token tests')
+      );
+    });
+  });
+
+  describe('logMemoryContext', () => {
+    it('should append the selection as a JSON line', async () => {
+      await addInsight('US-001', 'Auth tokens expire after 15 minutes', [], testDir);
+      const context = await buildMemoryContext(STORY, testDir);
+
+      await logMemoryContext(context, 1, testDir);
+      await logMemoryContext(context, 2, testDir);
+
+      const lines = (await fs.readFile(path.join(testDir, MEMORY_CONTEXT_LOG), 'utf-8')).trim().split('\n');
+      const entry = JSON.parse(lines[1]);
+      expect(lines).toHaveLength(2);
+      expect(entry).toMatchObject({ iteration: 2, storyId: 'US-003', skipped: [] });
+      expect(entry.selected[0]).toMatchObject({ kind: 'insight', reason: 'matches story, seen 1x' });
+      expect(entry.selected[0].text).toBeUndefined();
+    });
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Tests for memory-index.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  INDEX_FILE,
+  setEmbedder,
+  tokenize,
+  updateIndex,
+  scoreDocuments,
+  buildSnippet
+} from '../scripts/utils/memory-index.js';
+
+const MEMORY_DIR = '.ralph/memory';
+
+describe('memory-index', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `memory-index-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    setEmbedder(null);
+    await fs.remove(testDir);
+  });
+
+  describe('tokenize', () => {
+    it('should lowercase, split camelCase, drop stopwords and stem', () => {
+      expect(tokenize('The JWTRefresh tokens')).toEqual(['jwtrefresh', 'jwt', 'refresh', 'token']);
+      expect(tokenize('expiry')).toEqual(tokenize('expires'));
+      expect(tokenize('logging')).toEqual(tokenize('logger'));
+    });
+  });
+
+  describe('updateIndex', () => {
+    it('should only re-tokenize changed documents and prune removed ones', async () => {
+      await updateIndex([{ key: 'insight:1', text: 'alpha' }, { key: 'insight:2', text: 'beta' }], testDir, MEMORY_DIR);
+      const indexPath = path.join(testDir, MEMORY_DIR, INDEX_FILE);
+      const before = await fs.readJson(indexPath);
+
+      const index = await updateIndex([{ key: 'insight:1', text: 'alpha gamma' }], testDir, MEMORY_DIR, { prune: true });
+
+      expect(Object.keys(index.docs)).toEqual(['insight:1']);
+      expect(index.docs['insight:1'].hash).not.toBe(before.docs['insight:1'].hash);
+      expect(index.docs['insight:1'].terms).toEqual({ alpha: 1, gamma: 1 });
+    });
+
+    it('should embed new documents with the registered embedder', async () => {
+      const calls = [];
+      setEmbedder({
+        name: 'fake',
+        async embed(texts) {
+          calls.push(texts);
+          return texts.map(t => [t.length, 1]);
+        }
+      });
+
+      await updateIndex([{ key: 'entity:1', text: 'abc' }], testDir, MEMORY_DIR);
+      const index = await updateIndex([{ key: 'entity:1', text: 'abc' }, { key: 'entity:2', text: 'de' }], testDir, MEMORY_DIR);
+
+      expect(calls).toEqual([['abc'], ['de']]);
+      expect(index.embedder).toBe('fake');
+      expect(index.docs['entity:2'].vector).toEqual([2, 1]);
+    });
+
+    it('should keep out of the memory layer\'s index.json', async () => {
+      const memoryLayerIndex = { keywords: { auth: ['insight:1'] }, categories: {} };
+      await fs.outputJson(path.join(testDir, MEMORY_DIR, 'index.json'), memoryLayerIndex);
+      await updateIndex([{ key: 'insight:1', text: 'alpha' }], testDir, MEMORY_DIR);
+
+      expect(INDEX_FILE).toBe('memory-index.json');
+      expect(await fs.readJson(path.join(testDir, MEMORY_DIR, 'index.json'))).toEqual(memoryLayerIndex);
+      expect(Object.keys((await fs.readJson(path.join(testDir, MEMORY_DIR, INDEX_FILE))).docs)).toEqual(['insight:1']);
+    });
+
+    it('should reject embedders without a name or embed function', () => {
+      expect(() => setEmbedder({ embed: async () => [] })).toThrow('needs a name');
+    });
+  });
+
+  describe('scoreDocuments', () => {
+    it('should rank with BM25 and match prefixes at a discount', async () => {
+      const index = await updateIndex([
+        { key: 'a', text: 'token rotation token refresh' },
+        { key: 'b', text: 'authentication middleware' },
+        { key: 'c', text: 'shared logger' }
+      ], testDir, MEMORY_DIR);
+
+      const scores = await scoreDocuments('auth token', index);
+
+      expect([...scores.keys()].sort()).toEqual(['a', 'b']);
+      expect(scores.get('a')).toBeGreaterThan(scores.get('b'));
+    });
+
+    it('should count embedding similarity when an embedder is registered', async () => {
+      // Two-dimensional "topics": security vs logging
+      const topics = { jwt: [1, 0], session: [1, 0], logger: [0, 1] };
+      setEmbedder({
+        name: 'topics',
+        async embed(texts) {
+          return texts.map(t => topics[Object.keys(topics).find(k => t.toLowerCase().includes(k))] || [0.5, 0.5]);
+        }
+      });
+
+      const index = await updateIndex([
+        { key: 'jwt', text: 'JWT refresh rotation' },
+        { key: 'log', text: 'shared logger' }
+      ], testDir, MEMORY_DIR);
+      const scores = await scoreDocuments('session expiry', index);
+
+      expect([...scores.keys()]).toEqual(['jwt']);
+    });
+  });
+
+  describe('buildSnippet', () => {
+    it('should highlight matched words', () => {
+      const { snippet, highlights } = buildSnippet('Rotate JWT tokens before expiry', 'token expires');
+
+      expect(highlights.map(h => snippet.slice(h.start, h.end))).toEqual(['tokens', 'expiry']);
+    });
+
+    it('should cut long text around the first match', () => {
+      const text = `${'filler '.repeat(40)}the important token ${'more '.repeat(40)}`;
+      const { snippet, highlights } = buildSnippet(text, 'token');
+
+      expect(snippet.startsWith('...')).toBe(true);
+      expect(snippet.endsWith('...')).toBe(true);
+      expect(snippet.slice(highlights[0].start, highlights[0].end)).toBe('token');
+    });
+  });
+});
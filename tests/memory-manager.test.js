@@ -0,0 +1,149 @@
+/**
+ * Tests for memory-manager.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  addEntity,
+  addRelationship,
+  addInsight,
+  queryMemory,
+  getEntityGraph,
+  cleanupMemory,
+  exportMemory,
+  importMemory,
+  getMemoryStats,
+  MEMORY_DIR,
+  ENTITIES_FILE,
+  INDEX_FILE
+} from '../scripts/utils/memory-manager.js';
+
+describe('memory-manager', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `memory-manager-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('queryMemory', () => {
+    it('should filter insights by tags and date', async () => {
+      await addInsight('US-001', 'Validate input with zod', ['validation'], testDir);
+      await addInsight('US-002', 'Use the shared logger', ['logging'], testDir);
+
+      const tagged = await queryMemory('', { tags: ['validation'] }, testDir);
+      expect(tagged.insights.map(i => i.context)).toEqual(['US-001']);
+
+      const future = await queryMemory('', { since: '2999-01-01' }, testDir);
+      expect(future.insights).toHaveLength(0);
+    });
+
+    it('should rank entities and insights by relevance with snippets', async () => {
+      await addInsight('US-004', 'JWT refresh tokens must be rotated before expiry', ['auth'], testDir);
+      await addInsight('US-002', 'Use the shared logger', ['logging'], testDir);
+      await addInsight('US-003', 'Authentication middleware lives in src/middleware', ['auth'], testDir);
+      await addEntity('class', 'UserService', { note: 'caches tokens' }, testDir);
+
+      const results = await queryMemory('auth token expiry', {}, testDir);
+
+      expect(results.insights.map(i => i.context)).toEqual(['US-004', 'US-003']);
+      expect(results.insights[0].score).toBeGreaterThan(results.insights[1].score);
+      expect(results.insights[0].snippet).toBe('JWT refresh tokens must be rotated before expiry (US-004)');
+      expect(results.entities.map(e => e.name)).toEqual(['UserService']);
+
+      const { entities } = await queryMemory('serv', {}, testDir);
+      expect(entities[0].highlights).toEqual([{ start: 0, end: 11 }]);
+    });
+
+    it('should keep the index in step with memory', async () => {
+      await addInsight('US-001', 'Prefer zod schemas', [], testDir);
+      const index = await fs.readJson(path.join(testDir, MEMORY_DIR, INDEX_FILE));
+      expect(Object.keys(index.docs)).toHaveLength(1);
+
+      // Edited outside addInsight - the next query prunes it from the index
+      await fs.writeJson(path.join(testDir, MEMORY_DIR, 'insights.json'), { version: '1.0.0', insights: [] });
+      expect((await queryMemory('zod', {}, testDir)).insights).toHaveLength(0);
+      const pruned = await fs.readJson(path.join(testDir, MEMORY_DIR, INDEX_FILE));
+      expect(pruned.docs).toEqual({});
+    });
+
+    it('should label relationship endpoints with entity names', async () => {
+      const a = await addEntity('class', 'UserService', {}, testDir);
+      const b = await addEntity('class', 'Db', {}, testDir);
+      await addRelationship(a.id, b.id, 'uses', {}, testDir);
+
+      const { relationships } = await queryMemory('uses', {}, testDir);
+      expect(relationships[0]).toMatchObject({ from: 'UserService', to: 'Db' });
+    });
+  });
+
+  describe('getEntityGraph', () => {
+    it('should follow relationships by ID and name up to the depth', async () => {
+      const a = await addEntity('class', 'UserService', {}, testDir);
+      const b = await addEntity('class', 'Db', {}, testDir);
+      await addEntity('class', 'Pool', {}, testDir);
+      await addRelationship(a.id, b.id, 'uses', {}, testDir);
+      await addRelationship('Db', 'Pool', 'wraps', {}, testDir);
+
+      const shallow = await getEntityGraph('UserService', {}, testDir);
+      expect(shallow.edges.map(e => `${e.from}>${e.to}`)).toEqual(['UserService>Db']);
+
+      const deep = await getEntityGraph('UserService', { depth: 2 }, testDir);
+      expect(deep.edges.map(e => `${e.from}>${e.to}`)).toEqual(['UserService>Db', 'Db>Pool']);
+      expect(deep.nodes.map(n => n.name)).toEqual(['UserService', 'Db', 'Pool']);
+    });
+
+    it('should return null for unknown entities', async () => {
+      expect(await getEntityGraph('Nope', {}, testDir)).toBeNull();
+    });
+  });
+
+  describe('importMemory', () => {
+    it('should remap relationship IDs when merging', async () => {
+      const source = path.join(testDir, 'source');
+      const a = await addEntity('class', 'UserService', {}, source);
+      const b = await addEntity('class', 'Db', {}, source);
+      await addRelationship(a.id, b.id, 'uses', {}, source);
+      const exportPath = path.join(testDir, 'export.json');
+      await exportMemory(exportPath, source);
+
+      const target = path.join(testDir, 'target');
+      await addEntity('class', 'Db', { existing: true }, target);
+      const counts = await importMemory(exportPath, true, target);
+
+      expect(counts).toEqual({ entities: 2, relationships: 1, insights: 0 });
+      const graph = await getEntityGraph('UserService', {}, target);
+      expect(graph.edges[0]).toMatchObject({ from: 'UserService', to: 'Db' });
+      expect((await getMemoryStats(target)).entities.total).toBe(2);
+    });
+  });
+
+  describe('cleanupMemory', () => {
+    it('should keep name-based relationships between live entities', async () => {
+      await addEntity('class', 'Db', {}, testDir);
+      await addEntity('class', 'Pool', {}, testDir);
+      const old = await addEntity('class', 'Legacy', {}, testDir);
+      await addRelationship('Db', 'Pool', 'wraps', {}, testDir);
+      await addRelationship(old.id, 'Db', 'uses', {}, testDir);
+
+      // Age the Legacy entity past the cutoff
+      const entitiesPath = path.join(testDir, MEMORY_DIR, ENTITIES_FILE);
+      const data = await fs.readJson(entitiesPath);
+      data.entities.find(e => e.name === 'Legacy').updatedAt = '2000-01-01T00:00:00.000Z';
+      await fs.writeJson(entitiesPath, data);
+
+      const removed = await cleanupMemory(30, testDir);
+
+      expect(removed).toMatchObject({ entities: 1, relationships: 1 });
+      const { relationships } = await queryMemory('', {}, testDir);
+      expect(relationships.map(r => r.type)).toEqual(['wraps']);
+    });
+  });
+});
@@ -625,3 +625,64 @@ describe('news-aggregator', () => {
     });
   });
 });
+
+// ==========================================================================
+// Replay Tests (recorded responses in tests/fixtures/http, no network)
+// ==========================================================================
+
+describe('news-aggregator (replay)', () => {
+  const fixturesDir = path.join(process.cwd(), 'tests', 'fixtures', 'http');
+  let kbPath;
+  let aggregateNews, getNews;
+
+  beforeEach(async () => {
+    kbPath = path.join(os.tmpdir(), `news-replay-test-${Date.now()}`);
+    process.env.KNOWLEDGE_BASE_PATH = kbPath;
+
+    vi.resetModules();
+    vi.useFakeTimers({ toFake: ['Date'] });
+    vi.setSystemTime(new Date('2026-01-20T12:00:00Z'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+    vi.spyOn(console, 'warn').mockImplementation(() => {});
+    mockFetch.mockReset();
+    mockFetch.mockRejectedValue(new Error('Network is disabled in replay tests'));
+
+    const { default: httpClient } = await import('../scripts/utils/http-client.js');
+    httpClient.configure({ fixtureMode: 'replay', fixturesDir });
+    ({ aggregateNews } = await import('../scripts/utils/news-aggregator.js'));
+    ({ getNews } = await import('../scripts/utils/news-fetcher.js'));
+  });
+
+  afterEach(async () => {
+    vi.useRealTimers();
+    vi.restoreAllMocks();
+    delete process.env.KNOWLEDGE_BASE_PATH;
+    await fs.remove(kbPath);
+  });
+
+  it('should aggregate the recorded feed, HN and Reddit responses', async () => {
+    const news = await aggregateNews({ forceRefresh: true, limit: 10 });
+    const bySource = Object.fromEntries(news.map(item => [item.title, item.source]));
+
+    expect(bySource).toEqual({
+      'Introducing Claude Code checkpoints': 'Anthropic News',
+      'Show HN: Running Claude Code agents in parallel worktrees': 'Hacker News',
+      'Claude Opus handled our whole migration from Anthropic docs alone': 'r/ClaudeAI'
+    });
+    expect(news.find(item => item.source === 'Hacker News')).toMatchObject({ date: '2026-01-18', hnId: '46610001', points: 212 });
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+
+  it('should serve getNews from the replayed sources and cache them in the knowledge base', async () => {
+    const news = await getNews({ limit: 10 });
+    const cache = await fs.readJson(path.join(kbPath, '.cache', 'aggregated-news.json'));
+
+    expect(news.map(item => item.title).sort()).toEqual([
+      'Claude Opus handled our whole migration from Anthropic docs alone',
+      'Introducing Claude Code checkpoints',
+      'Show HN: Running Claude Code agents in parallel worktrees'
+    ]);
+    expect(cache.count).toBe(3);
+    expect(mockFetch).not.toHaveBeenCalled();
+  });
+});
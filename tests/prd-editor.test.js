@@ -0,0 +1,100 @@
+/**
+ * Tests for prd-editor.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  nextStoryId,
+  addStory,
+  moveStory,
+  splitStory
+} from '../scripts/utils/prd-editor.js';
+
+function makePrd() {
+  return {
+    project: 'Test',
+    branchName: 'ralph/test',
+    userStories: [
+      { id: 'US-001', title: 'One', acceptanceCriteria: ['a'], priority: 1, passes: true },
+      { id: 'US-002', title: 'Two', acceptanceCriteria: ['b', 'c', 'd'], priority: 2, passes: false, engine: 'aider' },
+      { id: 'US-003', title: 'Three', acceptanceCriteria: ['e'], priority: 3, passes: false }
+    ]
+  };
+}
+
+const ids = prd => prd.userStories.map(s => s.id);
+const priorities = prd => prd.userStories.map(s => s.priority);
+
+describe('prd-editor', () => {
+  describe('nextStoryId', () => {
+    it('should continue after the highest ID', () => {
+      const prd = makePrd();
+      prd.userStories[0].id = 'US-010';
+      expect(nextStoryId(prd)).toBe('US-011');
+    });
+
+    it('should start at US-001 for an empty PRD', () => {
+      expect(nextStoryId({ userStories: [] })).toBe('US-001');
+    });
+  });
+
+  describe('addStory', () => {
+    it('should append by default', () => {
+      const prd = makePrd();
+      const story = addStory(prd, { title: 'Four', acceptanceCriteria: ['f'] });
+
+      expect(story).toMatchObject({ id: 'US-004', priority: 4, passes: false });
+      expect(ids(prd)).toEqual(['US-001', 'US-002', 'US-003', 'US-004']);
+    });
+
+    it('should insert at a position and renumber priorities', () => {
+      const prd = makePrd();
+      addStory(prd, { title: 'First', acceptanceCriteria: ['f'] }, 0);
+
+      expect(ids(prd)).toEqual(['US-004', 'US-001', 'US-002', 'US-003']);
+      expect(priorities(prd)).toEqual([1, 2, 3, 4]);
+    });
+
+    it('should require a title and criteria', () => {
+      expect(() => addStory(makePrd(), { title: ' ', acceptanceCriteria: ['a'] })).toThrow('title');
+      expect(() => addStory(makePrd(), { title: 'X', acceptanceCriteria: [' '] })).toThrow('acceptance criterion');
+    });
+  });
+
+  describe('moveStory', () => {
+    it('should move a story and renumber priorities', () => {
+      const prd = makePrd();
+      const story = moveStory(prd, 'US-003', 0);
+
+      expect(story.priority).toBe(1);
+      expect(ids(prd)).toEqual(['US-003', 'US-001', 'US-002']);
+      expect(priorities(prd)).toEqual([1, 2, 3]);
+    });
+
+    it('should throw for unknown stories', () => {
+      expect(() => moveStory(makePrd(), 'US-999', 0)).toThrow('US-999 not found');
+    });
+  });
+
+  describe('splitStory', () => {
+    it('should keep the original ID for the first part', () => {
+      const prd = makePrd();
+      const stories = splitStory(prd, 'US-002', [
+        { title: 'Two A', acceptanceCriteria: ['b'] },
+        { title: 'Two B', acceptanceCriteria: ['c', 'd'] }
+      ]);
+
+      expect(stories.map(s => s.id)).toEqual(['US-002', 'US-004']);
+      expect(ids(prd)).toEqual(['US-001', 'US-002', 'US-004', 'US-003']);
+      expect(priorities(prd)).toEqual([1, 2, 3, 4]);
+      expect(stories[0]).toMatchObject({ title: 'Two A', engine: 'aider', acceptanceCriteria: ['b'] });
+      expect(stories[1]).toMatchObject({ title: 'Two B', notes: 'Split from US-002', passes: false });
+      expect(stories[1].engine).toBeUndefined();
+    });
+
+    it('should need at least two parts', () => {
+      expect(() => splitStory(makePrd(), 'US-002', [{ title: 'A', acceptanceCriteria: ['b'] }]))
+        .toThrow('at least two parts');
+    });
+  });
+});
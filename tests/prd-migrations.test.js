@@ -0,0 +1,90 @@
+/**
+ * Tests for prd-migrations.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  PRD_MIGRATIONS,
+  getPrdSchemaVersion,
+  migratePrd
+} from '../scripts/utils/prd-migrations.js';
+import { PRD_SCHEMA_VERSION, PRD_SCHEMA_URL, validatePrd } from '../scripts/utils/prd-validator.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+function legacyPrd() {
+  return {
+    project: 'Legacy',
+    branchName: 'ralph/legacy',
+    userStories: [
+      { id: 'US-001', title: 'First', acceptanceCriteria: ['a'], priority: 1 },
+      {
+        id: 'US-002',
+        title: 'Second',
+        acceptanceCriteria: ['b'],
+        priority: 2,
+        passes: 'true',
+        notes: null,
+        dependsOn: ['US-001'],
+        blockedBy: ['US-001']
+      }
+    ]
+  };
+}
+
+describe('prd-migrations', () => {
+  it('should have one migration per version up to the current one', () => {
+    expect(PRD_MIGRATIONS.map(m => m.version)).toEqual(
+      Array.from({ length: PRD_SCHEMA_VERSION - 1 }, (_, i) => i + 2)
+    );
+  });
+
+  describe('getPrdSchemaVersion', () => {
+    it('should treat PRDs without schemaVersion as version 1', () => {
+      expect(getPrdSchemaVersion(legacyPrd())).toBe(1);
+      expect(getPrdSchemaVersion({ schemaVersion: 2 })).toBe(2);
+    });
+  });
+
+  describe('migratePrd', () => {
+    it('should upgrade a legacy PRD to the current version', () => {
+      const original = legacyPrd();
+      const { prd, fromVersion, toVersion, applied } = migratePrd(original);
+
+      expect(fromVersion).toBe(1);
+      expect(toVersion).toBe(PRD_SCHEMA_VERSION);
+      expect(applied).toHaveLength(PRD_SCHEMA_VERSION - 1);
+      expect(Object.keys(prd).slice(0, 2)).toEqual(['$schema', 'schemaVersion']);
+      expect(prd.$schema).toBe(PRD_SCHEMA_URL);
+      expect(prd.userStories[0]).toMatchObject({ passes: false, notes: '' });
+      expect(prd.userStories[1]).toMatchObject({ passes: true, notes: '', dependsOn: ['US-001'] });
+      expect(prd.userStories[1].blockedBy).toBeUndefined();
+      expect(validatePrd(prd).warnings.some(w => w.includes('schemaVersion'))).toBe(false);
+    });
+
+    it('should not modify its input', () => {
+      const original = legacyPrd();
+      migratePrd(original);
+      expect(original).toEqual(legacyPrd());
+    });
+
+    it('should leave current PRDs alone', () => {
+      const { prd } = migratePrd(legacyPrd());
+      const again = migratePrd(prd);
+      expect(again.applied).toEqual([]);
+      expect(again.prd).toEqual(prd);
+    });
+
+    it('should refuse PRDs newer than supported', () => {
+      expect(() => migratePrd({ ...legacyPrd(), schemaVersion: PRD_SCHEMA_VERSION + 1 })).toThrow('newer than supported');
+    });
+
+    it('should keep the bundled example current', async () => {
+      const example = await fs.readJson(path.join(__dirname, '..', 'templates', 'ralph', 'prd.json.example'));
+      expect(migratePrd(example).applied).toEqual([]);
+    });
+  });
+});
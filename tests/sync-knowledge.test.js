@@ -0,0 +1,99 @@
+/**
+ * End-to-end tests for sync-knowledge.js, replaying the recorded
+ * responses in tests/fixtures/http instead of going to the network
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { spawnSync } from 'child_process';
+import { DOC_SOURCES } from '../scripts/utils/doc-fetcher.js';
+
+const FIXTURES_DIR = path.join(process.cwd(), 'tests', 'fixtures', 'http');
+const TEST_TIMEOUT = 30000;
+
+describe('sync-knowledge (replay)', () => {
+  let testDir;
+  let kbPath;
+
+  /**
+   * Run the sync script against the temp knowledge base and home
+   */
+  function runSync() {
+    return spawnSync(process.execPath, [path.join(process.cwd(), 'scripts', 'sync-knowledge.js')], {
+      env: {
+        ...process.env,
+        HOME: testDir,
+        KNOWLEDGE_BASE_PATH: kbPath,
+        HTTP_FIXTURE_MODE: 'replay',
+        HTTP_FIXTURES_DIR: FIXTURES_DIR,
+        NO_COLOR: '1'
+      },
+      encoding: 'utf-8',
+      timeout: TEST_TIMEOUT
+    });
+  }
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `sync-knowledge-test-${Date.now()}`);
+    kbPath = path.join(testDir, 'knowledge-base');
+
+    // Only the recorded built-in pages, plus one markdown source
+    const docSources = Object.fromEntries(Object.keys(DOC_SOURCES).map(name => [name, false]));
+    delete docSources.hooks;
+    delete docSources.memory;
+    docSources.conventions = { type: 'markdown', url: 'https://raw.githubusercontent.com/example/team-docs/main/CONVENTIONS.md' };
+    await fs.outputJson(path.join(testDir, '.claude-init', 'config.json'), { docSources });
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it('should sync the recorded docs into the knowledge base', async () => {
+    const result = runSync();
+    const metadata = await fs.readJson(path.join(kbPath, 'metadata.json'));
+    const hooks = await fs.readFile(path.join(kbPath, 'docs', 'hooks.md'), 'utf-8');
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('Knowledge base updated to version');
+    expect(hooks).toContain('source: https://docs.anthropic.com/en/docs/claude-code/hooks');
+    expect(hooks).toContain('# Hooks reference');
+    expect(hooks).toContain('## PreToolUse');
+    expect(hooks).not.toContain('Docs menu');
+    expect(await fs.readFile(path.join(kbPath, 'docs', 'conventions.md'), 'utf-8')).toContain('- Keep functions small.');
+    expect(Object.keys(metadata.docHashes).sort()).toEqual(['conventions', 'hooks', 'memory']);
+    expect(metadata.httpValidators['https://docs.anthropic.com/en/docs/claude-code/hooks']).toEqual({
+      etag: 'W/"hooks-7f3a"',
+      lastModified: 'Thu, 15 Jan 2026 08:00:00 GMT'
+    });
+  }, TEST_TIMEOUT);
+
+  it('should not download unchanged docs again', async () => {
+    runSync();
+    const before = await fs.readJson(path.join(kbPath, 'metadata.json'));
+
+    const result = runSync();
+    const after = await fs.readJson(path.join(kbPath, 'metadata.json'));
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('3 unchanged since the last sync (not downloaded)');
+    expect(result.stdout).toContain('Knowledge base is already up to date!');
+    expect(after.version).toBe(before.version);
+    expect(after.docHashes).toEqual(before.docHashes);
+  }, TEST_TIMEOUT);
+
+  it('should fail a source with no recorded response instead of fetching it', async () => {
+    await fs.outputJson(path.join(testDir, '.claude-init', 'config.json'), {
+      docSources: Object.fromEntries(Object.keys(DOC_SOURCES).filter(name => name !== 'iam' && name !== 'hooks').map(name => [name, false]))
+    });
+
+    const result = runSync();
+
+    expect(result.status).toBe(0);
+    expect(result.stdout).toContain('iam: No recorded response for GET https://docs.anthropic.com/en/docs/claude-code/iam');
+    expect(await fs.pathExists(path.join(kbPath, 'docs', 'hooks.md'))).toBe(true);
+    expect(await fs.pathExists(path.join(kbPath, 'docs', 'iam.md'))).toBe(false);
+  }, TEST_TIMEOUT);
+});
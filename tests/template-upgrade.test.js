@@ -0,0 +1,113 @@
+/**
+ * Tests for setup/template-upgrade.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { writeRules, writeGeneratedFile, loadTemplateBase, saveTemplateBase } from '../scripts/setup/template-writer.js';
+import { planTemplateUpgrade, applyTemplateUpgrade, hasTemplateChanges } from '../scripts/setup/template-upgrade.js';
+
+describe('template-upgrade', () => {
+  let claudeDir;
+
+  beforeEach(async () => {
+    claudeDir = path.join(os.tmpdir(), `template-upgrade-test-${Date.now()}`, '.claude');
+    await fs.ensureDir(path.join(claudeDir, 'rules'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.remove(path.dirname(claudeDir));
+  });
+
+  /**
+   * Make the recorded render of a file look like an older template
+   */
+  async function ageTemplate(file, update) {
+    const base = await loadTemplateBase(claudeDir);
+    base.files[file].content = update(base.files[file].content);
+    await saveTemplateBase(claudeDir, base);
+    return base.files[file].content;
+  }
+
+  it('should record what setup rendered', async () => {
+    await writeRules(claudeDir, { language: 'python' }, ['code-style']);
+
+    const base = await loadTemplateBase(claudeDir);
+    const written = await fs.readFile(path.join(claudeDir, 'rules/code-style.md'), 'utf-8');
+
+    expect(base.types.rules).toEqual({
+      variables: { language: 'python', indentation: '4 spaces', hasTypeScript: false, hasPython: true },
+      items: ['code-style']
+    });
+    expect(base.files['rules/code-style.md']).toEqual({ type: 'rules', name: 'code-style', content: written });
+  });
+
+  it('should merge template updates with local edits', async () => {
+    await writeRules(claudeDir, { language: 'javascript' }, ['code-style', 'security', 'testing']);
+    const rulePath = file => path.join(claudeDir, file);
+
+    // code-style: edited locally, template gained a line since
+    const oldStyle = await ageTemplate('rules/code-style.md', content => content.replace(/^- Keep lines.*\n/m, ''));
+    await fs.writeFile(rulePath('rules/code-style.md'), `${oldStyle}\n## Team notes\nUse tabs.\n`);
+    // security: untouched, template changed
+    await ageTemplate('rules/security.md', content => `${content}Old footer\n`);
+    await fs.writeFile(rulePath('rules/security.md'), (await loadTemplateBase(claudeDir)).files['rules/security.md'].content);
+    // testing: deleted locally
+    await fs.remove(rulePath('rules/testing.md'));
+
+    const plan = await planTemplateUpgrade(claudeDir);
+    const status = Object.fromEntries(plan.files.map(entry => [entry.file, entry.status]));
+    const written = await applyTemplateUpgrade(claudeDir, plan);
+    const style = await fs.readFile(rulePath('rules/code-style.md'), 'utf-8');
+
+    expect(status).toEqual({ 'rules/code-style.md': 'merged', 'rules/security.md': 'updated', 'rules/testing.md': 'skipped' });
+    expect(written.map(entry => entry.file)).toEqual(['rules/code-style.md', 'rules/security.md']);
+    expect(style).toMatch(/^- Keep lines/m);
+    expect(style).toContain('## Team notes\nUse tabs.\n');
+    expect(await fs.readFile(rulePath('rules/security.md'), 'utf-8')).not.toContain('Old footer');
+    expect(await fs.pathExists(rulePath('rules/testing.md'))).toBe(false);
+    expect(hasTemplateChanges(await planTemplateUpgrade(claudeDir))).toBe(false);
+  });
+
+  it('should write conflict markers when both sides changed the same lines', async () => {
+    await writeRules(claudeDir, { language: 'javascript' }, ['code-style']);
+    const rulePath = path.join(claudeDir, 'rules/code-style.md');
+    const oldStyle = await ageTemplate('rules/code-style.md', content => content.replace(/^# .*$/m, '# Style'));
+    await fs.writeFile(rulePath, oldStyle.replace('# Style', '# Our Style'));
+
+    const plan = await planTemplateUpgrade(claudeDir);
+    await applyTemplateUpgrade(claudeDir, plan);
+
+    expect(plan.files[0]).toMatchObject({ status: 'conflict', conflicts: 1 });
+    expect(await fs.readFile(rulePath, 'utf-8')).toMatch(/^<<<<<<< rules\/code-style\.md \(local\)\n# Our Style\n=======\n# Code Style Rules\n>>>>>>> rules\/code-style\.md \(template\)\n/);
+  });
+
+  it('should leave files setup built from its answers alone', async () => {
+    await writeRules(claudeDir, { language: 'javascript' }, ['code-style']);
+    await writeGeneratedFile(claudeDir, 'settings.json', '{}\n');
+
+    const plan = await planTemplateUpgrade(claudeDir);
+    await applyTemplateUpgrade(claudeDir, plan);
+
+    expect(plan.files.map(entry => entry.file)).toEqual(['rules/code-style.md']);
+    expect((await loadTemplateBase(claudeDir)).files['settings.json'].content).toBe('{}\n');
+  });
+
+  it('should offer new default templates and refuse projects without a base', async () => {
+    await writeRules(claudeDir, { language: 'javascript' });
+    const base = await loadTemplateBase(claudeDir);
+    delete base.files['rules/documentation.md'];
+    await saveTemplateBase(claudeDir, base);
+    await fs.remove(path.join(claudeDir, 'rules/documentation.md'));
+
+    const plan = await planTemplateUpgrade(claudeDir);
+
+    expect(plan.files.filter(entry => entry.status !== 'current').map(entry => [entry.file, entry.status])).toEqual([['rules/documentation.md', 'added']]);
+    await fs.remove(path.join(claudeDir, 'template-base.json'));
+    await expect(planTemplateUpgrade(claudeDir)).rejects.toThrow('No template base recorded');
+  });
+});
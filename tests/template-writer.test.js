@@ -0,0 +1,126 @@
+/**
+ * Tests for setup/template-writer.js merge mode
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import {
+  writeRules,
+  loadTemplateBase,
+  saveTemplateBase,
+  loadGeneratedFiles,
+  hashContent,
+  compareTemplateFile,
+  writeGeneratedFile
+} from '../scripts/setup/template-writer.js';
+
+describe('template-writer', () => {
+  let claudeDir;
+
+  beforeEach(async () => {
+    claudeDir = path.join(os.tmpdir(), `template-writer-test-${Date.now()}`, '.claude');
+    await fs.ensureDir(path.join(claudeDir, 'rules'));
+    vi.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(async () => {
+    vi.restoreAllMocks();
+    await fs.remove(path.dirname(claudeDir));
+  });
+
+  const rulePath = name => path.join(claudeDir, 'rules', `${name}.md`);
+
+  /**
+   * Make the recorded render of a rule look like an older template
+   */
+  async function ageRule(name, update) {
+    const base = await loadTemplateBase(claudeDir);
+    base.files[`rules/${name}.md`].content = update(base.files[`rules/${name}.md`].content);
+    await saveTemplateBase(claudeDir, base);
+    return base.files[`rules/${name}.md`].content;
+  }
+
+  it('should keep a hash manifest of generated files in metadata.json', async () => {
+    await fs.writeJson(path.join(claudeDir, 'metadata.json'), { projectId: 'abc123' });
+    await writeRules(claudeDir, { language: 'javascript' }, ['code-style', 'security']);
+
+    const metadata = await fs.readJson(path.join(claudeDir, 'metadata.json'));
+
+    expect(metadata.projectId).toBe('abc123');
+    expect(metadata.generatedFiles).toEqual({
+      'rules/code-style.md': { type: 'rules', name: 'code-style', hash: hashContent(await fs.readFile(rulePath('code-style'), 'utf-8')) },
+      'rules/security.md': { type: 'rules', name: 'security', hash: hashContent(await fs.readFile(rulePath('security'), 'utf-8')) }
+    });
+  });
+
+  it('should update untouched files, merge edited ones and leave deleted ones in merge mode', async () => {
+    await writeRules(claudeDir, { language: 'javascript' });
+
+    await ageRule('code-style', content => `${content}Old footer\n`);
+    await fs.writeFile(rulePath('code-style'), (await loadTemplateBase(claudeDir)).files['rules/code-style.md'].content);
+    const oldSecurity = await ageRule('security', content => content.replace(/^# .*$/m, '# Security'));
+    await fs.writeFile(rulePath('security'), `${oldSecurity}\n## Ours\nKeep me.\n`);
+    await fs.remove(rulePath('testing'));
+    // Edited, but its template hasn't changed since
+    await fs.writeFile(rulePath('documentation'), '# Docs\n');
+
+    const results = await writeRules(claudeDir, { language: 'javascript' }, null, { merge: true });
+    const security = await fs.readFile(rulePath('security'), 'utf-8');
+
+    expect(await fs.readFile(rulePath('code-style'), 'utf-8')).not.toContain('Old footer');
+    expect(security).toMatch(/^# Security Rules\n/);
+    expect(security).toContain('## Ours\nKeep me.\n');
+    expect(await fs.pathExists(rulePath('testing'))).toBe(false);
+    expect(await fs.readFile(rulePath('documentation'), 'utf-8')).toBe('# Docs\n');
+    expect(results.conflicts).toEqual([]);
+    expect(Object.keys(await loadGeneratedFiles(claudeDir))).toContain('rules/testing.md');
+  });
+
+  it('should let a hunk picker settle conflicts', async () => {
+    await writeRules(claudeDir, { language: 'javascript' }, ['code-style']);
+    const oldStyle = await ageRule('code-style', content => content.replace(/^# .*$/m, '# Style'));
+    await fs.writeFile(rulePath('code-style'), oldStyle.replace('# Style', '# Our Style'));
+    const pickHunk = vi.fn(async (file, conflict) => conflict.ours);
+
+    const results = await writeRules(claudeDir, { language: 'javascript' }, ['code-style'], { merge: true, pickHunk });
+
+    expect(pickHunk).toHaveBeenCalledWith('rules/code-style.md', { type: 'conflict', base: ['# Style'], ours: ['# Our Style'], theirs: ['# Code Style Rules'] }, 0, 1);
+    expect(results.conflicts).toEqual([]);
+    expect(await fs.readFile(rulePath('code-style'), 'utf-8')).toMatch(/^# Our Style\n/);
+  });
+
+  it('should record and merge files setup builds from its answers', async () => {
+    const claudeMd = path.join(claudeDir, '..', 'CLAUDE.md');
+    await writeGeneratedFile(claudeDir, '../CLAUDE.md', '# Project\n\nnpm test\n\n## Notes\n');
+    await writeGeneratedFile(claudeDir, 'settings.json', '{}\n');
+
+    expect(await loadGeneratedFiles(claudeDir)).toEqual({
+      '../CLAUDE.md': { type: 'setup', name: 'CLAUDE.md', hash: hashContent('# Project\n\nnpm test\n\n## Notes\n') },
+      'settings.json': { type: 'setup', name: 'settings.json', hash: hashContent('{}\n') }
+    });
+
+    await fs.writeFile(claudeMd, '# Project\n\nnpm test\n\n## Notes\nKeep me.\n');
+    await fs.writeFile(path.join(claudeDir, 'settings.json'), '{"env": {"CI": "1"}}\n');
+
+    const merged = await writeGeneratedFile(claudeDir, '../CLAUDE.md', '# Project\n\npnpm test\n\n## Notes\n', { merge: true });
+    const kept = await writeGeneratedFile(claudeDir, 'settings.json', '{}\n', { merge: true });
+
+    expect(merged.status).toBe('merged');
+    expect(await fs.readFile(claudeMd, 'utf-8')).toBe('# Project\n\npnpm test\n\n## Notes\nKeep me.\n');
+    expect(kept.status).toBe('current');
+    expect(await fs.readFile(path.join(claudeDir, 'settings.json'), 'utf-8')).toBe('{"env": {"CI": "1"}}\n');
+    expect((await loadTemplateBase(claudeDir)).files['../CLAUDE.md'].content).toBe('# Project\n\npnpm test\n\n## Notes\n');
+  });
+
+  it('should compare a file against what was generated before', () => {
+    const previous = { hash: hashContent('a\nb\n'), content: 'a\nb\n' };
+
+    expect(compareTemplateFile(null, null, 'x').status).toBe('added');
+    expect(compareTemplateFile(previous, null, 'a\nB\n').status).toBe('skipped');
+    expect(compareTemplateFile(previous, 'a\nb\nmine\n', 'a\nb\n').status).toBe('current');
+    expect(compareTemplateFile(previous, 'a\nb\n', 'a\nB\n').status).toBe('updated');
+    expect(compareTemplateFile(previous, 'a\nb\nmine\n', 'a\nB\n')).toMatchObject({ status: 'merge' });
+  });
+});
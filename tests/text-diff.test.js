@@ -0,0 +1,114 @@
+/**
+ * Tests for text-diff.js
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  diffSequences,
+  diffLines,
+  diffWords,
+  diffStats,
+  buildHunks,
+  formatUnified,
+  pairChanges,
+  mergeLines
+} from '../scripts/utils/text-diff.js';
+
+/**
+ * Rebuild both sides from ops
+ */
+function applyOps(ops) {
+  return {
+    old: ops.filter(op => op.type !== 'insert').map(op => op.value),
+    new: ops.filter(op => op.type !== 'delete').map(op => op.value)
+  };
+}
+
+describe('text-diff', () => {
+  it('should find a shortest edit script', () => {
+    const a = 'ABCABBA'.split('');
+    const b = 'CBABAC'.split('');
+    const ops = diffSequences(a, b);
+
+    expect(applyOps(ops)).toEqual({ old: a, new: b });
+    expect(ops.filter(op => op.type !== 'equal')).toHaveLength(5);
+    expect(diffSequences([], ['x'])).toEqual([{ type: 'insert', value: 'x' }]);
+    expect(diffSequences(['x'], ['x'])).toEqual([{ type: 'equal', value: 'x' }]);
+  });
+
+  it('should diff lines with line numbers and stats', () => {
+    const ops = diffLines('one\ntwo\nthree\n', 'one\n2\nthree\nfour\n');
+
+    expect(ops).toEqual([
+      { type: 'equal', value: 'one', oldLine: 1, newLine: 1 },
+      { type: 'delete', value: 'two', oldLine: 2 },
+      { type: 'insert', value: '2', newLine: 2 },
+      { type: 'equal', value: 'three', oldLine: 3, newLine: 3 },
+      { type: 'insert', value: 'four', newLine: 4 }
+    ]);
+    expect(diffStats(ops)).toEqual({ added: 2, removed: 1, unchanged: 2 });
+  });
+
+  it('should diff words within a line', () => {
+    expect(diffWords('Hooks run before each tool call.', 'Hooks run after each tool call.')).toEqual([
+      { type: 'equal', value: 'Hooks run ' },
+      { type: 'delete', value: 'before' },
+      { type: 'insert', value: 'after' },
+      { type: 'equal', value: ' each tool call.' }
+    ]);
+  });
+
+  it('should group changes into hunks and format a unified diff', () => {
+    const oldText = Array.from({ length: 20 }, (_, i) => `line ${i + 1}`).join('\n');
+    const newText = oldText.replace('line 2\n', 'line two\n').replace('line 18\n', '');
+    const ops = diffLines(oldText, newText);
+
+    const hunks = buildHunks(ops, 2);
+    const unified = formatUnified(ops, { fromLabel: 'hooks v1.4.0', toLabel: 'hooks v1.7.0', context: 2 });
+
+    expect(hunks.map(h => [h.oldStart, h.oldLines, h.newStart, h.newLines])).toEqual([[1, 4, 1, 4], [16, 5, 16, 4]]);
+    expect(unified).toBe([
+      '--- hooks v1.4.0',
+      '+++ hooks v1.7.0',
+      '@@ -1,4 +1,4 @@',
+      ' line 1',
+      '-line 2',
+      '+line two',
+      ' line 3',
+      ' line 4',
+      '@@ -16,5 +16,4 @@',
+      ' line 16',
+      ' line 17',
+      '-line 18',
+      ' line 19',
+      ' line 20',
+      ''
+    ].join('\n'));
+    expect(formatUnified(diffLines('same', 'same'))).toBe('');
+    expect(buildHunks(diffLines('', 'new'))[0]).toMatchObject({ oldStart: 0, oldLines: 0, newStart: 1, newLines: 1 });
+  });
+
+  it('should pair removed and added lines for side-by-side views', () => {
+    const rows = pairChanges(diffLines('a\nb\nc\n', 'a\nB\nC\nD\n'));
+
+    expect(rows.map(r => r.type)).toEqual(['equal', 'change', 'change', 'insert']);
+    expect(rows[1]).toEqual({ type: 'change', left: { line: 2, text: 'b' }, right: { line: 2, text: 'B' } });
+    expect(rows[3]).toEqual({ type: 'insert', left: null, right: { line: 4, text: 'D' } });
+  });
+
+  it('should merge changes from both sides and mark overlapping ones', () => {
+    const base = 'title\none\ntwo\nthree\nfour\n';
+    const ours = 'title\none\ntwo (local)\nthree\nfour\nnotes\n';
+    const theirs = 'Title\none\ntwo\nthree\n3.5\nfour\n';
+
+    expect(mergeLines(base, ours, theirs)).toEqual({
+      text: 'Title\none\ntwo (local)\nthree\n3.5\nfour\nnotes\n',
+      conflicts: 0
+    });
+    expect(mergeLines(base, ours, base.replace('two', 'two (template)'))).toMatchObject({ conflicts: 1 });
+    expect(mergeLines('a\nb\n', 'a\nB\n', 'a\nb!\n', { oursLabel: 'local', theirsLabel: 'template' }).text).toBe(
+      'a\n<<<<<<< local\nB\n=======\nb!\n>>>>>>> template\n'
+    );
+    expect(mergeLines('a\n', 'a\nx\n', 'a\nx\n')).toEqual({ text: 'a\nx\n', conflicts: 0 });
+  });
+});
@@ -0,0 +1,107 @@
+/**
+ * Tests for worktree-manager.js
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs-extra';
+import path from 'path';
+import os from 'os';
+import { execSync } from 'child_process';
+import {
+  createWorktree,
+  listWorktrees,
+  discardWorktree,
+  mergeWorktree,
+  getAheadBehind,
+  findCompletedWorktrees
+} from '../scripts/utils/worktree-manager.js';
+
+function git(command, cwd) {
+  return execSync(`git ${command}`, { cwd, stdio: 'pipe' }).toString().trim();
+}
+
+describe('worktree-manager', () => {
+  let testDir;
+
+  beforeEach(async () => {
+    testDir = path.join(os.tmpdir(), `worktree-manager-test-${Date.now()}`);
+    await fs.ensureDir(testDir);
+    git('init -q -b main', testDir);
+    git('config user.email test@example.com', testDir);
+    git('config user.name Test', testDir);
+    await fs.writeFile(path.join(testDir, 'README.md'), '# test\n');
+    git('add README.md', testDir);
+    git('commit -q -m init', testDir);
+  });
+
+  afterEach(async () => {
+    await fs.remove(testDir);
+  });
+
+  it('should create and list story worktrees', async () => {
+    const worktree = await createWorktree('US-001', testDir, 'main');
+
+    expect(worktree.branch).toBe('ralph/us-001');
+    expect(await fs.pathExists(worktree.path)).toBe(true);
+    expect((await listWorktrees(testDir)).map(w => w.branch)).toEqual(['ralph/us-001']);
+  });
+
+  it('should count commits ahead of and behind the base branch', async () => {
+    const worktree = await createWorktree('US-001', testDir, 'main');
+    await fs.writeFile(path.join(worktree.path, 'a.txt'), 'a\n');
+    git('add a.txt', worktree.path);
+    git('commit -q -m a', worktree.path);
+    await fs.writeFile(path.join(testDir, 'b.txt'), 'b\n');
+    git('add b.txt', testDir);
+    git('commit -q -m b', testDir);
+
+    expect(await getAheadBehind('US-001', testDir, 'main')).toEqual({ ahead: 1, behind: 1 });
+    expect(await getAheadBehind('US-999', testDir, 'main')).toBeNull();
+  });
+
+  it('should commit changes left in the worktree before merging', async () => {
+    const worktree = await createWorktree('US-001', testDir, 'main');
+    await fs.writeFile(path.join(worktree.path, 'a.txt'), 'a\n');
+
+    const result = await mergeWorktree('US-001', testDir, 'main');
+
+    expect(result.success).toBe(true);
+    expect(await fs.readFile(path.join(testDir, 'a.txt'), 'utf-8')).toBe('a\n');
+    expect(await fs.pathExists(worktree.path)).toBe(false);
+  });
+
+  it('should fail to merge a branch with no commits', async () => {
+    const worktree = await createWorktree('US-001', testDir, 'main');
+
+    const result = await mergeWorktree('US-001', testDir, 'main');
+
+    expect(result).toEqual({ success: false, message: 'Nothing to merge: ralph/us-001 has no commits ahead of main' });
+    expect(await fs.pathExists(worktree.path)).toBe(true);
+  });
+
+  it('should keep the branch unless asked to delete it', async () => {
+    await createWorktree('US-001', testDir, 'main');
+    await createWorktree('US-002', testDir, 'main');
+
+    expect((await discardWorktree('US-001', testDir, false, false)).success).toBe(true);
+    expect((await discardWorktree('US-002', testDir, false, true)).success).toBe(true);
+
+    const branches = git('branch --list "ralph/*"', testDir);
+    expect(branches).toContain('ralph/us-001');
+    expect(branches).not.toContain('ralph/us-002');
+  });
+
+  it('should find worktrees for completed stories', async () => {
+    await createWorktree('US-001', testDir, 'main');
+    await createWorktree('US-002', testDir, 'main');
+    const prd = {
+      userStories: [
+        { id: 'US-001', passes: true },
+        { id: 'US-002', passes: false }
+      ]
+    };
+
+    const stale = await findCompletedWorktrees(prd, testDir);
+    expect(stale.map(w => w.storyId)).toEqual(['US-001']);
+  });
+});